@@ -0,0 +1,4 @@
+module.exports = {
+  // The Safe stand-ins are test scaffolding
+  skipFiles: ["test/"],
+};
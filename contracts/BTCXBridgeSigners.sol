@@ -0,0 +1,78 @@
+// SPDX-License-Identifier: MIT
+// Compatible with OpenZeppelin Contracts ^5.5.0
+pragma solidity 0.8.27;
+
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+/// @title BTCX Bridge Signers
+/// @notice Fixed m-of-n signer set shared by both ends of the BTCX lock-and-mint bridge
+/// @dev Signers approve every mint and release with an EIP-712 signature. The domain is the
+///      contract on the destination chain, so a signature is only valid for that contract on
+///      that chain. Signatures must come in strictly increasing signer order, which rules out
+///      counting one signer twice. There is no owner: the signers and threshold are fixed at
+///      deployment.
+abstract contract BTCXBridgeSigners is EIP712 {
+    /// @notice Number of signer approvals required for a mint or release
+    uint256 public immutable threshold;
+
+    /// @notice Whether an address belongs to the signer set
+    mapping(address account => bool) public isSigner;
+
+    address[] private _signers;
+
+    /// @notice The threshold is zero or larger than the signer set
+    error InvalidThreshold(uint256 threshold, uint256 signers);
+
+    /// @notice A signer is the zero address or listed twice
+    error InvalidSigner(address signer);
+
+    /// @notice Fewer signatures than the threshold
+    error NotEnoughSignatures(uint256 provided, uint256 threshold);
+
+    /// @notice A signature does not recover to a signer, or signers are not in increasing order
+    error UnauthorizedSignature(address recovered);
+
+    /// @notice A required address is zero
+    error ZeroAddress();
+
+    /// @notice The amount is zero
+    error ZeroAmount();
+
+    /// @param signers_ The signer set
+    /// @param threshold_ Number of signer approvals required
+    constructor(address[] memory signers_, uint256 threshold_) EIP712("BTCX Bridge", "1") {
+        if (threshold_ == 0 || threshold_ > signers_.length) {
+            revert InvalidThreshold(threshold_, signers_.length);
+        }
+        for (uint256 i = 0; i < signers_.length; i++) {
+            if (signers_[i] == address(0) || isSigner[signers_[i]]) {
+                revert InvalidSigner(signers_[i]);
+            }
+            isSigner[signers_[i]] = true;
+        }
+        _signers = signers_;
+        threshold = threshold_;
+    }
+
+    /// @notice The signer set
+    function signers() external view returns (address[] memory) {
+        return _signers;
+    }
+
+    /// @dev Revert unless at least `threshold` distinct signers signed the typed struct
+    function _checkSignatures(bytes32 structHash, bytes[] calldata signatures) internal view {
+        if (signatures.length < threshold) {
+            revert NotEnoughSignatures(signatures.length, threshold);
+        }
+        bytes32 digest = _hashTypedDataV4(structHash);
+        address previous = address(0);
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address recovered = ECDSA.recover(digest, signatures[i]);
+            if (!isSigner[recovered] || recovered <= previous) {
+                revert UnauthorizedSignature(recovered);
+            }
+            previous = recovered;
+        }
+    }
+}
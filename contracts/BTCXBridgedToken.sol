@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+// Compatible with OpenZeppelin Contracts ^5.5.0
+pragma solidity 0.8.27;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {BTCXBridgeSigners} from "./BTCXBridgeSigners.sol";
+
+/// @title BTCX Bridged Token
+/// @notice Remote-chain end of the BTCX lock-and-mint bridge: BTCX backed one to one by the
+///         tokens held in the home-chain BTCXLockbox
+/// @dev Locks are minted strictly in lock nonce order. Each mint carries the lockbox's running
+///      total of locked tokens, and the running total of minted tokens has to equal it, so
+///      the bridged supply can never exceed what was locked. Burning sends tokens back: each
+///      burn gets a sequential nonce for the lockbox to release once.
+contract BTCXBridgedToken is ERC20, BTCXBridgeSigners {
+    bytes32 private constant MINT_TYPEHASH =
+        keccak256("Mint(uint256 lockNonce,address recipient,uint256 amount,uint256 totalLocked)");
+
+    /// @notice Number of locks minted so far, which is also the next lock nonce to mint
+    uint256 public mintedLocks;
+
+    /// @notice Sum of every amount ever minted
+    uint256 public totalMinted;
+
+    /// @notice Number of burns so far, which is also the nonce of the next burn
+    uint256 public burnNonce;
+
+    /// @notice Emitted when a home-chain lock is minted
+    /// @param lockNonce Nonce of the lock on the home chain
+    /// @param recipient The account minted to
+    /// @param amount The amount minted
+    event Minted(uint256 indexed lockNonce, address indexed recipient, uint256 amount);
+
+    /// @notice Emitted when tokens are burned to be released on the home chain
+    /// @param nonce Sequential burn nonce
+    /// @param sender The account the tokens were burned from
+    /// @param recipient The account to release to on the home chain
+    /// @param amount The amount burned
+    event Burned(uint256 indexed nonce, address indexed sender, address indexed recipient, uint256 amount);
+
+    /// @notice The lock is not the next one to mint
+    error UnexpectedLockNonce(uint256 lockNonce, uint256 expected);
+
+    /// @notice The minted total would not match the lockbox's locked total
+    error LockedTotalMismatch(uint256 minted, uint256 locked);
+
+    /// @param signers_ The bridge signer set
+    /// @param threshold_ Number of signer approvals required for a mint
+    constructor(
+        address[] memory signers_,
+        uint256 threshold_
+    ) ERC20("BTCX Digital Currency (Bridged)", "BTCX") BTCXBridgeSigners(signers_, threshold_) {}
+
+    /// @notice Mint a home-chain lock, approved by at least `threshold` signers
+    /// @param totalLocked The lockbox's locked total after this lock, from its Locked event
+    /// @param signatures EIP-712 Mint signatures, ordered by increasing signer address
+    function mint(
+        uint256 lockNonce,
+        address recipient,
+        uint256 amount,
+        uint256 totalLocked,
+        bytes[] calldata signatures
+    ) external {
+        if (lockNonce != mintedLocks) {
+            revert UnexpectedLockNonce(lockNonce, mintedLocks);
+        }
+        if (totalMinted + amount != totalLocked) {
+            revert LockedTotalMismatch(totalMinted + amount, totalLocked);
+        }
+        _checkSignatures(
+            keccak256(abi.encode(MINT_TYPEHASH, lockNonce, recipient, amount, totalLocked)),
+            signatures
+        );
+
+        mintedLocks = lockNonce + 1;
+        totalMinted += amount;
+        _mint(recipient, amount);
+
+        emit Minted(lockNonce, recipient, amount);
+    }
+
+    /// @notice Burn `amount` from the caller to be released to `recipient` on the home chain
+    function burn(address recipient, uint256 amount) external {
+        if (recipient == address(0)) {
+            revert ZeroAddress();
+        }
+        if (amount == 0) {
+            revert ZeroAmount();
+        }
+        uint256 nonce = burnNonce++;
+        _burn(msg.sender, amount);
+
+        emit Burned(nonce, msg.sender, recipient, amount);
+    }
+}
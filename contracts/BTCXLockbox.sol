@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: MIT
+// Compatible with OpenZeppelin Contracts ^5.5.0
+pragma solidity 0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {BTCXBridgeSigners} from "./BTCXBridgeSigners.sol";
+
+/// @title BTCX Lockbox
+/// @notice Home-chain end of the BTCX lock-and-mint bridge: holds the BTCX that backs the
+///         bridged token on the remote chain
+/// @dev BTCX has a fixed supply and cannot be minted, so moving it to another chain locks it
+///      here. Each lock gets a sequential nonce and is minted once on the remote chain. Tokens
+///      come back out only when the signers approve the release of a remote burn, once per
+///      burn nonce. Releases are capped at the amount locked through lock(); BTCX sent here
+///      directly is never released.
+contract BTCXLockbox is BTCXBridgeSigners {
+    using SafeERC20 for IERC20;
+
+    bytes32 private constant RELEASE_TYPEHASH = keccak256("Release(uint256 burnNonce,address recipient,uint256 amount)");
+
+    /// @notice The locked token
+    IERC20 public immutable token;
+
+    /// @notice Number of locks so far, which is also the nonce of the next lock
+    uint256 public lockNonce;
+
+    /// @notice Sum of every amount ever locked
+    uint256 public totalLocked;
+
+    /// @notice Sum of every amount ever released
+    uint256 public totalReleased;
+
+    /// @notice Whether the remote burn with this nonce has been released
+    mapping(uint256 burnNonce => bool) public released;
+
+    /// @notice Emitted when tokens are locked for the remote chain
+    /// @param nonce Sequential lock nonce
+    /// @param sender The account the tokens were taken from
+    /// @param recipient The account to mint to on the remote chain
+    /// @param amount The amount locked
+    /// @param totalLocked Sum of every amount locked, including this one
+    event Locked(
+        uint256 indexed nonce,
+        address indexed sender,
+        address indexed recipient,
+        uint256 amount,
+        uint256 totalLocked
+    );
+
+    /// @notice Emitted when tokens are released for a remote burn
+    /// @param burnNonce Nonce of the remote burn
+    /// @param recipient The account the tokens were sent to
+    /// @param amount The amount released
+    event Released(uint256 indexed burnNonce, address indexed recipient, uint256 amount);
+
+    /// @notice The remote burn was already released
+    error AlreadyReleased(uint256 burnNonce);
+
+    /// @notice The release is larger than the amount still locked
+    error ReleaseExceedsLocked(uint256 amount, uint256 locked);
+
+    /// @param token_ The token to lock
+    /// @param signers_ The bridge signer set
+    /// @param threshold_ Number of signer approvals required for a release
+    constructor(
+        IERC20 token_,
+        address[] memory signers_,
+        uint256 threshold_
+    ) BTCXBridgeSigners(signers_, threshold_) {
+        if (address(token_) == address(0)) {
+            revert ZeroAddress();
+        }
+        token = token_;
+    }
+
+    /// @notice Amount currently locked, which the bridged supply on the remote chain never exceeds
+    function lockedBalance() external view returns (uint256) {
+        return totalLocked - totalReleased;
+    }
+
+    /// @notice Lock `amount` from the caller to be minted to `recipient` on the remote chain
+    /// @dev The caller must have approved this contract for at least `amount`
+    function lock(address recipient, uint256 amount) external {
+        _lock(recipient, amount);
+    }
+
+    /// @notice Same as lock, but first sets the allowance with an EIP-2612 permit
+    /// @dev A permit that was already used (e.g. front-run) is ignored; the allowance it
+    ///      set is still enforced by transferFrom.
+    function lockWithPermit(
+        address recipient,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        try IERC20Permit(address(token)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _lock(recipient, amount);
+    }
+
+    /// @notice Release the tokens of a remote burn, approved by at least `threshold` signers
+    /// @param signatures EIP-712 Release signatures, ordered by increasing signer address
+    function release(
+        uint256 burnNonce,
+        address recipient,
+        uint256 amount,
+        bytes[] calldata signatures
+    ) external {
+        if (released[burnNonce]) {
+            revert AlreadyReleased(burnNonce);
+        }
+        if (amount > totalLocked - totalReleased) {
+            revert ReleaseExceedsLocked(amount, totalLocked - totalReleased);
+        }
+        _checkSignatures(keccak256(abi.encode(RELEASE_TYPEHASH, burnNonce, recipient, amount)), signatures);
+
+        released[burnNonce] = true;
+        totalReleased += amount;
+        token.safeTransfer(recipient, amount);
+
+        emit Released(burnNonce, recipient, amount);
+    }
+
+    function _lock(address recipient, uint256 amount) private {
+        if (recipient == address(0)) {
+            revert ZeroAddress();
+        }
+        if (amount == 0) {
+            revert ZeroAmount();
+        }
+        uint256 nonce = lockNonce++;
+        totalLocked += amount;
+        token.safeTransferFrom(msg.sender, address(this), amount);
+
+        emit Locked(nonce, msg.sender, recipient, amount, totalLocked);
+    }
+}
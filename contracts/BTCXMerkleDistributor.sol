@@ -0,0 +1,116 @@
+// SPDX-License-Identifier: MIT
+// Compatible with OpenZeppelin Contracts ^5.5.0
+pragma solidity 0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {MerkleProof} from "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import {BitMaps} from "@openzeppelin/contracts/utils/structs/BitMaps.sol";
+
+/// @title BTCX Merkle Distributor
+/// @notice Lets each airdrop recipient claim their own share of a funded token balance
+/// @dev Leaves are `keccak256(bytes.concat(keccak256(abi.encode(index, account, amount))))`,
+///      the encoding of StandardMerkleTree in OpenZeppelin's merkle-tree JS library. After the
+///      deadline nothing can be claimed and anyone can sweep the remaining balance to the fixed
+///      sweep recipient. There is no owner: root, deadline and sweep recipient are immutable.
+contract BTCXMerkleDistributor {
+    using SafeERC20 for IERC20;
+    using BitMaps for BitMaps.BitMap;
+
+    /// @notice The token being distributed
+    IERC20 public immutable token;
+
+    /// @notice Root of the (index, account, amount) Merkle tree
+    bytes32 public immutable merkleRoot;
+
+    /// @notice Last timestamp at which claims are accepted
+    uint256 public immutable deadline;
+
+    /// @notice Receives unclaimed tokens after the deadline
+    address public immutable sweepRecipient;
+
+    BitMaps.BitMap private _claimed;
+
+    /// @notice Emitted when a share is claimed
+    /// @param index The leaf index in the tree
+    /// @param account The account that received the tokens
+    /// @param amount The amount sent
+    event Claimed(uint256 indexed index, address indexed account, uint256 amount);
+
+    /// @notice Emitted when unclaimed tokens are swept after the deadline
+    /// @param recipient The sweep recipient
+    /// @param amount The amount swept
+    event Swept(address indexed recipient, uint256 amount);
+
+    /// @notice The leaf at this index was already claimed
+    error AlreadyClaimed(uint256 index);
+
+    /// @notice The proof does not lead to the Merkle root
+    error InvalidProof();
+
+    /// @notice Claims are no longer accepted
+    error ClaimWindowClosed(uint256 deadline);
+
+    /// @notice Unclaimed tokens cannot be swept before the deadline has passed
+    error ClaimWindowOpen(uint256 deadline);
+
+    /// @notice The deadline is not in the future
+    error InvalidDeadline(uint256 deadline);
+
+    /// @notice A required address is zero
+    error ZeroAddress();
+
+    /// @param token_ The token being distributed
+    /// @param merkleRoot_ Root of the (index, account, amount) tree
+    /// @param deadline_ Last timestamp at which claims are accepted
+    /// @param sweepRecipient_ Receives unclaimed tokens after the deadline
+    constructor(IERC20 token_, bytes32 merkleRoot_, uint256 deadline_, address sweepRecipient_) {
+        if (address(token_) == address(0) || sweepRecipient_ == address(0)) {
+            revert ZeroAddress();
+        }
+        if (deadline_ <= block.timestamp) {
+            revert InvalidDeadline(deadline_);
+        }
+        token = token_;
+        merkleRoot = merkleRoot_;
+        deadline = deadline_;
+        sweepRecipient = sweepRecipient_;
+    }
+
+    /// @notice Whether the leaf at `index` has been claimed
+    function isClaimed(uint256 index) public view returns (bool) {
+        return _claimed.get(index);
+    }
+
+    /// @notice Claim a share; anyone may submit the claim, the tokens always go to `account`
+    /// @param index The leaf index in the tree
+    /// @param account The account entitled to the share
+    /// @param amount The share amount
+    /// @param proof Sibling hashes from the leaf to the root
+    function claim(uint256 index, address account, uint256 amount, bytes32[] calldata proof) external {
+        if (block.timestamp > deadline) {
+            revert ClaimWindowClosed(deadline);
+        }
+        if (isClaimed(index)) {
+            revert AlreadyClaimed(index);
+        }
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(index, account, amount))));
+        if (!MerkleProof.verifyCalldata(proof, merkleRoot, leaf)) {
+            revert InvalidProof();
+        }
+
+        _claimed.set(index);
+        token.safeTransfer(account, amount);
+        emit Claimed(index, account, amount);
+    }
+
+    /// @notice Send every unclaimed token to the sweep recipient once the deadline has passed
+    function sweep() external {
+        if (block.timestamp <= deadline) {
+            revert ClaimWindowOpen(deadline);
+        }
+        uint256 amount = token.balanceOf(address(this));
+        token.safeTransfer(sweepRecipient, amount);
+        emit Swept(sweepRecipient, amount);
+    }
+}
@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+// Compatible with OpenZeppelin Contracts ^5.5.0
+pragma solidity 0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/// @title BTCX Multisend
+/// @notice Sends ERC20 tokens from the caller to many recipients in one transaction
+/// @dev Tokens move straight from the caller to each recipient via transferFrom, so the
+///      contract never holds a balance. Each batch carries a caller-chosen id that can
+///      only be executed once per sender, which lets an interrupted distribution be
+///      resumed without paying any recipient twice.
+contract BTCXMultisend {
+    using SafeERC20 for IERC20;
+
+    /// @notice Whether a sender has already executed a batch id
+    mapping(address sender => mapping(bytes32 batchId => bool)) public executed;
+
+    /// @notice Emitted once per executed batch
+    /// @param token The token that was sent
+    /// @param sender The account the tokens were taken from
+    /// @param batchId The caller-chosen batch id
+    /// @param recipients Number of recipients in the batch
+    /// @param total Sum of all amounts in the batch
+    event BatchSent(
+        address indexed token,
+        address indexed sender,
+        bytes32 indexed batchId,
+        uint256 recipients,
+        uint256 total
+    );
+
+    /// @notice The recipients and amounts arrays differ in length
+    error LengthMismatch(uint256 recipients, uint256 amounts);
+
+    /// @notice The sender already executed this batch id
+    error BatchAlreadyExecuted(bytes32 batchId);
+
+    /// @notice Send `amounts[i]` of `token` from the caller to `recipients[i]`
+    /// @dev The caller must have approved this contract for at least the batch total
+    function multisend(
+        IERC20 token,
+        bytes32 batchId,
+        address[] calldata recipients,
+        uint256[] calldata amounts
+    ) external {
+        _multisend(token, batchId, recipients, amounts);
+    }
+
+    /// @notice Same as multisend, but first sets the allowance with an EIP-2612 permit
+    /// @dev A permit that was already used (e.g. front-run) is ignored; the allowance it
+    ///      set is still enforced by transferFrom.
+    function multisendWithPermit(
+        IERC20 token,
+        bytes32 batchId,
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        try IERC20Permit(address(token)).permit(msg.sender, address(this), value, deadline, v, r, s) {} catch {}
+        _multisend(token, batchId, recipients, amounts);
+    }
+
+    function _multisend(
+        IERC20 token,
+        bytes32 batchId,
+        address[] calldata recipients,
+        uint256[] calldata amounts
+    ) private {
+        if (recipients.length != amounts.length) {
+            revert LengthMismatch(recipients.length, amounts.length);
+        }
+        if (executed[msg.sender][batchId]) {
+            revert BatchAlreadyExecuted(batchId);
+        }
+        executed[msg.sender][batchId] = true;
+
+        uint256 total;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            token.safeTransferFrom(msg.sender, recipients[i], amounts[i]);
+            total += amounts[i];
+        }
+
+        emit BatchSent(address(token), msg.sender, batchId, recipients.length, total);
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+// Compatible with OpenZeppelin Contracts ^5.5.0
+pragma solidity 0.8.27;
+
+import {VestingWallet} from "@openzeppelin/contracts/finance/VestingWallet.sol";
+import {VestingWalletCliff} from "@openzeppelin/contracts/finance/VestingWalletCliff.sol";
+
+/// @title BTCX Vesting Wallet
+/// @notice Linear vesting with a cliff for a single beneficiary, one wallet per allocation
+/// @dev Thin concrete wrapper around OpenZeppelin's VestingWalletCliff. Nothing vests before
+///      `start + cliffSeconds`; after that the vested amount follows the linear schedule from
+///      `start`, so the cliff releases everything accrued up to that point at once.
+contract BTCXVestingWallet is VestingWalletCliff {
+    /// @param beneficiary Address that receives the vested tokens (the wallet owner)
+    /// @param startTimestamp Unix timestamp at which vesting starts
+    /// @param durationSeconds Length of the full vesting period
+    /// @param cliffSeconds Time after start before anything can be released
+    constructor(
+        address beneficiary,
+        uint64 startTimestamp,
+        uint64 durationSeconds,
+        uint64 cliffSeconds
+    ) VestingWallet(beneficiary, startTimestamp, durationSeconds) VestingWalletCliff(cliffSeconds) {}
+}
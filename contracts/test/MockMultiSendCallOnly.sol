@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.27;
+
+/// @title Mock MultiSendCallOnly
+/// @notice Test stand-in for Safe's MultiSendCallOnly, meant to be delegatecalled by a Safe
+/// @dev Each packed call is `operation (1 byte) ++ to (20) ++ value (32) ++ data length (32) ++ data`.
+///      Only CALL operations are allowed and any failing call reverts the whole batch.
+contract MockMultiSendCallOnly {
+    /// @notice A packed call asked for DELEGATECALL
+    error DelegateCallNotAllowed(uint256 index);
+
+    /// @notice A packed call reverted
+    error CallFailed(uint256 index);
+
+    /// @notice Execute every packed call in order
+    function multiSend(bytes memory transactions) external payable {
+        uint256 offset = 0;
+        uint256 index = 0;
+        while (offset < transactions.length) {
+            uint8 operation;
+            address to;
+            uint256 value;
+            uint256 dataLength;
+            uint256 dataPointer;
+            assembly {
+                let p := add(add(transactions, 0x20), offset)
+                operation := shr(0xf8, mload(p))
+                to := shr(0x60, mload(add(p, 0x01)))
+                value := mload(add(p, 0x15))
+                dataLength := mload(add(p, 0x35))
+                dataPointer := add(p, 0x55)
+            }
+            if (operation != 0) {
+                revert DelegateCallNotAllowed(index);
+            }
+            bool success;
+            assembly {
+                success := call(gas(), to, value, dataPointer, dataLength, 0, 0)
+            }
+            if (!success) {
+                revert CallFailed(index);
+            }
+            offset += 0x55 + dataLength;
+            index++;
+        }
+    }
+}
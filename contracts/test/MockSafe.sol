@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.27;
+
+/// @title Mock Safe
+/// @notice Test stand-in for a Safe with a single owner and no signature checks
+/// @dev Only exposes what the Safe batch tooling relies on: the execTransaction signature,
+///      CALL and DELEGATECALL operations, and the ExecutionSuccess/ExecutionFailure events.
+contract MockSafe {
+    /// @notice The only account allowed to execute transactions
+    address public immutable owner;
+
+    /// @notice Incremented on every execution
+    uint256 public nonce;
+
+    /// @notice Emitted when the inner call succeeded
+    event ExecutionSuccess(bytes32 txHash, uint256 payment);
+
+    /// @notice Emitted when the inner call failed
+    event ExecutionFailure(bytes32 txHash, uint256 payment);
+
+    /// @notice The caller is not the owner
+    error NotOwner();
+
+    /// @param owner_ The only account allowed to execute transactions
+    constructor(address owner_) {
+        owner = owner_;
+    }
+
+    /// @notice Execute a call (operation 0) or delegatecall (operation 1) from the Safe
+    /// @dev Gas, refund and signature parameters are accepted for ABI compatibility and ignored
+    function execTransaction(
+        address to,
+        uint256 value,
+        bytes calldata data,
+        uint8 operation,
+        uint256,
+        uint256,
+        uint256,
+        address,
+        address payable,
+        bytes calldata
+    ) external payable returns (bool success) {
+        if (msg.sender != owner) {
+            revert NotOwner();
+        }
+        bytes32 txHash = keccak256(abi.encode(to, value, keccak256(data), operation, nonce++));
+        if (operation == 1) {
+            (success, ) = to.delegatecall(data);
+        } else {
+            (success, ) = to.call{value: value}(data);
+        }
+        if (success) {
+            emit ExecutionSuccess(txHash, 0);
+        } else {
+            emit ExecutionFailure(txHash, 0);
+        }
+    }
+
+    receive() external payable {}
+}
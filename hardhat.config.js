@@ -1,7 +1,36 @@
+const { extendProvider } = require("hardhat/config");
 require("@nomicfoundation/hardhat-toolbox");
 require("solidity-coverage");
 require("hardhat-gas-reporter");
 
+require("./tasks/distribute");
+require("./tasks/vesting");
+require("./tasks/relayer");
+require("./tasks/indexer");
+require("./tasks/snapshot");
+require("./tasks/airdrop");
+require("./tasks/supply");
+require("./tasks/burns");
+require("./tasks/safe");
+require("./tasks/keystore");
+require("./tasks/invariants");
+require("./tasks/gas");
+require("./tasks/sdk");
+require("./tasks/operator");
+require("./tasks/allowances");
+require("./tasks/multichain");
+require("./tasks/bridge");
+
+// Signers from an encrypted keystore (KEYSTORE_PATH); see scripts/lib/keystore.js
+extendProvider((provider, config, network) =>
+  require("./scripts/lib/keystore").keystoreExtender(provider, network, process.env, {
+    chainId: config.networks[network].chainId,
+  })
+);
+
+// Plaintext keys are only accepted on testnets, and only when no keystore is configured
+const plaintextAccounts = process.env.PRIVATE_KEY && !process.env.KEYSTORE_PATH ? [process.env.PRIVATE_KEY] : [];
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -32,15 +61,19 @@ module.exports = {
     },
     sepolia: {
       url: process.env.SEPOLIA_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+      accounts: plaintextAccounts,
       chainId: 11155111,
     },
     mainnet: {
       url: process.env.MAINNET_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+      accounts: [],
       chainId: 1,
     },
   },
+  // Networks `npx hardhat btcx:deploy:multichain` deploys to, in this order (e.g. ["sepolia"])
+  multichain: {
+    networks: [],
+  },
   gasReporter: {
     enabled: process.env.REPORT_GAS === "true",
     currency: "USD",
@@ -1,52 +1,89 @@
-const { ethers } = require("hardhat");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const deployments = require("./lib/deployments");
+const create2 = require("./lib/create2");
+const preflight = require("./lib/preflight");
+const safe = require("./lib/safe");
+const simulation = require("./lib/simulation");
+const verification = require("./lib/verification");
+
+const CONTRACT_NAME = "BTCXDigitalCurrency";
+const EXPECTED_SUPPLY = ethers.parseUnits("1200000000", 18);
 
 /**
- * @title BTCX Digital Currency Deployment Script
- * @notice Deploys the BTCXDigitalCurrency token contract
- * @dev Requires RECIPIENT_ADDRESS environment variable or uses deployer as recipient
+ * @notice EIP-1559 fee caps from MAX_FEE_PER_GAS_GWEI / MAX_PRIORITY_FEE_PER_GAS_GWEI
+ * @return Transaction overrides, empty when no caps are configured
  */
-async function main() {
-  console.log("=".repeat(60));
-  console.log("BTCX Digital Currency - Deployment Script");
-  console.log("=".repeat(60));
+function feeOverrides(options) {
+  const maxFee = options.maxFeePerGas ?? process.env.MAX_FEE_PER_GAS_GWEI;
+  const maxPriorityFee = options.maxPriorityFeePerGas ?? process.env.MAX_PRIORITY_FEE_PER_GAS_GWEI;
+  const overrides = {};
 
-  // Get deployer account
-  const [deployer] = await ethers.getSigners();
-  console.log("\nDeployer address:", deployer.address);
+  if (maxFee) {
+    overrides.maxFeePerGas = ethers.parseUnits(String(maxFee), "gwei");
+  }
+  if (maxPriorityFee) {
+    overrides.maxPriorityFeePerGas = ethers.parseUnits(String(maxPriorityFee), "gwei");
+  }
+  return overrides;
+}
 
-  // Get deployer balance
-  const balance = await ethers.provider.getBalance(deployer.address);
-  console.log("Deployer balance:", ethers.formatEther(balance), "ETH");
+/**
+ * @notice Deploy the token with the given signer, by plain CREATE or through a CREATE2 factory
+ * @return The attached contract, its address and creation transaction, and any CREATE2 parameters
+ */
+async function deployToken(signer, recipientAddress, { mode, salt, factory, overrides }) {
+  const provider = signer.provider;
+  const artifact = await hre.artifacts.readArtifact(CONTRACT_NAME);
+  const BTCXDigitalCurrency = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
 
-  // Determine recipient address
-  const recipientAddress = process.env.RECIPIENT_ADDRESS || deployer.address;
-  console.log("Token recipient:", recipientAddress);
+  if (mode !== "create2") {
+    const btcx = await BTCXDigitalCurrency.deploy(recipientAddress, overrides);
 
-  // Validate recipient address
-  if (!ethers.isAddress(recipientAddress)) {
-    throw new Error(`Invalid recipient address: ${recipientAddress}`);
+    // Wait for deployment
+    await btcx.waitForDeployment();
+    const deployment = {
+      address: await btcx.getAddress(),
+      transactionHash: btcx.deploymentTransaction().hash,
+    };
+    return { btcx, deployment };
   }
 
-  console.log("\n" + "-".repeat(60));
-  console.log("Deploying BTCXDigitalCurrency...");
-  console.log("-".repeat(60));
-
-  // Deploy contract
-  const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
-  const btcx = await BTCXDigitalCurrency.deploy(recipientAddress);
+  const { data: initCode } = await BTCXDigitalCurrency.getDeployTransaction(recipientAddress);
+  const predicted = create2.predictAddress(factory, salt, initCode);
+  const create2Params = { factory, salt, initCodeHash: ethers.keccak256(initCode) };
 
-  // Wait for deployment
-  await btcx.waitForDeployment();
-  const contractAddress = await btcx.getAddress();
+  console.log("\nCREATE2 deployment");
+  console.log("  Factory:", factory);
+  console.log("  Salt:", salt);
+  console.log("  Init code hash:", create2Params.initCodeHash);
+  console.log("  Predicted address:", predicted);
+  console.log(
+    "\n  Note: the init code includes the ABI-encoded recipient, so a different recipient" +
+      "\n  gives a different address. Use the same recipient, salt, factory and compiler" +
+      "\n  settings on every chain to get the same BTCX address."
+  );
 
-  console.log("\n✅ BTCXDigitalCurrency deployed successfully!");
-  console.log("Contract address:", contractAddress);
+  if ((await provider.getCode(predicted)) !== "0x") {
+    throw new Error(`Code already exists at predicted address ${predicted}`);
+  }
+  if (await create2.ensureFactory(signer, factory)) {
+    console.log("  Installed deterministic deployment proxy on local chain");
+  }
 
-  // Verify deployment
-  console.log("\n" + "-".repeat(60));
-  console.log("Verifying deployment...");
-  console.log("-".repeat(60));
+  const deployment = await create2.deployWithFactory(signer, factory, salt, initCode, overrides);
+  if (deployment.address !== predicted) {
+    throw new Error(`Deployed address ${deployment.address} does not match prediction ${predicted}`);
+  }
+  const btcx = new ethers.Contract(deployment.address, artifact.abi, signer);
+  return { btcx, deployment, create2Params };
+}
 
+/**
+ * @notice Post-deploy checks: token metadata, fixed supply and recipient balance
+ */
+async function verifyToken(btcx, recipientAddress) {
   const name = await btcx.name();
   const symbol = await btcx.symbol();
   const decimals = await btcx.decimals();
@@ -60,9 +97,12 @@ async function main() {
   console.log("  Total Supply:", ethers.formatUnits(totalSupply, decimals), symbol);
   console.log("  Recipient Balance:", ethers.formatUnits(recipientBalance, decimals), symbol);
 
+  if (name !== "BTCX Digital Currency" || symbol !== "BTCX") {
+    throw new Error("Token metadata mismatch!");
+  }
+
   // Verify total supply matches expected
-  const expectedSupply = ethers.parseUnits("1200000000", 18);
-  if (totalSupply !== expectedSupply) {
+  if (totalSupply !== EXPECTED_SUPPLY) {
     throw new Error("Total supply mismatch!");
   }
 
@@ -72,14 +112,382 @@ async function main() {
   }
 
   console.log("\n✅ All verifications passed!");
+}
+
+/**
+ * @notice Run the deployment and its checks against an in-process copy of the deployer's state
+ * @dev Nothing is broadcast to the target network and no manifest is written.
+ */
+async function dryRun(deployerAddress, recipientAddress, deployOptions) {
+  console.log("\n" + "-".repeat(60));
+  console.log("Dry run: simulating deployment (nothing will be broadcast)");
+  console.log("-".repeat(60));
+
+  const target = await simulation.readTargetState(ethers.provider, deployerAddress);
+  const contracts = {};
+  if (deployOptions.mode === "create2") {
+    const code = await ethers.provider.getCode(deployOptions.factory);
+    if (code === "0x") {
+      throw new Error(`No CREATE2 factory code at ${deployOptions.factory} on the target network`);
+    }
+    contracts[deployOptions.factory] = code;
+  }
+
+  const predicted =
+    deployOptions.mode === "create2"
+      ? undefined
+      : ethers.getCreateAddress({ from: deployerAddress, nonce: target.nonce });
+
+  const sim = await simulation.createSimulation(hre, deployerAddress, target, contracts);
+  const { btcx, deployment } = await deployToken(sim.signer, recipientAddress, deployOptions);
+  await verifyToken(btcx, recipientAddress);
+
+  if (predicted && deployment.address !== predicted) {
+    throw new Error(`Simulated address ${deployment.address} does not match prediction ${predicted}`);
+  }
+
+  const receipt = await sim.provider.getTransactionReceipt(deployment.transactionHash);
+  const maxFeePerGas = deployOptions.overrides.maxFeePerGas ?? target.feeData.maxFeePerGas ?? 0n;
+  const maxPriorityFeePerGas =
+    deployOptions.overrides.maxPriorityFeePerGas ?? target.feeData.maxPriorityFeePerGas ?? 0n;
+  const expectedFeePerGas =
+    target.baseFeePerGas + maxPriorityFeePerGas < maxFeePerGas
+      ? target.baseFeePerGas + maxPriorityFeePerGas
+      : maxFeePerGas;
+  const maxCost = receipt.gasUsed * maxFeePerGas;
+  const expectedCost = receipt.gasUsed * expectedFeePerGas;
+
+  console.log("\nDry Run Report:");
+  console.log("  Chain ID:", target.chainId.toString());
+  console.log("  Deployer nonce:", target.nonce);
+  console.log("  Predicted address:", deployment.address);
+  console.log("  Gas used:", receipt.gasUsed.toString());
+  console.log("  Base fee:", ethers.formatUnits(target.baseFeePerGas, "gwei"), "gwei");
+  console.log("  Max fee cap:", ethers.formatUnits(maxFeePerGas, "gwei"), "gwei");
+  console.log("  Priority fee cap:", ethers.formatUnits(maxPriorityFeePerGas, "gwei"), "gwei");
+  console.log("  Expected cost:", ethers.formatEther(expectedCost), "ETH");
+  console.log("  Maximum cost (at fee cap):", ethers.formatEther(maxCost), "ETH");
+
+  if (maxCost > target.balance) {
+    console.log("\n⚠️  Deployer balance does not cover the maximum cost at the fee cap");
+  }
+
+  return {
+    dryRun: true,
+    address: deployment.address,
+    recipient: recipientAddress,
+    deployer: deployerAddress,
+    chainId: Number(target.chainId),
+    nonce: target.nonce,
+    gasUsed: receipt.gasUsed,
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+    expectedCost,
+    maxCost,
+    balance: target.balance,
+  };
+}
+
+/**
+ * @notice Write the CREATE2 deployment as a Safe Transaction Builder batch, or record it once
+ *         the Safe has executed that batch
+ * @dev A Safe cannot CREATE from a batch, so the deployment is a call from the Safe to the
+ *      CREATE2 factory. The batch only depends on the recipient, salt, factory and compiler
+ *      output, so the record step rebuilds it and checks the executed transaction against it.
+ */
+async function safeDeploy(safeAddress, recipientAddress, deployOptions, options) {
+  const { factory, salt } = deployOptions;
+  const networkName = hre.network.name;
+  const artifact = await hre.artifacts.readArtifact(CONTRACT_NAME);
+  const BTCXDigitalCurrency = new ethers.ContractFactory(artifact.abi, artifact.bytecode);
+  const { data: initCode } = await BTCXDigitalCurrency.getDeployTransaction(recipientAddress);
+  const predicted = create2.predictAddress(factory, salt, initCode);
+  const create2Params = { factory, salt, initCodeHash: ethers.keccak256(initCode) };
+  const network = await ethers.provider.getNetwork();
+
+  const batch = safe.buildSafeBatch({
+    chainId: network.chainId,
+    safe: safeAddress,
+    name: `Deploy ${CONTRACT_NAME} on ${networkName}`,
+    transactions: [
+      {
+        to: factory,
+        value: 0n,
+        data: ethers.concat([salt, initCode]),
+        summary:
+          `Deploy ${CONTRACT_NAME} to ${predicted} through CREATE2 factory ${factory} ` +
+          `(salt ${salt}), minting ${ethers.formatUnits(EXPECTED_SUPPLY, 18)} BTCX to ${recipientAddress}`,
+      },
+    ],
+  });
+
+  if (options.txHash) {
+    console.log("\nChecking Safe transaction", options.txHash);
+    const { ok, problems } = await safe.checkSafeExecution(ethers.provider, batch, options.txHash);
+    if (!ok) {
+      throw new Error(
+        `Safe transaction ${options.txHash} does not match the deployment batch:\n  ` +
+          problems.map((problem) => problem.message).join("\n  ")
+      );
+    }
+    const btcx = new ethers.Contract(predicted, artifact.abi, ethers.provider);
+    await verifyToken(btcx, recipientAddress);
+
+    const record = await deployments.buildRecord(
+      hre,
+      CONTRACT_NAME,
+      { address: predicted, transactionHash: options.txHash },
+      [recipientAddress],
+      { create2: create2Params, deployer: safeAddress }
+    );
+    const manifestFile = deployments.saveDeployment(
+      networkName,
+      network.chainId,
+      CONTRACT_NAME,
+      record,
+      options.deploymentsDir
+    );
+    console.log("\n✅ Recorded Safe deployment at", predicted);
+    console.log("Manifest:", manifestFile);
+    return { ...record, recipient: recipientAddress, safe: safeAddress, skipped: false };
+  }
+
+  if ((await ethers.provider.getCode(factory)) === "0x") {
+    throw new Error(`No CREATE2 factory code at ${factory} on ${networkName}`);
+  }
+  if ((await ethers.provider.getCode(predicted)) !== "0x") {
+    throw new Error(
+      `Code already exists at predicted address ${predicted}; ` +
+        "if the Safe executed the batch, set SAFE_TX_HASH to record it"
+    );
+  }
+
+  const file =
+    options.batchFile ||
+    path.join(hre.config.paths.root, "safe-batches", `${networkName}-deploy-${CONTRACT_NAME}.json`);
+  safe.writeSafeBatch(batch, file);
+  safe.printSafeBatch(batch, file);
+  console.log("\nPredicted address:", predicted);
+  console.log("Load the file in the Safe Transaction Builder, execute it, then re-run with");
+  console.log("SAFE_TX_HASH=<transaction hash> to check the execution and record the deployment.");
+
+  return {
+    safeBatch: file,
+    safe: safeAddress,
+    address: predicted,
+    recipient: recipientAddress,
+    checksum: batch.meta.checksum,
+  };
+}
+
+/**
+ * @title BTCX Digital Currency Deployment Script
+ * @notice Deploys the BTCXDigitalCurrency token contract
+ * @dev Requires RECIPIENT_ADDRESS, except on local chains where the deployer is used.
+ *      The recipient and network pass scripts/lib/preflight.js checks before anything is
+ *      sent, and live networks need a typed confirmation.
+ *      Every deployment is recorded in deployments/<network>.json; re-running on a
+ *      network with a live recorded deployment stops unless FORCE_REDEPLOY=true.
+ * @param options.recipient Overrides RECIPIENT_ADDRESS
+ * @param options.deploymentsDir Overrides the manifest directory (DEPLOYMENTS_DIR)
+ * @param options.force Deploy even if a live deployment is recorded (FORCE_REDEPLOY)
+ * @param options.mode "create" (default) or "create2" for a deterministic address (DEPLOY_MODE)
+ * @param options.salt CREATE2 salt, 32-byte hex or any string to hash (CREATE2_SALT)
+ * @param options.factory CREATE2 factory address (CREATE2_FACTORY)
+ * @param options.dryRun Simulate in-process without broadcasting (--dry-run or DRY_RUN)
+ * @param options.deployer Deployer address for a dry run without a configured key (DEPLOYER_ADDRESS)
+ * @param options.maxFeePerGas EIP-1559 fee cap in gwei (MAX_FEE_PER_GAS_GWEI)
+ * @param options.maxPriorityFeePerGas EIP-1559 priority fee cap in gwei (MAX_PRIORITY_FEE_PER_GAS_GWEI)
+ * @param options.verify Verify the source on the block explorer after deploying (VERIFY)
+ * @param options.verifyConfirmations Confirmations to wait for before verifying (VERIFY_CONFIRMATIONS)
+ * @param options.verifyAttempts Maximum verification attempts (VERIFY_ATTEMPTS)
+ * @param options.verifyRetryDelayMs Delay before the first retry, doubled each time (VERIFY_RETRY_DELAY_MS)
+ * @param options.safe Write a Safe Transaction Builder batch for this Safe instead of broadcasting (SAFE_ADDRESS)
+ * @param options.safeBatch Batch file path (SAFE_BATCH_FILE)
+ * @param options.safeTxHash Check this executed Safe transaction and record the deployment (SAFE_TX_HASH)
+ * @param options.allowEoaRecipient Accept an EOA recipient on mainnet (ALLOW_EOA_RECIPIENT)
+ * @param options.recipientCodehash Required code hash of a contract recipient (RECIPIENT_CODEHASH)
+ * @param options.confirm Typed confirmation "<network> <recipient>" for live networks (DEPLOY_CONFIRM)
+ * @param options.confirmInput Stream to read the confirmation from (defaults to an interactive stdin)
+ */
+async function main(options = {}) {
+  const deploymentsDir = options.deploymentsDir;
+  const force = options.force ?? process.env.FORCE_REDEPLOY === "true";
+  const safeAddress = options.safe || process.env.SAFE_ADDRESS;
+  const mode = options.mode || process.env.DEPLOY_MODE || (safeAddress ? "create2" : "create");
+  const isDryRun = options.dryRun ?? process.env.DRY_RUN === "true";
+  const shouldVerify = options.verify ?? process.env.VERIFY === "true";
+
+  if (mode !== "create" && mode !== "create2") {
+    throw new Error(`Unknown DEPLOY_MODE: ${mode}`);
+  }
+  if (safeAddress && !ethers.isAddress(safeAddress)) {
+    throw new Error(`Invalid Safe address: ${safeAddress}`);
+  }
+  if (safeAddress && mode !== "create2") {
+    throw new Error("Safe deployments go through a CREATE2 factory; DEPLOY_MODE must be create2");
+  }
+  if (safeAddress && isDryRun) {
+    throw new Error("SAFE_ADDRESS and DRY_RUN cannot be combined");
+  }
+
+  console.log("=".repeat(60));
+  console.log("BTCX Digital Currency - Deployment Script");
+  console.log("=".repeat(60));
+
+  // Get deployer account
+  const [deployer] = await ethers.getSigners();
+  const deployerAddress = safeAddress
+    ? ethers.getAddress(safeAddress)
+    : options.deployer || process.env.DEPLOYER_ADDRESS || deployer?.address;
+  if (!deployerAddress || (!isDryRun && !safeAddress && !deployer)) {
+    throw new Error("No deployer account configured for this network");
+  }
+  console.log("\nDeployer address:", deployerAddress);
+
+  // Get deployer balance
+  const balance = await ethers.provider.getBalance(deployerAddress);
+  console.log("Deployer balance:", ethers.formatEther(balance), "ETH");
+
+  // Determine recipient address; only a local chain may fall back to the deployer
+  const networkName = hre.network.name;
+  const { chainId } = await ethers.provider.getNetwork();
+  let recipientAddress = options.recipient || process.env.RECIPIENT_ADDRESS || (safeAddress && deployerAddress);
+  if (!recipientAddress) {
+    if (!preflight.isLocalChain(chainId)) {
+      throw new Error(`RECIPIENT_ADDRESS is required on ${networkName}`);
+    }
+    recipientAddress = deployerAddress;
+    console.log("RECIPIENT_ADDRESS not set; using the deployer on a local chain");
+  }
+  console.log("Token recipient:", recipientAddress);
+
+  // Validate network and recipient before anything is sent
+  console.log("\nPre-flight checks:");
+  await preflight.runPreflight(ethers.provider, {
+    networkName,
+    declaredChainId: hre.network.config.chainId,
+    recipient: recipientAddress,
+    allowEoa: options.allowEoaRecipient ?? process.env.ALLOW_EOA_RECIPIENT === "true",
+    expectedCodehash: options.recipientCodehash || process.env.RECIPIENT_CODEHASH || undefined,
+  });
+
+  // Refuse to mint a second supply on a network that already has one
+  const existing = deployments.getDeployment(networkName, CONTRACT_NAME, deploymentsDir);
+  const status = await deployments.deploymentStatus(ethers.provider, existing);
+
+  if (status === "live" && !force) {
+    console.log(`\n⚠️  ${CONTRACT_NAME} is already deployed on ${networkName} at ${existing.address}`);
+    console.log("Manifest:", deployments.manifestPath(networkName, deploymentsDir));
+    console.log("Set FORCE_REDEPLOY=true to deploy another instance.");
+    return { ...existing, recipient: existing.constructorArgs[0], skipped: true };
+  }
+  if (status === "mismatch" && !force) {
+    throw new Error(
+      `Code at recorded ${CONTRACT_NAME} address ${existing.address} does not match the manifest ` +
+        `(${deployments.manifestPath(networkName, deploymentsDir)})`
+    );
+  }
+  if (status === "stale") {
+    console.log(`\nRecorded deployment at ${existing.address} has no code on ${networkName}; redeploying.`);
+  }
+
+  const deployOptions = {
+    mode,
+    salt: create2.normalizeSalt(options.salt ?? process.env.CREATE2_SALT),
+    factory: ethers.getAddress(
+      options.factory || process.env.CREATE2_FACTORY || create2.DETERMINISTIC_DEPLOYMENT_PROXY.address
+    ),
+    overrides: feeOverrides(options),
+  };
+
+  if (isDryRun) {
+    return dryRun(deployerAddress, recipientAddress, deployOptions);
+  }
+
+  const safeTxHash = options.safeTxHash || process.env.SAFE_TX_HASH;
+  if (!safeTxHash) {
+    await preflight.requireConfirmation(networkName, chainId, recipientAddress, {
+      confirm: options.confirm ?? (process.env.DEPLOY_CONFIRM || undefined),
+      input: options.confirmInput,
+    });
+  }
+  if (safeAddress) {
+    return safeDeploy(deployerAddress, recipientAddress, deployOptions, {
+      batchFile: options.safeBatch || process.env.SAFE_BATCH_FILE,
+      txHash: safeTxHash,
+      deploymentsDir,
+    });
+  }
+
+  console.log("\n" + "-".repeat(60));
+  console.log("Deploying BTCXDigitalCurrency...");
+  console.log("-".repeat(60));
+
+  // Deploy contract
+  const { btcx, deployment, create2Params } = await deployToken(deployer, recipientAddress, deployOptions);
+  const contractAddress = deployment.address;
+
+  console.log("\n✅ BTCXDigitalCurrency deployed successfully!");
+  console.log("Contract address:", contractAddress);
+
+  // Verify deployment
+  console.log("\n" + "-".repeat(60));
+  console.log("Verifying deployment...");
+  console.log("-".repeat(60));
+
+  await verifyToken(btcx, recipientAddress);
 
   // Network info
   const network = await ethers.provider.getNetwork();
+
+  // Record the deployment manifest
+  const record = await deployments.buildRecord(
+    hre,
+    CONTRACT_NAME,
+    deployment,
+    [recipientAddress],
+    create2Params ? { create2: create2Params } : {}
+  );
+  const manifestFile = deployments.saveDeployment(
+    networkName,
+    network.chainId,
+    CONTRACT_NAME,
+    record,
+    deploymentsDir
+  );
+
+  // Verify source on the block explorer
+  if (shouldVerify) {
+    console.log("\n" + "-".repeat(60));
+    console.log("Verifying source on block explorer...");
+    console.log("-".repeat(60));
+
+    const envNumber = (name) => (process.env[name] ? Number(process.env[name]) : undefined);
+    const result = await verification.verifyContract(hre, {
+      address: contractAddress,
+      constructorArguments: [recipientAddress],
+      transactionHash: record.transactionHash,
+      confirmations: options.verifyConfirmations ?? envNumber("VERIFY_CONFIRMATIONS"),
+      attempts: options.verifyAttempts ?? envNumber("VERIFY_ATTEMPTS"),
+      retryDelayMs: options.verifyRetryDelayMs ?? envNumber("VERIFY_RETRY_DELAY_MS"),
+    });
+    record.verification = { ...result, checkedAt: new Date().toISOString() };
+    deployments.saveDeployment(networkName, network.chainId, CONTRACT_NAME, record, deploymentsDir);
+
+    if (result.status === "failed") {
+      console.log(`\n⚠️  Source verification failed after ${result.attempts} attempt(s): ${result.error}`);
+    } else {
+      console.log(`\n✅ Source verification: ${result.status}`);
+    }
+  }
+
   console.log("\n" + "-".repeat(60));
   console.log("Network Information");
   console.log("-".repeat(60));
   console.log("  Network:", network.name);
   console.log("  Chain ID:", network.chainId.toString());
+  console.log("  Manifest:", manifestFile);
 
   // Deployment summary for verification
   console.log("\n" + "=".repeat(60));
@@ -88,27 +496,41 @@ async function main() {
   console.log(`
 Contract: BTCXDigitalCurrency
 Address: ${contractAddress}
-Network: ${network.name} (Chain ID: ${network.chainId})
+Network: ${networkName} (Chain ID: ${network.chainId})
+Transaction: ${record.transactionHash}
+Block: ${record.blockNumber}
 Recipient: ${recipientAddress}
 Constructor Args: ["${recipientAddress}"]
-
+${
+  record.verification
+    ? `Source Verification: ${record.verification.status}`
+    : `
 To verify on Etherscan:
-npx hardhat verify --network ${network.name} ${contractAddress} "${recipientAddress}"
+npx hardhat verify --network ${networkName} ${contractAddress} "${recipientAddress}"`
+}
 `);
 
   return {
-    address: contractAddress,
+    ...record,
     recipient: recipientAddress,
-    deployer: deployer.address,
+    skipped: false,
   };
 }
 
-main()
-  .then((result) => {
-    console.log("Deployment completed successfully.");
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error("Deployment failed:", error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main({ dryRun: process.argv.includes("--dry-run") || undefined })
+    .then((result) => {
+      if (result.safeBatch) {
+        console.log("Safe batch written successfully.");
+      } else {
+        console.log(result.dryRun ? "Dry run completed successfully." : "Deployment completed successfully.");
+      }
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Deployment failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,250 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * @title Allowance Audit Helpers
+ * @notice Rebuild every owner/spender allowance from Approval logs, check it against the live
+ *         allowance() and flag unlimited or stale spenders, then build revoke transactions
+ * @dev Both approve() and permit() emit Approval, so the logs name every pair that was ever
+ *      approved. The transaction behind each log is decoded to tell approve from permit, and
+ *      calls through another contract are reported as "indirect". Spending an allowance emits
+ *      no Approval (and an unlimited one is never reduced), so the live allowance() is the
+ *      source of truth and the last use is found from the owner's Transfer logs: a direct
+ *      transferFrom or burnFrom counts for its sender, a transfer triggered through another
+ *      contract counts for that contract.
+ */
+
+const ALLOWANCE_ABI = [
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function approve(address spender, uint256 value) returns (bool)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function transferFrom(address from, address to, uint256 value) returns (bool)",
+  "function burnFrom(address account, uint256 value)",
+];
+
+const DEFAULT_CHUNK_SIZE = 2000;
+const DEFAULT_STALE_DAYS = 90;
+const REVOKE_SELECTIONS = ["flagged", "unlimited", "stale", "all"];
+
+const pairKey = (owner, spender) => `${owner}/${spender}`;
+
+/**
+ * @notice How an Approval came about: a direct approve or permit call, or through another contract
+ */
+function approvalSource(iface, tokenAddress, tx) {
+  if (tx.to && ethers.getAddress(tx.to) === tokenAddress) {
+    const call = iface.parseTransaction({ data: tx.data });
+    if (call?.name === "approve" || call?.name === "permit") {
+      return call.name;
+    }
+  }
+  return "indirect";
+}
+
+/**
+ * @notice Who spent an allowance in the transaction behind an owner's Transfer, if anyone
+ * @return The spender address, or undefined for the owner's own transfer or burn
+ */
+function allowanceUser(iface, tokenAddress, tx) {
+  if (tx.to && ethers.getAddress(tx.to) === tokenAddress) {
+    const call = iface.parseTransaction({ data: tx.data });
+    return call?.name === "transferFrom" || call?.name === "burnFrom" ? ethers.getAddress(tx.from) : undefined;
+  }
+  return tx.to ? ethers.getAddress(tx.to) : undefined;
+}
+
+async function queryChunked(token, filter, fromBlock, toBlock, chunkSize) {
+  const logs = [];
+  for (let from = fromBlock; from <= toBlock; from += chunkSize) {
+    logs.push(...(await token.queryFilter(filter, from, Math.min(from + chunkSize - 1, toBlock))));
+  }
+  return logs;
+}
+
+/**
+ * @notice Rebuild the allowances of one owner, or of every owner, and check them on chain
+ * @param options.token Token address
+ * @param options.owner Only audit this owner
+ * @param options.fromBlock First block to scan, usually the deployment block
+ * @param options.toBlock Last block to scan; allowances and balances are read at this block
+ * @param options.staleDays Flag allowances with no approval or use for this many days
+ * @return { token, chainId, blockNumber, timestamp, allowances } where allowances lists every
+ *         pair with a live allowance, largest exposure first: { owner, spender, spenderIsContract,
+ *         allowance, lastApproved, source, approvals, approvedBlock, approvedAt, lastUsedAt,
+ *         balance, exposure, flags }
+ */
+async function auditAllowances(provider, options) {
+  const token = new ethers.Contract(ethers.getAddress(options.token), ALLOWANCE_ABI, provider);
+  const tokenAddress = await token.getAddress();
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const fromBlock = options.fromBlock ?? 0;
+  const block = await provider.getBlock(options.toBlock ?? "latest");
+  const staleSeconds = (options.staleDays ?? DEFAULT_STALE_DAYS) * 86400;
+  const owner = options.owner ? ethers.getAddress(options.owner) : null;
+  const { chainId } = await provider.getNetwork();
+
+  const timestamps = new Map();
+  const timestampOf = async (blockNumber) => {
+    if (!timestamps.has(blockNumber)) {
+      timestamps.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+    }
+    return timestamps.get(blockNumber);
+  };
+
+  const pairs = new Map();
+  const approvals = await queryChunked(token, token.filters.Approval(owner), fromBlock, block.number, chunkSize);
+  for (const log of approvals) {
+    const key = pairKey(log.args.owner, log.args.spender);
+    const pair = pairs.get(key) || { owner: log.args.owner, spender: log.args.spender, approvals: 0 };
+    const tx = await provider.getTransaction(log.transactionHash);
+    pair.approvals++;
+    pair.lastApproved = log.args.value;
+    pair.source = approvalSource(token.interface, tokenAddress, tx);
+    pair.approvedBlock = log.blockNumber;
+    pair.approvedAt = await timestampOf(log.blockNumber);
+    pairs.set(key, pair);
+  }
+
+  const owners = [...new Set([...pairs.values()].map((pair) => pair.owner))];
+  for (const pairOwner of owners) {
+    const transfers = await queryChunked(token, token.filters.Transfer(pairOwner), fromBlock, block.number, chunkSize);
+    for (const log of transfers) {
+      const user = allowanceUser(token.interface, tokenAddress, await provider.getTransaction(log.transactionHash));
+      const pair = user && pairs.get(pairKey(pairOwner, user));
+      if (pair && log.blockNumber >= pair.approvedBlock) {
+        pair.lastUsedAt = await timestampOf(log.blockNumber);
+      }
+    }
+  }
+
+  const allowances = [];
+  for (const pair of pairs.values()) {
+    const allowance = await token.allowance(pair.owner, pair.spender, { blockTag: block.number });
+    if (allowance === 0n) {
+      continue;
+    }
+    const balance = await token.balanceOf(pair.owner, { blockTag: block.number });
+    const code = await provider.getCode(pair.spender, block.number);
+    const lastActive = Math.max(pair.approvedAt, pair.lastUsedAt ?? 0);
+    const flags = [];
+    if (allowance === ethers.MaxUint256) {
+      flags.push("unlimited");
+    }
+    if (block.timestamp - lastActive >= staleSeconds) {
+      flags.push("stale");
+    }
+    allowances.push({
+      ...pair,
+      spenderIsContract: code !== "0x",
+      allowance,
+      balance,
+      exposure: allowance < balance ? allowance : balance,
+      flags,
+    });
+  }
+  // Largest exposure first; among equals, the most recent approval first
+  allowances.sort((a, b) => {
+    if (a.exposure !== b.exposure) {
+      return a.exposure > b.exposure ? -1 : 1;
+    }
+    return b.approvedBlock - a.approvedBlock;
+  });
+
+  return {
+    token: tokenAddress,
+    chainId: chainId.toString(),
+    blockNumber: block.number,
+    timestamp: block.timestamp,
+    allowances,
+  };
+}
+
+/**
+ * @notice Pick the allowances to revoke: "flagged" (default), "unlimited", "stale" or "all"
+ */
+function selectRevocations(allowances, selection = "flagged") {
+  if (!REVOKE_SELECTIONS.includes(selection)) {
+    throw new Error(`Unknown revoke selection ${selection}; use one of ${REVOKE_SELECTIONS.join(", ")}`);
+  }
+  return allowances.filter((entry) =>
+    selection === "all" ? true : selection === "flagged" ? entry.flags.length > 0 : entry.flags.includes(selection)
+  );
+}
+
+/**
+ * @notice One unsigned approve(spender, 0) per allowance, for each owner to sign
+ * @return [{ from, to, value, data, chainId, summary }]
+ */
+function buildRevokeTransactions(tokenAddress, chainId, allowances) {
+  const iface = new ethers.Interface(ALLOWANCE_ABI);
+  return allowances.map((entry) => ({
+    from: entry.owner,
+    to: ethers.getAddress(tokenAddress),
+    value: "0",
+    data: iface.encodeFunctionData("approve", [entry.spender, 0n]),
+    chainId: String(chainId),
+    summary: `Revoke ${entry.spender} (${entry.flags.join(", ") || "live allowance"}) for ${entry.owner}`,
+  }));
+}
+
+function auditToCsv(audit, decimals = 18) {
+  const fmt = (value) => (value === ethers.MaxUint256 ? "unlimited" : ethers.formatUnits(value, decimals));
+  const time = (timestamp) => (timestamp === undefined ? "" : new Date(timestamp * 1000).toISOString());
+  const lines = audit.allowances.map((entry) =>
+    [
+      entry.owner,
+      entry.spender,
+      entry.spenderIsContract ? "contract" : "eoa",
+      fmt(entry.allowance),
+      fmt(entry.lastApproved),
+      entry.source,
+      entry.approvals,
+      entry.approvedBlock,
+      time(entry.approvedAt),
+      time(entry.lastUsedAt),
+      fmt(entry.balance),
+      fmt(entry.exposure),
+      entry.flags.join(" "),
+    ].join(",")
+  );
+  const header =
+    "owner,spender,spender_type,allowance,last_approved,source,approvals,approved_block,approved_at,last_used_at,owner_balance,exposure,flags";
+  return [header, ...lines].join("\n") + "\n";
+}
+
+/**
+ * @notice Write `<prefix>.csv` with one row per live allowance
+ */
+function writeAuditReport(audit, prefix) {
+  const file = `${prefix}.csv`;
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, auditToCsv(audit));
+  return file;
+}
+
+/**
+ * @notice Write unsigned revoke transactions as JSON
+ */
+function writeRevokeTransactions(transactions, file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(transactions, null, 2) + "\n");
+  return file;
+}
+
+module.exports = {
+  ALLOWANCE_ABI,
+  DEFAULT_STALE_DAYS,
+  REVOKE_SELECTIONS,
+  approvalSource,
+  allowanceUser,
+  auditAllowances,
+  selectRevocations,
+  buildRevokeTransactions,
+  auditToCsv,
+  writeAuditReport,
+  writeRevokeTransactions,
+};
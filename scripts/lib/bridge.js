@@ -0,0 +1,237 @@
+const { ethers } = require("ethers");
+const { isLocalChain } = require("./preflight");
+
+/**
+ * @title Bridge Relayer Helpers
+ * @notice Deploy the BTCX lock-and-mint bridge and relay between its two chains: every
+ *         Locked event on the home chain becomes a mint on the remote chain, and every Burned
+ *         event on the remote chain becomes a release on the home chain
+ * @dev The relayer keeps no state of its own. What has been minted (mintedLocks) and released
+ *      (released(burnNonce)) is read from the contracts, so a restarted relayer rescans from
+ *      the deployment blocks and only submits what is missing. Every submission carries
+ *      EIP-712 signatures from `threshold` of the configured signers. Here the relayer holds
+ *      the signer accounts itself; with independent signers, each one would check the source
+ *      event before signing.
+ */
+
+const DEFAULT_CHUNK_SIZE = 2000;
+// A mint from a Locked event that a reorg drops leaves unbacked bridged tokens
+const DEFAULT_CONFIRMATIONS = 12;
+
+const MINT_TYPES = {
+  Mint: [
+    { name: "lockNonce", type: "uint256" },
+    { name: "recipient", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "totalLocked", type: "uint256" },
+  ],
+};
+
+const RELEASE_TYPES = {
+  Release: [
+    { name: "burnNonce", type: "uint256" },
+    { name: "recipient", type: "address" },
+    { name: "amount", type: "uint256" },
+  ],
+};
+
+/**
+ * @notice Deploy the lockbox on the home chain and the bridged token on the remote chain
+ * @param options.token BTCX address on the home chain
+ * @param options.signers Bridge signer addresses
+ * @param options.threshold Signatures required for a mint or release
+ * @return { lockbox, bridged, homeBlock, remoteBlock }, the contracts connected to the deployers
+ */
+async function deployBridge(hre, homeDeployer, remoteDeployer, options) {
+  const deploy = async (name, signer, args) => {
+    const artifact = await hre.artifacts.readArtifact(name);
+    const contract = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer).deploy(...args);
+    const receipt = await contract.deploymentTransaction().wait();
+    return { contract, blockNumber: receipt.blockNumber };
+  };
+
+  const lockbox = await deploy("BTCXLockbox", homeDeployer, [options.token, options.signers, options.threshold]);
+  const bridged = await deploy("BTCXBridgedToken", remoteDeployer, [options.signers, options.threshold]);
+  return {
+    lockbox: lockbox.contract,
+    bridged: bridged.contract,
+    homeBlock: lockbox.blockNumber,
+    remoteBlock: bridged.blockNumber,
+  };
+}
+
+/**
+ * @notice Sign a typed message with `threshold` of the configured signers
+ * @dev The signers must belong to the contract's signer set. Signatures are ordered by
+ *      increasing signer address, as the contracts require.
+ */
+async function collectSignatures(contract, signers, types, message) {
+  const [, name, version, chainId, verifyingContract] = await contract.eip712Domain();
+  const domain = { name, version, chainId, verifyingContract };
+  const threshold = Number(await contract.threshold());
+
+  const eligible = [];
+  for (const signer of signers) {
+    const address = await signer.getAddress();
+    if (await contract.isSigner(address)) {
+      eligible.push({ signer, address });
+    }
+  }
+  if (eligible.length < threshold) {
+    throw new Error(
+      `Only ${eligible.length} of the configured signers belong to the bridge at ${verifyingContract}; ` +
+        `${threshold} signatures are required`
+    );
+  }
+  eligible.sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+
+  const signatures = [];
+  for (const { signer } of eligible.slice(0, threshold)) {
+    signatures.push(await signer.signTypedData(domain, types, message));
+  }
+  return signatures;
+}
+
+/**
+ * @notice Locked supply on the home chain and bridged supply on the remote chain
+ * @dev The bridged supply never exceeds the locked supply, and they are equal whenever the
+ *      relayer has caught up.
+ */
+async function bridgeSupply(lockbox, bridged) {
+  const locked = await lockbox.lockedBalance();
+  const bridgedSupply = await bridged.totalSupply();
+  return { locked, bridged: bridgedSupply, inFlight: locked - bridgedSupply };
+}
+
+/**
+ * @notice Create a relayer between a lockbox and its bridged token
+ * @param options.lockbox BTCXLockbox, connected to the account that submits releases
+ * @param options.bridged BTCXBridgedToken, connected to the account that submits mints
+ * @param options.signers Signers (ethers Wallet or JsonRpcSigner) whose signatures are collected
+ * @param options.homeBlock First home-chain block to scan, usually the lockbox deployment block
+ * @param options.remoteBlock First remote-chain block to scan, usually the token deployment block
+ * @param options.confirmations Stay this many blocks behind each chain's head (default 12);
+ *        0 is only accepted when both chains are local
+ * @param options.chunkSize Blocks per eth_getLogs request (default 2000)
+ */
+function createBridgeRelayer(options) {
+  const { lockbox, bridged, signers } = options;
+  const confirmations = options.confirmations ?? DEFAULT_CONFIRMATIONS;
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const cursors = { home: options.homeBlock ?? 0, remote: options.remoteBlock ?? 0 };
+  const locks = new Map();
+  const burns = new Map();
+  let timer;
+  let running;
+  let checked;
+
+  // Without confirmations a reorg can drop a lock that was already minted
+  async function checkConfirmations() {
+    if (confirmations > 0) {
+      return;
+    }
+    for (const contract of [lockbox, bridged]) {
+      const { chainId } = await contract.runner.provider.getNetwork();
+      if (!isLocalChain(chainId)) {
+        throw new Error(`confirmations 0 is only allowed on local chains; chain ${chainId} is not local`);
+      }
+    }
+  }
+
+  // Add the events since the last scan to `pending`, keyed by nonce
+  async function scan(side, contract, filter, pending) {
+    const head = (await contract.runner.provider.getBlockNumber()) - confirmations;
+    for (let from = cursors[side]; from <= head; from += chunkSize) {
+      const to = Math.min(from + chunkSize - 1, head);
+      for (const log of await contract.queryFilter(filter, from, to)) {
+        pending.set(log.args.nonce, log);
+      }
+      cursors[side] = to + 1;
+    }
+  }
+
+  /**
+   * @notice Submit every mint and release that is missing
+   * @return { minted: [{ lockNonce, recipient, amount, hash }], released: [{ burnNonce, recipient, amount, hash }] }
+   */
+  async function sync() {
+    checked = checked || checkConfirmations();
+    try {
+      await checked;
+    } catch (e) {
+      checked = undefined;
+      throw e;
+    }
+    await scan("home", lockbox, lockbox.filters.Locked(), locks);
+    await scan("remote", bridged, bridged.filters.Burned(), burns);
+    const minted = [];
+    const released = [];
+
+    // Mints have to go in lock nonce order; locks below mintedLocks are already minted
+    let next = await bridged.mintedLocks();
+    for (const nonce of [...locks.keys()].filter((nonce) => nonce < next)) {
+      locks.delete(nonce);
+    }
+    while (locks.has(next)) {
+      const { recipient, amount, totalLocked } = locks.get(next).args;
+      const message = { lockNonce: next, recipient, amount, totalLocked };
+      const signatures = await collectSignatures(bridged, signers, MINT_TYPES, message);
+      const tx = await bridged.mint(next, recipient, amount, totalLocked, signatures);
+      await tx.wait();
+      locks.delete(next);
+      minted.push({ lockNonce: next, recipient, amount, hash: tx.hash });
+      next++;
+    }
+
+    for (const [nonce, log] of [...burns.entries()].sort(([a], [b]) => (a < b ? -1 : 1))) {
+      if (!(await lockbox.released(nonce))) {
+        const { recipient, amount } = log.args;
+        const message = { burnNonce: nonce, recipient, amount };
+        const signatures = await collectSignatures(lockbox, signers, RELEASE_TYPES, message);
+        const tx = await lockbox.release(nonce, recipient, amount, signatures);
+        await tx.wait();
+        released.push({ burnNonce: nonce, recipient, amount, hash: tx.hash });
+      }
+      burns.delete(nonce);
+    }
+    return { minted, released };
+  }
+
+  /**
+   * @notice Sync every `intervalMs` until stop() is called
+   * @param onSync Called with each sync result; onError with each failed sync, which is retried
+   */
+  function start(intervalMs, { onSync, onError } = {}) {
+    const tick = async () => {
+      running = sync()
+        .then((result) => onSync && onSync(result))
+        .catch((error) => onError && onError(error));
+      await running;
+      if (timer !== null) {
+        timer = setTimeout(tick, intervalMs);
+      }
+    };
+    timer = setTimeout(tick, 0);
+  }
+
+  /**
+   * @notice Stop syncing, waiting for a sync in progress to finish
+   */
+  async function stop() {
+    clearTimeout(timer);
+    timer = null;
+    await running;
+  }
+
+  return { sync, start, stop };
+}
+
+module.exports = {
+  DEFAULT_CONFIRMATIONS,
+  MINT_TYPES,
+  RELEASE_TYPES,
+  deployBridge,
+  collectSignatures,
+  bridgeSupply,
+  createBridgeRelayer,
+};
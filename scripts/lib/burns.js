@@ -0,0 +1,201 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { INITIAL_SUPPLY } = require("./supply");
+
+/**
+ * @title Burn History Helpers
+ * @notice Rebuild every burn from Transfer-to-zero events and group them by day or month
+ * @dev The Transfer event only names the holder whose tokens were burned. To tell `burn` from
+ *      `burnFrom`, the transaction that emitted it is decoded: a direct `burnFrom` call is
+ *      attributed to its sender as spender. Burns triggered through another contract are
+ *      reported as "indirect" and attributed to the contract the transaction called.
+ */
+
+const BURN_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function burn(uint256 value)",
+  "function burnFrom(address account, uint256 value)",
+  "function totalSupply() view returns (uint256)",
+];
+
+const DEFAULT_CHUNK_SIZE = 2000;
+
+/**
+ * @notice Work out who burned: the holder itself, a spender via burnFrom, or another contract
+ */
+function attributeBurn(iface, tokenAddress, tx, holder) {
+  if (tx.to && ethers.getAddress(tx.to) === tokenAddress) {
+    const call = iface.parseTransaction({ data: tx.data });
+    if (call?.name === "burnFrom") {
+      return { kind: "burnFrom", burner: ethers.getAddress(tx.from) };
+    }
+    if (call?.name === "burn") {
+      return { kind: "burn", burner: holder };
+    }
+  }
+  return { kind: "indirect", burner: tx.to ? ethers.getAddress(tx.to) : ethers.getAddress(tx.from) };
+}
+
+/**
+ * @notice Collect every burn of the token between two blocks
+ * @return Burns in chain order: { blockNumber, timestamp, txHash, logIndex, kind, holder, burner, amount }
+ */
+async function collectBurns(provider, options) {
+  const token = new ethers.Contract(ethers.getAddress(options.token), BURN_ABI, provider);
+  const tokenAddress = await token.getAddress();
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const toBlock = options.toBlock ?? (await provider.getBlockNumber());
+  const timestamps = new Map();
+  const burns = [];
+
+  for (let from = options.fromBlock ?? 0; from <= toBlock; from += chunkSize) {
+    const to = Math.min(from + chunkSize - 1, toBlock);
+    const logs = await token.queryFilter(token.filters.Transfer(null, ethers.ZeroAddress), from, to);
+    for (const log of logs) {
+      if (!timestamps.has(log.blockNumber)) {
+        timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+      }
+      const tx = await provider.getTransaction(log.transactionHash);
+      const holder = log.args.from;
+      burns.push({
+        blockNumber: log.blockNumber,
+        timestamp: timestamps.get(log.blockNumber),
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        ...attributeBurn(token.interface, tokenAddress, tx, holder),
+        holder,
+        amount: log.args.value,
+      });
+    }
+  }
+  return burns;
+}
+
+function periodOf(timestamp, groupBy) {
+  const iso = new Date(timestamp * 1000).toISOString();
+  return groupBy === "month" ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+/**
+ * @notice Group burns by UTC day ("2027-01-31") or month ("2027-01")
+ * @return Rows of { period, burns, amount, cumulative, remaining } where remaining is the supply
+ *         left of the original 1.2B after the period
+ */
+function groupBurns(burns, groupBy = "day") {
+  if (groupBy !== "day" && groupBy !== "month") {
+    throw new Error(`Unknown grouping ${groupBy}; use "day" or "month"`);
+  }
+  const rows = [];
+  let cumulative = 0n;
+  for (const burn of burns) {
+    const period = periodOf(burn.timestamp, groupBy);
+    let row = rows[rows.length - 1];
+    if (!row || row.period !== period) {
+      row = { period, burns: 0, amount: 0n, cumulative: 0n, remaining: 0n };
+      rows.push(row);
+    }
+    cumulative += burn.amount;
+    row.burns++;
+    row.amount += burn.amount;
+    row.cumulative = cumulative;
+    row.remaining = INITIAL_SUPPLY - cumulative;
+  }
+  return rows;
+}
+
+/**
+ * @notice Share of the original supply, as a percentage string with four decimals
+ */
+function percentOfInitial(amount) {
+  const basisPoints = (amount * 1_000_000n) / INITIAL_SUPPLY;
+  return `${basisPoints / 10_000n}.${String(basisPoints % 10_000n).padStart(4, "0")}`;
+}
+
+function periodsToCsv(rows, decimals = 18) {
+  const fmt = (value) => ethers.formatUnits(value, decimals);
+  const lines = rows.map((row) =>
+    [
+      row.period,
+      row.burns,
+      fmt(row.amount),
+      fmt(row.cumulative),
+      percentOfInitial(row.cumulative),
+      fmt(row.remaining),
+    ].join(",")
+  );
+  return ["period,burns,burned,cumulative_burned,cumulative_percent_of_initial,remaining_supply", ...lines].join("\n") + "\n";
+}
+
+function burnsToCsv(burns, decimals = 18) {
+  const lines = burns.map((burn) =>
+    [
+      burn.blockNumber,
+      new Date(burn.timestamp * 1000).toISOString(),
+      burn.txHash,
+      burn.logIndex,
+      burn.kind,
+      burn.holder,
+      burn.burner,
+      ethers.formatUnits(burn.amount, decimals),
+    ].join(",")
+  );
+  return ["block,time,tx_hash,log_index,kind,holder,burner,amount", ...lines].join("\n") + "\n";
+}
+
+/**
+ * @notice Write `<prefix>.csv` (one row per period) and `<prefix>-events.csv` (one row per burn)
+ * @return { periods, events } file paths
+ */
+function writeBurnReport(burns, rows, prefix) {
+  fs.mkdirSync(path.dirname(path.resolve(prefix)), { recursive: true });
+  const files = { periods: `${prefix}.csv`, events: `${prefix}-events.csv` };
+  fs.writeFileSync(files.periods, periodsToCsv(rows));
+  fs.writeFileSync(files.events, burnsToCsv(burns));
+  return files;
+}
+
+/**
+ * @notice Totals for the terminal summary
+ * @return { total, count, byKind, topBurners, largest, first, last }
+ */
+function summarizeBurns(burns, top = 5) {
+  const byKind = { burn: 0n, burnFrom: 0n, indirect: 0n };
+  const byBurner = new Map();
+  let total = 0n;
+  let largest;
+  for (const burn of burns) {
+    total += burn.amount;
+    byKind[burn.kind] += burn.amount;
+    byBurner.set(burn.burner, (byBurner.get(burn.burner) ?? 0n) + burn.amount);
+    if (!largest || burn.amount > largest.amount) {
+      largest = burn;
+    }
+  }
+  const topBurners = [...byBurner.entries()]
+    .sort(([a, x], [b, y]) => (x === y ? a.localeCompare(b) : x > y ? -1 : 1))
+    .slice(0, top)
+    .map(([burner, amount]) => ({ burner, amount }));
+
+  return {
+    total,
+    count: burns.length,
+    byKind,
+    topBurners,
+    largest,
+    first: burns[0],
+    last: burns[burns.length - 1],
+  };
+}
+
+module.exports = {
+  BURN_ABI,
+  attributeBurn,
+  collectBurns,
+  groupBurns,
+  percentOfInitial,
+  periodsToCsv,
+  burnsToCsv,
+  writeBurnReport,
+  summarizeBurns,
+};
@@ -0,0 +1,13 @@
+const { ethers } = require("ethers");
+
+/**
+ * @title Shared Constants
+ * @notice Addresses shared by tools that otherwise have nothing to do with each other
+ */
+
+/** Addresses whose tokens are out of circulation for good: the zero address and 0x...dEaD */
+const BURN_SINKS = [ethers.ZeroAddress, "0x000000000000000000000000000000000000dEaD"];
+
+module.exports = {
+  BURN_SINKS,
+};
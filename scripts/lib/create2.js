@@ -0,0 +1,103 @@
+const { ethers } = require("ethers");
+
+/**
+ * @title CREATE2 Deployment Helpers
+ * @notice Deterministic deployment through a CREATE2 factory
+ * @dev The default factory is the widely deployed deterministic deployment proxy
+ *      (https://github.com/Arachnid/deterministic-deployment-proxy). It takes
+ *      `salt ++ initCode` as calldata and returns the 20-byte created address.
+ *      The resulting address is keccak256(0xff ++ factory ++ salt ++ keccak256(initCode)),
+ *      and initCode includes the ABI-encoded constructor arguments.
+ */
+
+const DETERMINISTIC_DEPLOYMENT_PROXY = {
+  address: "0x4e59b44847b379578588920cA78FbF26c0B4956C",
+  deployer: "0x3fAB184622Dc19b6109349B94811493BF2a45362",
+  // Pre-EIP-155 transaction with r = s = 0x22..22, valid on any chain
+  rawTransaction:
+    "0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffff" +
+    "ffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd" +
+    "5b8082525050506014600cf31ba0222222222222222222222222222222222222222222222222222222222222222" +
+    "2a02222222222222222222222222222222222222222222222222222222222222222",
+  // gasPrice (100 gwei) * gasLimit (100000)
+  deploymentCost: ethers.parseEther("0.01"),
+};
+
+/** Chain IDs where the script may install the default factory itself */
+const LOCAL_CHAIN_IDS = [31337n, 1337n];
+
+/**
+ * @notice Normalize a salt: 32-byte hex is used as-is, anything else is hashed
+ */
+function normalizeSalt(salt) {
+  if (salt === undefined || salt === null || salt === "") {
+    return ethers.ZeroHash;
+  }
+  return ethers.isHexString(salt, 32) ? salt : ethers.id(salt);
+}
+
+/**
+ * @notice Predict the CREATE2 address for a factory, salt and full init code
+ */
+function predictAddress(factory, salt, initCode) {
+  return ethers.getCreate2Address(factory, normalizeSalt(salt), ethers.keccak256(initCode));
+}
+
+/**
+ * @notice Make sure the factory has code, installing the default proxy on local chains
+ * @dev On public networks the factory must already exist; we never fund the keyless
+ *      deployer there because its transaction is not replay protected.
+ */
+async function ensureFactory(signer, factory) {
+  const provider = signer.provider;
+  if ((await provider.getCode(factory)) !== "0x") {
+    return false;
+  }
+
+  const { chainId } = await provider.getNetwork();
+  const isDefault = factory.toLowerCase() === DETERMINISTIC_DEPLOYMENT_PROXY.address.toLowerCase();
+  if (!isDefault || !LOCAL_CHAIN_IDS.includes(chainId)) {
+    throw new Error(`No CREATE2 factory code at ${factory} on chain ${chainId}`);
+  }
+
+  const funding = await signer.sendTransaction({
+    to: DETERMINISTIC_DEPLOYMENT_PROXY.deployer,
+    value: DETERMINISTIC_DEPLOYMENT_PROXY.deploymentCost,
+  });
+  await funding.wait();
+  const tx = await provider.broadcastTransaction(DETERMINISTIC_DEPLOYMENT_PROXY.rawTransaction);
+  await tx.wait();
+  return true;
+}
+
+/**
+ * @notice Deploy init code through the factory and check it landed at the prediction
+ * @return The deployed address and the factory call transaction hash
+ */
+async function deployWithFactory(signer, factory, salt, initCode, overrides = {}) {
+  const expected = predictAddress(factory, salt, initCode);
+  const data = ethers.concat([normalizeSalt(salt), initCode]);
+
+  // The proxy returns the created address, so a dry call catches any factory mismatch
+  const simulated = ethers.getAddress(await signer.call({ to: factory, data }));
+  if (simulated !== expected) {
+    throw new Error(`Factory would deploy to ${simulated}, expected ${expected}`);
+  }
+
+  const tx = await signer.sendTransaction({ to: factory, data, ...overrides });
+  const receipt = await tx.wait();
+
+  if ((await signer.provider.getCode(expected)) === "0x") {
+    throw new Error(`CREATE2 deployment produced no code at predicted address ${expected}`);
+  }
+  return { address: expected, transactionHash: receipt.hash };
+}
+
+module.exports = {
+  DETERMINISTIC_DEPLOYMENT_PROXY,
+  LOCAL_CHAIN_IDS,
+  normalizeSalt,
+  predictAddress,
+  ensureFactory,
+  deployWithFactory,
+};
@@ -0,0 +1,141 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * @title Deployment Manifest Helpers
+ * @notice Reads and writes the per-network `deployments/<network>.json` manifests
+ * @dev A manifest holds one record per contract name, so other tooling can look up
+ *      "the BTCX address on sepolia" without scraping deployment logs.
+ */
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/**
+ * @notice Resolve the manifest directory (DEPLOYMENTS_DIR overrides the repo default)
+ */
+function deploymentsDir(dir) {
+  return dir || process.env.DEPLOYMENTS_DIR || DEFAULT_DEPLOYMENTS_DIR;
+}
+
+/**
+ * @notice Absolute path of the manifest for a network
+ */
+function manifestPath(networkName, dir) {
+  return path.join(deploymentsDir(dir), `${networkName}.json`);
+}
+
+/**
+ * @notice Load a network manifest, or undefined when none has been written yet
+ */
+function readManifest(networkName, dir) {
+  const file = manifestPath(networkName, dir);
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @notice Look up a single contract record in a network manifest
+ */
+function getDeployment(networkName, contractName, dir) {
+  const manifest = readManifest(networkName, dir);
+  return manifest && manifest.contracts ? manifest.contracts[contractName] : undefined;
+}
+
+/**
+ * @notice Resolve a contract address: an explicit address wins, otherwise the manifest record
+ */
+function resolveAddress(networkName, contractName, explicit, dir) {
+  if (explicit) {
+    return ethers.getAddress(explicit);
+  }
+  const record = getDeployment(networkName, contractName, dir);
+  if (!record) {
+    throw new Error(`No ${contractName} deployment recorded for ${networkName}; pass its address explicitly`);
+  }
+  return record.address;
+}
+
+/**
+ * @notice Store a contract record in the network manifest, keeping any other records
+ */
+function saveDeployment(networkName, chainId, contractName, record, dir) {
+  const file = manifestPath(networkName, dir);
+  const manifest = readManifest(networkName, dir) || { network: networkName, contracts: {} };
+
+  manifest.network = networkName;
+  manifest.chainId = Number(chainId);
+  manifest.contracts = { ...manifest.contracts, [contractName]: record };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * @notice Compiler version and settings for a source file, taken from hardhat.config.js
+ */
+function compilerSettings(hre, sourceName) {
+  const overrides = hre.config.solidity.overrides || {};
+  const compiler = overrides[sourceName] || hre.config.solidity.compilers[0];
+  const { optimizer, evmVersion, viaIR } = compiler.settings;
+  return { version: compiler.version, optimizer, evmVersion, viaIR: Boolean(viaIR) };
+}
+
+/**
+ * @notice Check whether a recorded deployment is still live on the connected chain
+ * @return "missing" when nothing is recorded, "stale" when the address holds no code
+ *         (e.g. a restarted local node), "mismatch" when the code differs from the
+ *         record, otherwise "live"
+ */
+async function deploymentStatus(provider, record) {
+  if (!record) {
+    return "missing";
+  }
+  const code = await provider.getCode(record.address);
+  if (code === "0x") {
+    return "stale";
+  }
+  return ethers.keccak256(code) === record.deployedBytecodeHash ? "live" : "mismatch";
+}
+
+/**
+ * @notice Build the manifest record for a freshly deployed contract
+ * @param deployment The deployed address and the transaction that created it
+ * @param extra Additional fields to store with the record (e.g. CREATE2 parameters)
+ */
+async function buildRecord(hre, contractName, deployment, constructorArgs, extra = {}) {
+  const provider = hre.ethers.provider;
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const tx = await provider.getTransaction(deployment.transactionHash);
+  const receipt = await provider.getTransactionReceipt(deployment.transactionHash);
+  const code = await provider.getCode(deployment.address);
+
+  return {
+    address: deployment.address,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    deployer: tx.from,
+    constructorArgs,
+    compiler: compilerSettings(hre, artifact.sourceName),
+    bytecodeHash: ethers.keccak256(artifact.bytecode),
+    deployedBytecodeHash: ethers.keccak256(code),
+    ...extra,
+    deployedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  DEFAULT_DEPLOYMENTS_DIR,
+  deploymentsDir,
+  manifestPath,
+  readManifest,
+  getDeployment,
+  resolveAddress,
+  saveDeployment,
+  compilerSettings,
+  deploymentStatus,
+  buildRecord,
+};
@@ -0,0 +1,529 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const deployments = require("./deployments");
+const { signPermit } = require("./permit");
+const { buildSafeBatch, writeSafeBatch, printSafeBatch } = require("./safe");
+const { loadState, saveState } = require("./state");
+
+/**
+ * @title Batch Distribution Helpers
+ * @notice CSV parsing, batch planning and resumable execution for BTCX distributions
+ * @dev Progress is checkpointed to a JSON state file after every transaction. Each batch
+ *      also carries a deterministic batch id that BTCXMultisend executes at most once per
+ *      sender, so a resumed run can never pay a recipient twice even if the state file
+ *      missed the last transaction.
+ */
+
+const STATE_VERSION = 1;
+
+/**
+ * @notice Parse a distribution CSV of `address,amount` rows with amounts in whole tokens
+ * @dev Blank lines and lines starting with # are ignored, as is an `address,amount` header.
+ *      Every problem is collected and reported together with its line number.
+ * @return The parsed entries (amounts in base units) and their total
+ */
+function parseDistributionCsv(text, decimals = 18) {
+  const entries = [];
+  const errors = [];
+  const seen = new Map();
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    const trimmed = raw.trim();
+    if (trimmed === "" || trimmed.startsWith("#")) {
+      return;
+    }
+
+    const cells = trimmed.split(",").map((cell) => cell.trim().replace(/^"(.*)"$/, "$1"));
+    if (entries.length === 0 && errors.length === 0 && cells[0].toLowerCase() === "address") {
+      return;
+    }
+    if (cells.length !== 2) {
+      errors.push(`line ${line}: expected "address,amount", got "${trimmed}"`);
+      return;
+    }
+
+    const [address, amountText] = cells;
+    if (!ethers.isAddress(address)) {
+      errors.push(`line ${line}: invalid address ${address}`);
+      return;
+    }
+    if (ethers.getAddress(address) !== address) {
+      errors.push(`line ${line}: address ${address} is not checksummed (expected ${ethers.getAddress(address)})`);
+      return;
+    }
+    if (address === ethers.ZeroAddress) {
+      errors.push(`line ${line}: zero address`);
+      return;
+    }
+    if (seen.has(address)) {
+      errors.push(`line ${line}: duplicate address ${address} (first seen on line ${seen.get(address)})`);
+      return;
+    }
+
+    let amount;
+    try {
+      amount = ethers.parseUnits(amountText, decimals);
+    } catch (e) {
+      errors.push(`line ${line}: invalid amount ${amountText}`);
+      return;
+    }
+    if (amount <= 0n) {
+      errors.push(`line ${line}: amount must be positive`);
+      return;
+    }
+
+    seen.set(address, line);
+    entries.push({ line, address, amount });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid distribution CSV:\n  ${errors.join("\n  ")}`);
+  }
+  if (entries.length === 0) {
+    throw new Error("Distribution CSV has no entries");
+  }
+
+  const total = entries.reduce((sum, entry) => sum + entry.amount, 0n);
+  return { entries, total };
+}
+
+/**
+ * @notice Hash of the parsed entries, independent of formatting and comments
+ */
+function distributionHash(entries) {
+  return ethers.id(entries.map((entry) => `${entry.address},${entry.amount}`).join("\n"));
+}
+
+/**
+ * @notice Batch id committing to the distribution id and the batch's own recipients and amounts
+ */
+function batchIdFor(distributionId, recipients, amounts) {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const contentHash = ethers.keccak256(coder.encode(["address[]", "uint256[]"], [recipients, amounts]));
+  return ethers.keccak256(coder.encode(["bytes32", "bytes32"], [distributionId, contentHash]));
+}
+
+/**
+ * @notice Split entries into batches with deterministic ids derived from the distribution id
+ * @dev The id also covers the batch contents, so a batch planned with another batch size, or
+ *      from an edited CSV reusing --id, never matches one that was already executed.
+ */
+function planBatches(entries, batchSize, distributionId) {
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new Error(`Invalid batch size: ${batchSize}`);
+  }
+
+  const batches = [];
+  for (let start = 0; start < entries.length; start += batchSize) {
+    const slice = entries.slice(start, start + batchSize);
+    const recipients = slice.map((entry) => entry.address);
+    const amounts = slice.map((entry) => entry.amount);
+    batches.push({
+      index: batches.length,
+      batchId: batchIdFor(distributionId, recipients, amounts),
+      recipients,
+      amounts,
+      total: slice.reduce((sum, entry) => sum + entry.amount, 0n),
+    });
+  }
+  return batches;
+}
+
+/**
+ * @notice Create a fresh state, or check that an existing one belongs to this distribution
+ */
+function initState(existing, expected, batches) {
+  if (!existing) {
+    return {
+      version: STATE_VERSION,
+      ...expected,
+      batches: batches.map((batch) => ({
+        index: batch.index,
+        batchId: batch.batchId,
+        recipients: batch.recipients.length,
+        total: batch.total.toString(),
+        status: "pending",
+      })),
+    };
+  }
+
+  for (const [key, value] of Object.entries(expected)) {
+    if (existing[key] !== value) {
+      throw new Error(`State file belongs to a different distribution (${key}: ${existing[key]} != ${value})`);
+    }
+  }
+  return existing;
+}
+
+/**
+ * @notice Resolve the multisend contract, deploying and recording one if none is known
+ */
+async function resolveMultisend(hre, signer, explicit, deploymentsDir) {
+  const networkName = hre.network.name;
+  const artifact = await hre.artifacts.readArtifact("BTCXMultisend");
+  if (explicit) {
+    return new ethers.Contract(ethers.getAddress(explicit), artifact.abi, signer);
+  }
+
+  const existing = deployments.getDeployment(networkName, "BTCXMultisend", deploymentsDir);
+  if ((await deployments.deploymentStatus(signer.provider, existing)) === "live") {
+    return new ethers.Contract(existing.address, artifact.abi, signer);
+  }
+
+  console.log("Deploying BTCXMultisend...");
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+  const multisend = await factory.deploy();
+  await multisend.waitForDeployment();
+
+  const deployment = {
+    address: await multisend.getAddress(),
+    transactionHash: multisend.deploymentTransaction().hash,
+  };
+  const record = await deployments.buildRecord(hre, "BTCXMultisend", deployment, []);
+  const { chainId } = await signer.provider.getNetwork();
+  deployments.saveDeployment(networkName, chainId, "BTCXMultisend", record, deploymentsDir);
+  console.log("BTCXMultisend deployed to:", deployment.address);
+  return multisend;
+}
+
+/**
+ * @notice Refuse a plan when the sender already executed batches of this distribution it lacks
+ * @dev Each BatchSent's recipients and amounts are recovered from the token transfers logged
+ *      before it in the same transaction, then matched against the distribution id. A match
+ *      outside the plan means the CSV or the batch size changed after those batches went out,
+ *      and sending the new plan would pay their recipients again.
+ */
+async function checkPlanMatchesChain(multisend, token, sender, distributionId, batches) {
+  const tokenAddress = await token.getAddress();
+  const multisendAddress = await multisend.getAddress();
+  const batchSentTopic = multisend.interface.getEvent("BatchSent").topicHash;
+  const planned = new Set(batches.map((batch) => batch.batchId));
+
+  const stray = [];
+  for (const log of await multisend.queryFilter(multisend.filters.BatchSent(tokenAddress, sender))) {
+    if (planned.has(log.args.batchId)) {
+      continue;
+    }
+    const receipt = await log.getTransactionReceipt();
+    let recipients = [];
+    let amounts = [];
+    for (const entry of receipt.logs) {
+      if (entry.index >= log.index) {
+        break;
+      }
+      if (entry.address === multisendAddress && entry.topics[0] === batchSentTopic) {
+        // An earlier batch in the same transaction
+        recipients = [];
+        amounts = [];
+      } else if (entry.address === tokenAddress) {
+        const transfer = token.interface.parseLog(entry);
+        if (transfer && transfer.name === "Transfer" && transfer.args.from === sender) {
+          recipients.push(transfer.args.to);
+          amounts.push(transfer.args.value);
+        }
+      }
+    }
+    if (batchIdFor(distributionId, recipients, amounts) === log.args.batchId) {
+      stray.push(log);
+    }
+  }
+
+  if (stray.length > 0) {
+    throw new Error(
+      `Distribution ${distributionId} already has ${stray.length} executed batch(es) that this plan ` +
+        `does not contain (the first sent ${stray[0].args.recipients} recipient(s) in ` +
+        `${stray[0].transactionHash}). The CSV or --batch-size changed since then; rerun with the ` +
+        "original ones so nobody is paid twice"
+    );
+  }
+}
+
+/**
+ * @notice Find out whether a batch already went through, from the state file or on-chain
+ */
+async function isBatchDone(multisend, sender, batch, entry) {
+  if (entry.status === "confirmed" || (await multisend.executed(sender, batch.batchId))) {
+    return true;
+  }
+  if (entry.txHash) {
+    // A transaction still in the mempool may yet execute the batch: wait for it
+    const tx = await multisend.runner.provider.getTransaction(entry.txHash);
+    if (tx) {
+      const receipt = await tx.wait().catch(() => undefined);
+      return Boolean(receipt && receipt.status === 1);
+    }
+  }
+  return false;
+}
+
+/**
+ * @notice Run (or resume) a CSV distribution through BTCXMultisend
+ * @param options.csv Path of the distribution CSV
+ * @param options.token BTCX address (defaults to the deployment manifest)
+ * @param options.multisend BTCXMultisend address (defaults to the manifest, deploying if missing)
+ * @param options.batchSize Recipients per transaction
+ * @param options.state State file path (defaults to <csv>.state.json)
+ * @param options.id Distribution id; 32-byte hex or a string to hash (defaults to the CSV hash)
+ * @param options.permit Fund the multisend with a permit signature instead of approve
+ * @param options.deploymentsDir Manifest directory override
+ * @return The final state
+ */
+async function runDistribution(hre, options) {
+  const [signer] = await hre.ethers.getSigners();
+  const sender = signer.address;
+  const networkName = hre.network.name;
+  const { chainId } = await signer.provider.getNetwork();
+
+  const tokenAddress = deployments.resolveAddress(
+    networkName,
+    "BTCXDigitalCurrency",
+    options.token,
+    options.deploymentsDir
+  );
+  const tokenArtifact = await hre.artifacts.readArtifact("BTCXDigitalCurrency");
+  const token = new ethers.Contract(tokenAddress, tokenArtifact.abi, signer);
+  const decimals = await token.decimals();
+  const symbol = await token.symbol();
+
+  const { entries, total } = parseDistributionCsv(fs.readFileSync(options.csv, "utf8"), decimals);
+  const csvHash = distributionHash(entries);
+  let distributionId = csvHash;
+  if (options.id) {
+    distributionId = ethers.isHexString(options.id, 32) ? options.id : ethers.id(options.id);
+  }
+  const batchSize = options.batchSize ?? 100;
+  const batches = planBatches(entries, batchSize, distributionId);
+
+  const multisend = await resolveMultisend(hre, signer, options.multisend, options.deploymentsDir);
+  const multisendAddress = await multisend.getAddress();
+
+  const stateFile = options.state || `${options.csv}.state.json`;
+  const existing = loadState(stateFile);
+  if (!existing) {
+    await checkPlanMatchesChain(multisend, token, sender, distributionId, batches);
+  }
+  const state = initState(
+    existing,
+    {
+      distributionId,
+      csvHash,
+      chainId: Number(chainId),
+      token: tokenAddress,
+      multisend: multisendAddress,
+      sender,
+      batchSize,
+    },
+    batches
+  );
+  saveState(stateFile, state);
+
+  console.log("\nDistribution:", distributionId);
+  console.log("  Recipients:", entries.length);
+  console.log("  Total:", ethers.formatUnits(total, decimals), symbol);
+  console.log("  Batches:", batches.length, `(${batchSize} per batch)`);
+  console.log("  State file:", stateFile);
+
+  // Work out what is left, settling anything a previous run already sent
+  const pending = [];
+  for (const batch of batches) {
+    const entry = state.batches[batch.index];
+    if (await isBatchDone(multisend, sender, batch, entry)) {
+      if (entry.status !== "confirmed") {
+        entry.status = "confirmed";
+        saveState(stateFile, state);
+      }
+    } else {
+      pending.push(batch);
+    }
+  }
+
+  if (pending.length === 0) {
+    console.log("\n✅ All batches already confirmed");
+    return state;
+  }
+
+  const remaining = pending.reduce((sum, batch) => sum + batch.total, 0n);
+  const balance = await token.balanceOf(sender);
+  if (balance < remaining) {
+    throw new Error(
+      `Insufficient ${symbol} balance: need ${ethers.formatUnits(remaining, decimals)}, ` +
+        `have ${ethers.formatUnits(balance, decimals)}`
+    );
+  }
+  console.log(`  Remaining: ${pending.length} batch(es), ${ethers.formatUnits(remaining, decimals)} ${symbol}`);
+
+  // Fund the multisend with a single approve, or a permit carried by the first batch
+  let permit;
+  if ((await token.allowance(sender, multisendAddress)) < remaining) {
+    if (options.permit) {
+      const deadline = BigInt((await signer.provider.getBlock("latest")).timestamp) + 3600n;
+      const signature = await signPermit(token, signer, multisendAddress, remaining, deadline);
+      permit = { value: remaining, deadline, signature };
+    } else {
+      console.log(`\nApproving BTCXMultisend for ${ethers.formatUnits(remaining, decimals)} ${symbol}...`);
+      await (await token.approve(multisendAddress, remaining)).wait();
+    }
+  }
+
+  for (const batch of pending) {
+    const entry = state.batches[batch.index];
+    const tx = permit
+      ? await multisend.multisendWithPermit(
+          tokenAddress,
+          batch.batchId,
+          batch.recipients,
+          batch.amounts,
+          permit.value,
+          permit.deadline,
+          permit.signature.v,
+          permit.signature.r,
+          permit.signature.s
+        )
+      : await multisend.multisend(tokenAddress, batch.batchId, batch.recipients, batch.amounts);
+    permit = undefined;
+
+    entry.status = "sent";
+    entry.txHash = tx.hash;
+    saveState(stateFile, state);
+
+    const receipt = await tx.wait();
+    entry.status = "confirmed";
+    entry.blockNumber = receipt.blockNumber;
+    saveState(stateFile, state);
+
+    console.log(
+      `  Batch ${batch.index + 1}/${batches.length}: ${batch.recipients.length} recipient(s), ` +
+        `${ethers.formatUnits(batch.total, decimals)} ${symbol} (${tx.hash})`
+    );
+  }
+
+  console.log("\n✅ Distribution complete");
+  return state;
+}
+
+/**
+ * @notice Write a CSV distribution from a Safe as a Safe Transaction Builder batch
+ * @dev The batch approves BTCXMultisend for the remaining total when the Safe's allowance is
+ *      short, then has one multisend call per batch. Batches the Safe already executed are
+ *      left out, so the file can be regenerated after a partial execution; a plan that no
+ *      longer matches the executed batches is refused. The multisend must already be
+ *      deployed, and permits are not available because a Safe cannot sign them.
+ * @param options.safe Safe address that holds the tokens
+ * @param options.safeOut Batch file path (defaults to <csv>.safe.json)
+ * @return { batch, file }, or { batch: undefined } when every batch was already executed
+ */
+async function buildDistributionBatch(hre, options) {
+  const provider = hre.ethers.provider;
+  const networkName = hre.network.name;
+  const { chainId } = await provider.getNetwork();
+  if (!ethers.isAddress(options.safe)) {
+    throw new Error(`Invalid Safe address: ${options.safe}`);
+  }
+  if (options.permit) {
+    throw new Error("A Safe cannot sign EIP-2612 permits; drop --permit");
+  }
+  const safe = ethers.getAddress(options.safe);
+
+  const tokenAddress = deployments.resolveAddress(
+    networkName,
+    "BTCXDigitalCurrency",
+    options.token,
+    options.deploymentsDir
+  );
+  const tokenArtifact = await hre.artifacts.readArtifact("BTCXDigitalCurrency");
+  const token = new ethers.Contract(tokenAddress, tokenArtifact.abi, provider);
+  const decimals = await token.decimals();
+  const symbol = await token.symbol();
+
+  const multisendArtifact = await hre.artifacts.readArtifact("BTCXMultisend");
+  const multisendAddress = deployments.resolveAddress(
+    networkName,
+    "BTCXMultisend",
+    options.multisend,
+    options.deploymentsDir
+  );
+  if ((await provider.getCode(multisendAddress)) === "0x") {
+    throw new Error(`No BTCXMultisend code at ${multisendAddress} on ${networkName}`);
+  }
+  const multisend = new ethers.Contract(multisendAddress, multisendArtifact.abi, provider);
+
+  const { entries, total } = parseDistributionCsv(fs.readFileSync(options.csv, "utf8"), decimals);
+  let distributionId = distributionHash(entries);
+  if (options.id) {
+    distributionId = ethers.isHexString(options.id, 32) ? options.id : ethers.id(options.id);
+  }
+  const batchSize = options.batchSize ?? 100;
+  const batches = planBatches(entries, batchSize, distributionId);
+
+  console.log("\nDistribution:", distributionId);
+  console.log("  Safe:", safe);
+  console.log("  Recipients:", entries.length);
+  console.log("  Total:", ethers.formatUnits(total, decimals), symbol);
+  console.log("  Batches:", batches.length, `(${batchSize} per batch)`);
+
+  await checkPlanMatchesChain(multisend, token, safe, distributionId, batches);
+  const pending = [];
+  for (const batch of batches) {
+    if (!(await multisend.executed(safe, batch.batchId))) {
+      pending.push(batch);
+    }
+  }
+  if (pending.length === 0) {
+    console.log("\n✅ All batches already executed by the Safe");
+    return { batch: undefined };
+  }
+
+  const remaining = pending.reduce((sum, batch) => sum + batch.total, 0n);
+  const balance = await token.balanceOf(safe);
+  if (balance < remaining) {
+    throw new Error(
+      `Insufficient ${symbol} balance in the Safe: need ${ethers.formatUnits(remaining, decimals)}, ` +
+        `have ${ethers.formatUnits(balance, decimals)}`
+    );
+  }
+
+  const transactions = [];
+  if ((await token.allowance(safe, multisendAddress)) < remaining) {
+    transactions.push({
+      to: tokenAddress,
+      data: token.interface.encodeFunctionData("approve", [multisendAddress, remaining]),
+      summary: `approve BTCXMultisend ${multisendAddress} to spend ${ethers.formatUnits(remaining, decimals)} ${symbol}`,
+    });
+  }
+  for (const batch of pending) {
+    transactions.push({
+      to: multisendAddress,
+      data: multisend.interface.encodeFunctionData("multisend", [
+        tokenAddress,
+        batch.batchId,
+        batch.recipients,
+        batch.amounts,
+      ]),
+      summary:
+        `multisend batch ${batch.index + 1}/${batches.length}: ${ethers.formatUnits(batch.total, decimals)} ` +
+        `${symbol} to ${batch.recipients.length} recipient(s), ` +
+        `${batch.recipients[0]} to ${batch.recipients[batch.recipients.length - 1]}`,
+    });
+  }
+
+  const batch = buildSafeBatch({
+    chainId,
+    safe,
+    name: `BTCX distribution ${distributionId.slice(0, 10)}`,
+    transactions,
+  });
+  const file = writeSafeBatch(batch, options.safeOut || `${options.csv}.safe.json`);
+  printSafeBatch(batch, file);
+  return { batch, file };
+}
+
+module.exports = {
+  parseDistributionCsv,
+  distributionHash,
+  planBatches,
+  loadState,
+  saveState,
+  runDistribution,
+  buildDistributionBatch,
+};
@@ -0,0 +1,173 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { signPermit } = require("./permit");
+
+/**
+ * @title Gas Snapshot Helpers
+ * @notice Measure the exact gas of every user-facing BTCX entry point and compare it with the
+ *         committed gas-snapshot.json
+ * @dev The scenarios run on the in-process hardhat network from fixed keys, so the token
+ *      address, calldata and permit signature (and with them the gas) do not depend on
+ *      whatever ran before. The network is restored afterwards.
+ */
+
+const SNAPSHOT_FILE = path.join(__dirname, "..", "..", "gas-snapshot.json");
+const DEFAULT_TOLERANCE_PERCENT = 1;
+
+const AMOUNT = ethers.parseUnits("1000", 18);
+
+// Fixed keys for the scenario accounts; never used anywhere else
+const ROLES = ["holder", "alice", "bob", "spender"];
+
+function roleWallet(role, provider) {
+  return new ethers.Wallet(ethers.id(`btcx-gas-snapshot:${role}`), provider);
+}
+
+/**
+ * @notice Run every scenario and return the gas used by each, in a fixed order
+ * @return { [scenario]: gasUsed } with gas as a number
+ */
+async function measureGas(hre) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error("Gas snapshots are measured on the in-process hardhat network");
+  }
+  const { takeSnapshot, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+  const snapshot = await takeSnapshot();
+  const gas = {};
+  const record = async (name, txPromise) => {
+    const receipt = await (await txPromise).wait();
+    gas[name] = Number(receipt.gasUsed);
+  };
+
+  try {
+    const wallets = {};
+    for (const role of ROLES) {
+      wallets[role] = roleWallet(role, hre.ethers.provider);
+      await setBalance(wallets[role].address, ethers.parseEther("100"));
+    }
+    const { holder, alice, bob, spender } = wallets;
+
+    const factory = await hre.ethers.getContractFactory("BTCXDigitalCurrency", holder);
+    const token = await factory.deploy(holder.address);
+    await record("deploy", token.deploymentTransaction());
+    const as = (wallet) => token.connect(wallet);
+
+    await record("transfer (new holder)", as(holder).transfer(alice.address, AMOUNT));
+    await record("transfer (existing holder)", as(holder).transfer(alice.address, AMOUNT));
+    await record("transfer (entire balance)", as(alice).transfer(bob.address, AMOUNT * 2n));
+
+    await record("approve", as(holder).approve(spender.address, AMOUNT));
+    await record("transferFrom", as(spender).transferFrom(holder.address, bob.address, AMOUNT / 2n));
+    await as(holder).approve(spender.address, ethers.MaxUint256);
+    await record(
+      "transferFrom (infinite allowance)",
+      as(spender).transferFrom(holder.address, bob.address, AMOUNT / 2n)
+    );
+
+    await record("burn", as(holder).burn(AMOUNT));
+    await as(holder).approve(spender.address, AMOUNT);
+    await record("burnFrom", as(spender).burnFrom(holder.address, AMOUNT / 2n));
+
+    const sig = await signPermit(token, holder, spender, AMOUNT, ethers.MaxUint256);
+    await record(
+      "permit",
+      as(spender).permit(holder.address, spender.address, AMOUNT, ethers.MaxUint256, sig.v, sig.r, sig.s)
+    );
+    return gas;
+  } finally {
+    await snapshot.restore();
+  }
+}
+
+/**
+ * @notice Read the committed snapshot
+ * @return { [scenario]: gasUsed }, or undefined when there is no snapshot yet
+ */
+function readSnapshot(file = SNAPSHOT_FILE) {
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeSnapshot(gas, file = SNAPSHOT_FILE) {
+  fs.writeFileSync(file, JSON.stringify(gas, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * @notice Compare measured gas with the snapshot
+ * @dev A scenario above the tolerance is a regression; one below it is an improvement that
+ *      should be recorded. Scenarios missing from either side are reported as new or removed.
+ * @return [{ name, before?, after?, delta?, percent?, status }] with status one of
+ *         "same", "within", "regression", "improvement", "new", "removed"
+ */
+function compareGas(snapshot, measured, tolerancePercent = DEFAULT_TOLERANCE_PERCENT) {
+  const rows = [];
+  for (const [name, after] of Object.entries(measured)) {
+    const before = snapshot[name];
+    if (before === undefined) {
+      rows.push({ name, after, status: "new" });
+      continue;
+    }
+    const delta = after - before;
+    const percent = (delta / before) * 100;
+    let status = "same";
+    if (percent > tolerancePercent) {
+      status = "regression";
+    } else if (percent < -tolerancePercent) {
+      status = "improvement";
+    } else if (delta !== 0) {
+      status = "within";
+    }
+    rows.push({ name, before, after, delta, percent, status });
+  }
+  for (const [name, before] of Object.entries(snapshot)) {
+    if (!(name in measured)) {
+      rows.push({ name, before, status: "removed" });
+    }
+  }
+  return rows;
+}
+
+/**
+ * @notice Whether the comparison should fail a test run
+ * @dev Anything but "same" and "within" means the snapshot is out of date or gas regressed.
+ */
+function comparisonFails(rows) {
+  return rows.some((row) => !["same", "within"].includes(row.status));
+}
+
+function printComparison(rows, tolerancePercent = DEFAULT_TOLERANCE_PERCENT) {
+  const marks = {
+    same: "",
+    within: "",
+    regression: "❌ regression",
+    improvement: "⬇️  improvement, update the snapshot",
+    new: "new, update the snapshot",
+    removed: "removed, update the snapshot",
+  };
+  const width = Math.max(...rows.map((row) => row.name.length));
+  console.log(`Gas snapshot (tolerance ${tolerancePercent}%)`);
+  for (const row of rows) {
+    const before = row.before === undefined ? "-" : String(row.before);
+    const after = row.after === undefined ? "-" : String(row.after);
+    const change =
+      row.delta === undefined ? "" : `${row.delta >= 0 ? "+" : ""}${row.delta} (${row.percent.toFixed(2)}%)`;
+    console.log(
+      `  ${row.name.padEnd(width)}  ${before.padStart(8)} → ${after.padEnd(8)} ${change.padEnd(18)} ${marks[row.status]}`.trimEnd()
+    );
+  }
+}
+
+module.exports = {
+  SNAPSHOT_FILE,
+  DEFAULT_TOLERANCE_PERCENT,
+  measureGas,
+  readSnapshot,
+  writeSnapshot,
+  compareGas,
+  comparisonFails,
+  printComparison,
+};
@@ -0,0 +1,20 @@
+/**
+ * @title HTTP Helpers
+ * @notice Response helpers shared by the relayer and supply services
+ * @dev BigInt values are serialized as decimal strings.
+ */
+
+function sendJson(res, statusCode, payload, headers = {}) {
+  res.writeHead(statusCode, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(payload, (_, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+function sendText(res, statusCode, text, headers = {}) {
+  res.writeHead(statusCode, { "Content-Type": "text/plain; charset=utf-8", ...headers });
+  res.end(text);
+}
+
+module.exports = {
+  sendJson,
+  sendText,
+};
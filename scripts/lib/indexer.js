@@ -0,0 +1,341 @@
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const { ethers } = require("ethers");
+
+/**
+ * @title BTCX Event Indexer
+ * @notice Follows Transfer, Approval and InitialMint into an embedded SQLite database and keeps
+ *         per-holder balances and per-pair allowances up to date
+ * @dev The database is sql.js (SQLite compiled to WebAssembly) written to a single file after
+ *      every chunk, so a later run resumes from the last processed block. The hash of every
+ *      block that had events, and of the last block of every chunk, is stored; when the stored
+ *      hash of the last processed block no longer matches the chain, the indexer walks back to
+ *      the newest stored block that still matches and rolls everything after it back.
+ *
+ *      OpenZeppelin v5 does not emit Approval when transferFrom or burnFrom spends an
+ *      allowance, so allowances of owners who sent tokens in a chunk are re-read with
+ *      allowance() at the chunk's last block.
+ */
+
+const TOKEN_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  "event InitialMint(address indexed recipient, uint256 amount)",
+  "function totalSupply() view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+];
+
+const DEFAULT_CHUNK_SIZE = 2000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    account TEXT NOT NULL,
+    counterparty TEXT,
+    amount TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS balances (holder TEXT PRIMARY KEY, balance TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS allowances (
+    owner TEXT NOT NULL,
+    spender TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    PRIMARY KEY (owner, spender)
+  );
+`;
+
+/**
+ * @notice Open (or create) an index database for a token
+ * @param provider ethers v6 provider
+ * @param options.token Token address
+ * @param options.dbPath Database file; omit for an in-memory index
+ * @param options.startBlock First block to index, usually the deployment block
+ * @param options.chunkSize Blocks per eth_getLogs request (default 2000)
+ */
+async function createIndexer(provider, options) {
+  const SQL = await initSqlJs();
+  const dbPath = options.dbPath;
+  const db = dbPath && fs.existsSync(dbPath) ? new SQL.Database(fs.readFileSync(dbPath)) : new SQL.Database();
+  db.exec(SCHEMA);
+
+  const token = new ethers.Contract(ethers.getAddress(options.token), TOKEN_ABI, provider);
+  const tokenAddress = await token.getAddress();
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const topics = ["Transfer", "Approval", "InitialMint"].map((name) => token.interface.getEvent(name).topicHash);
+
+  function all(sql, params = []) {
+    const stmt = db.prepare(sql);
+    stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) {
+      rows.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return rows;
+  }
+
+  function get(sql, params = []) {
+    return all(sql, params)[0];
+  }
+
+  function getMeta(key) {
+    return get("SELECT value FROM meta WHERE key = ?", [key])?.value;
+  }
+
+  function setMeta(key, value) {
+    db.run("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)", [key, String(value)]);
+  }
+
+  function addBalance(holder, delta) {
+    if (holder === ethers.ZeroAddress) {
+      return;
+    }
+    const current = BigInt(get("SELECT balance FROM balances WHERE holder = ?", [holder])?.balance ?? 0);
+    const balance = current + delta;
+    if (balance === 0n) {
+      db.run("DELETE FROM balances WHERE holder = ?", [holder]);
+    } else {
+      db.run("INSERT OR REPLACE INTO balances (holder, balance) VALUES (?, ?)", [holder, balance.toString()]);
+    }
+  }
+
+  function setAllowance(owner, spender, amount) {
+    if (amount === 0n) {
+      db.run("DELETE FROM allowances WHERE owner = ? AND spender = ?", [owner, spender]);
+    } else {
+      db.run("INSERT OR REPLACE INTO allowances (owner, spender, amount) VALUES (?, ?, ?)", [
+        owner,
+        spender,
+        amount.toString(),
+      ]);
+    }
+  }
+
+  async function refreshAllowances(owners, blockTag) {
+    for (const owner of owners) {
+      for (const { spender } of all("SELECT spender FROM allowances WHERE owner = ?", [owner])) {
+        setAllowance(owner, spender, await token.allowance(owner, spender, { blockTag }));
+      }
+    }
+  }
+
+  async function transaction(fn) {
+    db.exec("BEGIN");
+    try {
+      const result = await fn();
+      db.exec("COMMIT");
+      return result;
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    }
+  }
+
+  function save() {
+    if (!dbPath) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    fs.writeFileSync(`${dbPath}.tmp`, Buffer.from(db.export()));
+    fs.renameSync(`${dbPath}.tmp`, dbPath);
+  }
+
+  // Refuse to mix tokens or chains in one database
+  const { chainId } = await provider.getNetwork();
+  for (const [key, value] of [
+    ["token", tokenAddress],
+    ["chainId", chainId.toString()],
+  ]) {
+    const stored = getMeta(key);
+    if (stored !== undefined && stored !== value) {
+      throw new Error(`Index database belongs to a different ${key} (${stored} != ${value})`);
+    }
+    setMeta(key, value);
+  }
+  if (getMeta("lastBlock") === undefined) {
+    setMeta("lastBlock", (options.startBlock ?? 0) - 1);
+  }
+
+  function lastBlock() {
+    return Number(getMeta("lastBlock"));
+  }
+
+  /**
+   * @notice Undo every event after `ancestor` and reset the last processed block to it
+   */
+  async function rollback(ancestor) {
+    const undone = all("SELECT * FROM events WHERE block_number > ? ORDER BY block_number DESC, log_index DESC", [
+      ancestor,
+    ]);
+    const owners = new Set();
+    const approvals = new Set();
+
+    await transaction(async () => {
+      for (const event of undone) {
+        if (event.name === "Transfer") {
+          addBalance(event.account, BigInt(event.amount));
+          addBalance(event.counterparty, -BigInt(event.amount));
+          owners.add(event.account);
+        } else if (event.name === "Approval") {
+          approvals.add(`${event.account}:${event.counterparty}`);
+        }
+      }
+      db.run("DELETE FROM events WHERE block_number > ?", [ancestor]);
+      db.run("DELETE FROM blocks WHERE number > ?", [ancestor]);
+      setMeta("lastBlock", ancestor);
+
+      // Pairs approved only in undone blocks disappear; the rest are re-read below
+      for (const pair of approvals) {
+        const [owner, spender] = pair.split(":");
+        const remaining = get(
+          "SELECT 1 AS found FROM events WHERE name = 'Approval' AND account = ? AND counterparty = ?",
+          [owner, spender]
+        );
+        if (remaining) {
+          db.run("INSERT OR IGNORE INTO allowances (owner, spender, amount) VALUES (?, ?, '0')", [owner, spender]);
+          owners.add(owner);
+        } else {
+          setAllowance(owner, spender, 0n);
+        }
+      }
+      if (ancestor >= 0) {
+        await refreshAllowances(owners, ancestor);
+      }
+    });
+    save();
+    return { ancestor, undone: undone.length };
+  }
+
+  /**
+   * @notice Detect a reorg below the last processed block and roll back to the common ancestor
+   * @return null when the stored chain still matches, otherwise { ancestor, undone }
+   */
+  async function checkReorg() {
+    const stored = all("SELECT number, hash FROM blocks ORDER BY number DESC");
+    if (stored.length === 0) {
+      return null;
+    }
+    for (let i = 0; i < stored.length; i++) {
+      const block = await provider.getBlock(stored[i].number);
+      if (block && block.hash === stored[i].hash) {
+        return i === 0 ? null : rollback(stored[i].number);
+      }
+    }
+    return rollback((options.startBlock ?? 0) - 1);
+  }
+
+  function applyLog(log) {
+    const parsed = token.interface.parseLog(log);
+    const [account, counterparty, amount] =
+      parsed.name === "InitialMint" ? [parsed.args[0], null, parsed.args[1]] : parsed.args;
+
+    db.run(
+      "INSERT INTO events (block_number, log_index, tx_hash, name, account, counterparty, amount) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [log.blockNumber, log.index, log.transactionHash, parsed.name, account, counterparty, amount.toString()]
+    );
+    db.run("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)", [log.blockNumber, log.blockHash]);
+
+    if (parsed.name === "Transfer") {
+      addBalance(account, -amount);
+      addBalance(counterparty, amount);
+    } else if (parsed.name === "Approval") {
+      setAllowance(account, counterparty, amount);
+    }
+    return parsed;
+  }
+
+  /**
+   * @notice Index up to `toBlock` (default: the latest block minus `confirmations`)
+   * @return { fromBlock, toBlock, events, reorg }
+   */
+  async function sync(syncOptions = {}) {
+    const reorg = await checkReorg();
+    const head = syncOptions.toBlock ?? (await provider.getBlockNumber()) - (syncOptions.confirmations ?? 0);
+    const fromBlock = lastBlock() + 1;
+    let events = 0;
+
+    for (let from = fromBlock; from <= head; from += chunkSize) {
+      const to = Math.min(from + chunkSize - 1, head);
+      const logs = await provider.getLogs({ address: tokenAddress, fromBlock: from, toBlock: to, topics: [topics] });
+      const end = await provider.getBlock(to);
+      const senders = new Set();
+
+      await transaction(async () => {
+        for (const log of logs) {
+          const parsed = applyLog(log);
+          if (parsed.name === "Transfer" && parsed.args.from !== ethers.ZeroAddress) {
+            senders.add(parsed.args.from);
+          }
+        }
+        db.run("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)", [to, end.hash]);
+        setMeta("lastBlock", to);
+        await refreshAllowances(senders, to);
+      });
+      save();
+      events += logs.length;
+    }
+
+    return { fromBlock, toBlock: lastBlock(), events, reorg };
+  }
+
+  function balances() {
+    return all("SELECT holder, balance FROM balances")
+      .map((row) => ({ holder: row.holder, balance: BigInt(row.balance) }))
+      .sort((a, b) => (a.balance === b.balance ? a.holder.localeCompare(b.holder) : a.balance > b.balance ? -1 : 1));
+  }
+
+  function balanceOf(holder) {
+    return BigInt(get("SELECT balance FROM balances WHERE holder = ?", [ethers.getAddress(holder)])?.balance ?? 0);
+  }
+
+  function allowances(owner) {
+    const rows = owner
+      ? all("SELECT * FROM allowances WHERE owner = ?", [ethers.getAddress(owner)])
+      : all("SELECT * FROM allowances");
+    return rows.map((row) => ({ owner: row.owner, spender: row.spender, amount: BigInt(row.amount) }));
+  }
+
+  function events(name) {
+    return all(`SELECT * FROM events ${name ? "WHERE name = ?" : ""} ORDER BY block_number, log_index`, name ? [name] : []);
+  }
+
+  /**
+   * @notice Check that the indexed balances add up to totalSupply() at the last processed block
+   * @dev Same invariant as totalSupplyIsSumOfBalances in certora/BTCXDigitalCurrency.spec.
+   */
+  async function checkConsistency() {
+    const block = lastBlock();
+    const indexedSupply = balances().reduce((sum, row) => sum + row.balance, 0n);
+    const totalSupply = block < 0 ? 0n : await token.totalSupply({ blockTag: block });
+    return { ok: indexedSupply === totalSupply, block, indexedSupply, totalSupply };
+  }
+
+  return {
+    db,
+    lastBlock,
+    sync,
+    checkReorg,
+    rollback,
+    balances,
+    balanceOf,
+    allowances,
+    events,
+    checkConsistency,
+    close() {
+      save();
+      db.close();
+    },
+  };
+}
+
+module.exports = {
+  TOKEN_ABI,
+  DEFAULT_CHUNK_SIZE,
+  createIndexer,
+};
@@ -0,0 +1,323 @@
+const fs = require("fs");
+const path = require("path");
+const fc = require("fast-check");
+const { ethers } = require("ethers");
+const { signPermit } = require("./permit");
+const { INITIAL_SUPPLY } = require("./supply");
+
+/**
+ * @title Stateful Invariant Fuzzer
+ * @notice Runs random sequences of transfer, approve, transferFrom, burn, burnFrom and permit
+ *         calls against a fresh BTCX deployment on the Hardhat network, and checks the
+ *         invariants of certora/BTCXDigitalCurrency.spec after every step
+ * @dev A sequence is plain JSON data, so a failing one (after fast-check has shrunk it) is
+ *      saved as a case file that test/invariants.test.js replays on every `npm test`.
+ *
+ *      Step amounts are given in basis points of the relevant balance (the caller's, or
+ *      `from`'s for transferFrom and burnFrom), so sequences stay meaningful as balances
+ *      change. Values above 10000 ask for more than the balance and are expected to revert.
+ */
+
+const BPS = 10_000n;
+const MAX_BPS = 12_000;
+const DEFAULT_ACCOUNTS = 8;
+const DEFAULT_CASES_DIR = path.join(__dirname, "..", "..", "test", "invariant-cases");
+
+class InvariantViolation extends Error {
+  constructor(invariant, stepIndex, message) {
+    super(`${invariant} violated after step ${stepIndex}: ${message}`);
+    this.invariant = invariant;
+    this.stepIndex = stepIndex;
+  }
+}
+
+/**
+ * @notice The invariants checked after every step
+ * @dev Each check gets the state before and after the step, the step and whether it
+ *      succeeded, and returns an error message when the invariant does not hold.
+ */
+const INVARIANTS = [
+  {
+    name: "totalSupplyIsSumOfBalances",
+    check: ({ after }) => {
+      const sum = after.balances.reduce((total, balance) => total + balance, 0n);
+      return sum === after.totalSupply ? undefined : `sum of balances ${sum} != totalSupply ${after.totalSupply}`;
+    },
+  },
+  {
+    name: "maxTotalSupply",
+    check: ({ after }) =>
+      after.totalSupply <= INITIAL_SUPPLY ? undefined : `totalSupply ${after.totalSupply} > ${INITIAL_SUPPLY}`,
+  },
+  {
+    name: "balanceUpperBound",
+    check: ({ after }) => {
+      const index = after.balances.findIndex((balance) => balance > after.totalSupply);
+      return index === -1 ? undefined : `account ${index} holds ${after.balances[index]} > totalSupply`;
+    },
+  },
+  {
+    name: "permitIncrementsNonce",
+    check: ({ before, after, step, ok }) => {
+      for (let i = 0; i < after.nonces.length; i++) {
+        const expected = before.nonces[i] + (ok && step.op === "permit" && step.owner === i ? 1n : 0n);
+        if (after.nonces[i] !== expected) {
+          return `nonce of account ${i} went from ${before.nonces[i]} to ${after.nonces[i]}, expected ${expected}`;
+        }
+      }
+      return undefined;
+    },
+  },
+];
+
+/**
+ * @notice fast-check arbitrary for one step between `accounts` accounts
+ */
+function stepArbitrary(accounts = DEFAULT_ACCOUNTS) {
+  const account = fc.integer({ min: 0, max: accounts - 1 });
+  const bps = fc.integer({ min: 0, max: MAX_BPS });
+  const op = (name, fields) => fc.record({ op: fc.constant(name), ...fields });
+  return fc.oneof(
+    op("transfer", { caller: account, to: account, bps }),
+    op("approve", { caller: account, spender: account, bps, infinite: fc.boolean() }),
+    op("transferFrom", { caller: account, from: account, to: account, bps }),
+    op("burn", { caller: account, bps }),
+    op("burnFrom", { caller: account, from: account, bps }),
+    op("permit", {
+      owner: account,
+      spender: account,
+      bps,
+      infinite: fc.boolean(),
+      expired: fc.boolean(),
+      forged: fc.boolean(),
+    })
+  );
+}
+
+/**
+ * @notice fast-check arbitrary for a sequence of up to `maxSteps` steps
+ */
+function sequenceArbitrary(accounts = DEFAULT_ACCOUNTS, maxSteps = 50) {
+  return fc.array(stepArbitrary(accounts), { minLength: 1, maxLength: maxSteps });
+}
+
+/**
+ * @notice Deploy BTCX and spread the supply over the fuzzed accounts
+ * @dev Account 0 is the initial recipient and keeps half; the rest is split evenly.
+ * @return { token, signers } where signers[i] is fuzzed account i
+ */
+async function setupInvariantContext(hre, accounts = DEFAULT_ACCOUNTS) {
+  const all = await hre.ethers.getSigners();
+  if (all.length < accounts) {
+    throw new Error(`Need ${accounts} accounts, the network has ${all.length}`);
+  }
+  const signers = all.slice(0, accounts);
+  const factory = await hre.ethers.getContractFactory("BTCXDigitalCurrency");
+  const token = await factory.deploy(signers[0].address);
+  await token.waitForDeployment();
+
+  const share = INITIAL_SUPPLY / 2n / BigInt(accounts - 1);
+  for (const signer of signers.slice(1)) {
+    await (await token.transfer(signer.address, share)).wait();
+  }
+  return { token, signers };
+}
+
+async function readState({ token, signers }) {
+  const [totalSupply, balances, nonces] = await Promise.all([
+    token.totalSupply(),
+    Promise.all(signers.map((signer) => token.balanceOf(signer.address))),
+    Promise.all(signers.map((signer) => token.nonces(signer.address))),
+  ]);
+  return { totalSupply, balances, nonces };
+}
+
+async function succeeds(action) {
+  try {
+    await (await action).wait();
+    return true;
+  } catch (e) {
+    if (!/reverted/.test(e.message)) {
+      throw e;
+    }
+    return false;
+  }
+}
+
+/**
+ * @notice Execute one step
+ * @return Whether the call succeeded (reverts are expected and not errors)
+ */
+async function runStep({ token, signers }, step, state) {
+  const amountOf = (index) => (state.balances[index] * BigInt(step.bps)) / BPS;
+  const approval = (index) => (step.infinite ? ethers.MaxUint256 : amountOf(index));
+  const as = (index) => token.connect(signers[index]);
+  const address = (index) => signers[index].address;
+
+  switch (step.op) {
+    case "transfer":
+      return succeeds(as(step.caller).transfer(address(step.to), amountOf(step.caller)));
+    case "approve":
+      return succeeds(as(step.caller).approve(address(step.spender), approval(step.caller)));
+    case "transferFrom":
+      return succeeds(as(step.caller).transferFrom(address(step.from), address(step.to), amountOf(step.from)));
+    case "burn":
+      return succeeds(as(step.caller).burn(amountOf(step.caller)));
+    case "burnFrom":
+      return succeeds(as(step.caller).burnFrom(address(step.from), amountOf(step.from)));
+    case "permit": {
+      const { timestamp } = await token.runner.provider.getBlock("latest");
+      const deadline = step.expired ? timestamp - 1 : timestamp + 3600;
+      const value = approval(step.owner);
+      const signer = signers[step.forged ? (step.owner + 1) % signers.length : step.owner];
+      const sig = await signPermit(token, signer, address(step.spender), value, deadline, {
+        nonce: state.nonces[step.owner],
+      });
+      return succeeds(
+        as(step.spender).permit(address(step.owner), address(step.spender), value, deadline, sig.v, sig.r, sig.s)
+      );
+    }
+    default:
+      throw new Error(`Unknown step ${JSON.stringify(step)}`);
+  }
+}
+
+/**
+ * @notice Run a sequence, checking every invariant after every step
+ * @dev Throws an InvariantViolation at the first step that breaks an invariant.
+ * @return The outcome of each step
+ */
+async function runSequence(context, steps, invariants = INVARIANTS) {
+  let before = await readState(context);
+  const outcomes = [];
+  for (let i = 0; i < steps.length; i++) {
+    const ok = await runStep(context, steps[i], before);
+    const after = await readState(context);
+    for (const invariant of invariants) {
+      const problem = invariant.check({ before, after, step: steps[i], ok });
+      if (problem) {
+        throw new InvariantViolation(invariant.name, i, problem);
+      }
+    }
+    outcomes.push(ok);
+    before = after;
+  }
+  return outcomes;
+}
+
+/**
+ * @notice Write a failing sequence as a replayable case file
+ * @return The path written
+ */
+function saveCase(dir, failure) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${failure.invariant}-${failure.seed}.json`);
+  fs.writeFileSync(file, JSON.stringify(failure, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * @notice Read every saved case in a directory
+ * @return [{ file, accounts, steps, ... }]
+ */
+function loadCases(dir = DEFAULT_CASES_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .sort()
+    .map((name) => ({ ...JSON.parse(fs.readFileSync(path.join(dir, name), "utf8")), file: path.join(dir, name) }));
+}
+
+/**
+ * @notice Replay a saved (or hand-written) sequence on a fresh deployment
+ * @dev Leaves the network as it found it. Throws an InvariantViolation if it still fails.
+ */
+async function replayCase(hre, testCase, options = {}) {
+  const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+  const snapshot = await takeSnapshot();
+  try {
+    const context = await setupInvariantContext(hre, testCase.accounts);
+    return await runSequence(context, testCase.steps, options.invariants);
+  } finally {
+    await snapshot.restore();
+  }
+}
+
+/**
+ * @notice Fuzz random sequences and save the shrunk counterexample on failure
+ * @param options.runs Number of sequences
+ * @param options.steps Maximum sequence length
+ * @param options.accounts Number of fuzzed accounts
+ * @param options.seed / options.path Replay a fast-check run
+ * @param options.casesDir Where to save a failing sequence (false to skip saving)
+ * @param options.invariants Invariants to check (defaults to INVARIANTS)
+ * @return { failed, runs, seed, failure?, file? }
+ */
+async function fuzzInvariants(hre, options = {}) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error("The invariant fuzzer only runs on the in-process hardhat network");
+  }
+  const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+  const accounts = options.accounts ?? DEFAULT_ACCOUNTS;
+  const invariants = options.invariants ?? INVARIANTS;
+  const casesDir = options.casesDir ?? DEFAULT_CASES_DIR;
+
+  const initial = await takeSnapshot();
+  try {
+    const context = await setupInvariantContext(hre, accounts);
+    const deployed = await takeSnapshot();
+    const property = fc.asyncProperty(sequenceArbitrary(accounts, options.steps), async (steps) => {
+      await deployed.restore();
+      await runSequence(context, steps, invariants);
+    });
+
+    const details = await fc.check(property, {
+      numRuns: options.runs ?? 100,
+      seed: options.seed,
+      path: options.path,
+    });
+    const result = { failed: details.failed, runs: details.numRuns, seed: details.seed };
+    if (!details.failed) {
+      return result;
+    }
+
+    const error = details.errorInstance;
+    if (!(error instanceof InvariantViolation)) {
+      throw error;
+    }
+    result.failure = {
+      invariant: error.invariant,
+      error: error.message,
+      seed: details.seed,
+      path: details.counterexamplePath,
+      accounts,
+      // Steps after the violating one never ran
+      steps: details.counterexample[0].slice(0, error.stepIndex + 1),
+    };
+    if (casesDir !== false) {
+      result.file = saveCase(casesDir, result.failure);
+    }
+    return result;
+  } finally {
+    await initial.restore();
+  }
+}
+
+module.exports = {
+  DEFAULT_ACCOUNTS,
+  DEFAULT_CASES_DIR,
+  INVARIANTS,
+  InvariantViolation,
+  stepArbitrary,
+  sequenceArbitrary,
+  setupInvariantContext,
+  runStep,
+  runSequence,
+  saveCase,
+  loadCases,
+  replayCase,
+  fuzzInvariants,
+};
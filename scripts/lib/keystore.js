@@ -0,0 +1,192 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * @title Keystore Signer Helpers
+ * @notice Encrypted JSON keystores (the ethers / Web3 Secret Storage format) for deploy and
+ *         operations signers, so no private key has to sit in plaintext in the environment
+ * @dev hardhat.config.js registers keystoreExtender as a provider extender. When KEYSTORE_PATH
+ *      is set, the first request on any network other than `hardhat` decrypts the keystore
+ *      and the key signs locally, exactly like a key listed under `accounts`. The password is
+ *      read from the file descriptor in KEYSTORE_PASSWORD_FD, or typed at a hidden prompt.
+ *      Mainnet (chain ID 1, whatever the network is called) refuses to start with a plaintext
+ *      PRIVATE_KEY and no keystore.
+ *
+ *      The signing provider is Hardhat's internal LocalAccountsProvider, the one behind
+ *      `accounts`, so package.json pins hardhat to an exact version and the tests check that
+ *      the import still resolves.
+ */
+
+const MIN_PASSWORD_LENGTH = 12;
+const MAINNET_CHAIN_ID = 1n;
+
+/**
+ * @notice Read a secret from a file descriptor, dropping one trailing newline
+ * @dev Lets a password come from a secret manager without touching disk or argv, e.g.
+ *      `KEYSTORE_PASSWORD_FD=3 npx hardhat ... 3< <(pass show btcx/deployer)`
+ */
+function readSecretFromFd(fd) {
+  return fs.readFileSync(Number(fd), "utf8").replace(/\r?\n$/, "");
+}
+
+/**
+ * @notice Prompt for a secret on a terminal without echoing it
+ * @param options.input TTY stream to read from (defaults to stdin)
+ * @param options.output Stream for the prompt (defaults to stderr so stdout stays clean)
+ */
+function promptSecret(question, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stderr;
+  if (!input.isTTY) {
+    const what = question.replace(/:\s*$/, "");
+    return Promise.reject(new Error(`${what}: no terminal to prompt on; pass it through a file descriptor`));
+  }
+
+  output.write(question);
+  input.setRawMode(true);
+  input.resume();
+  input.setEncoding("utf8");
+
+  return new Promise((resolve, reject) => {
+    let secret = "";
+    const finish = (error) => {
+      input.setRawMode(false);
+      input.pause();
+      input.removeListener("data", onData);
+      output.write("\n");
+      if (error) {
+        reject(error);
+      } else {
+        resolve(secret);
+      }
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === "\r" || char === "\n" || char === "\u0004") {
+          finish();
+          return;
+        }
+        if (char === "\u0003") {
+          finish(new Error("Cancelled"));
+          return;
+        }
+        if (char === "\u007f" || char === "\b") {
+          secret = secret.slice(0, -1);
+        } else {
+          secret += char;
+        }
+      }
+    };
+    input.on("data", onData);
+  });
+}
+
+/**
+ * @notice Get a keystore password from a file descriptor, or else from a hidden prompt
+ * @param options.fd File descriptor to read (KEYSTORE_PASSWORD_FD)
+ * @param options.confirm Ask twice at the prompt and require both entries to match
+ */
+async function readPassword(options = {}) {
+  if (options.fd !== undefined && options.fd !== "") {
+    return readSecretFromFd(options.fd);
+  }
+  const password = await promptSecret(options.prompt || "Keystore password: ", options);
+  if (options.confirm) {
+    const again = await promptSecret("Repeat password: ", options);
+    if (again !== password) {
+      throw new Error("Passwords do not match");
+    }
+  }
+  return password;
+}
+
+/**
+ * @notice Encrypt a private key into keystore JSON
+ * @param options.scryptN scrypt cost (ethers default 2^17); only lower it in tests
+ */
+async function encryptKeystore(privateKey, password, options = {}) {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Keystore password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const wallet = new ethers.Wallet(privateKey);
+  const scrypt = options.scryptN ? { N: options.scryptN } : undefined;
+  return ethers.encryptKeystoreJson({ address: wallet.address, privateKey: wallet.privateKey }, password, { scrypt });
+}
+
+/**
+ * @notice Write a new keystore file, refusing to replace an existing one
+ * @return The address the keystore holds
+ */
+async function writeKeystore(file, privateKey, password, options = {}) {
+  if (fs.existsSync(file)) {
+    throw new Error(`${file} already exists; refusing to overwrite a keystore`);
+  }
+  const json = await encryptKeystore(privateKey, password, options);
+  fs.writeFileSync(file, json + "\n", { mode: 0o600, flag: "wx" });
+  return ethers.getAddress(JSON.parse(json).address);
+}
+
+/**
+ * @notice Decrypt a keystore file
+ * @return An ethers Wallet (not connected to a provider)
+ */
+async function loadKeystore(file, password) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Keystore ${file} does not exist`);
+  }
+  const json = fs.readFileSync(file, "utf8");
+  if (!ethers.isKeystoreJson(json)) {
+    throw new Error(`${file} is not an encrypted JSON keystore`);
+  }
+  try {
+    return await ethers.Wallet.fromEncryptedJson(json, password);
+  } catch (e) {
+    throw new Error(`Could not decrypt ${file}: ${e.shortMessage || e.message}`);
+  }
+}
+
+/**
+ * @notice Provider extender for hardhat.config.js (see the module notes)
+ * @param env Environment to read KEYSTORE_PATH, KEYSTORE_PASSWORD_FD and PRIVATE_KEY from
+ * @param options.chainId The network's configured chain ID; asked from the node when not configured
+ */
+async function keystoreExtender(provider, networkName, env = process.env, options = {}) {
+  const { chainId, ...promptOptions } = options;
+  if (networkName === "hardhat") {
+    return provider;
+  }
+  if (!env.KEYSTORE_PATH) {
+    if (env.PRIVATE_KEY && (networkName === "mainnet" || (await isMainnet(provider, chainId)))) {
+      throw new Error(
+        `Refusing to use a plaintext PRIVATE_KEY on mainnet (${networkName}). Create an encrypted keystore with ` +
+          "`npx hardhat btcx:keystore:import --out <file>`, set KEYSTORE_PATH and remove PRIVATE_KEY."
+      );
+    }
+    return provider;
+  }
+
+  const password = await readPassword({
+    ...promptOptions,
+    fd: env.KEYSTORE_PASSWORD_FD,
+    prompt: `Password for ${env.KEYSTORE_PATH} (${networkName}): `,
+  });
+  const wallet = await loadKeystore(env.KEYSTORE_PATH, password);
+  const { LocalAccountsProvider } = require("hardhat/internal/core/providers/accounts");
+  return new LocalAccountsProvider(provider, [wallet.privateKey]);
+}
+
+async function isMainnet(provider, chainId) {
+  const id = chainId ?? (await provider.request({ method: "eth_chainId" }));
+  return BigInt(id) === MAINNET_CHAIN_ID;
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  readSecretFromFd,
+  promptSecret,
+  readPassword,
+  encryptKeystore,
+  writeKeystore,
+  loadKeystore,
+  keystoreExtender,
+};
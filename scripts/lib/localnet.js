@@ -0,0 +1,43 @@
+const { createProvider } = require("hardhat/internal/core/providers/construction");
+const { JsonRpcServer } = require("hardhat/internal/hardhat-network/jsonrpc/server");
+
+/**
+ * @title Local Chain Helpers
+ * @notice Serve extra in-process Hardhat networks over JSON-RPC, each with its own chain ID
+ * @dev `npx hardhat node` always uses networks.hardhat.chainId, so several local chains that
+ *      other processes can reach (deploy scripts, relayers) are started from here instead.
+ *      Each chain has the default Hardhat accounts and its own state. createProvider and
+ *      JsonRpcServer are Hardhat internals, which is why package.json pins hardhat exactly.
+ */
+
+/**
+ * @notice Start a local Hardhat chain behind a JSON-RPC server
+ * @param options.chainId Chain ID of the new chain
+ * @param options.hostname Interface to listen on (default 127.0.0.1)
+ * @param options.port Port to listen on (default 0, any free port)
+ * @return { chainId, url, provider, close } where provider is the chain's EIP-1193 provider
+ */
+async function startLocalChain(hre, options) {
+  const hostname = options.hostname || "127.0.0.1";
+  const config = {
+    ...hre.config,
+    networks: {
+      ...hre.config.networks,
+      hardhat: { ...hre.config.networks.hardhat, chainId: Number(options.chainId) },
+    },
+  };
+  const provider = await createProvider(config, "hardhat", hre.artifacts);
+  const server = new JsonRpcServer({ hostname, port: options.port ?? 0, provider });
+  const { port } = await server.listen();
+
+  return {
+    chainId: Number(options.chainId),
+    url: `http://${hostname}:${port}`,
+    provider,
+    close: () => server.close(),
+  };
+}
+
+module.exports = {
+  startLocalChain,
+};
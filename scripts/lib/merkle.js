@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+const deployments = require("./deployments");
+
+/**
+ * @title Merkle Airdrop Helpers
+ * @notice Build the BTCXMerkleDistributor tree from distribution entries, write root and proof
+ *         files, check claims offline, and deploy and fund a distributor
+ * @dev Leaves are (index, account, amount) encoded as LEAF_ENCODING, hashed the way
+ *      StandardMerkleTree and the contract do. An airdrop directory contains:
+ *        airdrop.json              root, total, claim count and leaf encoding
+ *        tree.json                 the full tree (StandardMerkleTree dump)
+ *        proofs/<address>.json     one claim per address, ready to pass to claim()
+ */
+
+const LEAF_ENCODING = ["uint256", "address", "uint256"];
+
+/**
+ * @notice Build the tree from parsed distribution entries (see parseDistributionCsv)
+ * @return { tree, root, total, claims } with claims keyed by checksummed address
+ */
+function buildAirdrop(entries) {
+  if (entries.length === 0) {
+    throw new Error("Airdrop has no entries");
+  }
+  const values = entries.map((entry, index) => [index, entry.address, entry.amount.toString()]);
+  const tree = StandardMerkleTree.of(values, LEAF_ENCODING);
+
+  const claims = {};
+  let total = 0n;
+  for (const [i, [index, account, amount]] of tree.entries()) {
+    claims[account] = { index, account, amount, proof: tree.getProof(i) };
+    total += BigInt(amount);
+  }
+  return { tree, root: tree.root, total, claims };
+}
+
+/**
+ * @notice Write airdrop.json, tree.json and one proof file per address into `dir`
+ */
+function writeAirdrop(airdrop, dir) {
+  const proofsDir = path.join(dir, "proofs");
+  fs.mkdirSync(proofsDir, { recursive: true });
+
+  const summary = {
+    root: airdrop.root,
+    total: airdrop.total.toString(),
+    claims: Object.keys(airdrop.claims).length,
+    leafEncoding: LEAF_ENCODING,
+  };
+  fs.writeFileSync(path.join(dir, "airdrop.json"), JSON.stringify(summary, null, 2) + "\n");
+  fs.writeFileSync(path.join(dir, "tree.json"), JSON.stringify(airdrop.tree.dump(), null, 2) + "\n");
+  for (const claim of Object.values(airdrop.claims)) {
+    fs.writeFileSync(
+      path.join(proofsDir, `${claim.account}.json`),
+      JSON.stringify({ root: airdrop.root, ...claim }, null, 2) + "\n"
+    );
+  }
+  return summary;
+}
+
+/**
+ * @notice Read the summary of an airdrop directory
+ */
+function readAirdrop(dir) {
+  const file = path.join(dir, "airdrop.json");
+  if (!fs.existsSync(file)) {
+    throw new Error(`No airdrop.json in ${dir}; build the airdrop first`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @notice Read the proof file of an address, or null when the address has no claim
+ */
+function readClaim(dir, account) {
+  const file = path.join(dir, "proofs", `${ethers.getAddress(account)}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+/**
+ * @notice Check a claim against a root without touching the chain
+ * @return true when the proof leads from (index, account, amount) to the root
+ */
+function verifyClaim(root, claim) {
+  try {
+    return StandardMerkleTree.verify(root, LEAF_ENCODING, [claim.index, claim.account, claim.amount], claim.proof);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @notice Deploy a BTCXMerkleDistributor for an airdrop directory and fund it with the total
+ * @dev Recorded in the manifest as `BTCXMerkleDistributor:<root>`. Re-running with the same
+ *      airdrop reuses the recorded distributor and only funds it if that did not happen yet.
+ *      A recorded distributor without fundingTxHash (crash between send and manifest write)
+ *      is checked on chain first: its balance plus everything claimed or swept counts as
+ *      funded. A re-run with a different token, deadline or sweep recipient is refused.
+ * @param options.dir Airdrop directory written by writeAirdrop
+ * @param options.deadline Last claim timestamp (unix seconds)
+ * @param options.sweepTo Recipient of unclaimed tokens after the deadline
+ * @param options.token BTCX address (defaults to the deployment manifest)
+ */
+async function deployAirdrop(hre, options) {
+  const [signer] = await hre.ethers.getSigners();
+  const networkName = hre.network.name;
+  const { chainId } = await signer.provider.getNetwork();
+  const summary = readAirdrop(options.dir);
+  const key = `BTCXMerkleDistributor:${summary.root}`;
+
+  const tokenAddress = deployments.resolveAddress(
+    networkName,
+    "BTCXDigitalCurrency",
+    options.token,
+    options.deploymentsDir
+  );
+  const tokenArtifact = await hre.artifacts.readArtifact("BTCXDigitalCurrency");
+  const token = new ethers.Contract(tokenAddress, tokenArtifact.abi, signer);
+  const total = BigInt(summary.total);
+
+  let record = deployments.getDeployment(networkName, key, options.deploymentsDir);
+  const status = await deployments.deploymentStatus(signer.provider, record);
+  if (status === "mismatch") {
+    throw new Error(`Code at recorded distributor ${record.address} does not match the manifest`);
+  }
+
+  const sweepTo = ethers.getAddress(options.sweepTo);
+  if (status === "live") {
+    const recorded = {
+      token: record.constructorArgs[0],
+      deadline: record.airdrop.deadline,
+      "sweep recipient": record.airdrop.sweepRecipient,
+    };
+    const requested = { token: tokenAddress, deadline: options.deadline, "sweep recipient": sweepTo };
+    for (const [field, value] of Object.entries(recorded)) {
+      if (value !== requested[field]) {
+        throw new Error(
+          `Distributor ${record.address} for root ${summary.root} was deployed with ${field} ${value}, not ${requested[field]}`
+        );
+      }
+    }
+  }
+
+  if (status !== "live") {
+    const balance = await token.balanceOf(signer.address);
+    if (balance < total) {
+      throw new Error(
+        `Insufficient BTCX balance: need ${ethers.formatUnits(total, 18)}, have ${ethers.formatUnits(balance, 18)}`
+      );
+    }
+    const args = [tokenAddress, summary.root, options.deadline, sweepTo];
+    const factory = await hre.ethers.getContractFactory("BTCXMerkleDistributor", signer);
+    const distributor = await factory.deploy(...args);
+    await distributor.waitForDeployment();
+    const deployment = {
+      address: await distributor.getAddress(),
+      transactionHash: distributor.deploymentTransaction().hash,
+    };
+    record = await deployments.buildRecord(hre, "BTCXMerkleDistributor", deployment, args, {
+      airdrop: { root: summary.root, total: summary.total, deadline: options.deadline, sweepRecipient: sweepTo },
+    });
+    deployments.saveDeployment(networkName, chainId, key, record, options.deploymentsDir);
+    console.log(`Deployed BTCXMerkleDistributor at ${record.address}`);
+  }
+
+  if (!record.airdrop.fundingTxHash) {
+    const distributor = await hre.ethers.getContractAt("BTCXMerkleDistributor", record.address, signer);
+    let paidOut = 0n;
+    for (const log of await distributor.queryFilter("*", record.blockNumber)) {
+      if (log.fragment && (log.fragment.name === "Claimed" || log.fragment.name === "Swept")) {
+        paidOut += log.args.amount;
+      }
+    }
+    const held = (await token.balanceOf(record.address)) + paidOut;
+    if (held >= total) {
+      console.log(`Distributor ${record.address} already holds the airdrop total, not funding again`);
+    } else {
+      const amount = total - held;
+      const balance = await token.balanceOf(signer.address);
+      if (balance < amount) {
+        throw new Error(
+          `Insufficient BTCX balance: need ${ethers.formatUnits(amount, 18)}, have ${ethers.formatUnits(balance, 18)}`
+        );
+      }
+      const tx = await token.transfer(record.address, amount);
+      await tx.wait();
+      record.airdrop.fundingTxHash = tx.hash;
+      deployments.saveDeployment(networkName, chainId, key, record, options.deploymentsDir);
+      console.log(`Funded with ${ethers.formatUnits(amount, 18)} BTCX`);
+    }
+  }
+
+  return record;
+}
+
+module.exports = {
+  LEAF_ENCODING,
+  buildAirdrop,
+  writeAirdrop,
+  readAirdrop,
+  readClaim,
+  verifyClaim,
+  deployAirdrop,
+};
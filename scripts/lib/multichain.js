@@ -0,0 +1,362 @@
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { ethers } = require("ethers");
+const deployments = require("./deployments");
+const preflight = require("./preflight");
+const { loadState, saveState } = require("./state");
+
+/**
+ * @title Multi-chain Deployment Helpers
+ * @notice Deploy BTCX to several networks in turn with scripts/deploy.js, then compare the
+ *         deployments across chains
+ * @dev Each network is deployed by its own `node scripts/deploy.js` process, as `hardhat run`
+ *      would, with the same recipient and deploy settings. Every chain therefore goes through
+ *      the same pre-flight checks and manifest handling as a single-chain deployment. Progress
+ *      is checkpointed to a state file after each network: a re-run retries the networks that
+ *      failed and leaves the finished ones alone.
+ *      The token's EIP-712 domain separator and cached chain ID are immutables, so its runtime
+ *      code differs on every chain. The report hashes it with the immutables zeroed instead.
+ */
+
+const CONTRACT_NAME = "BTCXDigitalCurrency";
+const STATE_VERSION = 1;
+const DEPLOY_SCRIPT = path.join(__dirname, "..", "deploy.js");
+const FINISHED = ["deployed", "existing"];
+const COMPARED_FIELDS = ["address", "codeHash", "name", "symbol", "decimals", "totalSupply"];
+const TOKEN_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+];
+
+const isLocalTarget = (target) => target.chainId !== undefined && preflight.isLocalChain(target.chainId);
+
+/**
+ * @notice Look up the target networks in the Hardhat network config
+ * @return [{ name, url, chainId }]
+ */
+function resolveTargets(networks, names) {
+  if (!names || names.length === 0) {
+    throw new Error("No target networks: list them in multichain.networks in hardhat.config.js or pass --networks");
+  }
+  if (new Set(names).size !== names.length) {
+    throw new Error(`Duplicate target network in ${names.join(", ")}`);
+  }
+  return names.map((name) => {
+    const config = networks[name];
+    if (!config) {
+      throw new Error(`Unknown network ${name}; add it to networks in hardhat.config.js`);
+    }
+    if (!config.url) {
+      throw new Error(`Network ${name} has no RPC url; every target has to be a JSON-RPC network`);
+    }
+    return { name, url: config.url, chainId: config.chainId };
+  });
+}
+
+/**
+ * @notice Create a fresh state, or check that an existing one used the same recipient
+ */
+function initState(existing, recipient, targets) {
+  const state = existing || { version: STATE_VERSION, recipient: recipient || null, networks: {} };
+  if (state.recipient !== (recipient || null)) {
+    throw new Error(
+      `State file was written for recipient ${state.recipient || "(deployer)"}, not ${recipient || "(deployer)"}; ` +
+        "every chain has to use the same recipient"
+    );
+  }
+  for (const target of targets) {
+    state.networks[target.name] = state.networks[target.name] || { status: "pending" };
+  }
+  return state;
+}
+
+/**
+ * @notice The error scripts/deploy.js reported, without its stack trace
+ */
+function failureMessage(stderr, code) {
+  const match = /Deployment failed: (?:\w*Error: )?([\s\S]*?)(?:\n\s+at |$)/.exec(stderr);
+  return match && match[1].trim() ? match[1].trim().replace(/\s*\n\s*/g, " ") : `deploy script exited with code ${code}`;
+}
+
+/**
+ * @notice Run scripts/deploy.js against one network, forwarding its output
+ * @return { code, error }
+ */
+function runDeployScript(cwd, env, output) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [DEPLOY_SCRIPT], { cwd, env, stdio: ["inherit", "pipe", "pipe"] });
+    let stderr = "";
+    child.stdout.on("data", (chunk) => output.write(chunk));
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+      output.write(chunk);
+    });
+    child.on("error", (error) => resolve({ code: null, error: error.message }));
+    child.on("close", (code) => resolve({ code, error: code === 0 ? undefined : failureMessage(stderr, code) }));
+  });
+}
+
+/**
+ * @notice Zero the immutable ranges of runtime code
+ * @param ranges [{ start, length }] from the compiler's immutableReferences
+ */
+function maskImmutables(code, ranges) {
+  const bytes = ethers.getBytesCopy(code);
+  for (const { start, length } of ranges) {
+    bytes.fill(0, start, start + length);
+  }
+  return ethers.hexlify(bytes);
+}
+
+/**
+ * @notice Immutable ranges of the compiled token and the hash of its masked runtime code
+ */
+async function runtimeReference(hre) {
+  const artifact = await hre.artifacts.readArtifact(CONTRACT_NAME);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${CONTRACT_NAME}`);
+  const output = buildInfo.output.contracts[artifact.sourceName][CONTRACT_NAME];
+  const ranges = Object.values(output.evm.deployedBytecode.immutableReferences || {}).flat();
+  return { ranges, codeHash: ethers.keccak256(maskImmutables(artifact.deployedBytecode, ranges)) };
+}
+
+/**
+ * @notice Read the recorded token on one chain
+ * @return { network, chainId, status, address, codeHash, matchesArtifact, name, symbol,
+ *         decimals, totalSupply }, with status "ok", "missing" (nothing recorded), "no code"
+ *         or "unreachable"
+ */
+async function inspectDeployment(target, reference, deploymentsDir) {
+  const record = deployments.getDeployment(target.name, CONTRACT_NAME, deploymentsDir);
+  const row = { network: target.name, chainId: target.chainId, status: "missing" };
+  if (!record) {
+    return row;
+  }
+  row.address = record.address;
+
+  const provider = new ethers.JsonRpcProvider(target.url, target.chainId, {
+    staticNetwork: target.chainId !== undefined,
+  });
+  try {
+    row.chainId = Number(await provider.send("eth_chainId", []));
+    const code = await provider.getCode(record.address);
+    if (code === "0x") {
+      row.status = "no code";
+      return row;
+    }
+    const token = new ethers.Contract(record.address, TOKEN_ABI, provider);
+    row.status = "ok";
+    row.codeHash = ethers.keccak256(maskImmutables(code, reference.ranges));
+    row.matchesArtifact = row.codeHash === reference.codeHash;
+    row.name = await token.name();
+    row.symbol = await token.symbol();
+    row.decimals = Number(await token.decimals());
+    row.totalSupply = (await token.totalSupply()).toString();
+  } catch (error) {
+    row.status = "unreachable";
+    row.error = error.shortMessage || error.message;
+  } finally {
+    provider.destroy();
+  }
+  return row;
+}
+
+/**
+ * @notice Compare the recorded token across chains
+ * @return { rows, differences, problems, consistent } where differences lists every compared
+ *         field with more than one value as { field, values: { [network]: value } }
+ */
+async function compareDeployments(hre, targets, options = {}) {
+  const reference = await runtimeReference(hre);
+  const rows = [];
+  for (const target of targets) {
+    rows.push(await inspectDeployment(target, reference, options.deploymentsDir));
+  }
+
+  const problems = [];
+  for (const row of rows) {
+    if (row.status === "missing") {
+      problems.push(`${row.network}: no ${CONTRACT_NAME} deployment recorded`);
+    } else if (row.status === "no code") {
+      problems.push(`${row.network}: no code at recorded address ${row.address}`);
+    } else if (row.status === "unreachable") {
+      problems.push(`${row.network}: ${row.error}`);
+    } else if (!row.matchesArtifact) {
+      problems.push(`${row.network}: runtime code differs from the compiled ${CONTRACT_NAME}`);
+    }
+  }
+
+  const deployed = rows.filter((row) => row.status === "ok");
+  const differences = [];
+  for (const field of COMPARED_FIELDS) {
+    if (new Set(deployed.map((row) => row[field])).size > 1) {
+      differences.push({ field, values: Object.fromEntries(deployed.map((row) => [row.network, row[field]])) });
+    }
+  }
+  return { rows, differences, problems, consistent: differences.length === 0 && problems.length === 0 };
+}
+
+/**
+ * @notice Print the comparison table followed by every difference and problem
+ */
+function printReport(report) {
+  const shortHash = (hash) => `${hash.slice(0, 10)}…`;
+  const header = ["Network", "Chain", "Address", "Runtime code", "Name", "Symbol", "Decimals", "Supply"];
+  const lines = report.rows.map((row) =>
+    row.status === "ok"
+      ? [
+          row.network,
+          String(row.chainId),
+          row.address,
+          shortHash(row.codeHash),
+          row.name,
+          row.symbol,
+          String(row.decimals),
+          ethers.formatUnits(row.totalSupply, row.decimals),
+        ]
+      : [row.network, String(row.chainId ?? "-"), row.address || "-", `(${row.status})`, "-", "-", "-", "-"]
+  );
+  const widths = header.map((title, i) => Math.max(title.length, ...lines.map((line) => line[i].length)));
+  const format = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+
+  console.log("\nCross-chain consistency (runtime code hashed with immutables zeroed)");
+  console.log(format(header));
+  console.log(format(widths.map((width) => "-".repeat(width))));
+  for (const line of lines) {
+    console.log(format(line));
+  }
+
+  for (const { field, values } of report.differences) {
+    console.log(`\n⚠️  ${field} differs:`);
+    for (const [network, value] of Object.entries(values)) {
+      console.log(`  ${network}: ${value}`);
+    }
+  }
+  for (const problem of report.problems) {
+    console.log(`⚠️  ${problem}`);
+  }
+  if (report.consistent) {
+    console.log(`\n✅ ${report.rows.length} chain(s) match`);
+  }
+}
+
+/**
+ * @notice Deploy to every target network in turn, resuming from the state file, and compare
+ * @param targets From resolveTargets, in deployment order
+ * @param options.recipient Initial-supply recipient on every chain; required when any target is
+ *        not a local chain (otherwise each local chain falls back to its deployer)
+ * @param options.confirm Typed confirmation "<network,network,...> <recipient>" for the networks
+ *        that are not local chains
+ * @param options.confirmInput Stream to read the confirmation from (defaults to an interactive stdin)
+ * @param options.configFile Hardhat config the deploy scripts load (defaults to this one)
+ * @param options.deploymentsDir Manifest directory (DEPLOYMENTS_DIR)
+ * @param options.state State file (defaults to <deployments dir>/multichain.state.json)
+ * @param options.output Stream for the deploy scripts' output (defaults to stdout)
+ * @return { state, stateFile, ran, failed, report }
+ */
+async function deployMultichain(hre, targets, options = {}) {
+  const recipient = options.recipient || undefined;
+  const dir = deployments.deploymentsDir(options.deploymentsDir);
+  const stateFile = options.state || path.join(dir, "multichain.state.json");
+  const output = options.output || process.stdout;
+
+  if (process.env.SAFE_ADDRESS || process.env.DRY_RUN === "true") {
+    throw new Error("Multi-chain deployments broadcast directly; unset SAFE_ADDRESS and DRY_RUN");
+  }
+  const live = targets.filter((target) => !isLocalTarget(target));
+  if (live.length > 0 && !recipient) {
+    throw new Error(`RECIPIENT_ADDRESS is required to deploy to ${live.map((target) => target.name).join(", ")}`);
+  }
+  if (recipient && !ethers.isAddress(recipient)) {
+    throw new Error(`Invalid recipient address: ${recipient}`);
+  }
+
+  const state = initState(loadState(stateFile), recipient, targets);
+  const pending = targets.filter((target) => !FINISHED.includes(state.networks[target.name].status));
+
+  console.log("=".repeat(60));
+  console.log("BTCX Digital Currency - Multi-chain Deployment");
+  console.log("=".repeat(60));
+  console.log("Recipient:", recipient || "deployer (local chains only)");
+  console.log("State file:", stateFile);
+  for (const target of targets) {
+    console.log(`  ${target.name.padEnd(16)} chain ${String(target.chainId ?? "?").padEnd(10)} ${state.networks[target.name].status}`);
+  }
+
+  const pendingLive = pending.filter((target) => !isLocalTarget(target));
+  if (pendingLive.length > 0) {
+    await preflight.requireConfirmation(
+      pending.map((target) => target.name).join(","),
+      pendingLive[0].chainId ?? 0,
+      recipient,
+      { confirm: options.confirm, input: options.confirmInput, output }
+    );
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(stateFile)), { recursive: true });
+  saveState(stateFile, state);
+
+  for (const [i, target] of pending.entries()) {
+    console.log("\n" + "=".repeat(60));
+    console.log(`[${i + 1}/${pending.length}] ${target.name}`);
+    console.log("=".repeat(60));
+
+    const env = {
+      ...process.env,
+      HARDHAT_NETWORK: target.name,
+      HARDHAT_CONFIG: options.configFile || hre.config.paths.configFile,
+      DEPLOYMENTS_DIR: dir,
+    };
+    delete env.RECIPIENT_ADDRESS;
+    delete env.DEPLOY_CONFIRM;
+    if (recipient) {
+      env.RECIPIENT_ADDRESS = recipient;
+      env.DEPLOY_CONFIRM = preflight.confirmationPhrase(target.name, recipient);
+    }
+
+    const before = deployments.getDeployment(target.name, CONTRACT_NAME, dir);
+    const run = await runDeployScript(hre.config.paths.root, env, output);
+    const record = deployments.getDeployment(target.name, CONTRACT_NAME, dir);
+
+    let entry;
+    if (run.error) {
+      entry = { status: "failed", error: run.error };
+    } else if (!record) {
+      entry = { status: "failed", error: "the deploy script recorded no deployment" };
+    } else {
+      entry = {
+        status: before && before.transactionHash === record.transactionHash ? "existing" : "deployed",
+        chainId: target.chainId,
+        address: record.address,
+        transactionHash: record.transactionHash,
+        blockNumber: record.blockNumber,
+      };
+    }
+    state.networks[target.name] = { ...entry, updatedAt: new Date().toISOString() };
+    saveState(stateFile, state);
+    console.log(entry.status === "failed" ? `\n❌ ${target.name}: ${entry.error}` : `\n✅ ${target.name}: ${entry.status}`);
+  }
+
+  const report = await compareDeployments(hre, targets, { deploymentsDir: dir });
+  state.report = report;
+  saveState(stateFile, state);
+  printReport(report);
+
+  const failed = targets.filter((target) => state.networks[target.name].status === "failed").map((target) => target.name);
+  if (failed.length > 0) {
+    console.log(`\n❌ Failed on ${failed.join(", ")}; fix the cause and re-run the same command to resume`);
+  }
+  return { state, stateFile, ran: pending.map((target) => target.name), failed, report };
+}
+
+module.exports = {
+  CONTRACT_NAME,
+  resolveTargets,
+  maskImmutables,
+  runtimeReference,
+  compareDeployments,
+  printReport,
+  deployMultichain,
+};
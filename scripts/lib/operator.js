@@ -0,0 +1,223 @@
+const readline = require("readline");
+const { ethers } = require("ethers");
+const deployments = require("./deployments");
+const { isLocalChain } = require("./preflight");
+
+/**
+ * @title Operator Task Helpers
+ * @notice Amount parsing, confirmation and receipt decoding for the btcx:* token tasks
+ * @dev Amounts are whole tokens with an optional K, M or B suffix ("1.5M", "250000.25",
+ *      "1_000"). `_` and `,` are only accepted as thousands separators between groups of
+ *      three digits, so "1,5" is rejected rather than read as 15. Every state-changing task
+ *      prints a summary first; on live networks the operator then has to answer "y" (or pass
+ *      --yes). Local chains skip the prompt, as the deploy script does.
+ */
+
+const CONTRACT_NAME = "BTCXDigitalCurrency";
+const DECIMALS = 18;
+const SUFFIXES = { K: 3, M: 6, B: 9 };
+const AMOUNT_PATTERN = /^((?:\d{1,3}(?:[_,]\d{3})+|\d+)(?:\.\d+)?|\.\d+)([KMB])?$/i;
+
+/**
+ * @notice Parse a human-readable amount into base units
+ * @param options.allowMax Accept "max" for an unlimited (type(uint256).max) approval
+ */
+function parseAmount(text, options = {}) {
+  const input = String(text ?? "").trim();
+  if (options.allowMax && input.toLowerCase() === "max") {
+    return ethers.MaxUint256;
+  }
+  const match = AMOUNT_PATTERN.exec(input);
+  if (!match) {
+    throw new Error(
+      `Invalid amount "${text}"; use a number of tokens such as 250000.25, 1,000,000 or 1.5M ` +
+        "(separators only between groups of three digits, \".\" for decimals)"
+    );
+  }
+  const number = match[1].replace(/[_,]/g, "");
+  const suffix = match[2];
+  const decimals = DECIMALS + (suffix ? SUFFIXES[suffix.toUpperCase()] : 0);
+  try {
+    return ethers.parseUnits(number, decimals);
+  } catch {
+    throw new Error(`Invalid amount "${text}": BTCX has ${DECIMALS} decimals`);
+  }
+}
+
+/**
+ * @notice Format base units as "1,500,000.25 BTCX" ("unlimited" for type(uint256).max)
+ */
+function formatAmount(value) {
+  if (BigInt(value) === ethers.MaxUint256) {
+    return "unlimited";
+  }
+  const [whole, fraction] = ethers.formatUnits(value, DECIMALS).split(".");
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  return `${fraction === "0" ? grouped : `${grouped}.${fraction}`} BTCX`;
+}
+
+/**
+ * @notice Formatted amount followed by the exact base units, e.g. "1.5 BTCX (1500000000000000000)"
+ */
+function describeAmount(value) {
+  return BigInt(value) === ethers.MaxUint256 ? "unlimited" : `${formatAmount(value)} (${value})`;
+}
+
+/**
+ * @notice The token contract for the current network, from --token or the deployment manifest
+ */
+async function resolveToken(hre, explicit, signer) {
+  const address = deployments.resolveAddress(hre.network.name, CONTRACT_NAME, explicit);
+  if ((await hre.ethers.provider.getCode(address)) === "0x") {
+    throw new Error(`No contract at ${address} on ${hre.network.name}`);
+  }
+  return hre.ethers.getContractAt(CONTRACT_NAME, address, signer);
+}
+
+/**
+ * @notice The signer to act as: --from, or the network's first account
+ */
+async function resolveSigner(hre, from) {
+  const signers = await hre.ethers.getSigners();
+  if (signers.length === 0) {
+    throw new Error(`No accounts configured for ${hre.network.name}`);
+  }
+  if (!from) {
+    return signers[0];
+  }
+  const address = ethers.getAddress(from);
+  const signer = signers.find((s) => s.address === address);
+  if (!signer) {
+    throw new Error(`${address} is not one of the accounts configured for ${hre.network.name}`);
+  }
+  return signer;
+}
+
+/**
+ * @notice Print the summary of what is about to be sent
+ * @param rows [[label, value]]
+ */
+function printSummary(title, rows) {
+  const width = Math.max(...rows.map(([label]) => label.length));
+  console.log(`\n${title}`);
+  console.log("-".repeat(60));
+  for (const [label, value] of rows) {
+    console.log(`${label.padEnd(width)}  ${value}`);
+  }
+  console.log("-".repeat(60));
+}
+
+/**
+ * @notice Ask the operator to confirm before sending
+ * @dev Skipped on local chains and with `yes`. Without a terminal the operator has to pass --yes.
+ * @param options.yes Confirmed up front (--yes)
+ * @param options.input Readable stream to prompt on (defaults to stdin when it is a TTY)
+ */
+async function confirmAction(chainId, options = {}) {
+  if (options.yes || isLocalChain(chainId)) {
+    return;
+  }
+  const input = options.input || (process.stdin.isTTY ? process.stdin : undefined);
+  if (!input) {
+    throw new Error("Confirmation required: pass --yes to send without a prompt");
+  }
+  const rl = readline.createInterface({ input, output: options.output || process.stdout });
+  const answer = await new Promise((resolve) => rl.question("Send this transaction? [y/N] ", resolve));
+  rl.close();
+  if (!/^y(es)?$/i.test(answer.trim())) {
+    throw new Error("Not confirmed; nothing was sent");
+  }
+}
+
+function formatArg(name, value) {
+  if (typeof value === "bigint") {
+    return name === "value" ? describeAmount(value) : value.toString();
+  }
+  return String(value);
+}
+
+/**
+ * @notice Decode the logs of a receipt with the contracts' interfaces
+ * @return [{ address, name, args: [[name, value]] }], with name undefined for unknown logs
+ */
+function decodeEvents(receipt, interfaces) {
+  return receipt.logs.map((log) => {
+    for (const iface of interfaces) {
+      const parsed = iface.parseLog(log);
+      if (parsed) {
+        const args = parsed.fragment.inputs.map((input, i) => [input.name, parsed.args[i]]);
+        return { address: log.address, name: parsed.name, args };
+      }
+    }
+    return { address: log.address, name: undefined, args: [] };
+  });
+}
+
+/**
+ * @notice Print a mined transaction with its decoded events
+ */
+function printReceipt(receipt, interfaces) {
+  const fee = receipt.gasUsed * receipt.gasPrice;
+  console.log(`\n${receipt.status === 1 ? "✅" : "❌"} Transaction ${receipt.hash}`);
+  console.log("Block:", receipt.blockNumber);
+  console.log("Status:", receipt.status === 1 ? "success" : "reverted");
+  console.log("Gas used:", receipt.gasUsed.toString());
+  console.log("Fee:", ethers.formatEther(fee), "ETH");
+
+  const events = decodeEvents(receipt, interfaces);
+  console.log(`Events (${events.length}):`);
+  for (const event of events) {
+    if (!event.name) {
+      console.log(`  ${event.address}: unknown event`);
+      continue;
+    }
+    const args = event.args.map(([name, value]) => `${name}: ${formatArg(name, value)}`).join(", ");
+    console.log(`  ${event.name}(${args})`);
+  }
+  return events;
+}
+
+/**
+ * @notice Summarize, confirm, send and print one token transaction
+ * @param send Function returning the transaction promise; only called once confirmed
+ * @return { receipt, events }
+ */
+async function execute(hre, token, title, rows, send, options = {}) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  printSummary(title, [
+    ["Network", `${hre.network.name} (chain ${chainId})`],
+    ["Token", await token.getAddress()],
+    ...rows,
+  ]);
+  await confirmAction(chainId, options);
+
+  const tx = await send();
+  console.log(`\nSent ${tx.hash}, waiting for it to be mined...`);
+  let receipt;
+  try {
+    receipt = await tx.wait();
+  } catch (e) {
+    // ethers throws on a mined revert; print its receipt before failing
+    if (e.code !== "CALL_EXCEPTION" || !e.receipt) {
+      throw e;
+    }
+    printReceipt(e.receipt, [token.interface]);
+    throw new Error(`Transaction ${tx.hash} reverted in block ${e.receipt.blockNumber}`);
+  }
+  const events = printReceipt(receipt, [token.interface]);
+  return { receipt, events };
+}
+
+module.exports = {
+  CONTRACT_NAME,
+  parseAmount,
+  formatAmount,
+  describeAmount,
+  resolveToken,
+  resolveSigner,
+  printSummary,
+  confirmAction,
+  decodeEvents,
+  printReceipt,
+  execute,
+};
@@ -0,0 +1,162 @@
+const { ethers } = require("ethers");
+
+/**
+ * @title EIP-2612 Permit Helpers
+ * @notice Build, sign, verify and diagnose permits for BTCX or any ERC20Permit token
+ * @dev The token argument is an ethers v6 Contract exposing at least PERMIT_ABI. Signing works
+ *      with any signer that implements `signTypedData` (Wallet, JsonRpcSigner, Hardhat signers).
+ */
+
+const PERMIT_ABI = [
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * @notice Read the token's EIP-712 domain from `eip712Domain()` (EIP-5267)
+ */
+async function getPermitDomain(token) {
+  const [, name, version, chainId, verifyingContract] = await token.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * @notice Build the permit typed data for `owner` approving `spender`
+ * @dev owner and spender may be addresses or anything with an address (signers, contracts).
+ * @param options.nonce Use this nonce instead of the owner's current on-chain nonce
+ * @param options.domain Use this domain instead of reading it from the token
+ * @return { domain, types, message } ready for signTypedData
+ */
+async function buildPermit(token, owner, spender, value, deadline, options = {}) {
+  const ownerAddress = await ethers.resolveAddress(owner);
+  const message = {
+    owner: ownerAddress,
+    spender: await ethers.resolveAddress(spender),
+    value: BigInt(value),
+    nonce: BigInt(options.nonce ?? (await token.nonces(ownerAddress))),
+    deadline: BigInt(deadline),
+  };
+  const domain = options.domain ?? (await getPermitDomain(token));
+  return { domain, types: PERMIT_TYPES, message };
+}
+
+/**
+ * @notice Sign a permit with any ethers v6 signer
+ * @return The typed data and signature: `v`, `r`, `s` for permit(), `serialized` (65 bytes)
+ *         and `compact` (64-byte EIP-2098 form)
+ */
+async function signPermit(token, signer, spender, value, deadline, options = {}) {
+  const typedData = await buildPermit(token, signer, spender, value, deadline, options);
+  const signature = ethers.Signature.from(
+    await signer.signTypedData(typedData.domain, typedData.types, typedData.message)
+  );
+  return {
+    ...typedData,
+    signature,
+    v: signature.v,
+    r: signature.r,
+    s: signature.s,
+    serialized: signature.serialized,
+    compact: signature.compactSerialized,
+  };
+}
+
+/**
+ * @notice Recover the address that signed a permit, without touching the chain
+ * @param signature Full or compact signature, or a Signature-like object
+ */
+function recoverPermitSigner(permit, signature = permit.signature) {
+  return ethers.verifyTypedData(permit.domain, PERMIT_TYPES, permit.message, signature);
+}
+
+/**
+ * @notice Check offline that a permit was signed by its owner
+ */
+function verifyPermit(permit, signature = permit.signature) {
+  try {
+    return recoverPermitSigner(permit, signature) === ethers.getAddress(permit.message.owner);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @notice Explain why submitting a permit would fail, before anyone pays gas for it
+ * @dev Checks the deadline against the next block (a deadline equal to the latest block's
+ *      timestamp has passed by the time the permit can be mined), the nonce against the
+ *      owner's current nonce, the signed domain against the token's domain and the connected
+ *      chain, and the recovered signer against the owner.
+ * @return { ok, problems } where each problem is { reason, message } and reason is one of
+ *         "expired", "stale-nonce", "future-nonce", "wrong-chain", "wrong-domain", "invalid-signer"
+ */
+async function diagnosePermit(token, permit, signature = permit.signature) {
+  const provider = token.runner.provider ?? token.runner;
+  const { domain, message } = permit;
+  const problems = [];
+  const report = (reason, text) => problems.push({ reason, message: text });
+
+  const [block, network, tokenDomain, domainSeparator, nonce] = await Promise.all([
+    provider.getBlock("latest"),
+    provider.getNetwork(),
+    getPermitDomain(token),
+    token.DOMAIN_SEPARATOR(),
+    token.nonces(message.owner),
+  ]);
+
+  if (BigInt(message.deadline) <= BigInt(block.timestamp)) {
+    report(
+      "expired",
+      `deadline ${message.deadline} is not after the latest block (${block.number} at ${block.timestamp})`
+    );
+  }
+
+  if (BigInt(message.nonce) < nonce) {
+    report("stale-nonce", `nonce ${message.nonce} was already used; the owner's current nonce is ${nonce}`);
+  } else if (BigInt(message.nonce) > nonce) {
+    report("future-nonce", `nonce ${message.nonce} is ahead of the owner's current nonce ${nonce}`);
+  }
+
+  if (BigInt(domain.chainId) !== network.chainId) {
+    report("wrong-chain", `signed for chainId ${domain.chainId} but connected to chainId ${network.chainId}`);
+  } else if (ethers.TypedDataEncoder.hashDomain(domain) !== domainSeparator) {
+    const fields = ["name", "version", "verifyingContract"]
+      .filter((key) => String(domain[key]).toLowerCase() !== String(tokenDomain[key]).toLowerCase())
+      .map((key) => `${key} ${JSON.stringify(domain[key])} != ${JSON.stringify(tokenDomain[key])}`);
+    report("wrong-domain", `signed domain does not match the token's (${fields.join(", ") || "domain separator"})`);
+  }
+
+  let signer;
+  try {
+    signer = recoverPermitSigner(permit, signature);
+  } catch (e) {
+    report("invalid-signer", `signature is malformed: ${e.shortMessage || e.message}`);
+  }
+  if (signer && signer !== ethers.getAddress(message.owner)) {
+    report("invalid-signer", `signature recovers to ${signer}, not the owner ${message.owner}`);
+  }
+
+  return { ok: problems.length === 0, problems };
+}
+
+module.exports = {
+  PERMIT_ABI,
+  PERMIT_TYPES,
+  getPermitDomain,
+  buildPermit,
+  signPermit,
+  recoverPermitSigner,
+  verifyPermit,
+  diagnosePermit,
+};
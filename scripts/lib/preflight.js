@@ -0,0 +1,166 @@
+const readline = require("readline");
+const { ethers } = require("ethers");
+const { LOCAL_CHAIN_IDS } = require("./create2");
+const { BURN_SINKS } = require("./constants");
+
+/**
+ * @title Deployment Pre-flight Checks
+ * @notice Checks on the network and the initial-supply recipient before the token is deployed
+ * @dev The whole fixed supply is minted to the recipient in the constructor, so a wrong
+ *      recipient can never be corrected. Problems are split into errors, which stop the
+ *      deployment, and warnings, which are printed.
+ */
+
+const MAINNET_CHAIN_ID = 1n;
+
+/** Addresses below this are precompiles (0x01-0x11 as of Prague) or reserved for future ones */
+const PRECOMPILE_LIMIT = 0x100n;
+
+/** EIP-7702 delegation designator: an EOA that delegates to code, still controlled by its key */
+const DELEGATION_PREFIX = "0xef0100";
+
+function isLocalChain(chainId) {
+  return LOCAL_CHAIN_IDS.includes(BigInt(chainId));
+}
+
+/**
+ * @notice Check the initial-supply recipient
+ * @param options.chainId Chain the deployment targets
+ * @param options.allowEoa Accept an EOA recipient on mainnet (ALLOW_EOA_RECIPIENT)
+ * @param options.expectedCodehash Required runtime code hash of a contract recipient (RECIPIENT_CODEHASH)
+ * @return { errors, warnings, isContract, codehash }
+ */
+async function checkRecipient(provider, recipient, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const result = { errors, warnings, isContract: false, codehash: undefined };
+
+  if (typeof recipient !== "string" || !ethers.isAddress(recipient)) {
+    errors.push(`Recipient ${recipient} is not an address`);
+    return result;
+  }
+  if (ethers.getAddress(recipient) !== recipient) {
+    errors.push(`Recipient ${recipient} is not checksummed (expected ${ethers.getAddress(recipient)})`);
+    return result;
+  }
+  if (recipient === ethers.ZeroAddress || BURN_SINKS.includes(recipient)) {
+    errors.push(`Recipient ${recipient} is a burn address`);
+    return result;
+  }
+  if (BigInt(recipient) < PRECOMPILE_LIMIT) {
+    errors.push(`Recipient ${recipient} is a precompile or reserved precompile address`);
+    return result;
+  }
+
+  const code = await provider.getCode(recipient);
+  result.isContract = code !== "0x" && !code.startsWith(DELEGATION_PREFIX);
+  if (result.isContract) {
+    result.codehash = ethers.keccak256(code);
+  }
+
+  if (options.expectedCodehash) {
+    if (!result.isContract) {
+      errors.push(`Recipient ${recipient} has no contract code, expected code hash ${options.expectedCodehash}`);
+    } else if (result.codehash !== options.expectedCodehash.toLowerCase()) {
+      errors.push(`Recipient code hash ${result.codehash} does not match the expected ${options.expectedCodehash}`);
+    }
+  } else if (result.isContract) {
+    warnings.push(`Recipient is a contract with code hash ${result.codehash}; set RECIPIENT_CODEHASH to pin it`);
+  }
+
+  if (!result.isContract && BigInt(options.chainId ?? 0) === MAINNET_CHAIN_ID) {
+    const message = `Recipient ${recipient} is an EOA: the whole supply would depend on a single key`;
+    if (options.allowEoa) {
+      warnings.push(message);
+    } else {
+      errors.push(`${message}. Use a multisig, or set ALLOW_EOA_RECIPIENT=true to accept it`);
+    }
+  }
+  return result;
+}
+
+/**
+ * @notice Check that the provider is on the chain hardhat.config.js declares for the network
+ * @return { errors, warnings, chainId }
+ */
+async function checkChainId(provider, networkName, declaredChainId) {
+  const errors = [];
+  const warnings = [];
+  const { chainId } = await provider.getNetwork();
+
+  if (declaredChainId === undefined) {
+    warnings.push(`hardhat.config.js declares no chainId for ${networkName}; connected to chain ${chainId}`);
+  } else if (BigInt(declaredChainId) !== chainId) {
+    errors.push(`${networkName} is declared as chain ${declaredChainId}, but the provider is on chain ${chainId}`);
+  }
+  return { errors, warnings, chainId };
+}
+
+/**
+ * @notice Run every check, print the warnings and throw with all errors together
+ * @return The recipient check result and the connected chain id
+ */
+async function runPreflight(provider, options) {
+  const chain = await checkChainId(provider, options.networkName, options.declaredChainId);
+  const recipient = await checkRecipient(provider, options.recipient, { ...options, chainId: chain.chainId });
+  const errors = [...chain.errors, ...recipient.errors];
+  const warnings = [...chain.warnings, ...recipient.warnings];
+
+  for (const warning of warnings) {
+    console.log(`⚠️  ${warning}`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Pre-flight checks failed:\n  ${errors.join("\n  ")}`);
+  }
+  console.log("✅ Pre-flight checks passed");
+  return { ...recipient, chainId: chain.chainId };
+}
+
+/**
+ * @notice The text an operator has to type to confirm a deployment
+ */
+function confirmationPhrase(networkName, recipient) {
+  return `${networkName} ${recipient}`;
+}
+
+/**
+ * @notice Require the operator to type the network and recipient before broadcasting
+ * @dev Local chains need no confirmation. Non-interactive runs pass the phrase in
+ *      `confirm` (DEPLOY_CONFIRM); anything other than the exact phrase stops the deployment.
+ * @param options.confirm Pre-typed confirmation phrase
+ * @param options.input Readable stream to prompt on (defaults to stdin when it is a TTY)
+ */
+async function requireConfirmation(networkName, chainId, recipient, options = {}) {
+  if (isLocalChain(chainId)) {
+    return;
+  }
+  const phrase = confirmationPhrase(networkName, recipient);
+  let typed = options.confirm;
+
+  if (typed === undefined) {
+    const input = options.input || (process.stdin.isTTY ? process.stdin : undefined);
+    if (!input) {
+      throw new Error(`Confirmation required: set DEPLOY_CONFIRM="${phrase}" to deploy non-interactively`);
+    }
+    const rl = readline.createInterface({ input, output: options.output || process.stdout });
+    typed = await new Promise((resolve) =>
+      rl.question(`\nThe full supply will be minted to ${recipient} on ${networkName}.\nType "${phrase}" to continue: `, resolve)
+    );
+    rl.close();
+  }
+
+  if (typed.trim() !== phrase) {
+    throw new Error(`Confirmation did not match "${phrase}"; nothing was deployed`);
+  }
+}
+
+module.exports = {
+  MAINNET_CHAIN_ID,
+  PRECOMPILE_LIMIT,
+  isLocalChain,
+  checkRecipient,
+  checkChainId,
+  runPreflight,
+  confirmationPhrase,
+  requireConfirmation,
+};
@@ -0,0 +1,371 @@
+const http = require("http");
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { getPermitDomain, diagnosePermit } = require("./permit");
+const { sendJson } = require("./http");
+
+/**
+ * @title Permit Relayer
+ * @notice HTTP service that submits `permit` + `transferFrom` for holders without ETH
+ * @dev The holder signs an EIP-2612 permit for exactly `amount` with the relayer as spender,
+ *      and a TransferIntent naming the destination. The permit alone does not cover `to`, so
+ *      the intent is what keeps a request with a tampered destination or amount from being
+ *      relayed. It does not bind the relayer key: as the spender, it can still call
+ *      transferFrom to any address, so holders have to trust whoever operates the relayer.
+ *      The relayer checks both signatures, then sends permit and transferFrom from its own
+ *      key. Requests are processed one at a time so the relayer's nonces stay ordered, and
+ *      their status is kept in memory.
+ *
+ *      POST /relay         { owner, to, amount, deadline, signature, intentSignature, nonce?, chainId? }
+ *      GET  /requests/:id  Status of a relay request
+ *      GET  /health        Relayer address, token, chain and ETH balance
+ */
+
+const DEFAULT_RATE_LIMIT = { windowMs: 60_000, max: 10 };
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Signed by the holder next to the permit; nonce and deadline are the permit's
+const TRANSFER_INTENT_TYPES = {
+  TransferIntent: [
+    { name: "owner", type: "address" },
+    { name: "to", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+class RelayError extends Error {
+  constructor(statusCode, message, details = {}) {
+    super(message);
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * @notice Fixed-window counter keyed by client address and permit owner
+ * @dev Ended windows are dropped on the next hit after they end, so idle keys do not pile up
+ */
+function createRateLimiter({ windowMs, max }) {
+  const windows = new Map();
+  let pruneAt = 0;
+  const hit = function (key, now = Date.now()) {
+    if (now >= pruneAt) {
+      for (const [stale, window] of windows) {
+        if (now - window.start >= windowMs) {
+          windows.delete(stale);
+        }
+      }
+      pruneAt = now + windowMs;
+    }
+    let window = windows.get(key);
+    if (!window || now - window.start >= windowMs) {
+      window = { start: now, count: 0 };
+      windows.set(key, window);
+    }
+    window.count++;
+    return window.count <= max ? 0 : Math.ceil((window.start + windowMs - now) / 1000);
+  };
+  hit.size = () => windows.size;
+  return hit;
+}
+
+/**
+ * @notice EIP-712 domain of the transfer intents for a token: the token's chain and address
+ *         under the relayer's own name, so an intent is never a valid token signature
+ */
+async function getTransferIntentDomain(token) {
+  const { chainId, verifyingContract } = await getPermitDomain(token);
+  return { name: "BTCX Permit Relayer", version: "1", chainId, verifyingContract };
+}
+
+/**
+ * @notice Sign the intent to send `amount` of the owner's tokens to `to` through the relayer
+ * @param options.nonce Permit nonce the intent belongs to (defaults to the owner's current nonce)
+ * @return The serialized signature, for `intentSignature`
+ */
+async function signTransferIntent(token, signer, to, amount, deadline, options = {}) {
+  const owner = await signer.getAddress();
+  const message = {
+    owner,
+    to: await ethers.resolveAddress(to),
+    amount: BigInt(amount),
+    nonce: BigInt(options.nonce ?? (await token.nonces(owner))),
+    deadline: BigInt(deadline),
+  };
+  return signer.signTypedData(await getTransferIntentDomain(token), TRANSFER_INTENT_TYPES, message);
+}
+
+function parseAddress(value, field) {
+  if (typeof value !== "string" || !ethers.isAddress(value)) {
+    throw new RelayError(400, `${field} must be an address`);
+  }
+  return ethers.getAddress(value);
+}
+
+function parseUint(value, field) {
+  try {
+    const parsed = BigInt(value);
+    if (parsed < 0n) {
+      throw new Error();
+    }
+    return parsed;
+  } catch {
+    throw new RelayError(400, `${field} must be a non-negative integer`);
+  }
+}
+
+/**
+ * @notice Validate the JSON body of a relay request
+ * @dev `amount` is in base units. `signature` (the permit) and `intentSignature` (the
+ *      TransferIntent) are full or EIP-2098 compact signatures.
+ */
+function parseRelayRequest(body) {
+  if (!body || typeof body !== "object") {
+    throw new RelayError(400, "Request body must be a JSON object");
+  }
+  const request = {
+    owner: parseAddress(body.owner, "owner"),
+    to: parseAddress(body.to, "to"),
+    amount: parseUint(body.amount, "amount"),
+    deadline: parseUint(body.deadline, "deadline"),
+    nonce: body.nonce === undefined ? undefined : parseUint(body.nonce, "nonce"),
+    chainId: body.chainId === undefined ? undefined : parseUint(body.chainId, "chainId"),
+  };
+  if (request.amount === 0n) {
+    throw new RelayError(400, "amount must be positive");
+  }
+  if (request.to === ethers.ZeroAddress) {
+    throw new RelayError(400, "to must not be the zero address");
+  }
+  for (const field of ["signature", "intentSignature"]) {
+    try {
+      if (body[field] === undefined || body[field] === null) {
+        throw new Error();
+      }
+      request[field] = ethers.Signature.from(body[field]);
+    } catch {
+      throw new RelayError(400, `${field} must be a 65-byte or 64-byte (EIP-2098) signature`);
+    }
+  }
+  return request;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop reading; the handler answers 413 and then closes the connection
+        req.pause();
+        req.removeAllListeners("data");
+        reject(new RelayError(413, "Request body too large", { close: true }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "null"));
+      } catch {
+        reject(new RelayError(400, "Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * @notice Create a relayer bound to a token and a funded relayer signer
+ * @param options.token Token contract (BTCX or any ERC20Permit)
+ * @param options.signer Relayer signer that pays gas and acts as permit spender
+ * @param options.rateLimit { windowMs, max } applied per client IP and per owner
+ * @param options.confirmations Confirmations to wait for on each transaction (default 1)
+ * @return { server, listen(port, host), close(), requests }
+ */
+function createRelayer(options) {
+  const signer = options.signer;
+  const token = options.token.connect(signer);
+  const confirmations = options.confirmations ?? 1;
+  const limit = createRateLimiter({ ...DEFAULT_RATE_LIMIT, ...options.rateLimit });
+  const requests = new Map();
+  const inFlight = new Set();
+  let queue = Promise.resolve();
+
+  function update(record, changes) {
+    Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+  }
+
+  async function submit(record, request) {
+    try {
+      const { v, r, s } = request.signature;
+      const permitTx = await token.permit(request.owner, record.spender, request.amount, request.deadline, v, r, s);
+      update(record, { status: "submitted", permitTxHash: permitTx.hash });
+      await permitTx.wait(confirmations);
+
+      const transferTx = await token.transferFrom(request.owner, request.to, request.amount);
+      update(record, { transferTxHash: transferTx.hash });
+      const receipt = await transferTx.wait(confirmations);
+      update(record, { status: "confirmed", blockNumber: receipt.blockNumber });
+    } catch (e) {
+      update(record, { status: "failed", error: e.shortMessage || e.message });
+    } finally {
+      inFlight.delete(request.owner);
+    }
+  }
+
+  // Reject unless the owner signed the intent for exactly this destination and amount
+  async function checkIntent(request, nonce) {
+    const domain = await getTransferIntentDomain(token);
+    const message = { owner: request.owner, to: request.to, amount: request.amount, nonce, deadline: request.deadline };
+    let recovered;
+    try {
+      recovered = ethers.verifyTypedData(
+        { ...domain, chainId: request.chainId ?? domain.chainId },
+        TRANSFER_INTENT_TYPES,
+        message,
+        request.intentSignature
+      );
+    } catch {
+      recovered = undefined;
+    }
+    if (recovered !== request.owner) {
+      throw new RelayError(422, `Transfer intent for ${request.to} was not signed by ${request.owner}`);
+    }
+  }
+
+  async function relay(body) {
+    const request = parseRelayRequest(body);
+    if (inFlight.has(request.owner)) {
+      throw new RelayError(409, `A request for ${request.owner} is already in flight`);
+    }
+    // Claimed before any await, so a concurrent request for the same owner gets the 409
+    inFlight.add(request.owner);
+    try {
+      return await queueRequest(request);
+    } catch (e) {
+      inFlight.delete(request.owner);
+      throw e;
+    }
+  }
+
+  async function queueRequest(request) {
+    const spender = await signer.getAddress();
+    const domain = await getPermitDomain(token);
+    const nonce = request.nonce ?? (await token.nonces(request.owner));
+    const permit = {
+      domain: { ...domain, chainId: request.chainId ?? domain.chainId },
+      message: {
+        owner: request.owner,
+        spender,
+        value: request.amount,
+        nonce,
+        deadline: request.deadline,
+      },
+      signature: request.signature,
+    };
+    const { ok, problems } = await diagnosePermit(token, permit);
+    if (!ok) {
+      throw new RelayError(422, "Permit would be rejected", { problems });
+    }
+    await checkIntent(request, nonce);
+    const balance = await token.balanceOf(request.owner);
+    if (balance < request.amount) {
+      throw new RelayError(422, `Owner balance ${balance} is below amount ${request.amount}`);
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      owner: request.owner,
+      spender,
+      to: request.to,
+      amount: request.amount.toString(),
+      deadline: request.deadline.toString(),
+      createdAt: now,
+      updatedAt: now,
+    };
+    requests.set(record.id, record);
+    queue = queue.then(() => submit(record, request));
+    return record;
+  }
+
+  async function health() {
+    const address = await signer.getAddress();
+    const { chainId } = await signer.provider.getNetwork();
+    return {
+      relayer: address,
+      token: await token.getAddress(),
+      chainId,
+      balance: await signer.provider.getBalance(address),
+      queued: inFlight.size,
+    };
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      if (req.method === "POST" && url.pathname === "/relay") {
+        const body = await readJson(req);
+        const ownerKey = body && typeof body.owner === "string" ? body.owner.toLowerCase() : "";
+        const retryAfter = Math.max(limit(`ip:${req.socket.remoteAddress}`), limit(`owner:${ownerKey}`));
+        if (retryAfter > 0) {
+          throw new RelayError(429, "Rate limit exceeded", { retryAfter });
+        }
+        const record = await relay(body);
+        sendJson(res, 202, record, { Location: `/requests/${record.id}` });
+        return;
+      }
+      const match = /^\/requests\/([0-9a-f-]+)$/.exec(url.pathname);
+      if (req.method === "GET" && match) {
+        const record = requests.get(match[1]);
+        if (!record) {
+          throw new RelayError(404, `Unknown request ${match[1]}`);
+        }
+        sendJson(res, 200, record);
+        return;
+      }
+      if (req.method === "GET" && url.pathname === "/health") {
+        sendJson(res, 200, await health());
+        return;
+      }
+      throw new RelayError(404, "Not found");
+    } catch (e) {
+      const statusCode = e instanceof RelayError ? e.statusCode : 500;
+      const { close, ...details } = e.details || {};
+      const headers = details.retryAfter ? { "Retry-After": String(details.retryAfter) } : {};
+      if (close) {
+        headers.Connection = "close";
+        res.on("finish", () => req.destroy());
+      }
+      sendJson(res, statusCode, { error: e.message, ...details }, headers);
+    }
+  });
+
+  return {
+    server,
+    requests,
+    listen(port = 0, host = "127.0.0.1") {
+      return new Promise((resolve) => server.listen(port, host, () => resolve(server.address())));
+    },
+    async close() {
+      await queue;
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMIT,
+  TRANSFER_INTENT_TYPES,
+  RelayError,
+  createRateLimiter,
+  getTransferIntentDomain,
+  signTransferIntent,
+  parseRelayRequest,
+  createRelayer,
+};
@@ -0,0 +1,260 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * @title Safe Batch Helpers
+ * @notice Write token operations as Safe Transaction Builder JSON instead of broadcasting
+ *         them, and check that a transaction executed through the Safe matches the batch
+ * @dev A batch file is the Transaction Builder format (version 1.0): chain id, Safe address,
+ *      a checksum over the file and one { to, value, data } per call. Each call also gets a
+ *      one-line summary, and the summaries are written to meta.description so signers can
+ *      read what they are approving.
+ *
+ *      The Safe UI sends a one-call batch as a plain CALL and wraps larger batches in a
+ *      DELEGATECALL to MultiSendCallOnly. checkSafeExecution accepts both.
+ */
+
+const BATCH_VERSION = "1.0";
+
+const SAFE_ABI = [
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)",
+  "event ExecutionSuccess(bytes32 txHash, uint256 payment)",
+  "event ExecutionFailure(bytes32 txHash, uint256 payment)",
+];
+
+const MULTISEND_ABI = ["function multiSend(bytes transactions) payable"];
+
+/** Canonical MultiSend and MultiSendCallOnly deployments (Safe v1.3.0 and v1.4.1) */
+const MULTISEND_ADDRESSES = [
+  "0x40A2aCCbd92BCA938b02010E17A5b8929b49130D",
+  "0xA238CBeb142c10Ef7Ad8442C6D1f9E89e07e7761",
+  "0x9641d764fc13c8B624c04430C7356C1C7C8102e2",
+  "0x38869bf66a61cF6bDB996A6aE40D5853Fd43B526",
+];
+
+const safeInterface = new ethers.Interface(SAFE_ABI);
+const multisendInterface = new ethers.Interface(MULTISEND_ABI);
+
+/**
+ * @notice Serialize JSON with sorted keys, the way the Transaction Builder does for checksums
+ */
+function serializeForChecksum(value) {
+  const replacer = (_, v) => (v === undefined ? null : v);
+  if (Array.isArray(value)) {
+    return `[${value.map(serializeForChecksum).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys, replacer)}${keys.map((key) => `${serializeForChecksum(value[key])},`).join("")}}`;
+  }
+  return JSON.stringify(value, replacer);
+}
+
+/**
+ * @notice Transaction Builder checksum: keccak256 of the file without its name and checksum
+ */
+function batchChecksum(batch) {
+  const { checksum, ...meta } = batch.meta;
+  return ethers.id(serializeForChecksum({ ...batch, meta: { ...meta, name: null } }));
+}
+
+/**
+ * @notice Build a Transaction Builder batch
+ * @param options.chainId Chain the Safe lives on
+ * @param options.safe Safe address
+ * @param options.name Batch name shown in the Safe UI
+ * @param options.transactions [{ to, value, data, summary }] in execution order
+ */
+function buildSafeBatch(options) {
+  if (options.transactions.length === 0) {
+    throw new Error("Safe batch has no transactions");
+  }
+  const summaries = options.transactions.map((tx, i) => `${i + 1}. ${tx.summary}`);
+  const batch = {
+    version: BATCH_VERSION,
+    chainId: String(options.chainId),
+    createdAt: options.createdAt ?? Date.now(),
+    meta: {
+      name: options.name,
+      description: summaries.join("\n"),
+      createdFromSafeAddress: ethers.getAddress(options.safe),
+    },
+    transactions: options.transactions.map((tx) => ({
+      to: ethers.getAddress(tx.to),
+      value: (tx.value ?? 0n).toString(),
+      data: ethers.hexlify(tx.data ?? "0x"),
+    })),
+  };
+  batch.meta.checksum = batchChecksum(batch);
+  return batch;
+}
+
+/**
+ * @notice Write a batch file, creating its directory
+ */
+function writeSafeBatch(batch, file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(batch, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * @notice Read a batch file and check that it was not edited after it was generated
+ */
+function readSafeBatch(file) {
+  const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!batch.meta || !Array.isArray(batch.transactions)) {
+    throw new Error(`${file} is not a Safe Transaction Builder batch`);
+  }
+  if (batch.meta.checksum && batch.meta.checksum !== batchChecksum(batch)) {
+    throw new Error(`Checksum of ${file} does not match its contents`);
+  }
+  return batch;
+}
+
+/**
+ * @notice Print a batch for review: Safe, chain, checksum and the summary of every call
+ */
+function printSafeBatch(batch, file) {
+  console.log("\nSafe batch:", file);
+  console.log("  Safe:", batch.meta.createdFromSafeAddress);
+  console.log("  Chain ID:", batch.chainId);
+  console.log("  Checksum:", batch.meta.checksum);
+  console.log("  Transactions:", batch.transactions.length);
+  for (const line of batch.meta.description.split("\n")) {
+    console.log(`    ${line}`);
+  }
+}
+
+/**
+ * @notice Pack calls into the bytes argument of MultiSend.multiSend
+ */
+function encodeMultiSend(transactions) {
+  return multisendInterface.encodeFunctionData("multiSend", [
+    ethers.concat(
+      transactions.map((tx) =>
+        ethers.solidityPacked(
+          ["uint8", "address", "uint256", "uint256", "bytes"],
+          [tx.operation ?? 0, tx.to, tx.value ?? 0n, ethers.dataLength(tx.data), tx.data]
+        )
+      )
+    ),
+  ]);
+}
+
+/**
+ * @notice Unpack the calls from MultiSend.multiSend calldata
+ */
+function decodeMultiSend(data) {
+  const [packed] = multisendInterface.decodeFunctionData("multiSend", data);
+  const bytes = ethers.getBytes(packed);
+  const transactions = [];
+  for (let i = 0; i < bytes.length; ) {
+    const dataLength = Number(ethers.toBigInt(bytes.slice(i + 53, i + 85)));
+    transactions.push({
+      operation: bytes[i],
+      to: ethers.getAddress(ethers.hexlify(bytes.slice(i + 1, i + 21))),
+      value: ethers.toBigInt(bytes.slice(i + 21, i + 53)),
+      data: ethers.hexlify(bytes.slice(i + 85, i + 85 + dataLength)),
+    });
+    i += 85 + dataLength;
+  }
+  return transactions;
+}
+
+/**
+ * @notice Check that a transaction executed a batch through its Safe
+ * @param options.multisendAddresses Extra MultiSend deployments to trust besides the canonical ones
+ * @return { ok, problems: [{ reason, message }], calls } where calls are the decoded calls the
+ *         Safe executed. Reasons: not-found, reverted, wrong-chain, not-safe, not-exec,
+ *         untrusted-multisend, mismatch, execution-failed, no-execution-event
+ */
+async function checkSafeExecution(provider, batch, txHash, options = {}) {
+  const problems = [];
+  const problem = (reason, message) => problems.push({ reason, message });
+  const safe = ethers.getAddress(batch.meta.createdFromSafeAddress);
+
+  const tx = await provider.getTransaction(txHash);
+  const receipt = tx && (await provider.getTransactionReceipt(txHash));
+  if (!tx || !receipt) {
+    problem("not-found", `Transaction ${txHash} is not mined on this chain`);
+    return { ok: false, problems, calls: [] };
+  }
+  if (receipt.status !== 1) {
+    problem("reverted", `Transaction ${txHash} reverted`);
+  }
+  if (String(tx.chainId) !== batch.chainId) {
+    problem("wrong-chain", `Transaction is on chain ${tx.chainId}, the batch is for chain ${batch.chainId}`);
+  }
+  if (!tx.to || ethers.getAddress(tx.to) !== safe) {
+    problem("not-safe", `Transaction was sent to ${tx.to}, not to the Safe ${safe}`);
+  }
+
+  const exec = safeInterface.parseTransaction({ data: tx.data, value: tx.value });
+  if (exec?.name !== "execTransaction") {
+    problem("not-exec", "Transaction is not a Safe execTransaction call");
+    return { ok: false, problems, calls: [] };
+  }
+
+  let calls;
+  const [to, value, data, operation] = exec.args;
+  if (Number(operation) === 1) {
+    const trusted = [...MULTISEND_ADDRESSES, ...(options.multisendAddresses || [])].map((a) => ethers.getAddress(a));
+    if (!trusted.includes(ethers.getAddress(to))) {
+      problem("untrusted-multisend", `Safe delegatecalled ${to}, which is not a known MultiSend deployment`);
+    }
+    try {
+      calls = decodeMultiSend(data);
+    } catch {
+      problem("mismatch", `Safe delegatecalled ${to} with data that is not a multiSend call`);
+      calls = [];
+    }
+  } else {
+    calls = [{ operation: 0, to: ethers.getAddress(to), value, data }];
+  }
+
+  if (calls.length !== batch.transactions.length) {
+    problem("mismatch", `Safe executed ${calls.length} call(s), the batch has ${batch.transactions.length}`);
+  }
+  batch.transactions.forEach((expected, i) => {
+    const call = calls[i];
+    if (!call) {
+      return;
+    }
+    const same =
+      call.operation === 0 &&
+      call.to === ethers.getAddress(expected.to) &&
+      call.value === BigInt(expected.value) &&
+      call.data.toLowerCase() === expected.data.toLowerCase();
+    if (!same) {
+      problem("mismatch", `Call ${i + 1} does not match the batch (to ${call.to}, value ${call.value})`);
+    }
+  });
+
+  const events = receipt.logs
+    .filter((log) => ethers.getAddress(log.address) === safe)
+    .map((log) => safeInterface.parseLog(log))
+    .filter(Boolean);
+  if (events.some((event) => event.name === "ExecutionFailure")) {
+    problem("execution-failed", "The Safe emitted ExecutionFailure: the batch did not take effect");
+  } else if (!events.some((event) => event.name === "ExecutionSuccess")) {
+    problem("no-execution-event", "The Safe did not emit ExecutionSuccess");
+  }
+
+  return { ok: problems.length === 0, problems, calls };
+}
+
+module.exports = {
+  BATCH_VERSION,
+  SAFE_ABI,
+  MULTISEND_ADDRESSES,
+  batchChecksum,
+  buildSafeBatch,
+  writeSafeBatch,
+  readSafeBatch,
+  printSafeBatch,
+  encodeMultiSend,
+  decodeMultiSend,
+  checkSafeExecution,
+};
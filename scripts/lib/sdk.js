@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { compilerSettings, deploymentsDir } = require("./deployments");
+
+/**
+ * @title SDK Build Helpers
+ * @notice Build the btcx-sdk package in sdk/: TypeChain bindings for the token, compiled to
+ *         JavaScript with declarations, plus the hand-written sources in sdk/src and a
+ *         deployment registry taken from the deployments/ manifests
+ * @dev dist/ layout:
+ *        contracts/          TypeChain ethers-v6 factory and types (.js + .d.ts)
+ *        abi/BTCXDigitalCurrency.json
+ *        deployments.json    { [network]: { chainId, address, blockNumber, deployedBytecodeHash } }
+ *        build-info.json     SDK version, compiler settings and bytecode hashes
+ *        permit.js           scripts/lib/permit.js, shared with the repo's own tooling
+ *        index.js, index.d.ts, units.js, registry.js, token.js
+ *      The output has to sit inside the repo (or anywhere `ethers` resolves) for the TypeScript
+ *      compiler to find the ethers types.
+ */
+
+const SDK_DIR = path.join(__dirname, "..", "..", "sdk");
+const CONTRACT = "BTCXDigitalCurrency";
+
+// Chains whose manifests only ever describe a throwaway local node
+const LOCAL_CHAIN_IDS = [31337];
+
+/**
+ * @notice Collect the token's address on every network with a deployment manifest
+ * @param options.includeLocal Also bundle local chains (31337)
+ */
+function collectDeployments(options = {}) {
+  const dir = deploymentsDir(options.deploymentsDir);
+  const registry = {};
+  if (!fs.existsSync(dir)) {
+    return registry;
+  }
+  for (const file of fs.readdirSync(dir).filter((name) => name.endsWith(".json")).sort()) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    const record = manifest.contracts && manifest.contracts[CONTRACT];
+    if (!record || (!options.includeLocal && LOCAL_CHAIN_IDS.includes(manifest.chainId))) {
+      continue;
+    }
+    registry[manifest.network || path.basename(file, ".json")] = {
+      chainId: manifest.chainId,
+      address: record.address,
+      blockNumber: record.blockNumber,
+      deployedBytecodeHash: record.deployedBytecodeHash,
+    };
+  }
+  return registry;
+}
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(value, null, 2) + "\n");
+}
+
+function reportDiagnostics(ts, diagnostics, what) {
+  if (diagnostics.length === 0) {
+    return;
+  }
+  const host = {
+    getCanonicalFileName: (name) => name,
+    getCurrentDirectory: () => process.cwd(),
+    getNewLine: () => "\n",
+  };
+  throw new Error(`${what} failed:\n${ts.formatDiagnostics(diagnostics, host)}`);
+}
+
+/**
+ * @notice Generate the TypeChain bindings for the token and compile them into out/contracts
+ */
+async function buildContracts(hre, out) {
+  const { runTypeChain } = require("typechain");
+  const ts = require("typescript");
+
+  const staging = path.join(hre.config.paths.cache, "sdk-typechain");
+  fs.rmSync(staging, { recursive: true, force: true });
+  const artifact = path.join(hre.config.paths.artifacts, "contracts", `${CONTRACT}.sol`, `${CONTRACT}.json`);
+  await runTypeChain({
+    cwd: hre.config.paths.root,
+    filesToProcess: [artifact],
+    allFiles: [artifact],
+    outDir: staging,
+    target: "ethers-v6",
+  });
+
+  const program = ts.createProgram([path.join(staging, "index.ts")], {
+    target: ts.ScriptTarget.ES2020,
+    module: ts.ModuleKind.CommonJS,
+    moduleResolution: ts.ModuleResolutionKind.Node10,
+    declaration: true,
+    strict: true,
+    skipLibCheck: true,
+    rootDir: staging,
+    outDir: path.join(out, "contracts"),
+  });
+  const result = program.emit();
+  reportDiagnostics(ts, [...ts.getPreEmitDiagnostics(program), ...result.diagnostics], "Compiling the TypeChain bindings");
+}
+
+/**
+ * @notice Type-check the hand-written declarations against the generated bindings
+ */
+function checkDeclarations(out) {
+  const ts = require("typescript");
+  const program = ts.createProgram([path.join(out, "index.d.ts")], {
+    target: ts.ScriptTarget.ES2020,
+    module: ts.ModuleKind.CommonJS,
+    moduleResolution: ts.ModuleResolutionKind.Node10,
+    strict: true,
+    noEmit: true,
+    skipLibCheck: false,
+    types: [],
+  });
+  reportDiagnostics(ts, ts.getPreEmitDiagnostics(program), "Type-checking index.d.ts");
+}
+
+/**
+ * @notice Build the SDK into sdk/dist (or options.out)
+ * @dev Expects compiled artifacts; the task compiles first.
+ * @param options.out Output directory
+ * @param options.deploymentsDir Manifest directory (defaults to deployments/)
+ * @param options.includeLocal Bundle local-chain deployments too
+ * @return { out, version, networks }
+ */
+async function buildSdk(hre, options = {}) {
+  const out = path.resolve(options.out || path.join(SDK_DIR, "dist"));
+  const { version } = JSON.parse(fs.readFileSync(path.join(SDK_DIR, "package.json"), "utf8"));
+  fs.rmSync(out, { recursive: true, force: true });
+
+  await buildContracts(hre, out);
+
+  for (const file of fs.readdirSync(path.join(SDK_DIR, "src"))) {
+    fs.copyFileSync(path.join(SDK_DIR, "src", file), path.join(out, file));
+  }
+  fs.copyFileSync(path.join(__dirname, "permit.js"), path.join(out, "permit.js"));
+
+  const artifact = await hre.artifacts.readArtifact(CONTRACT);
+  writeJson(path.join(out, "abi", `${CONTRACT}.json`), artifact.abi);
+  const deployments = collectDeployments(options);
+  writeJson(path.join(out, "deployments.json"), deployments);
+  writeJson(path.join(out, "build-info.json"), {
+    version,
+    contract: CONTRACT,
+    compiler: compilerSettings(hre, artifact.sourceName),
+    bytecodeHash: ethers.keccak256(artifact.bytecode),
+  });
+
+  checkDeclarations(out);
+  return { out, version, networks: deployments };
+}
+
+module.exports = {
+  SDK_DIR,
+  CONTRACT,
+  LOCAL_CHAIN_IDS,
+  collectDeployments,
+  buildSdk,
+};
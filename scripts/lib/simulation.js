@@ -0,0 +1,72 @@
+const { ethers } = require("ethers");
+const { createProvider } = require("hardhat/internal/core/providers/construction");
+
+/**
+ * @title Deployment Simulation Helpers
+ * @notice Builds a throwaway in-process Hardhat network that mirrors a real deployer
+ * @dev The simulated chain copies the target chain ID, base fee, deployer nonce and
+ *      balance, plus the code of any contracts the deployment depends on (e.g. the
+ *      CREATE2 factory). Nothing sent to it ever reaches the target network.
+ *      createProvider is a Hardhat internal, which is why package.json pins hardhat exactly.
+ */
+
+/**
+ * @notice Read the state of the target network that the simulation should mirror
+ */
+async function readTargetState(provider, deployer) {
+  const [network, block, nonce, balance, feeData] = await Promise.all([
+    provider.getNetwork(),
+    provider.getBlock("latest"),
+    provider.getTransactionCount(deployer, "pending"),
+    provider.getBalance(deployer),
+    provider.getFeeData(),
+  ]);
+
+  return {
+    chainId: network.chainId,
+    baseFeePerGas: block.baseFeePerGas ?? 0n,
+    nonce,
+    balance,
+    feeData,
+  };
+}
+
+/**
+ * @notice Start an in-process Hardhat network seeded with the deployer's real state
+ * @param hre The Hardhat runtime environment (used for its config and artifacts)
+ * @param deployer Address to impersonate on the simulated chain
+ * @param target State returned by readTargetState
+ * @param contracts Map of address to runtime code to install on the simulated chain
+ * @return An ethers provider for the simulated chain and a signer for the deployer
+ */
+async function createSimulation(hre, deployer, target, contracts = {}) {
+  const config = {
+    ...hre.config,
+    networks: {
+      ...hre.config.networks,
+      hardhat: { ...hre.config.networks.hardhat, chainId: Number(target.chainId) },
+    },
+  };
+  const eip1193 = await createProvider(config, "hardhat", hre.artifacts);
+  const hex = (value) => ethers.toQuantity(value);
+
+  await eip1193.request({ method: "hardhat_impersonateAccount", params: [deployer] });
+  await eip1193.request({ method: "hardhat_setBalance", params: [deployer, hex(target.balance)] });
+  await eip1193.request({ method: "hardhat_setNonce", params: [deployer, hex(target.nonce)] });
+  await eip1193.request({
+    method: "hardhat_setNextBlockBaseFeePerGas",
+    params: [hex(target.baseFeePerGas)],
+  });
+  for (const [address, code] of Object.entries(contracts)) {
+    await eip1193.request({ method: "hardhat_setCode", params: [address, code] });
+  }
+
+  const provider = new ethers.BrowserProvider(eip1193, Number(target.chainId));
+  const signer = new ethers.JsonRpcSigner(provider, deployer);
+  return { provider, signer };
+}
+
+module.exports = {
+  readTargetState,
+  createSimulation,
+};
@@ -0,0 +1,242 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @title SMTChecker Runner Helpers
+ * @notice Run solc's model checker on a harness contract and turn its diagnostics into a
+ *         pass / fail / unknown result per property
+ * @dev Properties are named by a trailing `// property: <name>` comment on each assert. solc
+ *      reports every assert it analyses by source offset: "check is safe" (pass), "violation
+ *      happens here" with a counterexample (fail) or "might happen" (unknown: the solver
+ *      timed out or the code uses features the checker does not model). An assert solc says
+ *      nothing about is unknown too.
+ *
+ *      The checker runs in the solc-js (WebAssembly) build of the configured compiler version,
+ *      downloaded through Hardhat's compiler cache, because that build always includes Z3.
+ *      The cache is reached through Hardhat internals, which is why package.json pins hardhat
+ *      exactly.
+ *
+ *      BMC is the default engine. Every harness property is an assert about a single call
+ *      from an arbitrary state, which BMC proves. CHC is still available and is the only
+ *      engine that reasons across transactions, but on the full OpenZeppelin token it
+ *      returns unknown for every property before its timeout.
+ */
+
+// Outside contracts/, so `hardhat compile` and the SDK build never see it
+const DEFAULT_HARNESS = "verification/BTCXDigitalCurrency_SMTChecker.sol";
+const DEFAULT_CONTRACT = "BTCXDigitalCurrency_SMTChecker";
+const ENGINES = ["bmc", "chc", "all"];
+
+const PROPERTY_PATTERN = /\bassert\s*\([^;]*\);\s*\/\/\s*property:\s*([A-Za-z0-9_]+)/g;
+
+/**
+ * @notice Find every labelled assert in a harness source
+ * @return [{ property, start, line }] where start is the byte offset of `assert`
+ */
+function parseProperties(source) {
+  const properties = [];
+  for (const match of source.matchAll(PROPERTY_PATTERN)) {
+    const start = Buffer.byteLength(source.slice(0, match.index));
+    const line = source.slice(0, match.index).split("\n").length;
+    properties.push({ property: match[1], start, line });
+  }
+  return properties;
+}
+
+/**
+ * @notice Classify one model checker message
+ * @return "pass", "fail", "unknown", or undefined when the message is not about an assert
+ */
+function classifyDiagnostic(message) {
+  if (!/Assertion violation/.test(message)) {
+    return undefined;
+  }
+  if (/check is safe/.test(message)) {
+    return "pass";
+  }
+  if (/happens here/.test(message)) {
+    return "fail";
+  }
+  return "unknown";
+}
+
+/**
+ * @notice Match solc diagnostics to the harness asserts
+ * @dev With engine "all" an assert can be reported by both engines; a definite answer
+ *      (pass or fail) wins over unknown.
+ * @return [{ property, line, status, engine?, counterexample? }], one per assert
+ */
+function collectResults(properties, diagnostics, file) {
+  const byStart = new Map(properties.map((p) => [p.start, { ...p, status: "unknown" }]));
+  for (const diagnostic of diagnostics) {
+    const location = diagnostic.sourceLocation;
+    if (!location || location.file !== file || !byStart.has(location.start)) {
+      continue;
+    }
+    const status = classifyDiagnostic(diagnostic.message);
+    const result = byStart.get(location.start);
+    if (status && (result.status === "unknown" || status !== "unknown")) {
+      result.status = status;
+      result.engine = diagnostic.message.split(":")[0];
+      const [, ...details] = diagnostic.message.split("\n");
+      if (status === "fail" && details.length > 0) {
+        result.counterexample = details.join("\n").trim();
+      }
+    }
+  }
+  return [...byStart.values()].map(({ start, ...result }) => result);
+}
+
+/**
+ * @notice Combine the asserts of each property: any fail fails it, then any unknown
+ * @return [{ property, status, asserts, lines }] in source order
+ */
+function summarizeProperties(results) {
+  const summary = new Map();
+  for (const result of results) {
+    const entry = summary.get(result.property) || { property: result.property, statuses: [], lines: [] };
+    entry.statuses.push(result.status);
+    entry.lines.push(result.line);
+    summary.set(result.property, entry);
+  }
+  return [...summary.values()].map(({ property, statuses, lines }) => ({
+    property,
+    status: statuses.includes("fail") ? "fail" : statuses.includes("unknown") ? "unknown" : "pass",
+    asserts: statuses.length,
+    lines,
+  }));
+}
+
+/**
+ * @notice Standard JSON input with the model checker enabled for one contract
+ */
+function buildInput(file, source, options = {}) {
+  return {
+    language: "Solidity",
+    sources: { [file]: { content: source } },
+    settings: {
+      evmVersion: options.evmVersion,
+      modelChecker: {
+        engine: options.engine || "bmc",
+        targets: ["assert"],
+        contracts: { [file]: [options.contract || DEFAULT_CONTRACT] },
+        showProvedSafe: true,
+        showUnproved: true,
+      },
+      outputSelection: {},
+    },
+  };
+}
+
+/**
+ * @notice Import callback resolving project files first, then packages in node_modules
+ */
+function importResolver(root) {
+  return (importPath) => {
+    for (const base of [root, path.join(root, "node_modules")]) {
+      const file = path.join(base, importPath);
+      if (fs.existsSync(file)) {
+        return { contents: fs.readFileSync(file, "utf8") };
+      }
+    }
+    return { error: `File not found: ${importPath}` };
+  };
+}
+
+/**
+ * @notice Load the solc-js build of a compiler version, downloading it into Hardhat's cache
+ */
+async function loadSolcJs(version) {
+  const { CompilerDownloader, CompilerPlatform } = require("hardhat/internal/solidity/compiler/downloader");
+  const { getCompilersDir } = require("hardhat/internal/util/global-dir");
+  const downloader = CompilerDownloader.getConcurrencySafeDownloader(CompilerPlatform.WASM, await getCompilersDir());
+  if (!(await downloader.isCompilerDownloaded(version))) {
+    console.log(`Downloading solc-js ${version}...`);
+    await downloader.downloadCompiler(version, async () => {}, async () => {});
+  }
+  const compiler = await downloader.getCompiler(version);
+  if (!compiler) {
+    throw new Error(`solc-js ${version} could not be loaded`);
+  }
+  return require("solc/wrapper")(require(compiler.compilerPath));
+}
+
+/**
+ * @notice Compile a harness with the model checker and report on each property
+ * @param options.root Project root that `file` and its imports are relative to
+ * @param options.file Harness source unit, relative to root
+ * @param options.contract Contract in the harness to analyse
+ * @param options.engine "bmc" (default), "chc" or "all"
+ * @param options.version solc version to load (unless options.solc is given)
+ * @param options.solc Preloaded solc-js wrapper
+ * @return { results, properties, failed, unsupported }
+ */
+async function runModelChecker(options = {}) {
+  const root = options.root || process.cwd();
+  const file = options.file || DEFAULT_HARNESS;
+  const engine = options.engine || "bmc";
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Unknown engine ${engine}; use one of ${ENGINES.join(", ")}`);
+  }
+
+  const source = fs.readFileSync(path.join(root, file), "utf8");
+  const properties = parseProperties(source);
+  if (properties.length === 0) {
+    throw new Error(`${file} has no asserts labelled with "// property: <name>"`);
+  }
+
+  const solc = options.solc || (await loadSolcJs(options.version));
+  const input = buildInput(file, source, { ...options, engine });
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: importResolver(root) }));
+  const diagnostics = output.errors || [];
+  const errors = diagnostics.filter((d) => d.severity === "error");
+  if (errors.length > 0) {
+    throw new Error(`Compilation failed:\n${errors.map((e) => e.formattedMessage || e.message).join("\n")}`);
+  }
+
+  const results = collectResults(properties, diagnostics, file);
+  const summary = summarizeProperties(results);
+  return {
+    results,
+    properties: summary,
+    failed: summary.some((p) => p.status === "fail"),
+    unsupported: diagnostics.some((d) => d.errorCode === "5724"),
+  };
+}
+
+/**
+ * @notice Print the per-property table and any counterexamples
+ */
+function printResults({ results, properties, unsupported }) {
+  const icons = { pass: "✅ pass", fail: "❌ fail", unknown: "❔ unknown" };
+  const width = Math.max(...properties.map((p) => p.property.length), "Property".length);
+
+  console.log(`${"Property".padEnd(width)}  Asserts  Result`);
+  console.log("-".repeat(width + 20));
+  for (const { property, asserts, status } of properties) {
+    console.log(`${property.padEnd(width)}  ${String(asserts).padStart(7)}  ${icons[status]}`);
+  }
+
+  for (const result of results.filter((r) => r.status === "fail")) {
+    console.log(`\nCounterexample for ${result.property} (line ${result.line}):`);
+    console.log(result.counterexample || "(none reported)");
+  }
+  if (unsupported) {
+    console.log("\nSome code uses features the model checker does not support; results may be unknown.");
+  }
+}
+
+module.exports = {
+  DEFAULT_HARNESS,
+  DEFAULT_CONTRACT,
+  ENGINES,
+  parseProperties,
+  classifyDiagnostic,
+  collectResults,
+  summarizeProperties,
+  buildInput,
+  importResolver,
+  loadSolcJs,
+  runModelChecker,
+  printResults,
+};
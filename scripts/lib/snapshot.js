@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * @title Holder Snapshot Helpers
+ * @notice Rebuild every BTCX balance as of a block by replaying Transfer logs
+ * @dev Replaying logs works against any node; only the optional `verify` step, which compares
+ *      the result with balanceOf() and totalSupply() at the snapshot block, needs archive state.
+ *      Output is deterministic for a given token, block and exclusion list: holders are ordered
+ *      by address and no generation time is recorded, so two runs can be diffed directly.
+ */
+
+const TRANSFER_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+];
+
+const DEFAULT_CHUNK_SIZE = 2000;
+
+/**
+ * @notice Find the last block mined at or before a unix timestamp
+ */
+async function blockAtTimestamp(provider, timestamp) {
+  const latest = await provider.getBlock("latest");
+  if (timestamp >= latest.timestamp) {
+    return latest.number;
+  }
+  const genesis = await provider.getBlock(0);
+  if (timestamp < genesis.timestamp) {
+    throw new Error(`Timestamp ${timestamp} is before the first block`);
+  }
+
+  let low = 0;
+  let high = latest.number;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if ((await provider.getBlock(mid)).timestamp <= timestamp) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * @notice Build a holder snapshot
+ * @param options.token Token address
+ * @param options.blockNumber Snapshot block (inclusive)
+ * @param options.fromBlock First block to replay, usually the deployment block
+ * @param options.exclude Addresses to leave out of the holder list and total
+ * @param options.verify Check each balance and the supply against the node at the snapshot block
+ * @return { token, chainId, blockNumber, blockHash, timestamp, totalSupply, total, excluded, holders }
+ */
+async function buildSnapshot(provider, options) {
+  const token = new ethers.Contract(ethers.getAddress(options.token), TRANSFER_ABI, provider);
+  const tokenAddress = await token.getAddress();
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const block = await provider.getBlock(options.blockNumber);
+  if (!block) {
+    throw new Error(`Block ${options.blockNumber} does not exist yet`);
+  }
+  const { chainId } = await provider.getNetwork();
+
+  const balances = new Map();
+  const credit = (address, delta) => balances.set(address, (balances.get(address) ?? 0n) + delta);
+  let totalSupply = 0n;
+
+  for (let from = options.fromBlock ?? 0; from <= block.number; from += chunkSize) {
+    const to = Math.min(from + chunkSize - 1, block.number);
+    const logs = await token.queryFilter(token.filters.Transfer(), from, to);
+    for (const { args } of logs) {
+      if (args.from === ethers.ZeroAddress) {
+        totalSupply += args.value;
+      } else {
+        credit(args.from, -args.value);
+      }
+      if (args.to === ethers.ZeroAddress) {
+        totalSupply -= args.value;
+      } else {
+        credit(args.to, args.value);
+      }
+    }
+  }
+
+  const excludeSet = new Set((options.exclude ?? []).map((address) => ethers.getAddress(address)));
+  const excluded = [...excludeSet]
+    .sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))
+    .map((address) => ({ address, balance: (balances.get(address) ?? 0n).toString() }));
+
+  const holders = [...balances.entries()]
+    .filter(([address, balance]) => balance > 0n && !excludeSet.has(address))
+    .sort(([a], [b]) => a.toLowerCase().localeCompare(b.toLowerCase()))
+    .map(([address, balance]) => ({ address, balance }));
+
+  if (options.verify) {
+    const onChainSupply = await token.totalSupply({ blockTag: block.number });
+    if (onChainSupply !== totalSupply) {
+      throw new Error(`Replayed supply ${totalSupply} != totalSupply() ${onChainSupply} at block ${block.number}`);
+    }
+    for (const { address, balance } of holders) {
+      const onChain = await token.balanceOf(address, { blockTag: block.number });
+      if (onChain !== balance) {
+        throw new Error(`Replayed balance of ${address} (${balance}) != balanceOf() ${onChain} at block ${block.number}`);
+      }
+    }
+  }
+
+  return {
+    token: tokenAddress,
+    chainId: chainId.toString(),
+    blockNumber: block.number,
+    blockHash: block.hash,
+    timestamp: block.timestamp,
+    totalSupply: totalSupply.toString(),
+    total: holders.reduce((sum, h) => sum + h.balance, 0n).toString(),
+    excluded,
+    holders: holders.map(({ address, balance }) => ({ address, balance: balance.toString() })),
+  };
+}
+
+/**
+ * @notice CSV of `address,balance` rows with balances in whole tokens
+ * @dev Same format as the btcx:distribute input, so a snapshot can seed an airdrop.
+ */
+function snapshotToCsv(snapshot, decimals = 18) {
+  const rows = snapshot.holders.map((h) => `${h.address},${ethers.formatUnits(h.balance, decimals)}`);
+  return ["address,balance", ...rows].join("\n") + "\n";
+}
+
+/**
+ * @notice Write `<prefix>.json` and `<prefix>.csv`
+ * @return The two file paths
+ */
+function writeSnapshot(snapshot, prefix, decimals = 18) {
+  fs.mkdirSync(path.dirname(prefix), { recursive: true });
+  const json = `${prefix}.json`;
+  const csv = `${prefix}.csv`;
+  fs.writeFileSync(json, JSON.stringify(snapshot, null, 2) + "\n");
+  fs.writeFileSync(csv, snapshotToCsv(snapshot, decimals));
+  return { json, csv };
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  blockAtTimestamp,
+  buildSnapshot,
+  snapshotToCsv,
+  writeSnapshot,
+};
@@ -0,0 +1,29 @@
+const fs = require("fs");
+
+/**
+ * @title Progress State Files
+ * @notice JSON files that long-running tools use to resume after a failure
+ * @dev Used by the CSV distribution and the multi-chain deployment. Writes go through a
+ *      `.tmp` file and a rename, so a crash never leaves a state file half written.
+ */
+
+/**
+ * @notice Load a state file, or undefined when it does not exist yet
+ */
+function loadState(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : undefined;
+}
+
+/**
+ * @notice Write a state file atomically so a crash never leaves it half written
+ */
+function saveState(file, state) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  loadState,
+  saveState,
+};
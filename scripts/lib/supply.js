@@ -0,0 +1,191 @@
+const fs = require("fs");
+const http = require("http");
+const { ethers } = require("ethers");
+const deployments = require("./deployments");
+const { sendJson, sendText } = require("./http");
+
+/**
+ * @title Supply Helpers
+ * @notice Total, circulating and burned BTCX supply, and a read-only HTTP service for them
+ * @dev circulating = totalSupply() - sum of locked balances, and burned = initial supply -
+ *      totalSupply(), since the token has no mint function after deployment. Every figure in
+ *      one response is read at the same block.
+ *
+ *      GET /supply                 All figures and the locked addresses as JSON
+ *      GET /supply/total           Plain text, whole tokens (also /circulating, /burned)
+ *      GET /supply/total?format=json
+ *      GET /health
+ *
+ *      Plain-text responses carry the block in X-Block-Number and X-Block-Hash headers.
+ */
+
+const INITIAL_SUPPLY = ethers.parseUnits("1200000000", 18);
+
+const SUPPLY_ABI = [
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+];
+
+const FIGURES = {
+  total: "totalSupply",
+  circulating: "circulatingSupply",
+  burned: "burnedSupply",
+};
+
+/**
+ * @notice Read the locked address list
+ * @dev JSON file of `{ "locked": [{ "label": "treasury", "address": "0x..." }] }` or a plain array
+ *      of those entries. With `includeVesting`, every BTCXVestingWallet recorded in the network
+ *      manifest is added as well.
+ * @return [{ label, address }] with checksummed, de-duplicated addresses
+ */
+function loadLockedAddresses(options = {}) {
+  const entries = [];
+  if (options.file) {
+    const json = JSON.parse(fs.readFileSync(options.file, "utf8"));
+    entries.push(...(Array.isArray(json) ? json : json.locked || []));
+  }
+  if (options.includeVesting) {
+    const manifest = deployments.readManifest(options.network, options.deploymentsDir);
+    for (const [key, record] of Object.entries(manifest?.contracts || {})) {
+      if (key.startsWith("BTCXVestingWallet:")) {
+        entries.push({ label: key, address: record.address });
+      }
+    }
+  }
+
+  const seen = new Set();
+  const locked = [];
+  for (const entry of entries) {
+    if (!ethers.isAddress(entry.address)) {
+      throw new Error(`Invalid locked address ${entry.address} (${entry.label || "no label"})`);
+    }
+    const address = ethers.getAddress(entry.address);
+    if (!seen.has(address)) {
+      seen.add(address);
+      locked.push({ label: entry.label || address, address });
+    }
+  }
+  return locked;
+}
+
+/**
+ * @notice Read every supply figure at one block
+ * @param blockTag Block to read at (default: latest)
+ * @return Figures in base units with the block they were read at
+ */
+async function readSupply(token, locked, blockTag = "latest") {
+  const block = await token.runner.provider.getBlock(blockTag);
+  const at = { blockTag: block.number };
+  const totalSupply = await token.totalSupply(at);
+  const balances = await Promise.all(locked.map(({ address }) => token.balanceOf(address, at)));
+  const lockedSupply = balances.reduce((sum, balance) => sum + balance, 0n);
+
+  return {
+    blockNumber: block.number,
+    blockHash: block.hash,
+    timestamp: block.timestamp,
+    totalSupply,
+    circulatingSupply: totalSupply - lockedSupply,
+    burnedSupply: INITIAL_SUPPLY - totalSupply,
+    lockedSupply,
+    locked: locked.map((entry, i) => ({ ...entry, balance: balances[i] })),
+  };
+}
+
+/**
+ * @notice Render figures in whole tokens for API consumers
+ */
+function formatSupply(supply, decimals = 18) {
+  const fmt = (value) => ethers.formatUnits(value, decimals);
+  return {
+    blockNumber: supply.blockNumber,
+    blockHash: supply.blockHash,
+    timestamp: supply.timestamp,
+    decimals,
+    totalSupply: fmt(supply.totalSupply),
+    circulatingSupply: fmt(supply.circulatingSupply),
+    burnedSupply: fmt(supply.burnedSupply),
+    lockedSupply: fmt(supply.lockedSupply),
+    locked: supply.locked.map((entry) => ({ ...entry, balance: fmt(entry.balance) })),
+  };
+}
+
+/**
+ * @notice Create the read-only supply service
+ * @param options.token Token contract connected to a provider
+ * @param options.locked Locked addresses from loadLockedAddresses
+ * @param options.cacheMs Reuse figures for this long (default 5000; 0 disables)
+ * @return { server, listen(port, host), close() }
+ */
+function createSupplyServer(options) {
+  const { token, locked } = options;
+  const cacheMs = options.cacheMs ?? 5000;
+  let cached;
+
+  async function current() {
+    if (cached && Date.now() - cached.at < cacheMs) {
+      return cached.supply;
+    }
+    const supply = formatSupply(await readSupply(token, locked));
+    cached = { at: Date.now(), supply };
+    return supply;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      if (req.method !== "GET") {
+        sendJson(res, 405, { error: "Method not allowed" }, { Allow: "GET" });
+        return;
+      }
+      if (url.pathname === "/health") {
+        sendJson(res, 200, { token: await token.getAddress(), locked: locked.length });
+        return;
+      }
+      if (url.pathname === "/supply") {
+        sendJson(res, 200, await current());
+        return;
+      }
+
+      const match = /^\/supply\/(total|circulating|burned)$/.exec(url.pathname);
+      if (!match) {
+        sendJson(res, 404, { error: "Not found" });
+        return;
+      }
+      const supply = await current();
+      const figure = FIGURES[match[1]];
+      const accept = req.headers.accept || "";
+      if (url.searchParams.get("format") === "json" || accept.includes("application/json")) {
+        sendJson(res, 200, { [figure]: supply[figure], blockNumber: supply.blockNumber, blockHash: supply.blockHash });
+      } else {
+        sendText(res, 200, supply[figure], {
+          "X-Block-Number": String(supply.blockNumber),
+          "X-Block-Hash": supply.blockHash,
+        });
+      }
+    } catch (e) {
+      sendJson(res, 502, { error: e.shortMessage || e.message });
+    }
+  });
+
+  return {
+    server,
+    listen(port = 0, host = "127.0.0.1") {
+      return new Promise((resolve) => server.listen(port, host, () => resolve(server.address())));
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  INITIAL_SUPPLY,
+  SUPPLY_ABI,
+  loadLockedAddresses,
+  readSupply,
+  formatSupply,
+  createSupplyServer,
+};
@@ -0,0 +1,100 @@
+/**
+ * @title Source Verification Helpers
+ * @notice Runs the hardhat-verify plugin after a deployment, retrying while the
+ *         block explorer has not indexed the new bytecode yet
+ * @dev Errors are matched on the plugin's messages rather than its internal error
+ *      classes, which are not part of its public API.
+ */
+
+const DEFAULT_CONFIRMATIONS = 5;
+const DEFAULT_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY_MS = 10000;
+const DEFAULT_POLL_INTERVAL_MS = 4000;
+
+/**
+ * @notice The explorer has not indexed the contract bytecode yet; worth retrying
+ */
+function isMissingBytecodeError(error) {
+  return /does not have bytecode/i.test(error.message);
+}
+
+/**
+ * @notice The explorer already holds verified source for the contract
+ */
+function isAlreadyVerifiedError(error) {
+  return /already (been )?verified/i.test(error.message);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @notice Poll until a transaction has the given number of confirmations
+ */
+async function waitForConfirmations(provider, transactionHash, confirmations, pollIntervalMs) {
+  for (;;) {
+    const receipt = await provider.getTransactionReceipt(transactionHash);
+    if (receipt && (await provider.getBlockNumber()) - receipt.blockNumber + 1 >= confirmations) {
+      return receipt;
+    }
+    await sleep(pollIntervalMs);
+  }
+}
+
+/**
+ * @notice Verify a deployed contract, waiting for confirmations and backing off between retries
+ * @param options.address Deployed contract address
+ * @param options.constructorArguments Constructor arguments used for the deployment
+ * @param options.transactionHash Deployment transaction to wait on
+ * @param options.confirmations Confirmations to wait for before the first attempt
+ * @param options.attempts Maximum number of verification attempts
+ * @param options.retryDelayMs Delay before the first retry; doubled after each retry
+ * @param options.pollIntervalMs Interval between confirmation checks
+ * @return { status: "verified" | "already-verified" | "failed", attempts, error? }
+ */
+async function verifyContract(hre, options) {
+  const confirmations = options.confirmations ?? DEFAULT_CONFIRMATIONS;
+  const attempts = Math.max(1, options.attempts ?? DEFAULT_ATTEMPTS);
+  let delay = options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+
+  if (confirmations > 0 && options.transactionHash) {
+    console.log(`Waiting for ${confirmations} confirmation(s) before verification...`);
+    await waitForConfirmations(
+      hre.ethers.provider,
+      options.transactionHash,
+      confirmations,
+      options.pollIntervalMs ?? DEFAULT_POLL_INTERVAL_MS
+    );
+  }
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      await hre.run("verify:verify", {
+        address: options.address,
+        constructorArguments: options.constructorArguments,
+      });
+      return { status: "verified", attempts: attempt };
+    } catch (error) {
+      if (isAlreadyVerifiedError(error)) {
+        return { status: "already-verified", attempts: attempt };
+      }
+      if (!isMissingBytecodeError(error) || attempt === attempts) {
+        return { status: "failed", attempts: attempt, error: error.message };
+      }
+      console.log(`Explorer has not indexed ${options.address} yet; retrying in ${delay / 1000}s...`);
+      await sleep(delay);
+      delay *= 2;
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIRMATIONS,
+  DEFAULT_ATTEMPTS,
+  DEFAULT_RETRY_DELAY_MS,
+  isMissingBytecodeError,
+  isAlreadyVerifiedError,
+  waitForConfirmations,
+  verifyContract,
+};
@@ -0,0 +1,387 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const deployments = require("./deployments");
+
+/**
+ * @title Vesting Plan Helpers
+ * @notice Parses allocation plans, deploys one BTCXVestingWallet per allocation and
+ *         reports release calendars and releasable amounts
+ * @dev Each wallet is recorded in the network manifest as `BTCXVestingWallet:<name>` with its
+ *      schedule and funding transaction, so re-running a plan only does the missing work.
+ */
+
+const WALLET_PREFIX = "BTCXVestingWallet:";
+
+const DURATION_UNITS = {
+  s: 1,
+  h: 3600,
+  d: 86400,
+  w: 7 * 86400,
+  y: 365 * 86400,
+};
+
+/**
+ * @notice Parse a duration: seconds as a number, or a string such as "90d", "4y" or "3600s"
+ */
+function parseDuration(value) {
+  if (typeof value === "number" && Number.isInteger(value) && value >= 0) {
+    return value;
+  }
+  const match = /^(\d+)\s*([shdwy]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`invalid duration ${value}`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+}
+
+/**
+ * @notice Parse a start time: unix seconds, or an ISO 8601 date such as "2026-01-01T00:00:00Z"
+ */
+function parseTimestamp(value) {
+  if (typeof value === "number" || /^\d+$/.test(String(value))) {
+    return Number(value);
+  }
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`invalid start ${value}`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * @notice Parse and validate a vesting plan
+ * @dev The plan is JSON, either an array of allocations or `{ "allocations": [...] }`. Each
+ *      allocation has `beneficiary`, `amount` (whole tokens), `start`, `cliff`, `duration`
+ *      and an optional unique `name` (defaults to the beneficiary address).
+ * @return Allocations with amounts in base units and times in seconds
+ */
+function parsePlan(json, decimals = 18) {
+  const plan = typeof json === "string" ? JSON.parse(json) : json;
+  const items = Array.isArray(plan) ? plan : plan.allocations;
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error("Vesting plan has no allocations");
+  }
+
+  const errors = [];
+  const names = new Set();
+  const allocations = [];
+
+  items.forEach((item, i) => {
+    const where = `allocation ${i + 1}`;
+    try {
+      if (!ethers.isAddress(item.beneficiary) || ethers.getAddress(item.beneficiary) !== item.beneficiary) {
+        throw new Error(`beneficiary ${item.beneficiary} is not a checksummed address`);
+      }
+      if (item.beneficiary === ethers.ZeroAddress) {
+        throw new Error("beneficiary is the zero address");
+      }
+
+      const name = item.name || item.beneficiary;
+      if (names.has(name)) {
+        throw new Error(`duplicate name ${name}`);
+      }
+      names.add(name);
+
+      const amount = ethers.parseUnits(String(item.amount), decimals);
+      if (amount <= 0n) {
+        throw new Error("amount must be positive");
+      }
+      const start = parseTimestamp(item.start);
+      const cliff = parseDuration(item.cliff ?? 0);
+      const duration = parseDuration(item.duration);
+      if (duration === 0) {
+        throw new Error("duration must be positive");
+      }
+      if (cliff > duration) {
+        throw new Error(`cliff (${cliff}s) is longer than duration (${duration}s)`);
+      }
+
+      allocations.push({ name, beneficiary: item.beneficiary, amount, start, cliff, duration });
+    } catch (e) {
+      errors.push(`${where}: ${e.message}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid vesting plan:\n  ${errors.join("\n  ")}`);
+  }
+  return allocations;
+}
+
+/**
+ * @notice Amount vested at a timestamp, mirroring VestingWalletCliff's schedule
+ */
+function vestedAt(schedule, timestamp) {
+  if (timestamp < schedule.start + schedule.cliff) {
+    return 0n;
+  }
+  if (timestamp >= schedule.start + schedule.duration) {
+    return schedule.amount;
+  }
+  return (schedule.amount * BigInt(timestamp - schedule.start)) / BigInt(schedule.duration);
+}
+
+/**
+ * @notice Aggregate release calendar across schedules
+ * @dev Points are monthly from the earliest start, plus every cliff and end date.
+ * @return Rows of { timestamp, vested, unlocked } where unlocked is the increase since the previous row
+ */
+function releaseCalendar(schedules) {
+  const points = new Set();
+  const firstStart = Math.min(...schedules.map((s) => s.start));
+  const lastEnd = Math.max(...schedules.map((s) => s.start + s.duration));
+
+  for (const s of schedules) {
+    points.add(s.start + s.cliff);
+    points.add(s.start + s.duration);
+  }
+  const date = new Date(firstStart * 1000);
+  for (let month = 1; ; month++) {
+    const next = new Date(date);
+    next.setUTCMonth(date.getUTCMonth() + month);
+    const timestamp = Math.floor(next.getTime() / 1000);
+    if (timestamp >= lastEnd) {
+      break;
+    }
+    points.add(timestamp);
+  }
+
+  let previous = 0n;
+  return [...points]
+    .sort((a, b) => a - b)
+    .map((timestamp) => {
+      const vested = schedules.reduce((sum, s) => sum + vestedAt(s, timestamp), 0n);
+      const row = { timestamp, vested, unlocked: vested - previous };
+      previous = vested;
+      return row;
+    })
+    .filter((row) => row.unlocked > 0n);
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().replace(".000Z", "Z");
+}
+
+/**
+ * @notice Deploy and fund one BTCXVestingWallet per allocation in a plan file
+ * @param options.plan Path of the plan JSON
+ * @param options.token BTCX address (defaults to the deployment manifest)
+ * @param options.deploymentsDir Manifest directory override
+ * @return The vesting wallet records, keyed by allocation name
+ */
+async function deployVestingPlan(hre, options) {
+  const [signer] = await hre.ethers.getSigners();
+  const networkName = hre.network.name;
+  const { chainId } = await signer.provider.getNetwork();
+
+  const tokenAddress = deployments.resolveAddress(
+    networkName,
+    "BTCXDigitalCurrency",
+    options.token,
+    options.deploymentsDir
+  );
+  const tokenArtifact = await hre.artifacts.readArtifact("BTCXDigitalCurrency");
+  const walletArtifact = await hre.artifacts.readArtifact("BTCXVestingWallet");
+  const token = new ethers.Contract(tokenAddress, tokenArtifact.abi, signer);
+  const decimals = await token.decimals();
+  const symbol = await token.symbol();
+
+  const allocations = parsePlan(fs.readFileSync(options.plan, "utf8"), decimals);
+
+  // What a wallet still needs. A wallet recorded without fundingTxHash may still have been
+  // paid (crash between send and manifest write), so what it holds or has released counts.
+  const shortfall = async (allocation, record) => {
+    if (!record) {
+      return allocation.amount;
+    }
+    if (record.vesting.fundingTxHash) {
+      return 0n;
+    }
+    const wallet = new ethers.Contract(record.address, walletArtifact.abi, signer);
+    const held = (await token.balanceOf(record.address)) + (await wallet["released(address)"](tokenAddress));
+    return held >= allocation.amount ? 0n : allocation.amount - held;
+  };
+
+  // Check recorded wallets still match the plan before spending anything
+  const existing = {};
+  let toFund = 0n;
+  for (const allocation of allocations) {
+    const record = deployments.getDeployment(networkName, WALLET_PREFIX + allocation.name, options.deploymentsDir);
+    const status = await deployments.deploymentStatus(signer.provider, record);
+    if (status === "mismatch") {
+      throw new Error(`Code at recorded vesting wallet ${record.address} does not match the manifest`);
+    }
+    if (status === "live") {
+      const recorded = record.vesting;
+      for (const key of ["beneficiary", "start", "cliff", "duration"]) {
+        if (recorded[key] !== allocation[key]) {
+          throw new Error(`Vesting wallet ${allocation.name} was deployed with a different ${key}`);
+        }
+      }
+      if (recorded.amount !== allocation.amount.toString()) {
+        throw new Error(`Vesting wallet ${allocation.name} was deployed with a different amount`);
+      }
+      existing[allocation.name] = record;
+    }
+    toFund += await shortfall(allocation, existing[allocation.name]);
+  }
+
+  const balance = await token.balanceOf(signer.address);
+  if (balance < toFund) {
+    throw new Error(
+      `Insufficient ${symbol} balance: need ${ethers.formatUnits(toFund, decimals)}, ` +
+        `have ${ethers.formatUnits(balance, decimals)}`
+    );
+  }
+
+  const records = {};
+  const factory = new ethers.ContractFactory(walletArtifact.abi, walletArtifact.bytecode, signer);
+  for (const allocation of allocations) {
+    const key = WALLET_PREFIX + allocation.name;
+    let record = existing[allocation.name];
+
+    if (!record) {
+      const wallet = await factory.deploy(
+        allocation.beneficiary,
+        allocation.start,
+        allocation.duration,
+        allocation.cliff
+      );
+      await wallet.waitForDeployment();
+      const deployment = {
+        address: await wallet.getAddress(),
+        transactionHash: wallet.deploymentTransaction().hash,
+      };
+      record = await deployments.buildRecord(
+        hre,
+        "BTCXVestingWallet",
+        deployment,
+        [allocation.beneficiary, allocation.start, allocation.duration, allocation.cliff],
+        {
+          vesting: {
+            name: allocation.name,
+            beneficiary: allocation.beneficiary,
+            token: tokenAddress,
+            amount: allocation.amount.toString(),
+            start: allocation.start,
+            cliff: allocation.cliff,
+            duration: allocation.duration,
+          },
+        }
+      );
+      deployments.saveDeployment(networkName, chainId, key, record, options.deploymentsDir);
+      console.log(`Deployed vesting wallet ${allocation.name} at ${record.address}`);
+    }
+
+    if (!record.vesting.fundingTxHash) {
+      const amount = await shortfall(allocation, record);
+      if (amount === 0n) {
+        console.log(`Vesting wallet ${allocation.name} already holds its allocation, not funding again`);
+      } else {
+        const tx = await token.transfer(record.address, amount);
+        await tx.wait();
+        record.vesting.fundingTxHash = tx.hash;
+        deployments.saveDeployment(networkName, chainId, key, record, options.deploymentsDir);
+        console.log(`Funded ${allocation.name} with ${ethers.formatUnits(amount, decimals)} ${symbol}`);
+      }
+    }
+
+    records[allocation.name] = record;
+  }
+
+  return records;
+}
+
+/**
+ * @notice Read every recorded vesting wallet on the network and its on-chain state
+ * @return Per-wallet schedules with released and releasable amounts, plus totals
+ */
+async function vestingStatus(hre, options = {}) {
+  const provider = hre.ethers.provider;
+  const manifest = deployments.readManifest(hre.network.name, options.deploymentsDir);
+  const walletArtifact = await hre.artifacts.readArtifact("BTCXVestingWallet");
+  const records = Object.entries(manifest?.contracts || {}).filter(([key]) => key.startsWith(WALLET_PREFIX));
+
+  const wallets = [];
+  for (const [, record] of records) {
+    const wallet = new ethers.Contract(record.address, walletArtifact.abi, provider);
+    const token = options.token ? ethers.getAddress(options.token) : record.vesting.token;
+    const [start, cliff, end, released, releasable, owner] = await Promise.all([
+      wallet.start(),
+      wallet.cliff(),
+      wallet.end(),
+      wallet["released(address)"](token),
+      wallet["releasable(address)"](token),
+      wallet.owner(),
+    ]);
+
+    wallets.push({
+      name: record.vesting.name,
+      address: record.address,
+      beneficiary: owner,
+      amount: BigInt(record.vesting.amount),
+      start: Number(start),
+      cliff: Number(cliff - start),
+      duration: Number(end - start),
+      released,
+      releasable,
+    });
+  }
+
+  return {
+    wallets,
+    totals: {
+      amount: wallets.reduce((sum, w) => sum + w.amount, 0n),
+      released: wallets.reduce((sum, w) => sum + w.released, 0n),
+      releasable: wallets.reduce((sum, w) => sum + w.releasable, 0n),
+    },
+  };
+}
+
+/**
+ * @notice Print the per-wallet summary and the aggregate release calendar
+ */
+function printVestingReport({ wallets, totals }, decimals = 18, symbol = "BTCX") {
+  const fmt = (value) => ethers.formatUnits(value, decimals);
+
+  console.log("\n" + "-".repeat(60));
+  console.log("Vesting Wallets");
+  console.log("-".repeat(60));
+  for (const w of wallets) {
+    console.log(`\n  ${w.name}`);
+    console.log("    Wallet:", w.address);
+    console.log("    Beneficiary:", w.beneficiary);
+    console.log("    Allocation:", fmt(w.amount), symbol);
+    console.log("    Start:", formatDate(w.start));
+    console.log("    Cliff:", formatDate(w.start + w.cliff));
+    console.log("    End:", formatDate(w.start + w.duration));
+    console.log("    Released:", fmt(w.released), symbol);
+    console.log("    Releasable:", fmt(w.releasable), symbol);
+  }
+
+  console.log("\n  Total allocated:", fmt(totals.amount), symbol);
+  console.log("  Total released:", fmt(totals.released), symbol);
+  console.log("  Total releasable now:", fmt(totals.releasable), symbol);
+
+  if (wallets.length === 0) {
+    return;
+  }
+  console.log("\n" + "-".repeat(60));
+  console.log("Release Calendar");
+  console.log("-".repeat(60));
+  for (const row of releaseCalendar(wallets)) {
+    console.log(`  ${formatDate(row.timestamp)}  +${fmt(row.unlocked)}  (vested ${fmt(row.vested)} ${symbol})`);
+  }
+}
+
+module.exports = {
+  WALLET_PREFIX,
+  parseDuration,
+  parseTimestamp,
+  parsePlan,
+  vestedAt,
+  releaseCalendar,
+  deployVestingPlan,
+  vestingStatus,
+  printVestingReport,
+};
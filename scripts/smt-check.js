@@ -0,0 +1,62 @@
+const hre = require("hardhat");
+const smtchecker = require("./lib/smtchecker");
+
+/**
+ * @notice Run solc's model checker on the SMTChecker harness and print a result per property
+ * @dev `npm run smt-check [-- --engine chc] [--file <harness>] [--contract <name>]`
+ *      Exits with 1 when the checker finds a counterexample. Unknown results (solver gave up,
+ *      or unsupported code) are reported but do not fail the run.
+ * @param options.engine "bmc" (default), "chc" or "all"
+ */
+async function main(options = {}) {
+  const version = options.version || hre.config.solidity.compilers[0].version;
+  const engine = options.engine || "bmc";
+  const file = options.file || smtchecker.DEFAULT_HARNESS;
+
+  console.log("=".repeat(60));
+  console.log("BTCX SMTChecker");
+  console.log("=".repeat(60));
+  console.log("Harness:", file);
+  console.log("Engine:", engine);
+  console.log("Compiler:", `solc-js ${version}`);
+  console.log("\nRunning the model checker (this takes a few minutes)...\n");
+
+  const result = await smtchecker.runModelChecker({
+    root: hre.config.paths.root,
+    file,
+    contract: options.contract,
+    engine,
+    version,
+    evmVersion: hre.config.solidity.compilers[0].settings.evmVersion,
+    solc: options.solc,
+  });
+  smtchecker.printResults(result);
+  return result;
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, "");
+    if (!["engine", "file", "contract", "version"].includes(name) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option ${argv[i]}`);
+    }
+    options[name] = argv[i + 1];
+  }
+  return options;
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => main(parseArgs(process.argv.slice(2))))
+    .then((result) => {
+      console.log(result.failed ? "\nCounterexample found." : "\nNo counterexamples found.");
+      process.exit(result.failed ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error("SMTChecker run failed:", error);
+      process.exit(2);
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,94 @@
+import type {
+  AddressLike,
+  BigNumberish,
+  ContractRunner,
+  Signature,
+  Signer,
+  TransactionReceipt,
+  TypedDataDomain,
+  TypedDataField,
+} from "ethers";
+import type { BTCXDigitalCurrency } from "./contracts";
+import { BTCXDigitalCurrency__factory } from "./contracts";
+
+export type { BTCXDigitalCurrency };
+export { BTCXDigitalCurrency__factory };
+
+export declare const VERSION: string;
+export declare const buildInfo: {
+  version: string;
+  contract: string;
+  compiler: { version: string; optimizer: { enabled: boolean; runs: number }; evmVersion: string; viaIR: boolean };
+  bytecodeHash: string;
+};
+export declare const abi: typeof BTCXDigitalCurrency__factory.abi;
+
+/** A bigint is in base units; a string or number is a whole-token amount such as "1.5". */
+export type Amount = bigint | string | number;
+
+export declare const DECIMALS: 18;
+export declare function parseBTCX(value: string | number): bigint;
+export declare function formatBTCX(value: BigNumberish): string;
+export declare function toUnits(amount: Amount): bigint;
+
+export interface Deployment {
+  chainId: number;
+  address: string;
+  blockNumber?: number;
+  deployedBytecodeHash?: string;
+}
+export declare const deployments: Record<string, Deployment>;
+export declare function getDeployment(network: string | number | bigint): Deployment | undefined;
+export declare function getAddress(network: string | number | bigint): string;
+export declare function registerDeployment(network: string, chainId: number | bigint, address: string): Deployment;
+export declare function connect(
+  runner: ContractRunner,
+  options?: { address?: string; network?: string | number | bigint }
+): Promise<BTCXDigitalCurrency>;
+
+export declare function balanceOf(token: BTCXDigitalCurrency, account: AddressLike): Promise<bigint>;
+export declare function transfer(token: BTCXDigitalCurrency, to: AddressLike, amount: Amount): Promise<TransactionReceipt>;
+export declare function approve(token: BTCXDigitalCurrency, spender: AddressLike, amount: Amount): Promise<TransactionReceipt>;
+export declare function burn(token: BTCXDigitalCurrency, amount: Amount): Promise<TransactionReceipt>;
+
+export interface PermitTypedData {
+  domain: TypedDataDomain;
+  types: Record<string, TypedDataField[]>;
+  message: { owner: string; spender: string; value: bigint; nonce: bigint; deadline: bigint };
+}
+export interface SignedPermit extends PermitTypedData {
+  signature: Signature;
+  v: number;
+  r: string;
+  s: string;
+  serialized: string;
+  compact: string;
+}
+export interface PermitOptions {
+  nonce?: BigNumberish;
+  domain?: TypedDataDomain;
+}
+export declare function permit(
+  token: BTCXDigitalCurrency,
+  owner: Signer,
+  spender: AddressLike,
+  amount: Amount,
+  options?: { deadline?: BigNumberish }
+): Promise<{ permit: SignedPermit; receipt: TransactionReceipt }>;
+export declare function buildPermit(
+  token: BTCXDigitalCurrency,
+  owner: AddressLike,
+  spender: AddressLike,
+  value: BigNumberish,
+  deadline: BigNumberish,
+  options?: PermitOptions
+): Promise<PermitTypedData>;
+export declare function signPermit(
+  token: BTCXDigitalCurrency,
+  signer: Signer,
+  spender: AddressLike,
+  value: BigNumberish,
+  deadline: BigNumberish,
+  options?: PermitOptions
+): Promise<SignedPermit>;
+export declare function verifyPermit(permit: PermitTypedData, signature?: Signature | string): boolean;
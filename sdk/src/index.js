@@ -0,0 +1,23 @@
+const { BTCXDigitalCurrency__factory } = require("./contracts");
+const units = require("./units");
+const registry = require("./registry");
+const token = require("./token");
+const { buildPermit, signPermit, verifyPermit } = require("./permit");
+const buildInfo = require("./build-info.json");
+
+/**
+ * @title BTCX SDK
+ * @notice Entry point of the btcx-sdk package, built by `npm run sdk:build`
+ */
+module.exports = {
+  VERSION: buildInfo.version,
+  buildInfo,
+  BTCXDigitalCurrency__factory,
+  abi: BTCXDigitalCurrency__factory.abi,
+  ...units,
+  ...registry,
+  ...token,
+  buildPermit,
+  signPermit,
+  verifyPermit,
+};
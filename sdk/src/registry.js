@@ -0,0 +1,66 @@
+const { ethers } = require("ethers");
+const { BTCXDigitalCurrency__factory } = require("./contracts");
+const bundled = require("./deployments.json");
+
+/**
+ * @title BTCX Deployment Registry
+ * @notice Network name / chain id to token address, bundled from the repo's deployment
+ *         manifests when the SDK was built
+ * @dev Networks that are not bundled (a local node, a fresh testnet deployment) can be added at
+ *      runtime with registerDeployment.
+ */
+
+const deployments = { ...bundled };
+
+/**
+ * @notice Look up a deployment by network name or chain id
+ * @return { chainId, address, ... } or undefined
+ */
+function getDeployment(network) {
+  if (typeof network === "string" && !/^\d+$/.test(network)) {
+    return deployments[network];
+  }
+  const chainId = Number(network);
+  return Object.values(deployments).find((deployment) => deployment.chainId === chainId);
+}
+
+/**
+ * @notice Token address on a network; throws when the network has no deployment
+ */
+function getAddress(network) {
+  const deployment = getDeployment(network);
+  if (!deployment) {
+    const known = Object.keys(deployments).join(", ") || "none";
+    throw new Error(`No BTCX deployment for network ${network} (known networks: ${known})`);
+  }
+  return deployment.address;
+}
+
+/**
+ * @notice Add or replace a deployment for this process
+ */
+function registerDeployment(network, chainId, address) {
+  deployments[network] = { chainId: Number(chainId), address: ethers.getAddress(address) };
+  return deployments[network];
+}
+
+/**
+ * @notice Typed token contract for the runner's network
+ * @param runner Signer or provider
+ * @param options.address Use this address instead of the registry
+ * @param options.network Look up this network instead of the runner's chain id
+ */
+async function connect(runner, options = {}) {
+  let address = options.address;
+  if (!address) {
+    let network = options.network;
+    if (network === undefined) {
+      const provider = runner.provider ?? runner;
+      network = (await provider.getNetwork()).chainId;
+    }
+    address = getAddress(network);
+  }
+  return BTCXDigitalCurrency__factory.connect(address, runner);
+}
+
+module.exports = { deployments, getDeployment, getAddress, registerDeployment, connect };
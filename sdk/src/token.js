@@ -0,0 +1,53 @@
+const { ethers } = require("ethers");
+const { toUnits } = require("./units");
+const { signPermit } = require("./permit");
+
+/**
+ * @title BTCX Token Wrappers
+ * @notice One call per common operation, waiting for the transaction to be mined
+ * @dev Amounts follow toUnits: a bigint is in base units, a string or number is whole tokens.
+ *      The token is a typed contract from connect() or the factory; transactions are sent by
+ *      its runner.
+ */
+
+async function mined(txPromise) {
+  const tx = await txPromise;
+  return tx.wait();
+}
+
+/**
+ * @notice Balance of an account in base units
+ * @param account Address, signer or contract
+ */
+async function balanceOf(token, account) {
+  return token.balanceOf(await ethers.resolveAddress(account));
+}
+
+async function transfer(token, to, amount) {
+  return mined(token.transfer(await ethers.resolveAddress(to), toUnits(amount)));
+}
+
+async function approve(token, spender, amount) {
+  return mined(token.approve(await ethers.resolveAddress(spender), toUnits(amount)));
+}
+
+async function burn(token, amount) {
+  return mined(token.burn(toUnits(amount)));
+}
+
+/**
+ * @notice Have `owner` sign a permit for `spender` and submit it from the token's runner
+ * @dev The owner never sends a transaction, so the runner can be a relayer paying the gas.
+ * @param owner Signer of the token holder
+ * @param options.deadline Unix timestamp; defaults to one hour from now
+ * @return { permit, receipt } where permit is the signed typed data from signPermit
+ */
+async function permit(token, owner, spender, amount, options = {}) {
+  const deadline = options.deadline ?? BigInt(Math.floor(Date.now() / 1000) + 3600);
+  const signed = await signPermit(token, owner, spender, toUnits(amount), deadline);
+  const { message, v, r, s } = signed;
+  const receipt = await mined(token.permit(message.owner, message.spender, message.value, message.deadline, v, r, s));
+  return { permit: signed, receipt };
+}
+
+module.exports = { balanceOf, transfer, approve, burn, permit };
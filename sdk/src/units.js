@@ -0,0 +1,36 @@
+const { ethers } = require("ethers");
+
+/**
+ * @title BTCX Unit Helpers
+ * @notice Convert between whole-token amounts ("1.5") and base units (1500000000000000000n)
+ */
+
+const DECIMALS = 18;
+
+/**
+ * @notice Parse a whole-token amount into base units
+ * @param value Decimal string or number, e.g. "1.5" or 1.5
+ */
+function parseBTCX(value) {
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    throw new Error(`Invalid BTCX amount ${value}`);
+  }
+  return ethers.parseUnits(String(value).trim(), DECIMALS);
+}
+
+/**
+ * @notice Format base units as a whole-token decimal string, e.g. "1.5"
+ */
+function formatBTCX(value) {
+  return ethers.formatUnits(value, DECIMALS);
+}
+
+/**
+ * @notice Normalize an amount argument: a bigint is already in base units, a string or number
+ *         is a whole-token amount
+ */
+function toUnits(amount) {
+  return typeof amount === "bigint" ? amount : parseBTCX(amount);
+}
+
+module.exports = { DECIMALS, parseBTCX, formatBTCX, toUnits };
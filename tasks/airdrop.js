@@ -0,0 +1,84 @@
+const { task } = require("hardhat/config");
+
+/**
+ * @title Merkle Airdrop Tasks
+ * @notice `npx hardhat btcx:airdrop:build --csv <file> --out <dir>`
+ *         `npx hardhat btcx:airdrop:deploy --dir <dir> --deadline <time> --sweep-to <address> --network <network>`
+ *         `npx hardhat btcx:airdrop:check --dir <dir> --address <address> [--network <network>]`
+ * @dev See scripts/lib/merkle.js for the airdrop directory layout.
+ */
+task("btcx:airdrop:build", "Builds the Merkle tree, root and per-address proof files from a CSV")
+  .addParam("csv", "CSV file of address,amount rows (amounts in whole BTCX)")
+  .addParam("out", "Output directory")
+  .setAction(async (args) => {
+    const fs = require("fs");
+    const { ethers } = require("ethers");
+    const { parseDistributionCsv } = require("../scripts/lib/distribution");
+    const { buildAirdrop, writeAirdrop } = require("../scripts/lib/merkle");
+
+    const { entries } = parseDistributionCsv(fs.readFileSync(args.csv, "utf8"));
+    const summary = writeAirdrop(buildAirdrop(entries), args.out);
+
+    console.log("Merkle root:", summary.root);
+    console.log("Claims:", summary.claims);
+    console.log("Total:", ethers.formatUnits(summary.total, 18), "BTCX");
+    console.log("Wrote", args.out);
+    return summary;
+  });
+
+task("btcx:airdrop:deploy", "Deploys a BTCXMerkleDistributor for a built airdrop and funds it")
+  .addParam("dir", "Airdrop directory written by btcx:airdrop:build")
+  .addParam("deadline", "Last claim time (unix seconds or ISO 8601)")
+  .addParam("sweepTo", "Recipient of unclaimed tokens after the deadline")
+  .addOptionalParam("token", "BTCX token address (defaults to the deployment manifest)")
+  .setAction(async (args, hre) => {
+    const { deployAirdrop } = require("../scripts/lib/merkle");
+
+    const deadline = /^\d+$/.test(args.deadline) ? Number(args.deadline) : Date.parse(args.deadline) / 1000;
+    if (Number.isNaN(deadline)) {
+      throw new Error(`Invalid deadline ${args.deadline}`);
+    }
+    const record = await deployAirdrop(hre, { ...args, deadline: Math.floor(deadline) });
+
+    console.log("Distributor:", record.address);
+    console.log("Claim deadline:", new Date(record.airdrop.deadline * 1000).toISOString());
+    console.log("Sweep recipient:", record.airdrop.sweepRecipient);
+    return record;
+  });
+
+task("btcx:airdrop:check", "Checks an address's claim offline, and on-chain when a distributor is known")
+  .addParam("dir", "Airdrop directory written by btcx:airdrop:build")
+  .addParam("address", "Address to check")
+  .addOptionalParam("distributor", "BTCXMerkleDistributor address (defaults to the manifest entry for this root)")
+  .setAction(async (args, hre) => {
+    const { ethers } = require("ethers");
+    const deployments = require("../scripts/lib/deployments");
+    const { readAirdrop, readClaim, verifyClaim } = require("../scripts/lib/merkle");
+
+    const { root } = readAirdrop(args.dir);
+    const claim = readClaim(args.dir, args.address);
+    if (!claim) {
+      console.log(`${ethers.getAddress(args.address)} has no claim in this airdrop`);
+      return { eligible: false };
+    }
+    const valid = claim.root === root && verifyClaim(root, claim);
+    console.log("Account:", claim.account);
+    console.log("Index:", claim.index);
+    console.log("Amount:", ethers.formatUnits(claim.amount, 18), "BTCX");
+    console.log("Proof valid:", valid);
+
+    const result = { eligible: true, valid, claim };
+    const distributor =
+      args.distributor || deployments.getDeployment(hre.network.name, `BTCXMerkleDistributor:${root}`)?.address;
+    if (distributor) {
+      const contract = await hre.ethers.getContractAt("BTCXMerkleDistributor", distributor);
+      result.rootMatches = (await contract.merkleRoot()) === root;
+      result.claimed = await contract.isClaimed(claim.index);
+      result.deadline = Number(await contract.deadline());
+      console.log("Distributor:", distributor);
+      console.log("Root matches distributor:", result.rootMatches);
+      console.log("Already claimed:", result.claimed);
+      console.log("Claim deadline:", new Date(result.deadline * 1000).toISOString());
+    }
+    return result;
+  });
@@ -0,0 +1,121 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * @title Allowance Audit Task
+ * @notice `npx hardhat btcx:allowances [--owner <address>] --network <network>`
+ *         `npx hardhat btcx:allowances --owner <address> --revoke flagged --network <network>`
+ *         `npx hardhat btcx:allowances --safe <safe> --revoke unlimited --network <network>`
+ * @dev Writes reports/<network>-allowances.csv unless --out is given. With --revoke, writes
+ *      unsigned approve(spender, 0) transactions to <prefix>-revokes.json, or with --safe a
+ *      Safe Transaction Builder batch revoking the Safe's own allowances.
+ *      See scripts/lib/allowances.js.
+ */
+task("btcx:allowances", "Audits live BTCX allowances and flags unlimited or stale spenders")
+  .addOptionalParam("token", "BTCX token address (defaults to the deployment manifest)")
+  .addOptionalParam("owner", "Only audit this owner (defaults to every owner)")
+  .addOptionalParam("fromBlock", "First block to scan (defaults to the recorded deployment block)", undefined, types.int)
+  .addOptionalParam("toBlock", "Block to audit at (defaults to the latest block)", undefined, types.int)
+  .addOptionalParam("chunkSize", "Blocks per eth_getLogs request", 2000, types.int)
+  .addOptionalParam("staleDays", "Flag allowances unused and unchanged for this many days", 90, types.int)
+  .addOptionalParam("revoke", "Build revoke transactions for: flagged, unlimited, stale or all")
+  .addOptionalParam("safe", "Write the revocations as a Safe batch for this Safe (implies --owner <safe>)")
+  .addOptionalParam("safeOut", "Safe batch file (defaults to <prefix>.safe.json)")
+  .addOptionalParam("out", "Output path prefix (defaults to reports/<network>-allowances)")
+  .setAction(async (args, hre) => {
+    const path = require("path");
+    const { ethers } = require("ethers");
+    const deployments = require("../scripts/lib/deployments");
+    const { formatAmount } = require("../scripts/lib/operator");
+    const { buildSafeBatch, writeSafeBatch, printSafeBatch } = require("../scripts/lib/safe");
+    const {
+      auditAllowances,
+      selectRevocations,
+      buildRevokeTransactions,
+      writeAuditReport,
+      writeRevokeTransactions,
+    } = require("../scripts/lib/allowances");
+
+    if (args.safe && !ethers.isAddress(args.safe)) {
+      throw new Error(`Invalid Safe address: ${args.safe}`);
+    }
+    const safe = args.safe && ethers.getAddress(args.safe);
+    if (safe && args.owner && ethers.getAddress(args.owner) !== safe) {
+      throw new Error("A Safe batch can only revoke the Safe's own allowances; drop --owner or make it the Safe");
+    }
+    const owner = safe || args.owner;
+    const revoke = args.revoke ?? (safe ? "flagged" : undefined);
+
+    const provider = hre.ethers.provider;
+    const networkName = hre.network.name;
+    const record = deployments.getDeployment(networkName, "BTCXDigitalCurrency");
+    const token = deployments.resolveAddress(networkName, "BTCXDigitalCurrency", args.token);
+    const fromBlock = args.fromBlock ?? (record && record.address === token ? record.blockNumber : 0);
+
+    console.log("=".repeat(60));
+    console.log("BTCX Allowance Audit");
+    console.log("=".repeat(60));
+    console.log("Network:", networkName);
+    console.log("Token:", token);
+    console.log("Owner:", owner ? ethers.getAddress(owner) : "all");
+    console.log(`Stale after: ${args.staleDays} days`);
+
+    const audit = await auditAllowances(provider, {
+      token,
+      owner,
+      fromBlock,
+      toBlock: args.toBlock,
+      chunkSize: args.chunkSize,
+      staleDays: args.staleDays,
+    });
+    const prefix = args.out || path.join(hre.config.paths.root, "reports", `${networkName}-allowances`);
+    const report = writeAuditReport(audit, prefix);
+    const flagged = audit.allowances.filter((entry) => entry.flags.length > 0);
+
+    console.log(`Blocks: ${fromBlock} - ${audit.blockNumber}`);
+    console.log("\nLive allowances:", audit.allowances.length);
+    console.log("Unlimited:", audit.allowances.filter((entry) => entry.flags.includes("unlimited")).length);
+    console.log("Stale:", audit.allowances.filter((entry) => entry.flags.includes("stale")).length);
+    if (flagged.length > 0) {
+      console.log("\nFlagged spenders (largest exposure first):");
+      for (const entry of flagged) {
+        const lastUsed = entry.lastUsedAt ? new Date(entry.lastUsedAt * 1000).toISOString().slice(0, 10) : "never";
+        console.log(`  ${entry.owner} → ${entry.spender} [${entry.flags.join(", ")}]`);
+        console.log(
+          `    allowance ${formatAmount(entry.allowance)}, exposure ${formatAmount(entry.exposure)},` +
+            ` ${entry.spenderIsContract ? "contract" : "EOA"}, via ${entry.source}, last used ${lastUsed}`
+        );
+      }
+    }
+    console.log("\nWrote", report);
+
+    if (!revoke) {
+      return { audit, report };
+    }
+    const revocations = selectRevocations(audit.allowances, revoke);
+    if (revocations.length === 0) {
+      console.log(`\nNo ${revoke} allowances to revoke`);
+      return { audit, report, revocations };
+    }
+    const transactions = buildRevokeTransactions(audit.token, audit.chainId, revocations);
+
+    if (safe) {
+      const batch = buildSafeBatch({
+        chainId: audit.chainId,
+        safe,
+        name: `BTCX revoke ${revocations.length} allowance(s)`,
+        transactions,
+      });
+      const file = writeSafeBatch(batch, args.safeOut || `${prefix}.safe.json`);
+      printSafeBatch(batch, file);
+      console.log("\nImport the batch in the Safe Transaction Builder, then check the execution with btcx:safe:check");
+      return { audit, report, revocations, batch, file };
+    }
+
+    const file = writeRevokeTransactions(transactions, `${prefix}-revokes.json`);
+    console.log(`\nRevoke transactions (${transactions.length}), each to be signed by its owner:`);
+    for (const tx of transactions) {
+      console.log(`  ${tx.summary}`);
+    }
+    console.log("Wrote", file);
+    return { audit, report, revocations, transactions, file };
+  });
@@ -0,0 +1,128 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * @title Local Bridge Task
+ * @notice `npx hardhat btcx:bridge:local` (or `npm run bridge:local`) starts a home and a
+ *         remote chain, deploys BTCX, the lockbox and the bridged token, and relays between
+ *         them until interrupted; `--demo` runs one lock and one burn through it and exits
+ * @dev Both chains are in-process Hardhat networks served over JSON-RPC, and the relayer
+ *      reaches them through those URLs like any other client. Accounts 1..signers are the
+ *      bridge signers, account 0 deploys and submits. See scripts/lib/bridge.js.
+ */
+task("btcx:bridge:local", "Runs the BTCX lock-and-mint bridge between two local chains")
+  .addOptionalParam("homePort", "Home chain JSON-RPC port (0 for any free port)", 8545, types.int)
+  .addOptionalParam("remotePort", "Remote chain JSON-RPC port (0 for any free port)", 8546, types.int)
+  .addOptionalParam("homeChainId", "Home chain ID", 31337, types.int)
+  .addOptionalParam("remoteChainId", "Remote chain ID", 1337, types.int)
+  .addOptionalParam("signers", "Number of bridge signers, taken from accounts 1..n", 3, types.int)
+  .addOptionalParam("threshold", "Signatures required for a mint or release", 2, types.int)
+  .addOptionalParam("interval", "Milliseconds between relayer syncs", 1000, types.int)
+  .addFlag("demo", "Lock and burn once through the bridge, print the supplies and exit")
+  .setAction(async (args, hre) => {
+    const { ethers } = require("ethers");
+    const { startLocalChain } = require("../scripts/lib/localnet");
+    const { deployBridge, bridgeSupply, createBridgeRelayer } = require("../scripts/lib/bridge");
+
+    await hre.run("compile", { quiet: true });
+    const chains = [];
+    const providers = [];
+    const connect = async (chainId, port) => {
+      const chain = await startLocalChain(hre, { chainId, port });
+      const provider = new ethers.JsonRpcProvider(chain.url, chain.chainId, { staticNetwork: true, cacheTimeout: -1 });
+      chains.push(chain);
+      providers.push(provider);
+      return { chain, provider };
+    };
+
+    try {
+      const home = await connect(args.homeChainId, args.homePort);
+      const remote = await connect(args.remoteChainId, args.remotePort);
+      const homeDeployer = await home.provider.getSigner(0);
+      const remoteDeployer = await remote.provider.getSigner(0);
+      const signers = [];
+      for (let i = 1; i <= args.signers; i++) {
+        signers.push(await home.provider.getSigner(i));
+      }
+
+      const tokenArtifact = await hre.artifacts.readArtifact("BTCXDigitalCurrency");
+      const token = await new ethers.ContractFactory(tokenArtifact.abi, tokenArtifact.bytecode, homeDeployer).deploy(
+        homeDeployer.address
+      );
+      await token.waitForDeployment();
+      const bridge = await deployBridge(hre, homeDeployer, remoteDeployer, {
+        token: await token.getAddress(),
+        signers: signers.map((signer) => signer.address),
+        threshold: args.threshold,
+      });
+      // Both chains are in-process and cannot reorg
+      const relayer = createBridgeRelayer({ ...bridge, signers, confirmations: 0 });
+      const addresses = {
+        token: await token.getAddress(),
+        lockbox: await bridge.lockbox.getAddress(),
+        bridged: await bridge.bridged.getAddress(),
+      };
+
+      console.log("=".repeat(60));
+      console.log("BTCX Local Bridge");
+      console.log("=".repeat(60));
+      console.log(`Home chain (${home.chain.chainId}):`, home.chain.url);
+      console.log(`Remote chain (${remote.chain.chainId}):`, remote.chain.url);
+      console.log("BTCX:", addresses.token);
+      console.log("Lockbox:", addresses.lockbox);
+      console.log("Bridged token:", addresses.bridged);
+      console.log(`Signers (${args.threshold} of ${signers.length}):`, signers.map((signer) => signer.address).join(", "));
+
+      if (!args.demo) {
+        relayer.start(args.interval, {
+          onSync: ({ minted, released }) => {
+            for (const mint of minted) {
+              console.log(`Minted lock #${mint.lockNonce}: ${ethers.formatUnits(mint.amount, 18)} BTCX to ${mint.recipient}`);
+            }
+            for (const release of released) {
+              console.log(
+                `Released burn #${release.burnNonce}: ${ethers.formatUnits(release.amount, 18)} BTCX to ${release.recipient}`
+              );
+            }
+          },
+          onError: (error) => console.log("Sync failed, retrying:", error.message),
+        });
+        console.log("Relaying, press Ctrl+C to stop");
+        await new Promise((resolve) => {
+          process.once("SIGINT", resolve);
+          process.once("SIGTERM", resolve);
+        });
+        console.log("\nShutting down after the current sync...");
+        await relayer.stop();
+        return { ...addresses, home: home.chain.url, remote: remote.chain.url };
+      }
+
+      // Demo: the deployer locks 2,500 BTCX for itself, then burns 1,000 back to the home chain
+      const amount = ethers.parseUnits("2500", 18);
+      const user = homeDeployer.address;
+      await (await token.approve(addresses.lockbox, amount)).wait();
+      await (await bridge.lockbox.lock(user, amount)).wait();
+      const afterLock = await relayer.sync();
+      await (await bridge.bridged.burn(user, ethers.parseUnits("1000", 18))).wait();
+      const afterBurn = await relayer.sync();
+      const supply = await bridgeSupply(bridge.lockbox, bridge.bridged);
+
+      console.log("\nDemo");
+      console.log("-".repeat(60));
+      console.log("Minted locks:", afterLock.minted.length + afterBurn.minted.length);
+      console.log("Released burns:", afterLock.released.length + afterBurn.released.length);
+      console.log("Locked on home chain:", ethers.formatUnits(supply.locked, 18), "BTCX");
+      console.log("Bridged supply on remote chain:", ethers.formatUnits(supply.bridged, 18), "BTCX");
+      console.log("Locked equals bridged:", supply.locked === supply.bridged ? "yes" : "NO");
+      if (supply.locked !== supply.bridged) {
+        throw new Error("Locked supply does not match the bridged supply");
+      }
+      return { ...addresses, home: home.chain.url, remote: remote.chain.url, supply };
+    } finally {
+      for (const provider of providers) {
+        provider.destroy();
+      }
+      for (const chain of chains) {
+        await chain.close();
+      }
+    }
+  });
@@ -0,0 +1,86 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * @title Burn Report Task
+ * @notice `npx hardhat btcx:burns --group month --network <network>`
+ * @dev Writes reports/<network>-burns.csv and -events.csv unless --out is given.
+ *      See scripts/lib/burns.js.
+ */
+task("btcx:burns", "Rebuilds every BTCX burn and reports burned supply by day or month")
+  .addOptionalParam("token", "BTCX token address (defaults to the deployment manifest)")
+  .addOptionalParam("group", "Group burns by day or month", "day")
+  .addOptionalParam("fromBlock", "First block to scan (defaults to the recorded deployment block)", undefined, types.int)
+  .addOptionalParam("toBlock", "Last block to scan (defaults to the latest block)", undefined, types.int)
+  .addOptionalParam("chunkSize", "Blocks per eth_getLogs request", 2000, types.int)
+  .addOptionalParam("top", "Number of burners to list", 5, types.int)
+  .addOptionalParam("out", "Output path prefix (defaults to reports/<network>-burns)")
+  .setAction(async (args, hre) => {
+    const path = require("path");
+    const { ethers } = require("ethers");
+    const deployments = require("../scripts/lib/deployments");
+    const { INITIAL_SUPPLY } = require("../scripts/lib/supply");
+    const {
+      BURN_ABI,
+      collectBurns,
+      groupBurns,
+      percentOfInitial,
+      writeBurnReport,
+      summarizeBurns,
+    } = require("../scripts/lib/burns");
+
+    if (args.group !== "day" && args.group !== "month") {
+      throw new Error(`Unknown grouping ${args.group}; use "day" or "month"`);
+    }
+
+    const provider = hre.ethers.provider;
+    const networkName = hre.network.name;
+    const record = deployments.getDeployment(networkName, "BTCXDigitalCurrency");
+    const token = deployments.resolveAddress(networkName, "BTCXDigitalCurrency", args.token);
+    const fromBlock = args.fromBlock ?? (record && record.address === token ? record.blockNumber : 0);
+    const toBlock = args.toBlock ?? (await provider.getBlockNumber());
+
+    console.log("=".repeat(60));
+    console.log("BTCX Burn Report");
+    console.log("=".repeat(60));
+    console.log("Network:", networkName);
+    console.log("Token:", token);
+    console.log(`Blocks: ${fromBlock} - ${toBlock}`);
+
+    const burns = await collectBurns(provider, { token, fromBlock, toBlock, chunkSize: args.chunkSize });
+    const rows = groupBurns(burns, args.group);
+    const summary = summarizeBurns(burns, args.top);
+    const prefix = args.out || path.join(hre.config.paths.root, "reports", `${networkName}-burns`);
+    const files = writeBurnReport(burns, rows, prefix);
+    const fmt = (value) => ethers.formatUnits(value, 18);
+
+    console.log("\nBurns:", summary.count);
+    console.log("Total burned:", fmt(summary.total), "BTCX");
+    console.log(`Share of initial ${fmt(INITIAL_SUPPLY)}: ${percentOfInitial(summary.total)}%`);
+    console.log("Remaining supply:", fmt(INITIAL_SUPPLY - summary.total), "BTCX");
+    console.log(`  burn: ${fmt(summary.byKind.burn)} BTCX`);
+    console.log(`  burnFrom: ${fmt(summary.byKind.burnFrom)} BTCX`);
+    console.log(`  indirect: ${fmt(summary.byKind.indirect)} BTCX`);
+    if (summary.count > 0) {
+      console.log("First burn:", new Date(summary.first.timestamp * 1000).toISOString());
+      console.log("Last burn:", new Date(summary.last.timestamp * 1000).toISOString());
+      console.log(`Largest burn: ${fmt(summary.largest.amount)} BTCX in ${summary.largest.txHash}`);
+      console.log("Top burners:");
+      for (const { burner, amount } of summary.topBurners) {
+        console.log(`  ${burner}  ${fmt(amount)} BTCX`);
+      }
+    }
+
+    // The token cannot mint after deployment, so totalSupply() must account for every burn
+    const contract = new ethers.Contract(token, BURN_ABI, provider);
+    const burnedOnChain = INITIAL_SUPPLY - (await contract.totalSupply({ blockTag: toBlock }));
+    if (burnedOnChain !== summary.total) {
+      console.log(
+        `\nWARNING: totalSupply() at block ${toBlock} implies ${fmt(burnedOnChain)} BTCX burned;` +
+          " burns before --fromBlock are not in this report"
+      );
+    }
+
+    console.log("\nWrote", files.periods);
+    console.log("Wrote", files.events);
+    return { burns, rows, summary, burnedOnChain, files };
+  });
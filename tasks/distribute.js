@@ -0,0 +1,21 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * @title Distribution Task
+ * @notice `npx hardhat btcx:distribute --csv <file> --network <network>`
+ * @dev See scripts/lib/distribution.js for the CSV format and resume semantics.
+ */
+task("btcx:distribute", "Distributes BTCX to the addresses in a CSV file through BTCXMultisend")
+  .addParam("csv", "CSV file of address,amount rows (amounts in whole BTCX)")
+  .addOptionalParam("token", "BTCX token address (defaults to the deployment manifest)")
+  .addOptionalParam("multisend", "BTCXMultisend address (defaults to the manifest, deploying one if missing)")
+  .addOptionalParam("batchSize", "Recipients per transaction", 100, types.int)
+  .addOptionalParam("state", "Progress state file (defaults to <csv>.state.json)")
+  .addOptionalParam("id", "Distribution id used to derive batch ids (defaults to the CSV hash)")
+  .addFlag("permit", "Fund the multisend with an EIP-2612 permit instead of approve")
+  .addOptionalParam("safe", "Write a Safe Transaction Builder batch for this Safe instead of sending")
+  .addOptionalParam("safeOut", "Safe batch file (defaults to <csv>.safe.json)")
+  .setAction(async (args, hre) => {
+    const { runDistribution, buildDistributionBatch } = require("../scripts/lib/distribution");
+    return args.safe ? buildDistributionBatch(hre, args) : runDistribution(hre, args);
+  });
@@ -0,0 +1,38 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * @title Gas Snapshot Task
+ * @notice `npx hardhat btcx:gas:snapshot` records gas-snapshot.json;
+ *         `npx hardhat btcx:gas:snapshot --check` compares against it
+ * @dev The tolerance defaults to GAS_TOLERANCE_PERCENT, or 1%. See scripts/lib/gas.js.
+ */
+task("btcx:gas:snapshot", "Measures gas for every BTCX entry point and writes or checks the gas snapshot")
+  .addFlag("check", "Compare with the snapshot instead of writing it, and fail on a regression")
+  .addOptionalParam("tolerance", "Allowed change in percent (defaults to GAS_TOLERANCE_PERCENT or 1)", undefined, types.float)
+  .addOptionalParam("out", "Snapshot file (defaults to gas-snapshot.json)")
+  .setAction(async (args, hre) => {
+    const path = require("path");
+    const gas = require("../scripts/lib/gas");
+
+    const file = args.out || gas.SNAPSHOT_FILE;
+    const tolerance = args.tolerance ?? Number(process.env.GAS_TOLERANCE_PERCENT || gas.DEFAULT_TOLERANCE_PERCENT);
+    await hre.run("compile", { quiet: true });
+    const measured = await gas.measureGas(hre);
+    const snapshot = gas.readSnapshot(file);
+
+    if (snapshot) {
+      const rows = gas.compareGas(snapshot, measured, tolerance);
+      gas.printComparison(rows, tolerance);
+      if (args.check && gas.comparisonFails(rows)) {
+        throw new Error(`Gas differs from ${file}; run \`npm run gas:snapshot\` if the change is intended`);
+      }
+    } else if (args.check) {
+      throw new Error(`No gas snapshot at ${file}; run \`npm run gas:snapshot\` to create it`);
+    }
+
+    if (!args.check) {
+      gas.writeSnapshot(measured, file);
+      console.log(`\nWrote ${path.relative(process.cwd(), file)}`);
+    }
+    return measured;
+  });
@@ -0,0 +1,66 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * @title Indexer Task
+ * @notice `npx hardhat btcx:index --network <network>`
+ * @dev Indexes from the deployment block recorded in the manifest into indexes/<network>.sqlite,
+ *      resuming from the last processed block, then checks the indexed balances against
+ *      totalSupply(). See scripts/lib/indexer.js.
+ */
+task("btcx:index", "Indexes BTCX Transfer, Approval and InitialMint events into a SQLite database")
+  .addOptionalParam("token", "BTCX token address (defaults to the deployment manifest)")
+  .addOptionalParam("db", "Database file (defaults to indexes/<network>.sqlite)")
+  .addOptionalParam("fromBlock", "First block to index (defaults to the recorded deployment block)", undefined, types.int)
+  .addOptionalParam("confirmations", "Stay this many blocks behind the head", 0, types.int)
+  .addOptionalParam("chunkSize", "Blocks per eth_getLogs request", 2000, types.int)
+  .addOptionalParam("top", "Number of top holders to print", 10, types.int)
+  .setAction(async (args, hre) => {
+    const path = require("path");
+    const { ethers } = require("ethers");
+    const deployments = require("../scripts/lib/deployments");
+    const { createIndexer } = require("../scripts/lib/indexer");
+
+    const networkName = hre.network.name;
+    const record = deployments.getDeployment(networkName, "BTCXDigitalCurrency");
+    const token = deployments.resolveAddress(networkName, "BTCXDigitalCurrency", args.token);
+    const dbPath = args.db || path.join(hre.config.paths.root, "indexes", `${networkName}.sqlite`);
+    const startBlock = args.fromBlock ?? (record && record.address === token ? record.blockNumber : 0);
+
+    console.log("=".repeat(60));
+    console.log("BTCX Event Indexer");
+    console.log("=".repeat(60));
+    console.log("Network:", networkName);
+    console.log("Token:", token);
+    console.log("Database:", dbPath);
+
+    const indexer = await createIndexer(hre.ethers.provider, {
+      token,
+      dbPath,
+      startBlock,
+      chunkSize: args.chunkSize,
+    });
+    try {
+      const result = await indexer.sync({ confirmations: args.confirmations });
+      if (result.reorg) {
+        console.log(`\nReorg detected: rolled back ${result.reorg.undone} event(s) to block ${result.reorg.ancestor}`);
+      }
+      console.log(`\nIndexed blocks ${result.fromBlock}-${result.toBlock} (${result.events} new event(s))`);
+
+      const holders = indexer.balances();
+      console.log(`\nHolders: ${holders.length}`);
+      for (const { holder, balance } of holders.slice(0, args.top)) {
+        console.log(`  ${holder}  ${ethers.formatUnits(balance, 18)} BTCX`);
+      }
+
+      const check = await indexer.checkConsistency();
+      console.log("\nSum of balances:", ethers.formatUnits(check.indexedSupply, 18));
+      console.log("totalSupply():", ethers.formatUnits(check.totalSupply, 18));
+      if (!check.ok) {
+        throw new Error(`Indexed balances do not add up to totalSupply() at block ${check.block}`);
+      }
+      console.log("Consistency check passed");
+      return { ...result, holders: holders.length, check };
+    } finally {
+      indexer.close();
+    }
+  });
@@ -0,0 +1,59 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * @title Invariant Fuzzing Tasks
+ * @notice `npx hardhat btcx:invariants --runs 500 --steps 100`
+ *         `npx hardhat btcx:invariants:replay --case test/invariant-cases/<file>.json`
+ * @dev Runs on the in-process hardhat network only. A failing sequence is saved under
+ *      test/invariant-cases/ (or --out), where `npm test` replays it. See scripts/lib/invariants.js.
+ */
+task("btcx:invariants", "Fuzzes random call sequences and checks the Certora invariants after every step")
+  .addOptionalParam("runs", "Number of sequences", 100, types.int)
+  .addOptionalParam("steps", "Maximum steps per sequence", 50, types.int)
+  .addOptionalParam("accounts", "Number of accounts to fuzz", 8, types.int)
+  .addOptionalParam("seed", "fast-check seed to replay", undefined, types.int)
+  .addOptionalParam("path", "fast-check path to replay (with --seed)")
+  .addOptionalParam("out", "Directory to save a failing sequence in (defaults to test/invariant-cases)")
+  .setAction(async (args, hre) => {
+    const { fuzzInvariants } = require("../scripts/lib/invariants");
+
+    console.log("=".repeat(60));
+    console.log("BTCX Invariant Fuzzing");
+    console.log("=".repeat(60));
+    console.log(`Sequences: ${args.runs}, up to ${args.steps} steps across ${args.accounts} accounts`);
+
+    const result = await fuzzInvariants(hre, {
+      runs: args.runs,
+      steps: args.steps,
+      accounts: args.accounts,
+      seed: args.seed,
+      path: args.path,
+      casesDir: args.out,
+    });
+
+    console.log("Seed:", result.seed);
+    if (!result.failed) {
+      console.log(`\n✅ All invariants held across ${result.runs} sequences`);
+      return result;
+    }
+    const { failure } = result;
+    console.log(`\n❌ ${failure.error}`);
+    console.log(`Shrunk sequence (${failure.steps.length} steps):`);
+    failure.steps.forEach((step, i) => console.log(`  ${i}. ${JSON.stringify(step)}`));
+    console.log("\nSaved to", result.file);
+    console.log(`Replay with: npx hardhat btcx:invariants:replay --case ${result.file}`);
+    throw new Error(`Invariant ${failure.invariant} violated`);
+  });
+
+task("btcx:invariants:replay", "Replays a saved call sequence and checks the invariants")
+  .addParam("case", "Case file written by btcx:invariants")
+  .setAction(async (args, hre) => {
+    const fs = require("fs");
+    const { replayCase } = require("../scripts/lib/invariants");
+
+    const testCase = JSON.parse(fs.readFileSync(args.case, "utf8"));
+    const outcomes = await replayCase(hre, testCase);
+    testCase.steps.forEach((step, i) => console.log(`  ${i}. ${outcomes[i] ? "ok      " : "reverted"} ${JSON.stringify(step)}`));
+    console.log(`\n✅ All invariants held across ${outcomes.length} steps`);
+    return outcomes;
+  });
@@ -0,0 +1,43 @@
+const { task } = require("hardhat/config");
+
+/**
+ * @title Keystore Tasks
+ * @notice `npx hardhat btcx:keystore:create --out deployer.json`
+ *         `npx hardhat btcx:keystore:import --out deployer.json`
+ * @dev Secrets are typed at hidden prompts or read from file descriptors, never taken as
+ *      arguments. Point KEYSTORE_PATH at the file to sign with it. See scripts/lib/keystore.js.
+ */
+async function writeFromKey(args, privateKey) {
+  const { readPassword, writeKeystore } = require("../scripts/lib/keystore");
+  const password = await readPassword({ fd: args.passwordFd, confirm: true, prompt: "New keystore password: " });
+  const address = await writeKeystore(args.out, privateKey, password);
+
+  console.log("Keystore:", args.out);
+  console.log("Address:", address);
+  console.log(`\nSign with it by setting KEYSTORE_PATH=${args.out}`);
+  return { file: args.out, address };
+}
+
+task("btcx:keystore:create", "Creates an encrypted JSON keystore for a new random key")
+  .addParam("out", "Keystore file to write (must not exist)")
+  .addOptionalParam("passwordFd", "File descriptor to read the password from instead of prompting")
+  .setAction(async (args) => {
+    const { ethers } = require("ethers");
+    return writeFromKey(args, ethers.Wallet.createRandom().privateKey);
+  });
+
+task("btcx:keystore:import", "Encrypts an existing private key into a JSON keystore")
+  .addParam("out", "Keystore file to write (must not exist)")
+  .addOptionalParam("keyFd", "File descriptor to read the private key from instead of prompting")
+  .addOptionalParam("passwordFd", "File descriptor to read the password from instead of prompting")
+  .setAction(async (args) => {
+    const { ethers } = require("ethers");
+    const { readSecretFromFd, promptSecret } = require("../scripts/lib/keystore");
+
+    const raw = args.keyFd !== undefined ? readSecretFromFd(args.keyFd) : await promptSecret("Private key: ");
+    const key = raw.trim().startsWith("0x") ? raw.trim() : `0x${raw.trim()}`;
+    if (!ethers.isHexString(key, 32)) {
+      throw new Error("Private key must be 32 bytes of hex");
+    }
+    return writeFromKey(args, key);
+  });
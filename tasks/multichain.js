@@ -0,0 +1,48 @@
+const { extendConfig, task } = require("hardhat/config");
+
+// multichain.networks in hardhat.config.js: the networks btcx:deploy:multichain deploys to, in order
+extendConfig((config, userConfig) => {
+  const networks = (userConfig.multichain && userConfig.multichain.networks) || [];
+  config.multichain = { networks: [...networks] };
+});
+
+/**
+ * @title Multi-chain Deployment Task
+ * @notice `npx hardhat btcx:deploy:multichain` deploys to every network in multichain.networks;
+ *         `npx hardhat btcx:deploy:multichain --networks sepolia,baseSepolia` to a subset;
+ *         `npx hardhat btcx:deploy:multichain --report-only` only compares the recorded deployments
+ * @dev Every network is deployed by scripts/deploy.js with the same RECIPIENT_ADDRESS and deploy
+ *      settings. A failure on one network does not stop the others; re-running the same
+ *      command resumes the failed ones. See scripts/lib/multichain.js.
+ */
+task("btcx:deploy:multichain", "Deploys BTCX to several networks in turn and compares the deployments")
+  .addOptionalParam("networks", "Comma-separated networks (defaults to multichain.networks in hardhat.config.js)")
+  .addOptionalParam("recipient", "Initial-supply recipient on every chain (defaults to RECIPIENT_ADDRESS)")
+  .addOptionalParam("confirm", 'Non-interactive confirmation "<network,network,...> <recipient>" (DEPLOY_CONFIRM)')
+  .addOptionalParam("state", "Progress state file (defaults to <deployments dir>/multichain.state.json)")
+  .addFlag("reportOnly", "Compare the recorded deployments without deploying")
+  .setAction(async (args, hre) => {
+    const multichain = require("../scripts/lib/multichain");
+
+    const names = args.networks
+      ? args.networks.split(",").map((name) => name.trim()).filter(Boolean)
+      : hre.config.multichain.networks;
+    const targets = multichain.resolveTargets(hre.config.networks, names);
+    await hre.run("compile", { quiet: true });
+
+    if (args.reportOnly) {
+      const report = await multichain.compareDeployments(hre, targets);
+      multichain.printReport(report);
+      return report;
+    }
+
+    const result = await multichain.deployMultichain(hre, targets, {
+      recipient: args.recipient || process.env.RECIPIENT_ADDRESS,
+      confirm: args.confirm ?? (process.env.DEPLOY_CONFIRM || undefined),
+      state: args.state,
+    });
+    if (result.failed.length > 0) {
+      throw new Error(`Deployment failed on ${result.failed.join(", ")}; re-run the same command to resume`);
+    }
+    return result;
+  });
@@ -0,0 +1,241 @@
+const { task } = require("hardhat/config");
+
+/**
+ * @title Operator Tasks
+ * @notice Routine token actions without a `hardhat console` session:
+ *         `npx hardhat btcx:balance [--account <address>] --network <network>`
+ *         `npx hardhat btcx:transfer --to <address> --amount 1.5M --network <network>`
+ *         `npx hardhat btcx:approve --spender <address> --amount 250000.25 --network <network>`
+ *         `npx hardhat btcx:allowance --spender <address> [--owner <address>] --network <network>`
+ *         `npx hardhat btcx:burn --amount 10K --network <network>`
+ *         `npx hardhat btcx:burn-from --account <address> --amount 10K --network <network>`
+ *         `npx hardhat btcx:permit --spender <address> --amount 1M [--expires 1h] --network <network>`
+ * @dev The token address comes from --token or the deployment manifest. Transactions are
+ *      sent from --from (default: the network's first account) after a summary and, on live
+ *      networks, a y/N prompt that --yes skips. See scripts/lib/operator.js.
+ */
+
+function tokenTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("token", "BTCX token address (defaults to the deployment manifest)")
+    .addOptionalParam("from", "Account to act as (defaults to the network's first account)");
+}
+
+function sendingTask(name, description) {
+  return tokenTask(name, description).addFlag("yes", "Send without asking for confirmation");
+}
+
+/**
+ * @notice Stop before sending when the account cannot cover the amount
+ */
+function requireAtLeast(available, amount, what) {
+  const { formatAmount } = require("../scripts/lib/operator");
+  if (available < amount) {
+    throw new Error(`Insufficient ${what}: ${formatAmount(available)} available, ${formatAmount(amount)} needed`);
+  }
+}
+
+tokenTask("btcx:balance", "Shows the BTCX balance of an account")
+  .addOptionalParam("account", "Account to show (defaults to --from)")
+  .setAction(async (args, hre) => {
+    const { ethers } = require("ethers");
+    const operator = require("../scripts/lib/operator");
+
+    const account = args.account ? ethers.getAddress(args.account) : (await operator.resolveSigner(hre, args.from)).address;
+    const token = await operator.resolveToken(hre, args.token);
+    const [balance, supply] = await Promise.all([token.balanceOf(account), token.totalSupply()]);
+
+    operator.printSummary("BTCX Balance", [
+      ["Network", hre.network.name],
+      ["Token", await token.getAddress()],
+      ["Account", account],
+      ["Balance", operator.describeAmount(balance)],
+      ["Share of supply", `${supply === 0n ? "0" : ((Number(balance) / Number(supply)) * 100).toFixed(4)}%`],
+    ]);
+    return balance;
+  });
+
+tokenTask("btcx:allowance", "Shows how much a spender may move on behalf of an owner")
+  .addParam("spender", "Spender address")
+  .addOptionalParam("owner", "Owner address (defaults to --from)")
+  .setAction(async (args, hre) => {
+    const { ethers } = require("ethers");
+    const operator = require("../scripts/lib/operator");
+
+    const owner = args.owner ? ethers.getAddress(args.owner) : (await operator.resolveSigner(hre, args.from)).address;
+    const spender = ethers.getAddress(args.spender);
+    const token = await operator.resolveToken(hre, args.token);
+    const [allowance, balance] = await Promise.all([token.allowance(owner, spender), token.balanceOf(owner)]);
+
+    operator.printSummary("BTCX Allowance", [
+      ["Network", hre.network.name],
+      ["Token", await token.getAddress()],
+      ["Owner", owner],
+      ["Spender", spender],
+      ["Allowance", operator.describeAmount(allowance)],
+      ["Owner balance", operator.formatAmount(balance)],
+    ]);
+    return allowance;
+  });
+
+sendingTask("btcx:transfer", "Transfers BTCX to an address")
+  .addParam("to", "Recipient address")
+  .addParam("amount", 'Amount in tokens, e.g. "250000.25" or "1.5M"')
+  .setAction(async (args, hre) => {
+    const { ethers } = require("ethers");
+    const operator = require("../scripts/lib/operator");
+
+    const signer = await operator.resolveSigner(hre, args.from);
+    const token = await operator.resolveToken(hre, args.token, signer);
+    const to = ethers.getAddress(args.to);
+    const amount = operator.parseAmount(args.amount);
+    if (to === ethers.ZeroAddress) {
+      throw new Error("Cannot transfer to the zero address; use btcx:burn to destroy tokens");
+    }
+    const balance = await token.balanceOf(signer.address);
+    requireAtLeast(balance, amount, "balance");
+
+    return operator.execute(
+      hre,
+      token,
+      "BTCX Transfer",
+      [
+        ["From", signer.address],
+        ["To", to],
+        ["Amount", operator.describeAmount(amount)],
+        ["Balance after", operator.formatAmount(balance - amount)],
+      ],
+      () => token.transfer(to, amount),
+      args
+    );
+  });
+
+sendingTask("btcx:approve", "Sets the BTCX allowance of a spender")
+  .addParam("spender", "Spender address")
+  .addParam("amount", 'Amount in tokens, e.g. "250000.25" or "1.5M", or "max" for unlimited')
+  .setAction(async (args, hre) => {
+    const { ethers } = require("ethers");
+    const operator = require("../scripts/lib/operator");
+
+    const signer = await operator.resolveSigner(hre, args.from);
+    const token = await operator.resolveToken(hre, args.token, signer);
+    const spender = ethers.getAddress(args.spender);
+    const amount = operator.parseAmount(args.amount, { allowMax: true });
+    const current = await token.allowance(signer.address, spender);
+    if (current !== 0n && amount !== 0n) {
+      console.log("⚠️  Replacing a non-zero allowance: the spender could use both the old and the new one");
+    }
+
+    return operator.execute(
+      hre,
+      token,
+      "BTCX Approve",
+      [
+        ["Owner", signer.address],
+        ["Spender", spender],
+        ["Current allowance", operator.formatAmount(current)],
+        ["New allowance", operator.describeAmount(amount)],
+      ],
+      () => token.approve(spender, amount),
+      args
+    );
+  });
+
+sendingTask("btcx:burn", "Burns BTCX from the sending account")
+  .addParam("amount", 'Amount in tokens, e.g. "250000.25" or "1.5M"')
+  .setAction(async (args, hre) => {
+    const operator = require("../scripts/lib/operator");
+
+    const signer = await operator.resolveSigner(hre, args.from);
+    const token = await operator.resolveToken(hre, args.token, signer);
+    const amount = operator.parseAmount(args.amount);
+    const [balance, supply] = await Promise.all([token.balanceOf(signer.address), token.totalSupply()]);
+    requireAtLeast(balance, amount, "balance");
+
+    return operator.execute(
+      hre,
+      token,
+      "BTCX Burn",
+      [
+        ["From", signer.address],
+        ["Amount", operator.describeAmount(amount)],
+        ["Balance after", operator.formatAmount(balance - amount)],
+        ["Total supply after", operator.formatAmount(supply - amount)],
+      ],
+      () => token.burn(amount),
+      args
+    );
+  });
+
+sendingTask("btcx:burn-from", "Burns BTCX from another account using the sender's allowance")
+  .addParam("account", "Account to burn from")
+  .addParam("amount", 'Amount in tokens, e.g. "250000.25" or "1.5M"')
+  .setAction(async (args, hre) => {
+    const { ethers } = require("ethers");
+    const operator = require("../scripts/lib/operator");
+
+    const signer = await operator.resolveSigner(hre, args.from);
+    const token = await operator.resolveToken(hre, args.token, signer);
+    const account = ethers.getAddress(args.account);
+    const amount = operator.parseAmount(args.amount);
+    const [balance, allowance, supply] = await Promise.all([
+      token.balanceOf(account),
+      token.allowance(account, signer.address),
+      token.totalSupply(),
+    ]);
+    requireAtLeast(allowance, amount, "allowance");
+    requireAtLeast(balance, amount, "balance");
+
+    return operator.execute(
+      hre,
+      token,
+      "BTCX Burn From",
+      [
+        ["Spender", signer.address],
+        ["Account", account],
+        ["Amount", operator.describeAmount(amount)],
+        ["Allowance after", operator.formatAmount(allowance === ethers.MaxUint256 ? allowance : allowance - amount)],
+        ["Total supply after", operator.formatAmount(supply - amount)],
+      ],
+      () => token.burnFrom(account, amount),
+      args
+    );
+  });
+
+sendingTask("btcx:permit", "Signs an EIP-2612 permit as --from and submits it")
+  .addParam("spender", "Spender address")
+  .addParam("amount", 'Amount in tokens, e.g. "250000.25" or "1.5M", or "max" for unlimited')
+  .addOptionalParam("expires", 'Validity from the latest block: seconds, or a duration such as "1h" or "7d"', "1h")
+  .addOptionalParam("submitter", "Account that submits the permit and pays the gas (defaults to --from)")
+  .setAction(async (args, hre) => {
+    const { ethers } = require("ethers");
+    const operator = require("../scripts/lib/operator");
+    const { signPermit } = require("../scripts/lib/permit");
+    const { parseDuration } = require("../scripts/lib/vesting");
+
+    const owner = await operator.resolveSigner(hre, args.from);
+    const submitter = args.submitter ? await operator.resolveSigner(hre, args.submitter) : owner;
+    const token = await operator.resolveToken(hre, args.token, submitter);
+    const spender = ethers.getAddress(args.spender);
+    const amount = operator.parseAmount(args.amount, { allowMax: true });
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const deadline = BigInt(latest.timestamp + parseDuration(args.expires));
+
+    const permit = await signPermit(token, owner, spender, amount, deadline);
+    const { message, v, r, s } = permit;
+    return operator.execute(
+      hre,
+      token,
+      "BTCX Permit",
+      [
+        ["Owner (signer)", owner.address],
+        ["Spender", spender],
+        ["Allowance", operator.describeAmount(amount)],
+        ["Nonce", message.nonce.toString()],
+        ["Deadline", `${new Date(Number(deadline) * 1000).toISOString()} (${deadline})`],
+        ["Submitted by", submitter.address],
+      ],
+      () => token.permit(message.owner, message.spender, message.value, message.deadline, v, r, s),
+      args
+    );
+  });
@@ -0,0 +1,52 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * @title Permit Relayer Task
+ * @notice `npx hardhat btcx:relayer --network localhost` (or `npm run relayer`)
+ * @dev Sends from RELAYER_PRIVATE_KEY when set, otherwise from the first configured account.
+ *      Runs until interrupted. See scripts/lib/relayer.js for the HTTP API.
+ */
+task("btcx:relayer", "Runs the HTTP permit relayer for gasless BTCX transfers")
+  .addOptionalParam("token", "BTCX token address (defaults to the deployment manifest)")
+  .addOptionalParam("port", "Port to listen on", 8787, types.int)
+  .addOptionalParam("host", "Interface to listen on", "127.0.0.1")
+  .addOptionalParam("rateWindow", "Rate limit window in seconds", 60, types.int)
+  .addOptionalParam("rateMax", "Requests allowed per client IP and per owner in each window", 10, types.int)
+  .setAction(async (args, hre) => {
+    const { ethers } = require("ethers");
+    const deployments = require("../scripts/lib/deployments");
+    const { PERMIT_ABI } = require("../scripts/lib/permit");
+    const { createRelayer } = require("../scripts/lib/relayer");
+
+    const signer = process.env.RELAYER_PRIVATE_KEY
+      ? new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, hre.ethers.provider)
+      : (await hre.ethers.getSigners())[0];
+    const tokenAddress = deployments.resolveAddress(hre.network.name, "BTCXDigitalCurrency", args.token);
+    const abi = [
+      ...PERMIT_ABI,
+      "function balanceOf(address account) view returns (uint256)",
+      "function transferFrom(address from, address to, uint256 value) returns (bool)",
+    ];
+
+    const relayer = createRelayer({
+      token: new ethers.Contract(tokenAddress, abi, signer),
+      signer,
+      rateLimit: { windowMs: args.rateWindow * 1000, max: args.rateMax },
+    });
+    const { address, port } = await relayer.listen(args.port, args.host);
+
+    console.log("=".repeat(60));
+    console.log("BTCX Permit Relayer");
+    console.log("=".repeat(60));
+    console.log("Network:", hre.network.name);
+    console.log("Token:", tokenAddress);
+    console.log("Relayer:", await signer.getAddress());
+    console.log(`Listening on http://${address}:${port}`);
+
+    await new Promise((resolve) => {
+      process.once("SIGINT", resolve);
+      process.once("SIGTERM", resolve);
+    });
+    console.log("\nShutting down after pending requests...");
+    await relayer.close();
+  });
@@ -0,0 +1,34 @@
+const { task } = require("hardhat/config");
+
+/**
+ * @title Safe Batch Tasks
+ * @notice `npx hardhat btcx:safe:check --batch <file> --tx <hash> --network <network>`
+ * @dev Batches are written by scripts/deploy.js (SAFE_ADDRESS) and btcx:distribute --safe.
+ *      See scripts/lib/safe.js.
+ */
+task("btcx:safe:check", "Checks that a transaction executed through the Safe matches a batch file")
+  .addParam("batch", "Safe Transaction Builder batch file")
+  .addParam("tx", "Hash of the transaction that executed the batch")
+  .addOptionalParam("multisend", "Comma-separated MultiSend addresses to trust besides the canonical ones", "")
+  .setAction(async (args, hre) => {
+    const { readSafeBatch, printSafeBatch, checkSafeExecution } = require("../scripts/lib/safe");
+
+    const batch = readSafeBatch(args.batch);
+    printSafeBatch(batch, args.batch);
+
+    const multisendAddresses = args.multisend
+      .split(",")
+      .map((address) => address.trim())
+      .filter(Boolean);
+    const result = await checkSafeExecution(hre.ethers.provider, batch, args.tx, { multisendAddresses });
+
+    console.log("\nTransaction:", args.tx);
+    if (!result.ok) {
+      for (const { reason, message } of result.problems) {
+        console.log(`❌ ${reason}: ${message}`);
+      }
+      throw new Error(`Transaction ${args.tx} does not match ${args.batch}`);
+    }
+    console.log(`✅ Executed all ${batch.transactions.length} call(s) of the batch`);
+    return result;
+  });
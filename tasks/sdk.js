@@ -0,0 +1,36 @@
+const { task } = require("hardhat/config");
+
+/**
+ * @title SDK Build Task
+ * @notice `npx hardhat btcx:sdk:build` builds the btcx-sdk package into sdk/dist
+ * @dev Bundles the token address of every network in deployments/ except local chains
+ *      (--include-local adds them). See scripts/lib/sdk.js.
+ */
+task("btcx:sdk:build", "Builds the typed BTCX SDK package with the deployed addresses")
+  .addOptionalParam("out", "Output directory (defaults to sdk/dist)")
+  .addOptionalParam("deployments", "Deployment manifest directory (defaults to deployments/)")
+  .addFlag("includeLocal", "Also bundle deployments on local chains (chainId 31337)")
+  .setAction(async (args, hre) => {
+    const path = require("path");
+    const { buildSdk } = require("../scripts/lib/sdk");
+
+    console.log("=".repeat(60));
+    console.log("BTCX SDK Build");
+    console.log("=".repeat(60));
+
+    await hre.run("compile", { quiet: true });
+    const result = await buildSdk(hre, {
+      out: args.out,
+      deploymentsDir: args.deployments,
+      includeLocal: args.includeLocal,
+    });
+
+    console.log("Version:", result.version);
+    const networks = Object.entries(result.networks);
+    console.log(networks.length === 0 ? "Networks: none" : "Networks:");
+    for (const [network, { chainId, address }] of networks) {
+      console.log(`  ${network} (${chainId}): ${address}`);
+    }
+    console.log(`\nWrote ${path.relative(process.cwd(), result.out)}`);
+    return result;
+  });
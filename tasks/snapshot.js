@@ -0,0 +1,91 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * @title Snapshot Task
+ * @notice `npx hardhat btcx:snapshot --block <number> --network <network>`
+ * @dev Writes snapshots/<network>-<block>.json and .csv unless --out is given.
+ *      See scripts/lib/snapshot.js.
+ */
+task("btcx:snapshot", "Writes every BTCX holder and balance as of a block or timestamp to CSV and JSON")
+  .addOptionalParam("block", "Snapshot block number (defaults to the latest block)", undefined, types.int)
+  .addOptionalParam("timestamp", "Snapshot at the last block at or before this time (unix seconds or ISO 8601)")
+  .addOptionalParam("token", "BTCX token address (defaults to the deployment manifest)")
+  .addOptionalParam("exclude", "Comma-separated addresses to leave out (treasury, exchanges, ...)", "")
+  .addFlag("excludeBurnSinks", "Also leave out the zero address and 0x...dEaD")
+  .addOptionalParam("fromBlock", "First block to replay (defaults to the recorded deployment block)", undefined, types.int)
+  .addOptionalParam("chunkSize", "Blocks per eth_getLogs request", 2000, types.int)
+  .addOptionalParam("out", "Output path prefix (defaults to snapshots/<network>-<block>)")
+  .addFlag("verify", "Compare every balance with balanceOf() at the snapshot block (needs an archive node)")
+  .setAction(async (args, hre) => {
+    const path = require("path");
+    const { ethers } = require("ethers");
+    const deployments = require("../scripts/lib/deployments");
+    const { BURN_SINKS } = require("../scripts/lib/constants");
+    const { blockAtTimestamp, buildSnapshot, writeSnapshot } = require("../scripts/lib/snapshot");
+
+    if (args.block !== undefined && args.timestamp !== undefined) {
+      throw new Error("Pass either --block or --timestamp, not both");
+    }
+
+    const provider = hre.ethers.provider;
+    const networkName = hre.network.name;
+    const record = deployments.getDeployment(networkName, "BTCXDigitalCurrency");
+    const token = deployments.resolveAddress(networkName, "BTCXDigitalCurrency", args.token);
+    const fromBlock = args.fromBlock ?? (record && record.address === token ? record.blockNumber : 0);
+
+    let blockNumber = args.block;
+    if (args.timestamp !== undefined) {
+      const seconds = /^\d+$/.test(args.timestamp) ? Number(args.timestamp) : Date.parse(args.timestamp) / 1000;
+      if (Number.isNaN(seconds)) {
+        throw new Error(`Invalid timestamp ${args.timestamp}`);
+      }
+      blockNumber = await blockAtTimestamp(provider, Math.floor(seconds));
+    }
+    blockNumber ??= await provider.getBlockNumber();
+
+    const exclude = args.exclude
+      .split(",")
+      .map((address) => address.trim())
+      .filter(Boolean);
+    for (const address of exclude) {
+      if (!ethers.isAddress(address)) {
+        throw new Error(`Invalid address to exclude: ${address}`);
+      }
+    }
+    if (args.excludeBurnSinks) {
+      exclude.push(...BURN_SINKS);
+    }
+
+    console.log("=".repeat(60));
+    console.log("BTCX Holder Snapshot");
+    console.log("=".repeat(60));
+    console.log("Network:", networkName);
+    console.log("Token:", token);
+    console.log("Block:", blockNumber);
+
+    const snapshot = await buildSnapshot(provider, {
+      token,
+      blockNumber,
+      fromBlock,
+      exclude,
+      chunkSize: args.chunkSize,
+      verify: args.verify,
+    });
+    const prefix = args.out || path.join(hre.config.paths.root, "snapshots", `${networkName}-${blockNumber}`);
+    const files = writeSnapshot(snapshot, prefix);
+
+    console.log("Block hash:", snapshot.blockHash);
+    console.log("Block time:", new Date(snapshot.timestamp * 1000).toISOString());
+    console.log("Holders:", snapshot.holders.length);
+    console.log("Total covered:", ethers.formatUnits(snapshot.total, 18), "BTCX");
+    console.log("Total supply:", ethers.formatUnits(snapshot.totalSupply, 18), "BTCX");
+    if (snapshot.excluded.length > 0) {
+      console.log("Excluded:");
+      for (const { address, balance } of snapshot.excluded) {
+        console.log(`  ${address}  ${ethers.formatUnits(balance, 18)} BTCX`);
+      }
+    }
+    console.log("\nWrote", files.json);
+    console.log("Wrote", files.csv);
+    return { snapshot, files };
+  });
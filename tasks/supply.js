@@ -0,0 +1,73 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * @title Supply Tasks
+ * @notice `npx hardhat btcx:supply --locked locked.json --network <network>`
+ *         `npx hardhat btcx:supply:serve --locked locked.json --network localhost` (or `npm run supply`)
+ * @dev See scripts/lib/supply.js for the figures, the locked address file and the HTTP API.
+ */
+async function setup(args, hre) {
+  const { ethers } = require("ethers");
+  const deployments = require("../scripts/lib/deployments");
+  const { SUPPLY_ABI, loadLockedAddresses } = require("../scripts/lib/supply");
+
+  const tokenAddress = deployments.resolveAddress(hre.network.name, "BTCXDigitalCurrency", args.token);
+  const token = new ethers.Contract(tokenAddress, SUPPLY_ABI, hre.ethers.provider);
+  const locked = loadLockedAddresses({
+    file: args.locked,
+    includeVesting: args.includeVesting,
+    network: hre.network.name,
+  });
+  return { token, tokenAddress, locked };
+}
+
+task("btcx:supply", "Prints total, circulating and burned BTCX supply")
+  .addOptionalParam("token", "BTCX token address (defaults to the deployment manifest)")
+  .addOptionalParam("locked", "JSON file of locked addresses excluded from circulating supply")
+  .addFlag("includeVesting", "Also treat every recorded BTCXVestingWallet as locked")
+  .addOptionalParam("block", "Block to read at (defaults to the latest block)", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { readSupply, formatSupply } = require("../scripts/lib/supply");
+    const { token, tokenAddress, locked } = await setup(args, hre);
+    const supply = formatSupply(await readSupply(token, locked, args.block ?? "latest"));
+
+    console.log("Token:", tokenAddress);
+    console.log("Block:", supply.blockNumber, supply.blockHash);
+    console.log("Total supply:", supply.totalSupply, "BTCX");
+    console.log("Circulating supply:", supply.circulatingSupply, "BTCX");
+    console.log("Burned supply:", supply.burnedSupply, "BTCX");
+    console.log("Locked supply:", supply.lockedSupply, "BTCX");
+    for (const entry of supply.locked) {
+      console.log(`  ${entry.label} (${entry.address}): ${entry.balance} BTCX`);
+    }
+    return supply;
+  });
+
+task("btcx:supply:serve", "Runs the read-only circulating-supply HTTP service")
+  .addOptionalParam("token", "BTCX token address (defaults to the deployment manifest)")
+  .addOptionalParam("locked", "JSON file of locked addresses excluded from circulating supply")
+  .addFlag("includeVesting", "Also treat every recorded BTCXVestingWallet as locked")
+  .addOptionalParam("port", "Port to listen on", 8788, types.int)
+  .addOptionalParam("host", "Interface to listen on", "127.0.0.1")
+  .addOptionalParam("cacheMs", "Reuse figures for this many milliseconds", 5000, types.int)
+  .setAction(async (args, hre) => {
+    const { createSupplyServer } = require("../scripts/lib/supply");
+    const { token, tokenAddress, locked } = await setup(args, hre);
+
+    const service = createSupplyServer({ token, locked, cacheMs: args.cacheMs });
+    const { address, port } = await service.listen(args.port, args.host);
+
+    console.log("=".repeat(60));
+    console.log("BTCX Supply Service");
+    console.log("=".repeat(60));
+    console.log("Network:", hre.network.name);
+    console.log("Token:", tokenAddress);
+    console.log("Locked addresses:", locked.length);
+    console.log(`Listening on http://${address}:${port}`);
+
+    await new Promise((resolve) => {
+      process.once("SIGINT", resolve);
+      process.once("SIGTERM", resolve);
+    });
+    await service.close();
+  });
@@ -0,0 +1,28 @@
+const { task } = require("hardhat/config");
+
+/**
+ * @title Vesting Tasks
+ * @notice `npx hardhat btcx:vesting:deploy --plan <file> --network <network>`
+ *         `npx hardhat btcx:vesting:status --network <network>`
+ * @dev See scripts/lib/vesting.js for the plan format. Wallets are recorded in the
+ *      deployment manifest, so re-running a plan only deploys or funds what is missing.
+ */
+task("btcx:vesting:deploy", "Deploys and funds one BTCXVestingWallet per allocation in a vesting plan")
+  .addParam("plan", "Vesting plan JSON (beneficiary, amount, start, cliff, duration per allocation)")
+  .addOptionalParam("token", "BTCX token address (defaults to the deployment manifest)")
+  .setAction(async (args, hre) => {
+    const { deployVestingPlan, vestingStatus, printVestingReport } = require("../scripts/lib/vesting");
+    const records = await deployVestingPlan(hre, args);
+    const status = await vestingStatus(hre, args);
+    printVestingReport(status);
+    return { records, ...status };
+  });
+
+task("btcx:vesting:status", "Prints the release calendar and releasable amounts of recorded vesting wallets")
+  .addOptionalParam("token", "Token to report on (defaults to the token each wallet was funded with)")
+  .setAction(async (args, hre) => {
+    const { vestingStatus, printVestingReport } = require("../scripts/lib/vesting");
+    const status = await vestingStatus(hre, args);
+    printVestingReport(status);
+    return status;
+  });
@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../scripts/lib/permit");
+const { MINT_TYPES, RELEASE_TYPES } = require("../scripts/lib/bridge");
+
+/**
+ * @title BTCX Bridge Contract Test Suite
+ * @notice Tests for BTCXLockbox and BTCXBridgedToken: locking, signed mints and releases, the
+ *         locked-total cap and signature checks
+ * @dev Both ends are deployed on the same in-process chain; test/bridge.test.js runs them on
+ *      two chains with the relayer.
+ */
+describe("BTCX Bridge", function () {
+  const AMOUNT = ethers.parseUnits("1000", 18);
+  const THRESHOLD = 2;
+
+  async function deployBridgeFixture() {
+    const [owner, alice, bob, ...rest] = await ethers.getSigners();
+    // Signers sorted by address, the order the contracts expect their signatures in
+    const signers = rest
+      .slice(0, 3)
+      .sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+    const outsider = rest[3];
+
+    const btcx = await (await ethers.getContractFactory("BTCXDigitalCurrency")).deploy(alice.address);
+    const addresses = signers.map((signer) => signer.address);
+    const lockbox = await (await ethers.getContractFactory("BTCXLockbox")).deploy(
+      await btcx.getAddress(),
+      addresses,
+      THRESHOLD
+    );
+    const bridged = await (await ethers.getContractFactory("BTCXBridgedToken")).deploy(addresses, THRESHOLD);
+    await btcx.connect(alice).approve(await lockbox.getAddress(), ethers.MaxUint256);
+
+    return { btcx, lockbox, bridged, owner, alice, bob, signers, outsider };
+  }
+
+  async function sign(contract, signers, types, message) {
+    const [, name, version, chainId, verifyingContract] = await contract.eip712Domain();
+    const domain = { name, version, chainId, verifyingContract };
+    return Promise.all(signers.map((signer) => signer.signTypedData(domain, types, message)));
+  }
+
+  async function mint(bridged, signers, lockNonce, recipient, amount, totalLocked) {
+    const signatures = await sign(bridged, signers, MINT_TYPES, { lockNonce, recipient, amount, totalLocked });
+    return bridged.mint(lockNonce, recipient, amount, totalLocked, signatures);
+  }
+
+  async function release(lockbox, signers, burnNonce, recipient, amount) {
+    const signatures = await sign(lockbox, signers, RELEASE_TYPES, { burnNonce, recipient, amount });
+    return lockbox.release(burnNonce, recipient, amount, signatures);
+  }
+
+  // ============================================================
+  // DEPLOYMENT TESTS
+  // ============================================================
+  describe("Deployment", function () {
+    it("Should set the token, signer set and threshold", async function () {
+      const { btcx, lockbox, bridged, signers, outsider } = await loadFixture(deployBridgeFixture);
+      const addresses = signers.map((signer) => signer.address);
+
+      expect(await lockbox.token()).to.equal(await btcx.getAddress());
+      expect(await lockbox.signers()).to.deep.equal(addresses);
+      expect(await bridged.signers()).to.deep.equal(addresses);
+      expect(await lockbox.threshold()).to.equal(THRESHOLD);
+      expect(await bridged.isSigner(addresses[0])).to.equal(true);
+      expect(await bridged.isSigner(outsider.address)).to.equal(false);
+      expect(await bridged.symbol()).to.equal("BTCX");
+      expect(await bridged.totalSupply()).to.equal(0);
+    });
+
+    it("Should reject a zero or out of range threshold and zero or duplicate signers", async function () {
+      const { btcx, signers } = await loadFixture(deployBridgeFixture);
+      const Lockbox = await ethers.getContractFactory("BTCXLockbox");
+      const Bridged = await ethers.getContractFactory("BTCXBridgedToken");
+      const [a, b] = signers.map((signer) => signer.address);
+
+      await expect(Bridged.deploy([a, b], 0)).to.be.revertedWithCustomError(Bridged, "InvalidThreshold").withArgs(0, 2);
+      await expect(Bridged.deploy([a, b], 3)).to.be.revertedWithCustomError(Bridged, "InvalidThreshold").withArgs(3, 2);
+      await expect(Bridged.deploy([a, ethers.ZeroAddress], 1))
+        .to.be.revertedWithCustomError(Bridged, "InvalidSigner")
+        .withArgs(ethers.ZeroAddress);
+      await expect(Lockbox.deploy(await btcx.getAddress(), [a, a], 1))
+        .to.be.revertedWithCustomError(Lockbox, "InvalidSigner")
+        .withArgs(a);
+      await expect(Lockbox.deploy(ethers.ZeroAddress, [a], 1)).to.be.revertedWithCustomError(Lockbox, "ZeroAddress");
+    });
+  });
+
+  // ============================================================
+  // LOCK TESTS
+  // ============================================================
+  describe("Lock", function () {
+    it("Should lock tokens with sequential nonces and a running total", async function () {
+      const { btcx, lockbox, alice, bob } = await loadFixture(deployBridgeFixture);
+
+      await expect(lockbox.connect(alice).lock(bob.address, AMOUNT))
+        .to.emit(lockbox, "Locked")
+        .withArgs(0, alice.address, bob.address, AMOUNT, AMOUNT);
+      await expect(lockbox.connect(alice).lock(alice.address, AMOUNT * 2n))
+        .to.emit(lockbox, "Locked")
+        .withArgs(1, alice.address, alice.address, AMOUNT * 2n, AMOUNT * 3n);
+
+      expect(await btcx.balanceOf(await lockbox.getAddress())).to.equal(AMOUNT * 3n);
+      expect(await lockbox.lockNonce()).to.equal(2);
+      expect(await lockbox.lockedBalance()).to.equal(AMOUNT * 3n);
+    });
+
+    it("Should lock with a permit instead of an approval", async function () {
+      const { btcx, lockbox, alice, bob } = await loadFixture(deployBridgeFixture);
+      await btcx.connect(alice).transfer(bob.address, AMOUNT);
+      const deadline = (await time.latest()) + 3600;
+      const permit = await signPermit(btcx, bob, await lockbox.getAddress(), AMOUNT, deadline);
+
+      await expect(
+        lockbox.connect(bob).lockWithPermit(bob.address, AMOUNT, deadline, permit.v, permit.r, permit.s)
+      ).to.emit(lockbox, "Locked");
+
+      expect(await btcx.balanceOf(bob.address)).to.equal(0);
+      expect(await lockbox.lockedBalance()).to.equal(AMOUNT);
+    });
+
+    it("Should reject a zero recipient or amount", async function () {
+      const { lockbox, alice } = await loadFixture(deployBridgeFixture);
+
+      await expect(lockbox.connect(alice).lock(ethers.ZeroAddress, AMOUNT)).to.be.revertedWithCustomError(
+        lockbox,
+        "ZeroAddress"
+      );
+      await expect(lockbox.connect(alice).lock(alice.address, 0)).to.be.revertedWithCustomError(lockbox, "ZeroAmount");
+    });
+  });
+
+  // ============================================================
+  // MINT TESTS
+  // ============================================================
+  describe("Mint", function () {
+    it("Should mint a lock approved by the threshold of signers", async function () {
+      const { bridged, bob, signers } = await loadFixture(deployBridgeFixture);
+
+      await expect(mint(bridged, signers.slice(0, 2), 0, bob.address, AMOUNT, AMOUNT))
+        .to.emit(bridged, "Minted")
+        .withArgs(0, bob.address, AMOUNT);
+
+      expect(await bridged.balanceOf(bob.address)).to.equal(AMOUNT);
+      expect(await bridged.mintedLocks()).to.equal(1);
+      expect(await bridged.totalMinted()).to.equal(AMOUNT);
+    });
+
+    it("Should mint locks in nonce order only, and each once", async function () {
+      const { bridged, bob, signers } = await loadFixture(deployBridgeFixture);
+
+      await expect(mint(bridged, signers, 1, bob.address, AMOUNT, AMOUNT))
+        .to.be.revertedWithCustomError(bridged, "UnexpectedLockNonce")
+        .withArgs(1, 0);
+      await mint(bridged, signers, 0, bob.address, AMOUNT, AMOUNT);
+      await expect(mint(bridged, signers, 0, bob.address, AMOUNT, AMOUNT))
+        .to.be.revertedWithCustomError(bridged, "UnexpectedLockNonce")
+        .withArgs(0, 1);
+    });
+
+    it("Should not mint more than the lockbox's locked total", async function () {
+      const { bridged, bob, signers } = await loadFixture(deployBridgeFixture);
+
+      await expect(mint(bridged, signers, 0, bob.address, AMOUNT * 2n, AMOUNT))
+        .to.be.revertedWithCustomError(bridged, "LockedTotalMismatch")
+        .withArgs(AMOUNT * 2n, AMOUNT);
+      await mint(bridged, signers, 0, bob.address, AMOUNT, AMOUNT);
+      await expect(mint(bridged, signers, 1, bob.address, AMOUNT, AMOUNT))
+        .to.be.revertedWithCustomError(bridged, "LockedTotalMismatch")
+        .withArgs(AMOUNT * 2n, AMOUNT);
+    });
+
+    it("Should reject too few, unordered, duplicate or outside signatures", async function () {
+      const { bridged, bob, signers, outsider } = await loadFixture(deployBridgeFixture);
+      const message = { lockNonce: 0, recipient: bob.address, amount: AMOUNT, totalLocked: AMOUNT };
+      const attempt = async (signatures) => bridged.mint(0, bob.address, AMOUNT, AMOUNT, signatures);
+      const [first, second] = await sign(bridged, signers.slice(0, 2), MINT_TYPES, message);
+      const [outside] = await sign(bridged, [outsider], MINT_TYPES, message);
+
+      await expect(attempt([first]))
+        .to.be.revertedWithCustomError(bridged, "NotEnoughSignatures")
+        .withArgs(1, THRESHOLD);
+      await expect(attempt([second, first]))
+        .to.be.revertedWithCustomError(bridged, "UnauthorizedSignature")
+        .withArgs(signers[0].address);
+      await expect(attempt([first, first]))
+        .to.be.revertedWithCustomError(bridged, "UnauthorizedSignature")
+        .withArgs(signers[0].address);
+      await expect(attempt([first, outside]))
+        .to.be.revertedWithCustomError(bridged, "UnauthorizedSignature")
+        .withArgs(outsider.address);
+    });
+
+    it("Should reject signatures for a different message or contract", async function () {
+      const { lockbox, bridged, bob, signers } = await loadFixture(deployBridgeFixture);
+      const message = { lockNonce: 0, recipient: bob.address, amount: AMOUNT, totalLocked: AMOUNT };
+      const forLockbox = await sign(lockbox, signers.slice(0, 2), MINT_TYPES, message);
+      const forOther = await sign(bridged, signers.slice(0, 2), MINT_TYPES, { ...message, recipient: signers[0].address });
+
+      await expect(bridged.mint(0, bob.address, AMOUNT, AMOUNT, forLockbox)).to.be.revertedWithCustomError(
+        bridged,
+        "UnauthorizedSignature"
+      );
+      await expect(bridged.mint(0, bob.address, AMOUNT, AMOUNT, forOther)).to.be.revertedWithCustomError(
+        bridged,
+        "UnauthorizedSignature"
+      );
+    });
+  });
+
+  // ============================================================
+  // BURN AND RELEASE TESTS
+  // ============================================================
+  describe("Burn and release", function () {
+    async function lockedAndMintedFixture() {
+      const fixture = await deployBridgeFixture();
+      const { lockbox, bridged, alice, bob, signers } = fixture;
+      await lockbox.connect(alice).lock(bob.address, AMOUNT);
+      await mint(bridged, signers, 0, bob.address, AMOUNT, AMOUNT);
+      return fixture;
+    }
+
+    it("Should burn with sequential nonces", async function () {
+      const { bridged, alice, bob } = await loadFixture(lockedAndMintedFixture);
+
+      await expect(bridged.connect(bob).burn(alice.address, AMOUNT / 4n))
+        .to.emit(bridged, "Burned")
+        .withArgs(0, bob.address, alice.address, AMOUNT / 4n);
+      await expect(bridged.connect(bob).burn(bob.address, AMOUNT / 4n))
+        .to.emit(bridged, "Burned")
+        .withArgs(1, bob.address, bob.address, AMOUNT / 4n);
+
+      expect(await bridged.totalSupply()).to.equal(AMOUNT / 2n);
+      await expect(bridged.connect(bob).burn(ethers.ZeroAddress, 1)).to.be.revertedWithCustomError(bridged, "ZeroAddress");
+      await expect(bridged.connect(bob).burn(bob.address, 0)).to.be.revertedWithCustomError(bridged, "ZeroAmount");
+      await expect(bridged.connect(bob).burn(bob.address, AMOUNT)).to.be.revertedWithCustomError(
+        bridged,
+        "ERC20InsufficientBalance"
+      );
+    });
+
+    it("Should release a burn approved by the threshold of signers, once", async function () {
+      const { btcx, lockbox, bridged, alice, bob, signers } = await loadFixture(lockedAndMintedFixture);
+      await bridged.connect(bob).burn(alice.address, AMOUNT / 4n);
+      const before = await btcx.balanceOf(alice.address);
+
+      await expect(release(lockbox, signers.slice(1), 0, alice.address, AMOUNT / 4n))
+        .to.emit(lockbox, "Released")
+        .withArgs(0, alice.address, AMOUNT / 4n);
+      await expect(release(lockbox, signers.slice(1), 0, alice.address, AMOUNT / 4n))
+        .to.be.revertedWithCustomError(lockbox, "AlreadyReleased")
+        .withArgs(0);
+
+      expect(await btcx.balanceOf(alice.address)).to.equal(before + AMOUNT / 4n);
+      expect(await lockbox.released(0)).to.equal(true);
+      expect(await lockbox.lockedBalance()).to.equal(await bridged.totalSupply());
+    });
+
+    it("Should not release more than is locked", async function () {
+      const { btcx, lockbox, alice, signers } = await loadFixture(lockedAndMintedFixture);
+      // Tokens sent to the lockbox directly do not count as locked
+      await btcx.connect(alice).transfer(await lockbox.getAddress(), AMOUNT);
+
+      await expect(release(lockbox, signers, 0, alice.address, AMOUNT + 1n))
+        .to.be.revertedWithCustomError(lockbox, "ReleaseExceedsLocked")
+        .withArgs(AMOUNT + 1n, AMOUNT);
+    });
+
+    it("Should reject a release signed for the bridged token", async function () {
+      const { lockbox, bridged, alice, signers } = await loadFixture(lockedAndMintedFixture);
+      const message = { burnNonce: 0, recipient: alice.address, amount: AMOUNT };
+      const signatures = await sign(bridged, signers.slice(0, 2), RELEASE_TYPES, message);
+
+      await expect(lockbox.release(0, alice.address, AMOUNT, signatures)).to.be.revertedWithCustomError(
+        lockbox,
+        "UnauthorizedSignature"
+      );
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getPermitDomain, signPermit } = require("../scripts/lib/permit");
 
 /**
  * @title BTCXDigitalCurrency Test Suite
@@ -27,53 +28,6 @@ describe("BTCXDigitalCurrency", function () {
     return { btcx, owner, recipient, alice, bob, charlie, spender };
   }
 
-  /**
-   * @notice Helper to get EIP-712 domain separator components
-   */
-  async function getDomainSeparator(btcx) {
-    const [, name, version, chainId, verifyingContract] = await btcx.eip712Domain();
-    return { name, version, chainId, verifyingContract };
-  }
-
-  /**
-   * @notice Helper to create permit signature
-   */
-  async function createPermitSignature(btcx, owner, spender, value, deadline) {
-    const domain = await getDomainSeparator(btcx);
-    const nonce = await btcx.nonces(owner.address);
-
-    const types = {
-      Permit: [
-        { name: "owner", type: "address" },
-        { name: "spender", type: "address" },
-        { name: "value", type: "uint256" },
-        { name: "nonce", type: "uint256" },
-        { name: "deadline", type: "uint256" },
-      ],
-    };
-
-    const message = {
-      owner: owner.address,
-      spender: spender.address,
-      value: value,
-      nonce: nonce,
-      deadline: deadline,
-    };
-
-    const signature = await owner.signTypedData(
-      {
-        name: domain.name,
-        version: domain.version,
-        chainId: domain.chainId,
-        verifyingContract: domain.verifyingContract,
-      },
-      types,
-      message
-    );
-
-    return ethers.Signature.from(signature);
-  }
-
   // ============================================================
   // DEPLOYMENT TESTS
   // ============================================================
@@ -436,7 +390,7 @@ describe("BTCXDigitalCurrency", function () {
   describe("ERC20 Permit", function () {
     it("Should have correct EIP-712 domain", async function () {
       const { btcx } = await loadFixture(deployBTCXFixture);
-      const domain = await getDomainSeparator(btcx);
+      const domain = await getPermitDomain(btcx);
 
       expect(domain.name).to.equal(TOKEN_NAME);
       expect(domain.version).to.equal("1");
@@ -462,7 +416,7 @@ describe("BTCXDigitalCurrency", function () {
       const value = ethers.parseUnits("1000", DECIMALS);
       const deadline = (await time.latest()) + 3600; // 1 hour from now
 
-      const sig = await createPermitSignature(btcx, recipient, spender, value, deadline);
+      const sig = await signPermit(btcx, recipient, spender, value, deadline);
 
       await btcx.permit(
         recipient.address,
@@ -482,7 +436,7 @@ describe("BTCXDigitalCurrency", function () {
       const value = ethers.parseUnits("1000", DECIMALS);
       const deadline = (await time.latest()) + 3600;
 
-      const sig = await createPermitSignature(btcx, recipient, spender, value, deadline);
+      const sig = await signPermit(btcx, recipient, spender, value, deadline);
 
       await expect(btcx.permit(recipient.address, spender.address, value, deadline, sig.v, sig.r, sig.s))
         .to.emit(btcx, "Approval")
@@ -496,7 +450,7 @@ describe("BTCXDigitalCurrency", function () {
 
       expect(await btcx.nonces(recipient.address)).to.equal(0);
 
-      const sig = await createPermitSignature(btcx, recipient, spender, value, deadline);
+      const sig = await signPermit(btcx, recipient, spender, value, deadline);
       await btcx.permit(recipient.address, spender.address, value, deadline, sig.v, sig.r, sig.s);
 
       expect(await btcx.nonces(recipient.address)).to.equal(1);
@@ -507,7 +461,7 @@ describe("BTCXDigitalCurrency", function () {
       const value = ethers.parseUnits("1000", DECIMALS);
       const deadline = (await time.latest()) - 1; // Already expired
 
-      const sig = await createPermitSignature(btcx, recipient, spender, value, deadline);
+      const sig = await signPermit(btcx, recipient, spender, value, deadline);
 
       await expect(btcx.permit(recipient.address, spender.address, value, deadline, sig.v, sig.r, sig.s))
         .to.be.revertedWithCustomError(btcx, "ERC2612ExpiredSignature");
@@ -519,7 +473,7 @@ describe("BTCXDigitalCurrency", function () {
       const deadline = (await time.latest()) + 3600;
 
       // Sign with alice but try to permit for recipient
-      const sig = await createPermitSignature(btcx, alice, spender, value, deadline);
+      const sig = await signPermit(btcx, alice, spender, value, deadline);
 
       await expect(btcx.permit(recipient.address, spender.address, value, deadline, sig.v, sig.r, sig.s))
         .to.be.revertedWithCustomError(btcx, "ERC2612InvalidSigner");
@@ -530,7 +484,7 @@ describe("BTCXDigitalCurrency", function () {
       const value = ethers.parseUnits("1000", DECIMALS);
       const deadline = (await time.latest()) + 3600;
 
-      const sig = await createPermitSignature(btcx, recipient, spender, value, deadline);
+      const sig = await signPermit(btcx, recipient, spender, value, deadline);
       
       // First permit succeeds
       await btcx.permit(recipient.address, spender.address, value, deadline, sig.v, sig.r, sig.s);
@@ -547,12 +501,12 @@ describe("BTCXDigitalCurrency", function () {
       const deadline = (await time.latest()) + 3600;
 
       // First permit
-      const sig1 = await createPermitSignature(btcx, recipient, spender, value1, deadline);
+      const sig1 = await signPermit(btcx, recipient, spender, value1, deadline);
       await btcx.permit(recipient.address, spender.address, value1, deadline, sig1.v, sig1.r, sig1.s);
       expect(await btcx.allowance(recipient.address, spender.address)).to.equal(value1);
 
       // Second permit with new value
-      const sig2 = await createPermitSignature(btcx, recipient, spender, value2, deadline);
+      const sig2 = await signPermit(btcx, recipient, spender, value2, deadline);
       await btcx.permit(recipient.address, spender.address, value2, deadline, sig2.v, sig2.r, sig2.s);
       expect(await btcx.allowance(recipient.address, spender.address)).to.equal(value2);
     });
@@ -562,7 +516,7 @@ describe("BTCXDigitalCurrency", function () {
       const value = ethers.parseUnits("1000", DECIMALS);
       const deadline = ethers.MaxUint256;
 
-      const sig = await createPermitSignature(btcx, recipient, spender, value, deadline);
+      const sig = await signPermit(btcx, recipient, spender, value, deadline);
 
       await btcx.permit(recipient.address, spender.address, value, deadline, sig.v, sig.r, sig.s);
 
@@ -574,7 +528,7 @@ describe("BTCXDigitalCurrency", function () {
       const value = 0n;
       const deadline = (await time.latest()) + 3600;
 
-      const sig = await createPermitSignature(btcx, recipient, spender, value, deadline);
+      const sig = await signPermit(btcx, recipient, spender, value, deadline);
 
       await btcx.permit(recipient.address, spender.address, value, deadline, sig.v, sig.r, sig.s);
 
@@ -592,7 +546,7 @@ describe("BTCXDigitalCurrency", function () {
       const deadline = (await time.latest()) + 3600;
 
       // Permit
-      const sig = await createPermitSignature(btcx, recipient, spender, value, deadline);
+      const sig = await signPermit(btcx, recipient, spender, value, deadline);
       await btcx.permit(recipient.address, spender.address, value, deadline, sig.v, sig.r, sig.s);
 
       // TransferFrom
@@ -997,7 +951,7 @@ describe("BTCXDigitalCurrency", function () {
         const deadline = (await time.latest()) + 3600;
 
         // Permit
-        const sig = await createPermitSignature(btcx, recipient, spender, value, deadline);
+        const sig = await signPermit(btcx, recipient, spender, value, deadline);
         await btcx.permit(recipient.address, spender.address, value, deadline, sig.v, sig.r, sig.s);
 
         // BurnFrom
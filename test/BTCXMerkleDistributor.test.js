@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildAirdrop } = require("../scripts/lib/merkle");
+
+/**
+ * @title BTCXMerkleDistributor Test Suite
+ * @notice Tests for Merkle airdrop claims and the post-deadline sweep
+ */
+describe("BTCXMerkleDistributor", function () {
+  const DECIMALS = 18;
+  const WEEK = 7 * 24 * 3600;
+
+  async function deployDistributorFixture() {
+    const [owner, treasury, alice, bob, charlie, outsider] = await ethers.getSigners();
+
+    const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+    const btcx = await BTCXDigitalCurrency.deploy(owner.address);
+
+    const airdrop = buildAirdrop([
+      { address: alice.address, amount: ethers.parseUnits("100", DECIMALS) },
+      { address: bob.address, amount: ethers.parseUnits("250.5", DECIMALS) },
+      { address: charlie.address, amount: ethers.parseUnits("1", DECIMALS) },
+    ]);
+    const deadline = (await time.latest()) + WEEK;
+
+    const BTCXMerkleDistributor = await ethers.getContractFactory("BTCXMerkleDistributor");
+    const distributor = await BTCXMerkleDistributor.deploy(
+      await btcx.getAddress(),
+      airdrop.root,
+      deadline,
+      treasury.address
+    );
+    await btcx.transfer(await distributor.getAddress(), airdrop.total);
+
+    return { btcx, distributor, airdrop, deadline, owner, treasury, alice, bob, charlie, outsider };
+  }
+
+  function claimArgs(claim) {
+    return [claim.index, claim.account, claim.amount, claim.proof];
+  }
+
+  // ============================================================
+  // DEPLOYMENT TESTS
+  // ============================================================
+  describe("Deployment", function () {
+    it("Should set the token, root, deadline and sweep recipient", async function () {
+      const { btcx, distributor, airdrop, deadline, treasury } = await loadFixture(deployDistributorFixture);
+
+      expect(await distributor.token()).to.equal(await btcx.getAddress());
+      expect(await distributor.merkleRoot()).to.equal(airdrop.root);
+      expect(await distributor.deadline()).to.equal(deadline);
+      expect(await distributor.sweepRecipient()).to.equal(treasury.address);
+    });
+
+    it("Should fail with a deadline that is not in the future", async function () {
+      const { btcx, airdrop, treasury } = await loadFixture(deployDistributorFixture);
+      const BTCXMerkleDistributor = await ethers.getContractFactory("BTCXMerkleDistributor");
+      const deadline = await time.latest();
+
+      await expect(BTCXMerkleDistributor.deploy(await btcx.getAddress(), airdrop.root, deadline, treasury.address))
+        .to.be.revertedWithCustomError(BTCXMerkleDistributor, "InvalidDeadline")
+        .withArgs(deadline);
+    });
+
+    it("Should fail with a zero sweep recipient", async function () {
+      const { btcx, airdrop, deadline } = await loadFixture(deployDistributorFixture);
+      const BTCXMerkleDistributor = await ethers.getContractFactory("BTCXMerkleDistributor");
+
+      await expect(
+        BTCXMerkleDistributor.deploy(await btcx.getAddress(), airdrop.root, deadline, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(BTCXMerkleDistributor, "ZeroAddress");
+    });
+  });
+
+  // ============================================================
+  // CLAIM TESTS
+  // ============================================================
+  describe("Claims", function () {
+    it("Should send the claimed amount to the account", async function () {
+      const { btcx, distributor, airdrop, alice } = await loadFixture(deployDistributorFixture);
+      const claim = airdrop.claims[alice.address];
+
+      await distributor.connect(alice).claim(...claimArgs(claim));
+
+      expect(await btcx.balanceOf(alice.address)).to.equal(claim.amount);
+      expect(await distributor.isClaimed(claim.index)).to.equal(true);
+    });
+
+    it("Should emit Claimed", async function () {
+      const { distributor, airdrop, bob } = await loadFixture(deployDistributorFixture);
+      const claim = airdrop.claims[bob.address];
+
+      await expect(distributor.connect(bob).claim(...claimArgs(claim)))
+        .to.emit(distributor, "Claimed")
+        .withArgs(claim.index, bob.address, claim.amount);
+    });
+
+    it("Should let anyone submit a claim on behalf of the account", async function () {
+      const { btcx, distributor, airdrop, alice, outsider } = await loadFixture(deployDistributorFixture);
+      const claim = airdrop.claims[alice.address];
+
+      await distributor.connect(outsider).claim(...claimArgs(claim));
+
+      expect(await btcx.balanceOf(alice.address)).to.equal(claim.amount);
+      expect(await btcx.balanceOf(outsider.address)).to.equal(0);
+    });
+
+    it("Should pay out the whole balance once everyone has claimed", async function () {
+      const { btcx, distributor, airdrop } = await loadFixture(deployDistributorFixture);
+
+      for (const claim of Object.values(airdrop.claims)) {
+        await distributor.claim(...claimArgs(claim));
+      }
+
+      expect(await btcx.balanceOf(await distributor.getAddress())).to.equal(0);
+    });
+
+    it("Should fail to claim twice", async function () {
+      const { distributor, airdrop, alice } = await loadFixture(deployDistributorFixture);
+      const claim = airdrop.claims[alice.address];
+      await distributor.claim(...claimArgs(claim));
+
+      await expect(distributor.claim(...claimArgs(claim)))
+        .to.be.revertedWithCustomError(distributor, "AlreadyClaimed")
+        .withArgs(claim.index);
+    });
+
+    it("Should fail with a proof for another account", async function () {
+      const { distributor, airdrop, alice, outsider } = await loadFixture(deployDistributorFixture);
+      const claim = airdrop.claims[alice.address];
+
+      await expect(
+        distributor.claim(claim.index, outsider.address, claim.amount, claim.proof)
+      ).to.be.revertedWithCustomError(distributor, "InvalidProof");
+    });
+
+    it("Should fail with an inflated amount", async function () {
+      const { distributor, airdrop, alice } = await loadFixture(deployDistributorFixture);
+      const claim = airdrop.claims[alice.address];
+
+      await expect(
+        distributor.claim(claim.index, claim.account, BigInt(claim.amount) + 1n, claim.proof)
+      ).to.be.revertedWithCustomError(distributor, "InvalidProof");
+    });
+
+    it("Should fail with a wrong index or an empty proof", async function () {
+      const { distributor, airdrop, alice } = await loadFixture(deployDistributorFixture);
+      const claim = airdrop.claims[alice.address];
+
+      await expect(
+        distributor.claim(claim.index + 1, claim.account, claim.amount, claim.proof)
+      ).to.be.revertedWithCustomError(distributor, "InvalidProof");
+      await expect(
+        distributor.claim(claim.index, claim.account, claim.amount, [])
+      ).to.be.revertedWithCustomError(distributor, "InvalidProof");
+    });
+
+    it("Should accept claims until the deadline", async function () {
+      const { distributor, airdrop, deadline, alice } = await loadFixture(deployDistributorFixture);
+
+      await time.setNextBlockTimestamp(deadline);
+
+      await expect(distributor.claim(...claimArgs(airdrop.claims[alice.address]))).to.emit(distributor, "Claimed");
+    });
+
+    it("Should fail to claim after the deadline", async function () {
+      const { distributor, airdrop, deadline, alice } = await loadFixture(deployDistributorFixture);
+
+      await time.increaseTo(deadline + 1);
+
+      await expect(distributor.claim(...claimArgs(airdrop.claims[alice.address])))
+        .to.be.revertedWithCustomError(distributor, "ClaimWindowClosed")
+        .withArgs(deadline);
+    });
+  });
+
+  // ============================================================
+  // SWEEP TESTS
+  // ============================================================
+  describe("Sweep", function () {
+    it("Should fail to sweep before the deadline has passed", async function () {
+      const { distributor, deadline } = await loadFixture(deployDistributorFixture);
+
+      await time.setNextBlockTimestamp(deadline);
+
+      await expect(distributor.sweep())
+        .to.be.revertedWithCustomError(distributor, "ClaimWindowOpen")
+        .withArgs(deadline);
+    });
+
+    it("Should send unclaimed tokens to the sweep recipient after the deadline", async function () {
+      const { btcx, distributor, airdrop, deadline, treasury, alice, outsider } =
+        await loadFixture(deployDistributorFixture);
+      const claim = airdrop.claims[alice.address];
+      await distributor.claim(...claimArgs(claim));
+      const remaining = airdrop.total - BigInt(claim.amount);
+
+      await time.increaseTo(deadline + 1);
+
+      await expect(distributor.connect(outsider).sweep())
+        .to.emit(distributor, "Swept")
+        .withArgs(treasury.address, remaining);
+      expect(await btcx.balanceOf(treasury.address)).to.equal(remaining);
+      expect(await btcx.balanceOf(await distributor.getAddress())).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../scripts/lib/permit");
+
+/**
+ * @title BTCXMultisend Test Suite
+ * @notice Tests for the batch transfer contract used by the distribution task
+ */
+describe("BTCXMultisend", function () {
+  const DECIMALS = 18;
+  const BATCH_ID = ethers.id("batch-0");
+
+  async function deployMultisendFixture() {
+    const [owner, recipient, alice, bob, charlie] = await ethers.getSigners();
+
+    const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+    const btcx = await BTCXDigitalCurrency.deploy(recipient.address);
+    const BTCXMultisend = await ethers.getContractFactory("BTCXMultisend");
+    const multisend = await BTCXMultisend.deploy();
+
+    return { btcx, multisend, owner, recipient, alice, bob, charlie };
+  }
+
+  // ============================================================
+  // MULTISEND TESTS
+  // ============================================================
+  describe("multisend", function () {
+    it("Should transfer each amount to each recipient", async function () {
+      const { btcx, multisend, recipient, alice, bob } = await loadFixture(deployMultisendFixture);
+      const amounts = [ethers.parseUnits("100", DECIMALS), ethers.parseUnits("250.5", DECIMALS)];
+      await btcx.connect(recipient).approve(await multisend.getAddress(), amounts[0] + amounts[1]);
+
+      await multisend
+        .connect(recipient)
+        .multisend(await btcx.getAddress(), BATCH_ID, [alice.address, bob.address], amounts);
+
+      expect(await btcx.balanceOf(alice.address)).to.equal(amounts[0]);
+      expect(await btcx.balanceOf(bob.address)).to.equal(amounts[1]);
+      expect(await btcx.balanceOf(await multisend.getAddress())).to.equal(0);
+    });
+
+    it("Should emit BatchSent with the batch total", async function () {
+      const { btcx, multisend, recipient, alice, bob } = await loadFixture(deployMultisendFixture);
+      const amount = ethers.parseUnits("10", DECIMALS);
+      await btcx.connect(recipient).approve(await multisend.getAddress(), amount * 2n);
+
+      await expect(
+        multisend
+          .connect(recipient)
+          .multisend(await btcx.getAddress(), BATCH_ID, [alice.address, bob.address], [amount, amount])
+      )
+        .to.emit(multisend, "BatchSent")
+        .withArgs(await btcx.getAddress(), recipient.address, BATCH_ID, 2, amount * 2n);
+    });
+
+    it("Should mark the batch id as executed for the sender", async function () {
+      const { btcx, multisend, recipient, alice } = await loadFixture(deployMultisendFixture);
+      await btcx.connect(recipient).approve(await multisend.getAddress(), 1);
+      await multisend.connect(recipient).multisend(await btcx.getAddress(), BATCH_ID, [alice.address], [1]);
+
+      expect(await multisend.executed(recipient.address, BATCH_ID)).to.equal(true);
+      expect(await multisend.executed(alice.address, BATCH_ID)).to.equal(false);
+    });
+
+    it("Should fail to execute the same batch id twice", async function () {
+      const { btcx, multisend, recipient, alice } = await loadFixture(deployMultisendFixture);
+      await btcx.connect(recipient).approve(await multisend.getAddress(), 2);
+      await multisend.connect(recipient).multisend(await btcx.getAddress(), BATCH_ID, [alice.address], [1]);
+
+      await expect(
+        multisend.connect(recipient).multisend(await btcx.getAddress(), BATCH_ID, [alice.address], [1])
+      )
+        .to.be.revertedWithCustomError(multisend, "BatchAlreadyExecuted")
+        .withArgs(BATCH_ID);
+    });
+
+    it("Should fail on mismatched array lengths", async function () {
+      const { btcx, multisend, recipient, alice } = await loadFixture(deployMultisendFixture);
+
+      await expect(
+        multisend.connect(recipient).multisend(await btcx.getAddress(), BATCH_ID, [alice.address], [1, 2])
+      )
+        .to.be.revertedWithCustomError(multisend, "LengthMismatch")
+        .withArgs(1, 2);
+    });
+
+    it("Should fail without sufficient allowance", async function () {
+      const { btcx, multisend, recipient, alice } = await loadFixture(deployMultisendFixture);
+
+      await expect(
+        multisend.connect(recipient).multisend(await btcx.getAddress(), BATCH_ID, [alice.address], [1])
+      ).to.be.revertedWithCustomError(btcx, "ERC20InsufficientAllowance");
+    });
+
+    it("Should revert the whole batch if one transfer fails", async function () {
+      const { btcx, multisend, recipient, alice, bob } = await loadFixture(deployMultisendFixture);
+      await btcx.connect(recipient).approve(await multisend.getAddress(), 1);
+
+      await expect(
+        multisend
+          .connect(recipient)
+          .multisend(await btcx.getAddress(), BATCH_ID, [alice.address, bob.address], [1, 1])
+      ).to.be.revertedWithCustomError(btcx, "ERC20InsufficientAllowance");
+      expect(await btcx.balanceOf(alice.address)).to.equal(0);
+      expect(await multisend.executed(recipient.address, BATCH_ID)).to.equal(false);
+    });
+  });
+
+  // ============================================================
+  // PERMIT TESTS
+  // ============================================================
+  describe("multisendWithPermit", function () {
+    it("Should fund the batch with a permit signature", async function () {
+      const { btcx, multisend, recipient, alice } = await loadFixture(deployMultisendFixture);
+      const multisendAddress = await multisend.getAddress();
+      const amount = ethers.parseUnits("500", DECIMALS);
+      const deadline = (await time.latest()) + 3600;
+      const sig = await signPermit(btcx, recipient, multisendAddress, amount, deadline);
+
+      await multisend
+        .connect(recipient)
+        .multisendWithPermit(await btcx.getAddress(), BATCH_ID, [alice.address], [amount], amount, deadline, sig.v, sig.r, sig.s);
+
+      expect(await btcx.balanceOf(alice.address)).to.equal(amount);
+      expect(await btcx.nonces(recipient.address)).to.equal(1);
+    });
+
+    it("Should still send when the permit was already used", async function () {
+      const { btcx, multisend, recipient, alice, charlie } = await loadFixture(deployMultisendFixture);
+      const multisendAddress = await multisend.getAddress();
+      const amount = ethers.parseUnits("500", DECIMALS);
+      const deadline = (await time.latest()) + 3600;
+      const sig = await signPermit(btcx, recipient, multisendAddress, amount, deadline);
+
+      // Someone front-runs the permit
+      await btcx.connect(charlie).permit(recipient.address, multisendAddress, amount, deadline, sig.v, sig.r, sig.s);
+
+      await multisend
+        .connect(recipient)
+        .multisendWithPermit(await btcx.getAddress(), BATCH_ID, [alice.address], [amount], amount, deadline, sig.v, sig.r, sig.s);
+
+      expect(await btcx.balanceOf(alice.address)).to.equal(amount);
+    });
+
+    it("Should fail when the permit is invalid and there is no allowance", async function () {
+      const { btcx, multisend, recipient, alice } = await loadFixture(deployMultisendFixture);
+      const amount = ethers.parseUnits("500", DECIMALS);
+      const deadline = (await time.latest()) + 3600;
+      const sig = await signPermit(btcx, alice, await multisend.getAddress(), amount, deadline);
+
+      await expect(
+        multisend
+          .connect(recipient)
+          .multisendWithPermit(await btcx.getAddress(), BATCH_ID, [alice.address], [amount], amount, deadline, sig.v, sig.r, sig.s)
+      ).to.be.revertedWithCustomError(btcx, "ERC20InsufficientAllowance");
+    });
+  });
+});
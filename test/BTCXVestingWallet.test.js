@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * @title BTCXVestingWallet Test Suite
+ * @notice Tests for the cliff vesting wallet deployed per allocation
+ */
+describe("BTCXVestingWallet", function () {
+  const DECIMALS = 18;
+  const AMOUNT = ethers.parseUnits("1200000", DECIMALS);
+  const DAY = 86400;
+  const CLIFF = 90 * DAY;
+  const DURATION = 360 * DAY;
+
+  async function deployVestingFixture() {
+    const [owner, beneficiary, other] = await ethers.getSigners();
+
+    const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+    const btcx = await BTCXDigitalCurrency.deploy(owner.address);
+
+    const start = (await time.latest()) + DAY;
+    const BTCXVestingWallet = await ethers.getContractFactory("BTCXVestingWallet");
+    const wallet = await BTCXVestingWallet.deploy(beneficiary.address, start, DURATION, CLIFF);
+    await btcx.transfer(await wallet.getAddress(), AMOUNT);
+
+    return { btcx, wallet, start, owner, beneficiary, other };
+  }
+
+  async function releasable(wallet, btcx) {
+    return wallet["releasable(address)"](await btcx.getAddress());
+  }
+
+  // ============================================================
+  // SCHEDULE TESTS
+  // ============================================================
+  describe("Schedule", function () {
+    it("Should set the beneficiary, start, cliff and end", async function () {
+      const { wallet, start, beneficiary } = await loadFixture(deployVestingFixture);
+
+      expect(await wallet.owner()).to.equal(beneficiary.address);
+      expect(await wallet.start()).to.equal(start);
+      expect(await wallet.cliff()).to.equal(start + CLIFF);
+      expect(await wallet.end()).to.equal(start + DURATION);
+    });
+
+    it("Should release nothing before the cliff", async function () {
+      const { btcx, wallet, start } = await loadFixture(deployVestingFixture);
+
+      await time.increaseTo(start + CLIFF - 1);
+
+      expect(await releasable(wallet, btcx)).to.equal(0);
+    });
+
+    it("Should unlock the linearly accrued amount at the cliff", async function () {
+      const { btcx, wallet, start } = await loadFixture(deployVestingFixture);
+
+      await time.increaseTo(start + CLIFF);
+
+      expect(await releasable(wallet, btcx)).to.equal((AMOUNT * BigInt(CLIFF)) / BigInt(DURATION));
+    });
+
+    it("Should vest linearly after the cliff", async function () {
+      const { btcx, wallet, start } = await loadFixture(deployVestingFixture);
+
+      await time.increaseTo(start + DURATION / 2);
+
+      expect(await releasable(wallet, btcx)).to.equal(AMOUNT / 2n);
+    });
+
+    it("Should vest everything at the end", async function () {
+      const { btcx, wallet, start } = await loadFixture(deployVestingFixture);
+
+      await time.increaseTo(start + DURATION);
+
+      expect(await releasable(wallet, btcx)).to.equal(AMOUNT);
+    });
+
+    it("Should fail to deploy with a cliff longer than the duration", async function () {
+      const { beneficiary } = await loadFixture(deployVestingFixture);
+      const BTCXVestingWallet = await ethers.getContractFactory("BTCXVestingWallet");
+
+      await expect(BTCXVestingWallet.deploy(beneficiary.address, await time.latest(), DAY, 2 * DAY))
+        .to.be.revertedWithCustomError(BTCXVestingWallet, "InvalidCliffDuration")
+        .withArgs(2 * DAY, DAY);
+    });
+  });
+
+  // ============================================================
+  // RELEASE TESTS
+  // ============================================================
+  describe("Release", function () {
+    it("Should send the releasable amount to the beneficiary", async function () {
+      const { btcx, wallet, start, beneficiary, other } = await loadFixture(deployVestingFixture);
+      const token = await btcx.getAddress();
+
+      await time.increaseTo(start + DURATION / 2 - 1);
+      // Anyone can trigger a release; the tokens always go to the beneficiary
+      await wallet.connect(other)["release(address)"](token);
+
+      expect(await btcx.balanceOf(beneficiary.address)).to.equal(AMOUNT / 2n);
+      expect(await wallet["released(address)"](token)).to.equal(AMOUNT / 2n);
+      expect(await releasable(wallet, btcx)).to.equal(0);
+    });
+
+    it("Should release the remainder after earlier releases", async function () {
+      const { btcx, wallet, start, beneficiary } = await loadFixture(deployVestingFixture);
+      const token = await btcx.getAddress();
+
+      await time.increaseTo(start + CLIFF);
+      await wallet["release(address)"](token);
+      await time.increaseTo(start + DURATION);
+      await wallet["release(address)"](token);
+
+      expect(await btcx.balanceOf(beneficiary.address)).to.equal(AMOUNT);
+      expect(await btcx.balanceOf(await wallet.getAddress())).to.equal(0);
+    });
+  });
+});
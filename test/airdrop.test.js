@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { readAirdrop, readClaim, verifyClaim } = require("../scripts/lib/merkle");
+
+const { ethers } = hre;
+
+/**
+ * @title Merkle Airdrop Tooling Test Suite
+ * @notice Tests for the btcx:airdrop:* tasks and offline claim checks
+ */
+describe("Merkle Airdrop Tooling", function () {
+  const DECIMALS = 18;
+  const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  const OUTSIDER = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+  let tmpDir;
+  let consoleLog;
+  let deploymentsDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-airdrop-"));
+    consoleLog = console.log;
+    console.log = () => {};
+    deploymentsDir = process.env.DEPLOYMENTS_DIR;
+    process.env.DEPLOYMENTS_DIR = tmpDir;
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    if (deploymentsDir === undefined) {
+      delete process.env.DEPLOYMENTS_DIR;
+    } else {
+      process.env.DEPLOYMENTS_DIR = deploymentsDir;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function buildFromCsv() {
+    const csv = path.join(tmpDir, "airdrop.csv");
+    fs.writeFileSync(csv, `address,amount\n${ALICE},100\n${BOB},0.5\n`);
+    const out = path.join(tmpDir, "airdrop");
+    await hre.run("btcx:airdrop:build", { csv, out });
+    return out;
+  }
+
+  // ============================================================
+  // BUILD TESTS
+  // ============================================================
+  describe("Build", function () {
+    it("Should write the root, tree and one proof file per address", async function () {
+      const dir = await buildFromCsv();
+
+      const summary = readAirdrop(dir);
+      expect(summary.claims).to.equal(2);
+      expect(summary.total).to.equal(ethers.parseUnits("100.5", DECIMALS).toString());
+      expect(fs.existsSync(path.join(dir, "tree.json"))).to.equal(true);
+      expect(readClaim(dir, BOB).amount).to.equal(ethers.parseUnits("0.5", DECIMALS).toString());
+      expect(readClaim(dir, OUTSIDER)).to.equal(null);
+    });
+
+    it("Should produce proofs that verify offline", async function () {
+      const dir = await buildFromCsv();
+      const { root } = readAirdrop(dir);
+
+      expect(verifyClaim(root, readClaim(dir, ALICE))).to.equal(true);
+      expect(verifyClaim(root, { ...readClaim(dir, ALICE), amount: "1" })).to.equal(false);
+      expect(verifyClaim(root, { ...readClaim(dir, ALICE), account: OUTSIDER })).to.equal(false);
+    });
+  });
+
+  // ============================================================
+  // DEPLOY AND CHECK TESTS
+  // ============================================================
+  describe("Deploy and Check", function () {
+    async function deployToken() {
+      const [owner, treasury] = await ethers.getSigners();
+      const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+      const btcx = await BTCXDigitalCurrency.deploy(owner.address);
+      return { btcx, treasury };
+    }
+
+    it("Should deploy and fund a distributor that pays out the proof files", async function () {
+      const { btcx, treasury } = await deployToken();
+      const dir = await buildFromCsv();
+
+      const record = await hre.run("btcx:airdrop:deploy", {
+        dir,
+        deadline: String((await time.latest()) + 3600),
+        sweepTo: treasury.address,
+        token: await btcx.getAddress(),
+      });
+
+      const distributor = await ethers.getContractAt("BTCXMerkleDistributor", record.address);
+      const claim = readClaim(dir, ALICE);
+      await distributor.claim(claim.index, claim.account, claim.amount, claim.proof);
+      expect(await btcx.balanceOf(ALICE)).to.equal(ethers.parseUnits("100", DECIMALS));
+      expect(await btcx.balanceOf(record.address)).to.equal(ethers.parseUnits("0.5", DECIMALS));
+    });
+
+    it("Should not deploy or fund twice for the same airdrop", async function () {
+      const { btcx, treasury } = await deployToken();
+      const dir = await buildFromCsv();
+      const args = {
+        dir,
+        deadline: String((await time.latest()) + 3600),
+        sweepTo: treasury.address,
+        token: await btcx.getAddress(),
+      };
+
+      const first = await hre.run("btcx:airdrop:deploy", args);
+      const second = await hre.run("btcx:airdrop:deploy", args);
+
+      expect(second.address).to.equal(first.address);
+      expect(await btcx.balanceOf(first.address)).to.equal(ethers.parseUnits("100.5", DECIMALS));
+    });
+
+    it("Should not fund again when the funding hash was lost", async function () {
+      const { btcx, treasury } = await deployToken();
+      const dir = await buildFromCsv();
+      const args = {
+        dir,
+        deadline: String((await time.latest()) + 3600),
+        sweepTo: treasury.address,
+        token: await btcx.getAddress(),
+      };
+      const record = await hre.run("btcx:airdrop:deploy", args);
+      const distributor = await ethers.getContractAt("BTCXMerkleDistributor", record.address);
+      const claim = readClaim(dir, ALICE);
+      await distributor.claim(claim.index, claim.account, claim.amount, claim.proof);
+
+      // As if the process died after the transfer was sent but before the manifest was written
+      const manifestFile = path.join(tmpDir, "hardhat.json");
+      const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+      delete Object.values(manifest.contracts).find((entry) => entry.airdrop).airdrop.fundingTxHash;
+      fs.writeFileSync(manifestFile, JSON.stringify(manifest));
+
+      await hre.run("btcx:airdrop:deploy", args);
+
+      expect(await btcx.balanceOf(record.address)).to.equal(ethers.parseUnits("0.5", DECIMALS));
+    });
+
+    it("Should refuse to reuse a distributor with a different deadline or sweep recipient", async function () {
+      const { btcx, treasury } = await deployToken();
+      const dir = await buildFromCsv();
+      const deadline = (await time.latest()) + 3600;
+      const args = { dir, deadline: String(deadline), sweepTo: treasury.address, token: await btcx.getAddress() };
+      await hre.run("btcx:airdrop:deploy", args);
+
+      const errors = [];
+      for (const changed of [{ deadline: String(deadline + 60) }, { sweepTo: OUTSIDER }]) {
+        try {
+          await hre.run("btcx:airdrop:deploy", { ...args, ...changed });
+        } catch (e) {
+          errors.push(e.message);
+        }
+      }
+      expect(errors).to.have.length(2);
+      expect(errors[0]).to.match(new RegExp(`was deployed with deadline ${deadline}, not ${deadline + 60}`));
+      expect(errors[1]).to.match(new RegExp(`was deployed with sweep recipient ${treasury.address}, not ${OUTSIDER}`));
+    });
+
+    it("Should report on-chain claim status for a recorded distributor", async function () {
+      const { btcx, treasury } = await deployToken();
+      const dir = await buildFromCsv();
+      const record = await hre.run("btcx:airdrop:deploy", {
+        dir,
+        deadline: String((await time.latest()) + 3600),
+        sweepTo: treasury.address,
+        token: await btcx.getAddress(),
+      });
+      const distributor = await ethers.getContractAt("BTCXMerkleDistributor", record.address);
+      const claim = readClaim(dir, BOB);
+      await distributor.claim(claim.index, claim.account, claim.amount, claim.proof);
+
+      const result = await hre.run("btcx:airdrop:check", { dir, address: BOB });
+
+      expect(result).to.include({ eligible: true, valid: true, rootMatches: true, claimed: true });
+    });
+
+    it("Should report addresses without a claim", async function () {
+      const dir = await buildFromCsv();
+
+      expect(await hre.run("btcx:airdrop:check", { dir, address: OUTSIDER })).to.deep.equal({ eligible: false });
+    });
+  });
+});
@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  ALLOWANCE_ABI,
+  approvalSource,
+  auditAllowances,
+  selectRevocations,
+  buildRevokeTransactions,
+} = require("../scripts/lib/allowances");
+const { readSafeBatch } = require("../scripts/lib/safe");
+const { signPermit } = require("../scripts/lib/permit");
+
+const { ethers } = hre;
+
+/**
+ * @title Allowance Audit Test Suite
+ * @notice Tests for rebuilding allowances from Approval logs, flagging exposure and the
+ *         btcx:allowances revoke outputs
+ */
+describe("Allowance Audit", function () {
+  const DAY = 24 * 60 * 60;
+  const BATCH_ID = ethers.id("allowance-audit");
+  const SPENDER_C = "0x000000000000000000000000000000000000c0DE";
+  let tmpDir;
+  let consoleLog;
+  let snapshot;
+  let btcx;
+  let token;
+  let multisend;
+  let multisendAddress;
+  let startBlock;
+  let owner;
+  let alice;
+  let bob;
+  let carol;
+  let spenderA;
+  let spenderB;
+  let spenderD;
+  let relayer;
+
+  const units = (amount) => ethers.parseUnits(amount, 18);
+
+  // alice: multisend (unlimited via permit, used recently), spenderA (unlimited), spenderB (stale),
+  // spenderD (spent in full); bob: spender C (recent permit)
+  before(async function () {
+    snapshot = await takeSnapshot();
+    [owner, alice, bob, carol, spenderA, spenderB, spenderD, relayer] = await ethers.getSigners();
+    btcx = await (await ethers.getContractFactory("BTCXDigitalCurrency")).deploy(owner.address);
+    token = await btcx.getAddress();
+    startBlock = (await btcx.deploymentTransaction().wait()).blockNumber;
+    multisend = await (await ethers.getContractFactory("BTCXMultisend")).deploy();
+    multisendAddress = await multisend.getAddress();
+
+    await btcx.transfer(alice.address, units("10000"));
+    await btcx.transfer(bob.address, units("1000"));
+
+    await btcx.connect(alice).approve(spenderB.address, units("100"));
+    await btcx.connect(alice).approve(spenderD.address, units("10"));
+    await btcx.connect(spenderD).transferFrom(alice.address, carol.address, units("10"));
+    const deadline = (await time.latest()) + DAY;
+    const sig = await signPermit(btcx, alice, multisendAddress, ethers.MaxUint256, deadline);
+    await multisend
+      .connect(alice)
+      .multisendWithPermit(token, BATCH_ID, [carol.address], [units("1")], ethers.MaxUint256, deadline, sig.v, sig.r, sig.s);
+
+    await time.increase(120 * DAY);
+
+    await multisend.connect(alice).multisend(token, ethers.id("allowance-audit-2"), [carol.address], [units("1")]);
+    await btcx.connect(alice).approve(spenderA.address, ethers.MaxUint256);
+    const bobSig = await signPermit(btcx, bob, SPENDER_C, units("50"), (await time.latest()) + DAY);
+    await btcx
+      .connect(relayer)
+      .permit(bob.address, SPENDER_C, units("50"), bobSig.message.deadline, bobSig.v, bobSig.r, bobSig.s);
+  });
+
+  after(async function () {
+    await snapshot.restore();
+  });
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-allowances-"));
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const summarize = (audit) => audit.allowances.map((entry) => [entry.owner, entry.spender, entry.source, entry.flags]);
+
+  // ============================================================
+  // AUDIT TESTS
+  // ============================================================
+  describe("Audit", function () {
+    it("Should rebuild every live allowance, largest exposure first", async function () {
+      const audit = await auditAllowances(ethers.provider, { token, fromBlock: startBlock });
+
+      expect(summarize(audit)).to.deep.equal([
+        [alice.address, spenderA.address, "approve", ["unlimited"]],
+        [alice.address, multisendAddress, "indirect", ["unlimited"]],
+        [alice.address, spenderB.address, "approve", ["stale"]],
+        [bob.address, SPENDER_C, "permit", []],
+      ]);
+      expect(audit.allowances.map((entry) => entry.exposure)).to.deep.equal([
+        units("9988"),
+        units("9988"),
+        units("100"),
+        units("50"),
+      ]);
+    });
+
+    it("Should find the last use of an allowance, directly or through the spender contract", async function () {
+      const audit = await auditAllowances(ethers.provider, { token, owner: alice.address, fromBlock: startBlock });
+      const bySpender = Object.fromEntries(audit.allowances.map((entry) => [entry.spender, entry]));
+
+      const viaMultisend = bySpender[multisendAddress];
+      expect(viaMultisend.lastUsedAt).to.be.greaterThan(viaMultisend.approvedAt + 100 * DAY);
+      expect(viaMultisend.spenderIsContract).to.equal(true);
+      expect(bySpender[spenderB.address].lastUsedAt).to.equal(undefined);
+      expect(bySpender[spenderB.address].spenderIsContract).to.equal(false);
+      expect(bySpender[spenderD.address], "spent allowance").to.equal(undefined);
+      expect(audit.allowances.every((entry) => entry.owner === alice.address)).to.equal(true);
+    });
+
+    it("Should audit at a past block and honour the stale threshold", async function () {
+      const beforeWait = await auditAllowances(ethers.provider, {
+        token,
+        fromBlock: startBlock,
+        toBlock: startBlock + 7,
+        staleDays: 1,
+      });
+      expect(summarize(beforeWait)).to.deep.equal([
+        [alice.address, multisendAddress, "indirect", ["unlimited"]],
+        [alice.address, spenderB.address, "approve", []],
+      ]);
+
+      const strict = await auditAllowances(ethers.provider, { token, fromBlock: startBlock, staleDays: 0 });
+      expect(strict.allowances.every((entry) => entry.flags.includes("stale"))).to.equal(true);
+    });
+
+    it("Should tell approve and permit calls from indirect ones", function () {
+      const iface = new ethers.Interface(ALLOWANCE_ABI);
+      const call = (name, args) => ({ to: token, data: iface.encodeFunctionData(name, args) });
+
+      expect(approvalSource(iface, token, call("approve", [SPENDER_C, 1n]))).to.equal("approve");
+      const permitArgs = [alice.address, SPENDER_C, 1n, 1n, 27, ethers.ZeroHash, ethers.ZeroHash];
+      expect(approvalSource(iface, token, call("permit", permitArgs))).to.equal("permit");
+      expect(approvalSource(iface, token, { to: multisendAddress, data: "0x" })).to.equal("indirect");
+    });
+  });
+
+  // ============================================================
+  // REVOCATION TESTS
+  // ============================================================
+  describe("Revocations", function () {
+    it("Should select flagged, unlimited, stale or all allowances", async function () {
+      const { allowances } = await auditAllowances(ethers.provider, { token, fromBlock: startBlock });
+      const spenders = (selection) => selectRevocations(allowances, selection).map((entry) => entry.spender);
+
+      expect(spenders("flagged")).to.deep.equal([spenderA.address, multisendAddress, spenderB.address]);
+      expect(spenders("unlimited")).to.deep.equal([spenderA.address, multisendAddress]);
+      expect(spenders("stale")).to.deep.equal([spenderB.address]);
+      expect(spenders("all")).to.have.length(4);
+      expect(() => selectRevocations(allowances, "old")).to.throw(/Unknown revoke selection old/);
+    });
+
+    it("Should write raw revoke transactions that clear the flagged allowances", async function () {
+      const out = path.join(tmpDir, "audit");
+      const result = await hre.run("btcx:allowances", { token, owner: alice.address, revoke: "flagged", out });
+      const transactions = JSON.parse(fs.readFileSync(`${out}-revokes.json`, "utf8"));
+
+      expect(fs.readFileSync(`${out}.csv`, "utf8").split("\n")[0]).to.match(/^owner,spender,spender_type,allowance/);
+      expect(transactions).to.have.length(3);
+      expect(transactions[0]).to.include({ from: alice.address, to: token, value: "0", chainId: "31337" });
+      expect(transactions[0].summary).to.equal(`Revoke ${spenderA.address} (unlimited) for ${alice.address}`);
+
+      const restore = await takeSnapshot();
+      for (const tx of transactions) {
+        await alice.sendTransaction({ to: tx.to, data: tx.data, value: tx.value });
+      }
+      const after = await auditAllowances(ethers.provider, { token, owner: alice.address, fromBlock: startBlock });
+      await restore.restore();
+
+      expect(result.revocations).to.have.length(3);
+      expect(after.allowances).to.deep.equal([]);
+    });
+
+    it("Should write a Safe batch that the Safe can execute", async function () {
+      const restore = await takeSnapshot();
+      const safe = await (await ethers.getContractFactory("MockSafe")).deploy(owner.address);
+      const safeAddress = await safe.getAddress();
+      await btcx.transfer(safeAddress, units("500"));
+      const approveData = btcx.interface.encodeFunctionData("approve", [spenderA.address, ethers.MaxUint256]);
+      await safe.execTransaction(token, 0, approveData, 0, 0, 0, 0, ethers.ZeroAddress, ethers.ZeroAddress, "0x");
+
+      const safeOut = path.join(tmpDir, "revoke.safe.json");
+      const out = path.join(tmpDir, "audit");
+      await hre.run("btcx:allowances", { token, safe: safeAddress, revoke: "unlimited", safeOut, out });
+      const batch = readSafeBatch(safeOut);
+
+      expect(batch.meta.createdFromSafeAddress).to.equal(safeAddress);
+      expect(batch.transactions).to.have.length(1);
+      const { to, data } = batch.transactions[0];
+      const receipt = await (
+        await safe.execTransaction(to, 0, data, 0, 0, 0, 0, ethers.ZeroAddress, ethers.ZeroAddress, "0x")
+      ).wait();
+      const check = await hre.run("btcx:safe:check", { batch: safeOut, tx: receipt.hash });
+      const allowance = await btcx.allowance(safeAddress, spenderA.address);
+      await restore.restore();
+
+      expect(check.ok).to.equal(true);
+      expect(allowance).to.equal(0n);
+    });
+
+    it("Should refuse a Safe batch for another owner", async function () {
+      let error;
+      try {
+        await hre.run("btcx:allowances", { token, owner: alice.address, safe: bob.address });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/can only revoke the Safe's own allowances/);
+    });
+
+    it("Should encode approve(spender, 0) for each owner", function () {
+      const [tx] = buildRevokeTransactions(token, 1n, [{ owner: bob.address, spender: SPENDER_C, flags: [] }]);
+      const decoded = new ethers.Interface(ALLOWANCE_ABI).parseTransaction({ data: tx.data });
+
+      expect(decoded.name).to.equal("approve");
+      expect([...decoded.args]).to.deep.equal([SPENDER_C, 0n]);
+      expect(tx).to.include({ from: bob.address, chainId: "1" });
+      expect(tx.summary).to.equal(`Revoke ${SPENDER_C} (live allowance) for ${bob.address}`);
+    });
+  });
+});
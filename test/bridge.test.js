@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const fc = require("fast-check");
+const hre = require("hardhat");
+const { startLocalChain } = require("../scripts/lib/localnet");
+const {
+  DEFAULT_CONFIRMATIONS,
+  deployBridge,
+  bridgeSupply,
+  createBridgeRelayer,
+} = require("../scripts/lib/bridge");
+
+const { ethers } = hre;
+
+/**
+ * @title Bridge Relayer Test Suite
+ * @notice Runs the lock-and-mint bridge between two local chains served over JSON-RPC and
+ *         checks that the locked supply on the home chain always equals the bridged supply on
+ *         the remote chain once the relayer has synced
+ * @dev The random sequences replay with FUZZ_SEED=<seed> FUZZ_PATH=<path>, as in
+ *      test/properties.test.js. FUZZ_RUNS sets the number of sequences (default 10).
+ */
+describe("Bridge Relayer", function () {
+  this.timeout(300000);
+
+  const USERS = 3;
+  let chains;
+  let providers;
+  let token;
+  let bridge;
+  let relayer;
+  let signers;
+  let users;
+  let consoleLog;
+
+  function fuzzOptions() {
+    const options = { numRuns: Number(process.env.FUZZ_RUNS || 10) };
+    if (process.env.FUZZ_SEED) {
+      options.seed = Number(process.env.FUZZ_SEED);
+    }
+    if (process.env.FUZZ_PATH) {
+      options.path = process.env.FUZZ_PATH;
+    }
+    return options;
+  }
+
+  async function send(action) {
+    return (await action).wait();
+  }
+
+  async function expectSupplyInvariant() {
+    const supply = await bridgeSupply(bridge.lockbox, bridge.bridged);
+    expect(supply.locked).to.equal(supply.bridged, "locked supply equals bridged supply");
+    expect(supply.inFlight).to.equal(0n);
+    return supply;
+  }
+
+  function relayerFor(options = {}) {
+    return createBridgeRelayer({ ...bridge, signers, confirmations: 0, ...options });
+  }
+
+  before(async function () {
+    chains = [];
+    providers = [];
+    for (const chainId of [31337, 1337]) {
+      const chain = await startLocalChain(hre, { chainId });
+      chains.push(chain);
+      providers.push(new ethers.JsonRpcProvider(chain.url, chainId, { staticNetwork: true, cacheTimeout: -1 }));
+    }
+    const [home, remote] = providers;
+    const deployer = await home.getSigner(0);
+    signers = [await home.getSigner(1), await home.getSigner(2), await home.getSigner(3)];
+
+    const artifact = await hre.artifacts.readArtifact("BTCXDigitalCurrency");
+    token = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, deployer).deploy(deployer.address);
+    await token.waitForDeployment();
+    bridge = await deployBridge(hre, deployer, await remote.getSigner(0), {
+      token: await token.getAddress(),
+      signers: signers.map((signer) => signer.address),
+      threshold: 2,
+    });
+    relayer = relayerFor();
+
+    users = [];
+    for (let i = 0; i < USERS; i++) {
+      const homeUser = await home.getSigner(4 + i);
+      const remoteUser = await remote.getSigner(4 + i);
+      await send(token.transfer(homeUser.address, ethers.parseUnits("1000000", 18)));
+      await send(token.connect(homeUser).approve(await bridge.lockbox.getAddress(), ethers.MaxUint256));
+      users.push({
+        address: homeUser.address,
+        lockbox: bridge.lockbox.connect(homeUser),
+        bridged: bridge.bridged.connect(remoteUser),
+      });
+    }
+  });
+
+  after(async function () {
+    for (const provider of providers) {
+      provider.destroy();
+    }
+    for (const chain of chains) {
+      await chain.close();
+    }
+  });
+
+  beforeEach(function () {
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+  });
+
+  // ============================================================
+  // RELAY TESTS
+  // ============================================================
+  describe("Relay", function () {
+    it("Should mint each lock on the remote chain and release each burn on the home chain", async function () {
+      const [alice, bob] = users;
+      const amount = ethers.parseUnits("500", 18);
+      await send(alice.lockbox.lock(bob.address, amount));
+      await send(alice.lockbox.lock(alice.address, amount * 2n));
+
+      const first = await relayer.sync();
+      expect(first.minted.map((mint) => [mint.lockNonce, mint.recipient, mint.amount])).to.deep.equal([
+        [0n, bob.address, amount],
+        [1n, alice.address, amount * 2n],
+      ]);
+      expect(await bridge.bridged.balanceOf(bob.address)).to.equal(amount);
+
+      const before = await token.balanceOf(alice.address);
+      await send(bob.bridged.burn(alice.address, amount));
+      expect((await bridgeSupply(bridge.lockbox, bridge.bridged)).inFlight).to.equal(amount);
+
+      const second = await relayer.sync();
+      expect(second.minted).to.deep.equal([]);
+      expect(second.released.map((release) => [release.burnNonce, release.recipient, release.amount])).to.deep.equal([
+        [0n, alice.address, amount],
+      ]);
+      expect(await token.balanceOf(alice.address)).to.equal(before + amount);
+      await expectSupplyInvariant();
+    });
+
+    it("Should keep the locked supply equal to the bridged supply across random locks and burns", async function () {
+      const step = fc.record({
+        burn: fc.boolean(),
+        from: fc.integer({ min: 0, max: USERS - 1 }),
+        to: fc.integer({ min: 0, max: USERS - 1 }),
+        amount: fc.bigInt({ min: 1n, max: ethers.parseUnits("10000", 18) }),
+        sync: fc.boolean(),
+      });
+
+      await fc.assert(
+        fc.asyncProperty(fc.array(step, { minLength: 1, maxLength: 8 }), async (steps) => {
+          for (const { burn, from, to, amount, sync } of steps) {
+            if (burn) {
+              const balance = await users[from].bridged.balanceOf(users[from].address);
+              if (balance > 0n) {
+                await send(users[from].bridged.burn(users[to].address, amount > balance ? balance : amount));
+              }
+            } else {
+              await send(users[from].lockbox.lock(users[to].address, amount));
+            }
+            if (sync) {
+              await relayer.sync();
+              await expectSupplyInvariant();
+            }
+            const supply = await bridgeSupply(bridge.lockbox, bridge.bridged);
+            expect(supply.bridged <= supply.locked, "bridged supply never exceeds locked supply").to.equal(true);
+          }
+          await relayer.sync();
+          await expectSupplyInvariant();
+        }),
+        fuzzOptions()
+      );
+    });
+
+    it("Should not submit anything twice after a restart", async function () {
+      await send(users[0].lockbox.lock(users[1].address, ethers.parseUnits("42", 18)));
+      await relayer.sync();
+      const restarted = relayerFor();
+
+      expect(await restarted.sync()).to.deep.equal({ minted: [], released: [] });
+      expect(await relayer.sync()).to.deep.equal({ minted: [], released: [] });
+      await expectSupplyInvariant();
+    });
+
+    it("Should wait for the configured confirmations", async function () {
+      const confirmed = relayerFor({ homeBlock: await providers[0].getBlockNumber(), confirmations: 2 });
+      await send(users[0].lockbox.lock(users[0].address, ethers.parseUnits("7", 18)));
+
+      expect((await confirmed.sync()).minted).to.deep.equal([]);
+      await providers[0].send("hardhat_mine", ["0x2"]);
+      expect((await confirmed.sync()).minted).to.have.length(1);
+      await expectSupplyInvariant();
+    });
+
+    it("Should wait for the default confirmations when none are given", async function () {
+      const homeBlock = await providers[0].getBlockNumber();
+      const remoteBlock = await providers[1].getBlockNumber();
+      const waiting = createBridgeRelayer({ ...bridge, signers, homeBlock, remoteBlock });
+      await send(users[1].lockbox.lock(users[1].address, ethers.parseUnits("5", 18)));
+
+      expect((await waiting.sync()).minted).to.deep.equal([]);
+      await providers[0].send("hardhat_mine", [ethers.toQuantity(DEFAULT_CONFIRMATIONS)]);
+      expect((await waiting.sync()).minted).to.have.length(1);
+      await expectSupplyInvariant();
+    });
+
+    it("Should refuse zero confirmations on a chain that is not local", async function () {
+      const chain = await startLocalChain(hre, { chainId: 31338 });
+      const provider = new ethers.JsonRpcProvider(chain.url, 31338, { staticNetwork: true });
+
+      let error;
+      try {
+        await relayerFor({ bridged: bridge.bridged.connect(provider) }).sync();
+      } catch (e) {
+        error = e;
+      }
+      provider.destroy();
+      await chain.close();
+      expect(error.message).to.equal("confirmations 0 is only allowed on local chains; chain 31338 is not local");
+    });
+
+    it("Should relay in the background until stopped", async function () {
+      const background = relayerFor();
+      const results = [];
+      background.start(20, { onSync: (result) => results.push(result) });
+      await send(users[2].lockbox.lock(users[2].address, ethers.parseUnits("3", 18)));
+
+      while (!results.some((result) => result.minted.length > 0)) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      await background.stop();
+      const syncs = results.length;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      expect(results.length).to.equal(syncs);
+      await expectSupplyInvariant();
+    });
+
+    it("Should refuse to sign without enough signers from the bridge's set", async function () {
+      const outsiders = [await providers[0].getSigner(8), signers[0]];
+      await send(users[0].lockbox.lock(users[0].address, ethers.parseUnits("1", 18)));
+
+      let error;
+      try {
+        await relayerFor({ signers: outsiders }).sync();
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/Only 1 of the configured signers belong to the bridge at 0x[0-9a-fA-F]{40}; 2 signatures/);
+
+      await relayer.sync();
+      await expectSupplyInvariant();
+    });
+  });
+
+  // ============================================================
+  // TASK TESTS
+  // ============================================================
+  describe("btcx:bridge:local", function () {
+    it("Should run a lock and a burn through two fresh local chains", async function () {
+      const result = await hre.run("btcx:bridge:local", { demo: true, homePort: 0, remotePort: 0 });
+
+      expect(result.supply.locked).to.equal(ethers.parseUnits("1500", 18));
+      expect(result.supply.bridged).to.equal(result.supply.locked);
+      expect(result.home).to.match(/^http:\/\/127\.0\.0\.1:\d+$/);
+      expect(result.bridged).to.equal(ethers.getAddress(result.bridged));
+    });
+
+    // Neither module is part of Hardhat's public API; package.json pins the version
+    it("Should find the Hardhat provider factory and JSON-RPC server the local chains build on", function () {
+      const { createProvider } = require("hardhat/internal/core/providers/construction");
+      const { JsonRpcServer } = require("hardhat/internal/hardhat-network/jsonrpc/server");
+
+      expect(createProvider).to.be.a("function");
+      expect(JsonRpcServer).to.be.a("function");
+    });
+  });
+});
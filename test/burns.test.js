@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { attributeBurn, collectBurns, groupBurns, percentOfInitial, summarizeBurns } = require("../scripts/lib/burns");
+
+const { ethers } = hre;
+
+/**
+ * @title Burn Report Test Suite
+ * @notice Tests for rebuilding burn history and the btcx:burns task
+ */
+describe("Burn Report", function () {
+  const DECIMALS = 18;
+  const HOUR = 60 * 60;
+  const DAY = 24 * HOUR;
+  let tmpDir;
+  let consoleLog;
+  let btcx;
+  let token;
+  let startBlock;
+  let owner;
+  let alice;
+  let spender;
+
+  beforeEach(async function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-burns-"));
+    consoleLog = console.log;
+    console.log = () => {};
+
+    [owner, alice, spender] = await ethers.getSigners();
+    const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+    btcx = await BTCXDigitalCurrency.deploy(owner.address);
+    token = await btcx.getAddress();
+    startBlock = (await btcx.deploymentTransaction().wait()).blockNumber;
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Burns on the last day of a month at 12:00 UTC, then at 09:00 and 18:00 on the 1st
+  async function burnAcrossMonths() {
+    await btcx.transfer(alice.address, ethers.parseUnits("1000", DECIMALS));
+    await btcx.connect(alice).approve(spender.address, ethers.parseUnits("300", DECIMALS));
+
+    const now = new Date((await time.latest()) * 1000);
+    const monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 2, 1) / 1000;
+    const times = [monthStart - DAY / 2, monthStart + 9 * HOUR, monthStart + 18 * HOUR];
+
+    await time.setNextBlockTimestamp(times[0]);
+    await btcx.connect(alice).burn(ethers.parseUnits("100", DECIMALS));
+    await time.setNextBlockTimestamp(times[1]);
+    await btcx.connect(spender).burnFrom(alice.address, ethers.parseUnits("300", DECIMALS));
+    await time.setNextBlockTimestamp(times[2]);
+    await btcx.burn(ethers.parseUnits("50", DECIMALS));
+
+    const iso = (seconds) => new Date(seconds * 1000).toISOString();
+    return {
+      times,
+      days: [iso(times[0]).slice(0, 10), iso(times[1]).slice(0, 10)],
+      months: [iso(times[0]).slice(0, 7), iso(times[1]).slice(0, 7)],
+    };
+  }
+
+  // ============================================================
+  // HISTORY TESTS
+  // ============================================================
+  describe("History", function () {
+    it("Should attribute burnFrom to the spender that sent it", async function () {
+      const { times } = await burnAcrossMonths();
+
+      const burns = await collectBurns(ethers.provider, { token, fromBlock: startBlock });
+
+      expect(burns.map(({ kind, holder, burner }) => ({ kind, holder, burner }))).to.deep.equal([
+        { kind: "burn", holder: alice.address, burner: alice.address },
+        { kind: "burnFrom", holder: alice.address, burner: spender.address },
+        { kind: "burn", holder: owner.address, burner: owner.address },
+      ]);
+      expect(burns[1].amount).to.equal(ethers.parseUnits("300", DECIMALS));
+      expect(burns[1].timestamp).to.equal(times[1]);
+    });
+
+    it("Should ignore transfers that are not burns", async function () {
+      await btcx.transfer(alice.address, 1000);
+      await btcx.connect(alice).burn(1);
+
+      const burns = await collectBurns(ethers.provider, { token, fromBlock: startBlock, chunkSize: 1 });
+
+      expect(burns).to.have.length(1);
+      expect(burns[0].amount).to.equal(1n);
+    });
+
+    it("Should report burns through another contract as indirect", function () {
+      const iface = btcx.interface;
+      const router = ethers.Wallet.createRandom().address;
+      const tx = { from: spender.address, to: router, data: "0x12345678" };
+
+      expect(attributeBurn(iface, token, tx, alice.address)).to.deep.equal({ kind: "indirect", burner: router });
+    });
+  });
+
+  // ============================================================
+  // REPORT TESTS
+  // ============================================================
+  describe("Report", function () {
+    it("Should group burns by UTC day and month with a running total", async function () {
+      const { days: expectedDays, months: expectedMonths } = await burnAcrossMonths();
+      const burns = await collectBurns(ethers.provider, { token, fromBlock: startBlock });
+
+      const days = groupBurns(burns, "day");
+      expect(days.map(({ period, burns }) => [period, burns])).to.deep.equal([
+        [expectedDays[0], 1],
+        [expectedDays[1], 2],
+      ]);
+      expect(days[1].amount).to.equal(ethers.parseUnits("350", DECIMALS));
+      expect(days[1].cumulative).to.equal(ethers.parseUnits("450", DECIMALS));
+
+      const months = groupBurns(burns, "month");
+      expect(months.map(({ period }) => period)).to.deep.equal(expectedMonths);
+      expect(months[1].remaining).to.equal(await btcx.totalSupply());
+    });
+
+    it("Should reject an unknown grouping", function () {
+      expect(() => groupBurns([], "week")).to.throw(/Unknown grouping week/);
+    });
+
+    it("Should express burns as a share of the initial supply", function () {
+      expect(percentOfInitial(ethers.parseUnits("12000000", DECIMALS))).to.equal("1.0000");
+      expect(percentOfInitial(ethers.parseUnits("120000", DECIMALS))).to.equal("0.0100");
+      expect(percentOfInitial(0n)).to.equal("0.0000");
+    });
+
+    it("Should rank burners by amount", async function () {
+      await burnAcrossMonths();
+      const burns = await collectBurns(ethers.provider, { token, fromBlock: startBlock });
+
+      const summary = summarizeBurns(burns, 2);
+
+      expect(summary.total).to.equal(ethers.parseUnits("450", DECIMALS));
+      expect(summary.byKind.burnFrom).to.equal(ethers.parseUnits("300", DECIMALS));
+      expect(summary.topBurners.map(({ burner }) => burner)).to.deep.equal([spender.address, alice.address]);
+      expect(summary.largest.burner).to.equal(spender.address);
+    });
+  });
+
+  // ============================================================
+  // TASK TESTS
+  // ============================================================
+  describe("Task", function () {
+    it("Should write period and event CSVs that match totalSupply()", async function () {
+      const { months } = await burnAcrossMonths();
+
+      const result = await hre.run("btcx:burns", {
+        token,
+        fromBlock: startBlock,
+        group: "month",
+        out: path.join(tmpDir, "burns"),
+      });
+
+      expect(result.burnedOnChain).to.equal(result.summary.total);
+      expect(fs.readFileSync(result.files.periods, "utf8").trim().split("\n")).to.deep.equal([
+        "period,burns,burned,cumulative_burned,cumulative_percent_of_initial,remaining_supply",
+        `${months[0]},1,100.0,100.0,0.0000,1199999900.0`,
+        `${months[1]},2,350.0,450.0,0.0000,1199999550.0`,
+      ]);
+      const events = fs.readFileSync(result.files.events, "utf8").trim().split("\n");
+      expect(events).to.have.length(4);
+      expect(events[2]).to.contain(`,burnFrom,${alice.address},${spender.address},300.0`);
+    });
+
+    it("Should reject an unknown grouping before scanning", async function () {
+      let error;
+      try {
+        await hre.run("btcx:burns", { token, group: "year", out: path.join(tmpDir, "burns") });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/Unknown grouping year/);
+      expect(fs.existsSync(path.join(tmpDir, "burns.csv"))).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,336 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network, artifacts } = require("hardhat");
+const { main } = require("../scripts/deploy");
+const deployments = require("../scripts/lib/deployments");
+const create2 = require("../scripts/lib/create2");
+
+/**
+ * @title Deployment Script Test Suite
+ * @notice Tests for scripts/deploy.js and the deployment manifest it writes
+ */
+describe("Deployment Script", function () {
+  let deploymentsDir;
+  let consoleLog;
+
+  beforeEach(function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-deployments-"));
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  // ============================================================
+  // MANIFEST TESTS
+  // ============================================================
+  describe("Manifest", function () {
+    it("Should write a manifest for the network", async function () {
+      const [deployer, recipient] = await ethers.getSigners();
+      const result = await main({ recipient: recipient.address, deploymentsDir });
+
+      const manifest = deployments.readManifest(network.name, deploymentsDir);
+      const record = manifest.contracts.BTCXDigitalCurrency;
+
+      expect(manifest.network).to.equal(network.name);
+      expect(manifest.chainId).to.equal(31337);
+      expect(record.address).to.equal(result.address);
+      expect(record.deployer).to.equal(deployer.address);
+      expect(record.constructorArgs).to.deep.equal([recipient.address]);
+    });
+
+    it("Should record the deployment transaction and block", async function () {
+      const [, recipient] = await ethers.getSigners();
+      const { address } = await main({ recipient: recipient.address, deploymentsDir });
+      const record = deployments.getDeployment(network.name, "BTCXDigitalCurrency", deploymentsDir);
+
+      const receipt = await ethers.provider.getTransactionReceipt(record.transactionHash);
+      expect(receipt.contractAddress).to.equal(address);
+      expect(record.blockNumber).to.equal(receipt.blockNumber);
+    });
+
+    it("Should record compiler settings from hardhat.config.js", async function () {
+      const [, recipient] = await ethers.getSigners();
+      await main({ recipient: recipient.address, deploymentsDir });
+      const record = deployments.getDeployment(network.name, "BTCXDigitalCurrency", deploymentsDir);
+
+      expect(record.compiler).to.deep.equal({
+        version: "0.8.27",
+        optimizer: { enabled: true, runs: 200 },
+        evmVersion: "cancun",
+        viaIR: false,
+      });
+    });
+
+    it("Should record creation and runtime bytecode hashes", async function () {
+      const [, recipient] = await ethers.getSigners();
+      const { address } = await main({ recipient: recipient.address, deploymentsDir });
+      const record = deployments.getDeployment(network.name, "BTCXDigitalCurrency", deploymentsDir);
+      const artifact = await artifacts.readArtifact("BTCXDigitalCurrency");
+
+      expect(record.bytecodeHash).to.equal(ethers.keccak256(artifact.bytecode));
+      expect(record.deployedBytecodeHash).to.equal(
+        ethers.keccak256(await ethers.provider.getCode(address))
+      );
+    });
+  });
+
+  // ============================================================
+  // REDEPLOYMENT PROTECTION TESTS
+  // ============================================================
+  describe("Redeployment Protection", function () {
+    it("Should stop when a live deployment is recorded", async function () {
+      const [, recipient] = await ethers.getSigners();
+      const first = await main({ recipient: recipient.address, deploymentsDir });
+      const second = await main({ recipient: recipient.address, deploymentsDir });
+
+      expect(second.skipped).to.equal(true);
+      expect(second.address).to.equal(first.address);
+    });
+
+    it("Should deploy again when forced", async function () {
+      const [, recipient] = await ethers.getSigners();
+      const first = await main({ recipient: recipient.address, deploymentsDir });
+      const second = await main({ recipient: recipient.address, deploymentsDir, force: true });
+
+      expect(second.skipped).to.equal(false);
+      expect(second.address).to.not.equal(first.address);
+      expect(
+        deployments.getDeployment(network.name, "BTCXDigitalCurrency", deploymentsDir).address
+      ).to.equal(second.address);
+    });
+
+    it("Should redeploy over a stale record with no code", async function () {
+      const [, recipient] = await ethers.getSigners();
+      deployments.saveDeployment(network.name, 31337, "BTCXDigitalCurrency", {
+        address: ethers.Wallet.createRandom().address,
+        deployedBytecodeHash: ethers.ZeroHash,
+      }, deploymentsDir);
+
+      const result = await main({ recipient: recipient.address, deploymentsDir });
+      expect(result.skipped).to.equal(false);
+    });
+
+    it("Should fail when recorded code does not match the manifest", async function () {
+      const [, recipient] = await ethers.getSigners();
+      const { address } = await main({ recipient: recipient.address, deploymentsDir });
+      const record = deployments.getDeployment(network.name, "BTCXDigitalCurrency", deploymentsDir);
+      deployments.saveDeployment(network.name, 31337, "BTCXDigitalCurrency", {
+        ...record,
+        deployedBytecodeHash: ethers.ZeroHash,
+      }, deploymentsDir);
+
+      let error;
+      try {
+        await main({ recipient: recipient.address, deploymentsDir });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include(address);
+    });
+  });
+
+  // ============================================================
+  // CREATE2 TESTS
+  // ============================================================
+  describe("CREATE2 Mode", function () {
+    const FACTORY = create2.DETERMINISTIC_DEPLOYMENT_PROXY.address;
+
+    async function predict(recipient, salt) {
+      const factory = await ethers.getContractFactory("BTCXDigitalCurrency");
+      const { data } = await factory.getDeployTransaction(recipient);
+      return create2.predictAddress(FACTORY, salt, data);
+    }
+
+    it("Should deploy to the predicted address", async function () {
+      const [, recipient] = await ethers.getSigners();
+      const predicted = await predict(recipient.address, "btcx-create2-predicted");
+
+      const result = await main({
+        recipient: recipient.address,
+        deploymentsDir,
+        mode: "create2",
+        salt: "btcx-create2-predicted",
+      });
+
+      expect(result.address).to.equal(predicted);
+      const btcx = await ethers.getContractAt("BTCXDigitalCurrency", predicted);
+      expect(await btcx.balanceOf(recipient.address)).to.equal(ethers.parseUnits("1200000000", 18));
+    });
+
+    it("Should record the CREATE2 parameters in the manifest", async function () {
+      const [, recipient] = await ethers.getSigners();
+      await main({ recipient: recipient.address, deploymentsDir, mode: "create2", salt: "btcx-create2-record" });
+      const record = deployments.getDeployment(network.name, "BTCXDigitalCurrency", deploymentsDir);
+
+      expect(record.create2.factory).to.equal(FACTORY);
+      expect(record.create2.salt).to.equal(ethers.id("btcx-create2-record"));
+    });
+
+    it("Should refuse to deploy when code exists at the predicted address", async function () {
+      const [, recipient] = await ethers.getSigners();
+      const options = { recipient: recipient.address, deploymentsDir, mode: "create2", salt: "btcx-create2-taken" };
+      const predicted = await predict(recipient.address, "btcx-create2-taken");
+      await main(options);
+
+      let error;
+      try {
+        await main({ ...options, force: true });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal(`Code already exists at predicted address ${predicted}`);
+    });
+
+    it("Should give a different address for a different recipient", async function () {
+      const [, recipient, alice] = await ethers.getSigners();
+      expect(await predict(recipient.address, ethers.ZeroHash)).to.not.equal(
+        await predict(alice.address, ethers.ZeroHash)
+      );
+    });
+
+    it("Should use a 32-byte hex salt as-is and hash any other salt", async function () {
+      const hexSalt = ethers.id("salt");
+      expect(create2.normalizeSalt(hexSalt)).to.equal(hexSalt);
+      expect(create2.normalizeSalt("salt")).to.equal(hexSalt);
+      expect(create2.normalizeSalt(undefined)).to.equal(ethers.ZeroHash);
+    });
+  });
+
+  // ============================================================
+  // PRE-FLIGHT TESTS
+  // ============================================================
+  describe("Pre-flight", function () {
+    async function expectNoDeployment(options, pattern) {
+      const [deployer] = await ethers.getSigners();
+      const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+      let error;
+      try {
+        await main({ deploymentsDir, ...options });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(pattern);
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+      expect(deployments.readManifest(network.name, deploymentsDir)).to.equal(undefined);
+    }
+
+    it("Should refuse a recipient that is not checksummed", async function () {
+      const [, recipient] = await ethers.getSigners();
+      await expectNoDeployment({ recipient: recipient.address.toLowerCase() }, /not checksummed/);
+    });
+
+    it("Should refuse the zero address as recipient", async function () {
+      await expectNoDeployment({ recipient: ethers.ZeroAddress }, /burn address/);
+    });
+
+    it("Should refuse a recipient whose code hash is not the expected one", async function () {
+      const multisend = await (await ethers.getContractFactory("BTCXMultisend")).deploy();
+      await expectNoDeployment(
+        { recipient: await multisend.getAddress(), recipientCodehash: ethers.ZeroHash },
+        /does not match the expected/
+      );
+    });
+
+    it("Should refuse to deploy when the provider is not on the declared chain", async function () {
+      const [, recipient] = await ethers.getSigners();
+      const declared = network.config.chainId;
+      network.config.chainId = 1;
+      try {
+        await expectNoDeployment({ recipient: recipient.address }, /declared as chain 1/);
+      } finally {
+        network.config.chainId = declared;
+      }
+    });
+
+    it("Should deploy to a contract recipient with the expected code hash", async function () {
+      const multisend = await (await ethers.getContractFactory("BTCXMultisend")).deploy();
+      const address = await multisend.getAddress();
+      const recipientCodehash = ethers.keccak256(await ethers.provider.getCode(address));
+
+      const result = await main({ recipient: address, recipientCodehash, deploymentsDir });
+
+      expect(result.recipient).to.equal(address);
+    });
+  });
+
+  // ============================================================
+  // DRY RUN TESTS
+  // ============================================================
+  describe("Dry Run", function () {
+    it("Should not broadcast or write a manifest", async function () {
+      const [deployer, recipient] = await ethers.getSigners();
+      const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+      const result = await main({ recipient: recipient.address, deploymentsDir, dryRun: true });
+
+      expect(result.dryRun).to.equal(true);
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+      expect(await ethers.provider.getCode(result.address)).to.equal("0x");
+      expect(deployments.readManifest(network.name, deploymentsDir)).to.equal(undefined);
+    });
+
+    it("Should predict the address from the deployer nonce", async function () {
+      const [deployer, recipient] = await ethers.getSigners();
+      const dry = await main({ recipient: recipient.address, deploymentsDir, dryRun: true });
+
+      expect(dry.address).to.equal(
+        ethers.getCreateAddress({
+          from: deployer.address,
+          nonce: await ethers.provider.getTransactionCount(deployer.address),
+        })
+      );
+
+      const live = await main({ recipient: recipient.address, deploymentsDir });
+      expect(live.address).to.equal(dry.address);
+    });
+
+    it("Should report gas and cost at the configured fee caps", async function () {
+      const [, recipient] = await ethers.getSigners();
+      const result = await main({
+        recipient: recipient.address,
+        deploymentsDir,
+        dryRun: true,
+        maxFeePerGas: "30",
+        maxPriorityFeePerGas: "2",
+      });
+
+      expect(result.gasUsed).to.be.greaterThan(0n);
+      expect(result.maxFeePerGas).to.equal(ethers.parseUnits("30", "gwei"));
+      expect(result.maxCost).to.equal(result.gasUsed * ethers.parseUnits("30", "gwei"));
+      expect(result.expectedCost).to.be.at.most(result.maxCost);
+    });
+
+    it("Should simulate an address that has no configured key", async function () {
+      const [, recipient] = await ethers.getSigners();
+      const deployer = ethers.Wallet.createRandom().address;
+      await network.provider.send("hardhat_setBalance", [deployer, ethers.toQuantity(ethers.parseEther("1"))]);
+
+      const result = await main({ recipient: recipient.address, deploymentsDir, dryRun: true, deployer });
+
+      expect(result.deployer).to.equal(deployer);
+      expect(result.address).to.equal(ethers.getCreateAddress({ from: deployer, nonce: 0 }));
+    });
+
+    it("Should fail when the deployer cannot pay for the deployment", async function () {
+      const [, recipient] = await ethers.getSigners();
+      const deployer = ethers.Wallet.createRandom().address;
+
+      await expect(main({ recipient: recipient.address, deploymentsDir, dryRun: true, deployer })).to.be.rejectedWith(
+        /Sender doesn't have enough funds/
+      );
+    });
+
+    // createProvider is not part of Hardhat's public API; package.json pins the version
+    it("Should find the Hardhat provider factory the simulation builds on", function () {
+      const { createProvider } = require("hardhat/internal/core/providers/construction");
+      expect(createProvider).to.be.a("function");
+    });
+  });
+});
@@ -0,0 +1,270 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  parseDistributionCsv,
+  distributionHash,
+  planBatches,
+  loadState,
+  runDistribution,
+} = require("../scripts/lib/distribution");
+
+const { ethers } = hre;
+
+/**
+ * @title Distribution Task Test Suite
+ * @notice Tests for CSV validation and the resumable btcx:distribute task
+ */
+describe("Distribution", function () {
+  const DECIMALS = 18;
+  let tmpDir;
+  let consoleLog;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-distribution-"));
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function deployToken() {
+    const [owner] = await ethers.getSigners();
+    const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+    const btcx = await BTCXDigitalCurrency.deploy(owner.address);
+    const BTCXMultisend = await ethers.getContractFactory("BTCXMultisend");
+    const multisend = await BTCXMultisend.deploy();
+    return { btcx, multisend, owner };
+  }
+
+  function writeCsv(rows) {
+    const file = path.join(tmpDir, "distribution.csv");
+    fs.writeFileSync(file, ["address,amount", ...rows.map(([a, v]) => `${a},${v}`)].join("\n"));
+    return file;
+  }
+
+  function randomRecipients(count) {
+    return Array.from({ length: count }, (_, i) => [ethers.Wallet.createRandom().address, `${i + 1}000.5`]);
+  }
+
+  // ============================================================
+  // CSV VALIDATION TESTS
+  // ============================================================
+  describe("CSV Validation", function () {
+    const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+    it("Should parse amounts in whole tokens and skip the header", function () {
+      const { entries, total } = parseDistributionCsv(`address,amount\n${ALICE},1.5\n${BOB},250000`);
+
+      expect(entries.map((e) => e.address)).to.deep.equal([ALICE, BOB]);
+      expect(entries[0].amount).to.equal(ethers.parseUnits("1.5", DECIMALS));
+      expect(total).to.equal(ethers.parseUnits("250001.5", DECIMALS));
+    });
+
+    it("Should reject addresses that are not checksummed", function () {
+      expect(() => parseDistributionCsv(`${ALICE.toLowerCase()},1`)).to.throw(/line 1: .* not checksummed/);
+    });
+
+    it("Should reject addresses with a bad checksum", function () {
+      const bad = ALICE.replace("C51812dc", "c51812DC");
+      expect(() => parseDistributionCsv(`${bad},1`)).to.throw(/line 1: invalid address/);
+    });
+
+    it("Should reject duplicate addresses", function () {
+      expect(() => parseDistributionCsv(`${ALICE},1\n${BOB},2\n${ALICE},3`)).to.throw(
+        /line 3: duplicate address .*\(first seen on line 1\)/
+      );
+    });
+
+    it("Should reject zero, negative and malformed amounts", function () {
+      const csv = `${ALICE},0\n${BOB},-1\n0x90F79bf6EB2c4f870365E785982E1f101E93b906,1.2.3`;
+      expect(() => parseDistributionCsv(csv)).to.throw(/line 1: amount must be positive[\s\S]*line 2[\s\S]*line 3/);
+    });
+
+    it("Should reject the zero address", function () {
+      expect(() => parseDistributionCsv(`${ethers.ZeroAddress},1`)).to.throw(/zero address/);
+    });
+
+    it("Should split entries into batches with distinct ids", function () {
+      const { entries } = parseDistributionCsv(`${ALICE},1\n${BOB},2`);
+      const batches = planBatches(entries, 1, ethers.ZeroHash);
+
+      expect(batches).to.have.length(2);
+      expect(batches[0].batchId).to.not.equal(batches[1].batchId);
+      expect(planBatches(entries, 1, ethers.ZeroHash)[1].batchId).to.equal(batches[1].batchId);
+    });
+
+    it("Should give batches with different contents different ids", function () {
+      const { entries } = parseDistributionCsv(`${ALICE},1\n${BOB},2`);
+
+      expect(planBatches(entries, 2, ethers.ZeroHash)[0].batchId).to.not.equal(
+        planBatches(entries, 1, ethers.ZeroHash)[0].batchId
+      );
+    });
+  });
+
+  // ============================================================
+  // DISTRIBUTION TESTS
+  // ============================================================
+  describe("Task", function () {
+    it("Should distribute every row in batches", async function () {
+      const { btcx, multisend } = await deployToken();
+      const rows = randomRecipients(5);
+      const csv = writeCsv(rows);
+
+      await hre.run("btcx:distribute", {
+        csv,
+        token: await btcx.getAddress(),
+        multisend: await multisend.getAddress(),
+        batchSize: 2,
+      });
+
+      for (const [address, amount] of rows) {
+        expect(await btcx.balanceOf(address)).to.equal(ethers.parseUnits(amount, DECIMALS));
+      }
+      const state = loadState(`${csv}.state.json`);
+      expect(state.batches.map((b) => b.status)).to.deep.equal(["confirmed", "confirmed", "confirmed"]);
+    });
+
+    it("Should fund the multisend with a permit instead of approve", async function () {
+      const { btcx, multisend, owner } = await deployToken();
+      const rows = randomRecipients(3);
+      const csv = writeCsv(rows);
+
+      await runDistribution(hre, {
+        csv,
+        token: await btcx.getAddress(),
+        multisend: await multisend.getAddress(),
+        batchSize: 2,
+        permit: true,
+      });
+
+      expect(await btcx.nonces(owner.address)).to.equal(1);
+      expect(await btcx.allowance(owner.address, await multisend.getAddress())).to.equal(0);
+      expect(await btcx.balanceOf(rows[2][0])).to.equal(ethers.parseUnits(rows[2][1], DECIMALS));
+    });
+
+    it("Should deploy and record a multisend when none is known", async function () {
+      const { btcx } = await deployToken();
+      const csv = writeCsv(randomRecipients(1));
+
+      await runDistribution(hre, { csv, token: await btcx.getAddress(), deploymentsDir: tmpDir });
+
+      const manifest = JSON.parse(fs.readFileSync(path.join(tmpDir, "hardhat.json"), "utf8"));
+      expect(manifest.contracts.BTCXMultisend.address).to.be.properAddress;
+    });
+
+    it("Should refuse to start when the balance does not cover the total", async function () {
+      const { btcx, multisend, owner } = await deployToken();
+      const [, other] = await ethers.getSigners();
+      const balance = await btcx.balanceOf(owner.address);
+      await btcx.transfer(other.address, balance - ethers.parseUnits("1", DECIMALS));
+      const csv = writeCsv(randomRecipients(2));
+
+      let error;
+      try {
+        await runDistribution(hre, { csv, token: await btcx.getAddress(), multisend: await multisend.getAddress() });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/Insufficient BTCX balance/);
+    });
+
+    it("Should resume without paying anyone twice", async function () {
+      const { btcx, multisend } = await deployToken();
+      const rows = randomRecipients(4);
+      const csv = writeCsv(rows);
+      const options = {
+        csv,
+        token: await btcx.getAddress(),
+        multisend: await multisend.getAddress(),
+        batchSize: 2,
+      };
+      await runDistribution(hre, options);
+
+      // Simulate a crash that lost all progress after the transactions were mined
+      const state = loadState(`${csv}.state.json`);
+      state.batches.forEach((batch) => {
+        batch.status = "pending";
+        delete batch.txHash;
+      });
+      fs.writeFileSync(`${csv}.state.json`, JSON.stringify(state));
+
+      await runDistribution(hre, options);
+
+      for (const [address, amount] of rows) {
+        expect(await btcx.balanceOf(address)).to.equal(ethers.parseUnits(amount, DECIMALS));
+      }
+    });
+
+    it("Should finish the remaining batches after an interruption", async function () {
+      const { btcx, multisend, owner } = await deployToken();
+      const rows = randomRecipients(4);
+      const csv = writeCsv(rows);
+      const token = await btcx.getAddress();
+      const multisendAddress = await multisend.getAddress();
+
+      // The first batch went out before the crash
+      const { entries } = parseDistributionCsv(fs.readFileSync(csv, "utf8"));
+      const [first] = planBatches(entries, 2, distributionHash(entries));
+      await btcx.approve(multisendAddress, first.total);
+      await multisend.multisend(token, first.batchId, first.recipients, first.amounts);
+      const before = await btcx.balanceOf(owner.address);
+
+      await runDistribution(hre, { csv, token, multisend: multisendAddress, batchSize: 2 });
+
+      for (const [address, amount] of rows) {
+        expect(await btcx.balanceOf(address)).to.equal(ethers.parseUnits(amount, DECIMALS));
+      }
+      expect(before - (await btcx.balanceOf(owner.address))).to.equal(
+        entries.slice(2).reduce((sum, e) => sum + e.amount, 0n)
+      );
+    });
+
+    it("Should refuse a different batch size after the state file is lost", async function () {
+      const { btcx, multisend } = await deployToken();
+      const rows = randomRecipients(5);
+      const csv = writeCsv(rows);
+      const options = {
+        csv,
+        token: await btcx.getAddress(),
+        multisend: await multisend.getAddress(),
+        batchSize: 2,
+      };
+      await runDistribution(hre, options);
+      fs.rmSync(`${csv}.state.json`);
+
+      await expect(runDistribution(hre, { ...options, batchSize: 3 })).to.be.rejectedWith(
+        /already has 3 executed batch\(es\) that this plan does not contain/
+      );
+      for (const [address, amount] of rows) {
+        expect(await btcx.balanceOf(address)).to.equal(ethers.parseUnits(amount, DECIMALS));
+      }
+
+      // The original batch size still resumes cleanly
+      await runDistribution(hre, options);
+      expect(loadState(`${csv}.state.json`).batches.every((b) => b.status === "confirmed")).to.equal(true);
+    });
+
+    it("Should reject a state file from a different distribution", async function () {
+      const { btcx, multisend } = await deployToken();
+      const csv = writeCsv(randomRecipients(2));
+      const options = { csv, token: await btcx.getAddress(), multisend: await multisend.getAddress() };
+      await runDistribution(hre, options);
+
+      let error;
+      try {
+        await runDistribution(hre, { ...options, batchSize: 1 });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/different distribution \(batchSize/);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  DEFAULT_TOLERANCE_PERCENT,
+  measureGas,
+  readSnapshot,
+  compareGas,
+  comparisonFails,
+  printComparison,
+} = require("../scripts/lib/gas");
+
+/**
+ * @title Gas Snapshot Test Suite
+ * @notice Checks the gas of every entry point against gas-snapshot.json
+ * @dev GAS_TOLERANCE_PERCENT sets the allowed change (default 1%). Record an intended change
+ *      with `npm run gas:snapshot`. Skipped under coverage, which instruments the contracts.
+ */
+describe("Gas Snapshot", function () {
+  const tolerance = Number(process.env.GAS_TOLERANCE_PERCENT || DEFAULT_TOLERANCE_PERCENT);
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-gas-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // ============================================================
+  // SNAPSHOT TESTS
+  // ============================================================
+  describe("Snapshot", function () {
+    it("Should match gas-snapshot.json within the tolerance", async function () {
+      if (hre.__SOLIDITY_COVERAGE_RUNNING) {
+        this.skip();
+      }
+      const snapshot = readSnapshot();
+      expect(snapshot, "gas-snapshot.json is missing; run `npm run gas:snapshot`").to.not.equal(undefined);
+
+      const rows = compareGas(snapshot, await measureGas(hre), tolerance);
+      printComparison(rows, tolerance);
+
+      const failing = rows.filter((row) => !["same", "within"].includes(row.status));
+      expect(failing, "gas changed; run `npm run gas:snapshot` if the change is intended").to.deep.equal([]);
+    });
+
+    it("Should measure every entry point the same way twice", async function () {
+      const first = await measureGas(hre);
+      const [sender, receiver] = await hre.ethers.getSigners();
+      await sender.sendTransaction({ to: receiver.address, value: 1n });
+      const second = await measureGas(hre);
+
+      expect(second).to.deep.equal(first);
+      expect(Object.keys(first)).to.include.members([
+        "deploy",
+        "transfer (new holder)",
+        "approve",
+        "transferFrom",
+        "burn",
+        "burnFrom",
+        "permit",
+      ]);
+    });
+  });
+
+  // ============================================================
+  // COMPARISON TESTS
+  // ============================================================
+  describe("Comparison", function () {
+    it("Should classify changes against the tolerance", function () {
+      const rows = compareGas(
+        { same: 1000, within: 1000, up: 1000, down: 1000, gone: 1000 },
+        { same: 1000, within: 1009, up: 1011, down: 900, added: 500 },
+        1
+      );
+
+      expect(rows.map((row) => [row.name, row.status])).to.deep.equal([
+        ["same", "same"],
+        ["within", "within"],
+        ["up", "regression"],
+        ["down", "improvement"],
+        ["added", "new"],
+        ["gone", "removed"],
+      ]);
+      expect(rows[2]).to.include({ before: 1000, after: 1011, delta: 11 });
+      expect(rows[2].percent).to.be.closeTo(1.1, 1e-9);
+    });
+
+    it("Should only pass when nothing is outside the tolerance", function () {
+      expect(comparisonFails(compareGas({ a: 100 }, { a: 100 }))).to.equal(false);
+      expect(comparisonFails(compareGas({ a: 100 }, { a: 150 }))).to.equal(true);
+      expect(comparisonFails(compareGas({ a: 100 }, { a: 50 }))).to.equal(true);
+      expect(comparisonFails(compareGas({}, { a: 100 }))).to.equal(true);
+    });
+  });
+
+  // ============================================================
+  // TASK TESTS
+  // ============================================================
+  describe("Task", function () {
+    let consoleLog;
+
+    beforeEach(function () {
+      consoleLog = console.log;
+      console.log = () => {};
+    });
+
+    afterEach(function () {
+      console.log = consoleLog;
+    });
+
+    it("Should write a snapshot and then check against it", async function () {
+      const out = path.join(tmpDir, "gas-snapshot.json");
+
+      const measured = await hre.run("btcx:gas:snapshot", { out });
+      expect(readSnapshot(out)).to.deep.equal(measured);
+
+      await hre.run("btcx:gas:snapshot", { out, check: true });
+    });
+
+    it("Should fail the check on a regression", async function () {
+      const out = path.join(tmpDir, "gas-snapshot.json");
+      const measured = await measureGas(hre);
+      fs.writeFileSync(out, JSON.stringify({ ...measured, burn: Math.floor(measured.burn * 0.9) }));
+
+      let error;
+      try {
+        await hre.run("btcx:gas:snapshot", { out, check: true });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/Gas differs from .*gas:snapshot/);
+    });
+
+    it("Should fail the check without a snapshot", async function () {
+      let error;
+      try {
+        await hre.run("btcx:gas:snapshot", { out: path.join(tmpDir, "missing.json"), check: true });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/No gas snapshot/);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { mine, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { createIndexer } = require("../scripts/lib/indexer");
+
+const { ethers } = hre;
+
+/**
+ * @title Event Indexer Test Suite
+ * @notice Tests for the SQLite event indexer, its reorg handling and the btcx:index task
+ */
+describe("Event Indexer", function () {
+  const DECIMALS = 18;
+  const TOTAL_SUPPLY = ethers.parseUnits("1200000000", DECIMALS);
+  let tmpDir;
+  let consoleLog;
+  let btcx;
+  let startBlock;
+  let owner;
+  let alice;
+  let bob;
+  let spender;
+
+  beforeEach(async function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-indexer-"));
+    consoleLog = console.log;
+    console.log = () => {};
+
+    [owner, alice, bob, spender] = await ethers.getSigners();
+    const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+    btcx = await BTCXDigitalCurrency.deploy(owner.address);
+    startBlock = (await btcx.deploymentTransaction().wait()).blockNumber;
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function openIndexer(options = {}) {
+    return createIndexer(ethers.provider, {
+      token: await btcx.getAddress(),
+      dbPath: path.join(tmpDir, "index.sqlite"),
+      startBlock,
+      ...options,
+    });
+  }
+
+  async function expectBalancesMatchChain(indexer) {
+    for (const { holder, balance } of indexer.balances()) {
+      expect(balance).to.equal(await btcx.balanceOf(holder));
+    }
+    expect((await indexer.checkConsistency()).ok).to.equal(true);
+  }
+
+  // ============================================================
+  // INDEXING TESTS
+  // ============================================================
+  describe("Indexing", function () {
+    it("Should index the initial mint and transfers into balances", async function () {
+      await btcx.transfer(alice.address, 1000);
+      await btcx.connect(alice).transfer(bob.address, 400);
+      const indexer = await openIndexer();
+
+      const result = await indexer.sync();
+
+      expect(result.events).to.equal(4);
+      expect(indexer.events("InitialMint")[0].amount).to.equal(TOTAL_SUPPLY.toString());
+      expect(indexer.balanceOf(alice.address)).to.equal(600n);
+      expect(indexer.balanceOf(bob.address)).to.equal(400n);
+      expect(indexer.balances()[0].holder).to.equal(owner.address);
+      await expectBalancesMatchChain(indexer);
+      indexer.close();
+    });
+
+    it("Should drop burned tokens from balances and supply", async function () {
+      await btcx.transfer(alice.address, 1000);
+      await btcx.connect(alice).burn(1000);
+      const indexer = await openIndexer();
+
+      await indexer.sync();
+
+      expect(indexer.balanceOf(alice.address)).to.equal(0n);
+      expect((await indexer.checkConsistency()).totalSupply).to.equal(TOTAL_SUPPLY - 1000n);
+      await expectBalancesMatchChain(indexer);
+      indexer.close();
+    });
+
+    it("Should track allowances, including those spent without an Approval event", async function () {
+      await btcx.approve(spender.address, 1000);
+      await btcx.approve(alice.address, 5);
+      await btcx.connect(spender).transferFrom(owner.address, bob.address, 300);
+      const indexer = await openIndexer();
+
+      await indexer.sync();
+
+      const allowances = indexer.allowances(owner.address);
+      expect(allowances.find((a) => a.spender === spender.address).amount).to.equal(700n);
+      expect(allowances.find((a) => a.spender === alice.address).amount).to.equal(5n);
+      indexer.close();
+    });
+
+    it("Should remove allowances set back to zero", async function () {
+      await btcx.approve(spender.address, 1000);
+      await btcx.approve(spender.address, 0);
+      const indexer = await openIndexer();
+
+      await indexer.sync();
+
+      expect(indexer.allowances()).to.deep.equal([]);
+      indexer.close();
+    });
+
+    it("Should detect indexed balances that do not add up to totalSupply", async function () {
+      const indexer = await openIndexer();
+      await indexer.sync();
+
+      indexer.db.run("UPDATE balances SET balance = '1' WHERE holder = ?", [owner.address]);
+
+      expect((await indexer.checkConsistency()).ok).to.equal(false);
+      indexer.close();
+    });
+  });
+
+  // ============================================================
+  // RESUME TESTS
+  // ============================================================
+  describe("Resume", function () {
+    it("Should resume from the last processed block", async function () {
+      await btcx.transfer(alice.address, 1000);
+      const first = await openIndexer({ chunkSize: 1 });
+      const { toBlock } = await first.sync();
+      first.close();
+
+      await btcx.transfer(bob.address, 500);
+      const second = await openIndexer();
+      const result = await second.sync();
+
+      expect(result.fromBlock).to.equal(toBlock + 1);
+      expect(result.events).to.equal(1);
+      expect(second.events("Transfer")).to.have.length(3);
+      await expectBalancesMatchChain(second);
+      second.close();
+    });
+
+    it("Should refuse a database built for another token", async function () {
+      const indexer = await openIndexer();
+      await indexer.sync();
+      indexer.close();
+
+      const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+      const other = await BTCXDigitalCurrency.deploy(owner.address);
+
+      let error;
+      try {
+        await openIndexer({ token: await other.getAddress() });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/different token/);
+    });
+  });
+
+  // ============================================================
+  // REORG TESTS
+  // ============================================================
+  describe("Reorgs", function () {
+    it("Should roll back events from blocks that left the chain", async function () {
+      await btcx.transfer(alice.address, 1000);
+      const fork = await takeSnapshot();
+      await btcx.approve(spender.address, 50);
+      await btcx.transfer(bob.address, 2000);
+      await mine(3);
+
+      const indexer = await openIndexer();
+      await indexer.sync();
+      expect(indexer.balanceOf(bob.address)).to.equal(2000n);
+
+      // Replace the last blocks with a different history of the same length
+      await fork.restore();
+      await btcx.transfer(alice.address, 7);
+      await mine(5);
+
+      const result = await indexer.sync();
+
+      expect(result.reorg.ancestor).to.be.lessThan(result.toBlock);
+      expect(result.reorg.undone).to.equal(2);
+      expect(indexer.balanceOf(bob.address)).to.equal(0n);
+      expect(indexer.balanceOf(alice.address)).to.equal(1007n);
+      expect(indexer.allowances()).to.deep.equal([]);
+      await expectBalancesMatchChain(indexer);
+      indexer.close();
+    });
+
+    it("Should roll back when the new chain is shorter", async function () {
+      const fork = await takeSnapshot();
+      await btcx.transfer(bob.address, 2000);
+      await mine(10);
+
+      const indexer = await openIndexer();
+      await indexer.sync();
+
+      await fork.restore();
+      const result = await indexer.sync();
+
+      expect(result.reorg.undone).to.equal(1);
+      expect(indexer.balanceOf(bob.address)).to.equal(0n);
+      await expectBalancesMatchChain(indexer);
+      indexer.close();
+    });
+  });
+
+  // ============================================================
+  // TASK TESTS
+  // ============================================================
+  describe("Task", function () {
+    it("Should index into the database file and pass the consistency check", async function () {
+      await btcx.transfer(alice.address, 1000);
+      const db = path.join(tmpDir, "task.sqlite");
+
+      const result = await hre.run("btcx:index", {
+        token: await btcx.getAddress(),
+        db,
+        fromBlock: startBlock,
+      });
+
+      expect(fs.existsSync(db)).to.equal(true);
+      expect(result.holders).to.equal(2);
+      expect(result.check.ok).to.equal(true);
+    });
+  });
+});
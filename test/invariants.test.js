@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  INVARIANTS,
+  InvariantViolation,
+  setupInvariantContext,
+  runSequence,
+  loadCases,
+  replayCase,
+  fuzzInvariants,
+} = require("../scripts/lib/invariants");
+const { INITIAL_SUPPLY } = require("../scripts/lib/supply");
+
+/**
+ * @title Invariant Fuzzing Test Suite
+ * @notice Tests for the stateful invariant fuzzer, and replay of every saved failing sequence
+ * @dev INVARIANT_RUNS and INVARIANT_STEPS size the random run (defaults 20 and 30).
+ */
+describe("Invariant Fuzzing", function () {
+  this.timeout(600000);
+
+  let tmpDir;
+  let consoleLog;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-invariants-"));
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Deliberately wrong: any successful burn breaks it
+  const SUPPLY_NEVER_BURNED = {
+    name: "supplyNeverBurned",
+    check: ({ after }) => (after.totalSupply === INITIAL_SUPPLY ? undefined : "supply went down"),
+  };
+
+  // ============================================================
+  // SEQUENCE TESTS
+  // ============================================================
+  describe("Sequences", function () {
+    it("Should run every kind of step and report which ones reverted", async function () {
+      const context = await setupInvariantContext(hre, 4);
+      const steps = [
+        { op: "permit", owner: 1, spender: 2, bps: 5000, infinite: false, expired: false, forged: false },
+        { op: "transferFrom", caller: 2, from: 1, to: 3, bps: 1000 },
+        { op: "permit", owner: 1, spender: 2, bps: 5000, infinite: true, expired: false, forged: true },
+        { op: "permit", owner: 1, spender: 2, bps: 5000, infinite: true, expired: true, forged: false },
+        { op: "approve", caller: 3, spender: 0, bps: 0, infinite: true },
+        { op: "burnFrom", caller: 0, from: 3, bps: 10000 },
+        { op: "burn", caller: 2, bps: 10001 },
+        { op: "transfer", caller: 1, to: 2, bps: 2500 },
+      ];
+
+      const outcomes = await runSequence(context, steps);
+
+      expect(outcomes).to.deep.equal([true, true, false, false, true, true, false, true]);
+      expect(await context.token.balanceOf(context.signers[3].address)).to.equal(0n);
+      expect(await context.token.nonces(context.signers[1].address)).to.equal(1n);
+    });
+
+    it("Should hold the invariants across random sequences", async function () {
+      const result = await fuzzInvariants(hre, {
+        runs: Number(process.env.INVARIANT_RUNS || 20),
+        steps: Number(process.env.INVARIANT_STEPS || 30),
+        casesDir: tmpDir,
+      });
+
+      expect(result.failed).to.equal(false);
+      expect(fs.readdirSync(tmpDir)).to.deep.equal([]);
+    });
+
+    it("Should refuse to run on another network", async function () {
+      let error;
+      try {
+        await fuzzInvariants({ ...hre, network: { name: "sepolia" } });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/only runs on the in-process hardhat network/);
+    });
+  });
+
+  // ============================================================
+  // FAILURE TESTS
+  // ============================================================
+  describe("Failures", function () {
+    it("Should shrink a failing sequence and save it as a case", async function () {
+      const result = await fuzzInvariants(hre, {
+        runs: 50,
+        steps: 10,
+        seed: 42,
+        casesDir: tmpDir,
+        invariants: [...INVARIANTS, SUPPLY_NEVER_BURNED],
+      });
+
+      expect(result.failed).to.equal(true);
+      expect(result.failure.invariant).to.equal("supplyNeverBurned");
+      expect(result.failure.steps).to.have.length(1);
+      expect(result.failure.steps[0].op).to.be.oneOf(["burn", "burnFrom"]);
+      expect(result.file).to.equal(path.join(tmpDir, "supplyNeverBurned-42.json"));
+
+      const [saved] = loadCases(tmpDir);
+      expect(saved.steps).to.deep.equal(result.failure.steps);
+      expect(saved.seed).to.equal(42);
+    });
+
+    it("Should reproduce a saved case until the invariant holds", async function () {
+      const testCase = { accounts: 3, steps: [{ op: "burn", caller: 1, bps: 5000 }] };
+
+      let error;
+      try {
+        await replayCase(hre, testCase, { invariants: [SUPPLY_NEVER_BURNED] });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(InvariantViolation);
+      expect(error.stepIndex).to.equal(0);
+
+      expect(await replayCase(hre, testCase)).to.deep.equal([true]);
+    });
+  });
+
+  // ============================================================
+  // TASK TESTS
+  // ============================================================
+  describe("Tasks", function () {
+    it("Should fuzz from the task", async function () {
+      const result = await hre.run("btcx:invariants", { runs: 2, steps: 5, seed: 7, out: tmpDir });
+
+      expect(result.failed).to.equal(false);
+      expect(result.seed).to.equal(7);
+    });
+
+    it("Should replay a case file from the task", async function () {
+      const file = path.join(tmpDir, "case.json");
+      fs.writeFileSync(file, JSON.stringify({ accounts: 3, steps: [{ op: "transfer", caller: 0, to: 2, bps: 100 }] }));
+
+      expect(await hre.run("btcx:invariants:replay", { case: file })).to.deep.equal([true]);
+    });
+  });
+
+  // ============================================================
+  // SAVED CASES
+  // ============================================================
+  describe("Saved cases", function () {
+    for (const testCase of loadCases()) {
+      it(`Should hold the invariants for ${path.basename(testCase.file)}`, async function () {
+        await replayCase(hre, testCase);
+      });
+    }
+  });
+});
@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const hre = require("hardhat");
+const {
+  readSecretFromFd,
+  promptSecret,
+  readPassword,
+  encryptKeystore,
+  writeKeystore,
+  loadKeystore,
+  keystoreExtender,
+} = require("../scripts/lib/keystore");
+
+const { ethers } = hre;
+
+/**
+ * @title Keystore Signer Test Suite
+ * @notice Tests for encrypted keystore signers and the keystore tasks
+ */
+describe("Keystore Signers", function () {
+  const PASSWORD = "correct horse battery staple";
+  const FAST = { scryptN: 2 ** 10 };
+  let tmpDir;
+  let consoleLog;
+  let wallet;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-keystore-"));
+    consoleLog = console.log;
+    console.log = () => {};
+    wallet = ethers.Wallet.createRandom();
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // A terminal that types `text` once the prompt is shown
+  function fakeTerminal(text) {
+    const input = new PassThrough();
+    input.isTTY = true;
+    input.setRawMode = () => input;
+    const output = new PassThrough();
+    output.on("data", () => input.write(text));
+    return { input, output };
+  }
+
+  function secretFd(text) {
+    const file = path.join(tmpDir, `secret-${Math.random()}`);
+    fs.writeFileSync(file, text);
+    return fs.openSync(file, "r");
+  }
+
+  // ============================================================
+  // KEYSTORE TESTS
+  // ============================================================
+  describe("Keystore", function () {
+    it("Should round-trip a private key through an encrypted keystore", async function () {
+      const file = path.join(tmpDir, "deployer.json");
+
+      const address = await writeKeystore(file, wallet.privateKey, PASSWORD, FAST);
+      const loaded = await loadKeystore(file, PASSWORD);
+
+      expect(address).to.equal(wallet.address);
+      expect(loaded.privateKey).to.equal(wallet.privateKey);
+      expect(fs.readFileSync(file, "utf8")).to.not.contain(wallet.privateKey.slice(2));
+      expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+    });
+
+    it("Should fail with a wrong password", async function () {
+      const file = path.join(tmpDir, "deployer.json");
+      await writeKeystore(file, wallet.privateKey, PASSWORD, FAST);
+
+      await expect(loadKeystore(file, "wrong password!")).to.be.rejectedWith(/Could not decrypt/);
+    });
+
+    it("Should refuse to overwrite a keystore", async function () {
+      const file = path.join(tmpDir, "deployer.json");
+      await writeKeystore(file, wallet.privateKey, PASSWORD, FAST);
+
+      await expect(writeKeystore(file, wallet.privateKey, PASSWORD, FAST)).to.be.rejectedWith(/refusing to overwrite/);
+    });
+
+    it("Should refuse a short password", async function () {
+      await expect(encryptKeystore(wallet.privateKey, "short", FAST)).to.be.rejectedWith(/at least 12 characters/);
+    });
+
+    it("Should reject a file that is not a keystore", async function () {
+      const file = path.join(tmpDir, "plain.json");
+      fs.writeFileSync(file, JSON.stringify({ privateKey: wallet.privateKey }));
+
+      await expect(loadKeystore(file, PASSWORD)).to.be.rejectedWith(/not an encrypted JSON keystore/);
+    });
+  });
+
+  // ============================================================
+  // PASSWORD INPUT TESTS
+  // ============================================================
+  describe("Password input", function () {
+    it("Should read a secret from a file descriptor without its trailing newline", function () {
+      const fd = secretFd(`${PASSWORD}\n`);
+      try {
+        expect(readSecretFromFd(fd)).to.equal(PASSWORD);
+      } finally {
+        fs.closeSync(fd);
+      }
+    });
+
+    it("Should prompt without echoing and handle backspace", async function () {
+      const { input, output } = fakeTerminal("hunter22\u007f2-secret\r");
+      let shown = "";
+      output.on("data", (chunk) => (shown += chunk));
+
+      expect(await promptSecret("Password: ", { input, output })).to.equal("hunter22-secret");
+      expect(shown).to.equal("Password: \n");
+    });
+
+    it("Should refuse to prompt without a terminal", async function () {
+      const input = new PassThrough();
+      await expect(promptSecret("Password: ", { input })).to.be.rejectedWith(/no terminal/);
+    });
+
+    it("Should require both entries to match when confirming", async function () {
+      const { input, output } = fakeTerminal(`${PASSWORD}\r`);
+      expect(await readPassword({ input, output, confirm: true })).to.equal(PASSWORD);
+
+      const mismatch = fakeTerminal(`${PASSWORD}\r`);
+      let typed = 0;
+      mismatch.output.removeAllListeners("data");
+      mismatch.output.on("data", (chunk) => {
+        if (String(chunk).includes("assword")) {
+          mismatch.input.write(typed++ === 0 ? `${PASSWORD}\r` : "something else\r");
+        }
+      });
+      await expect(readPassword({ ...mismatch, confirm: true })).to.be.rejectedWith(/do not match/);
+    });
+  });
+
+  // ============================================================
+  // PROVIDER TESTS
+  // ============================================================
+  describe("Provider", function () {
+    async function keystoreEnv() {
+      const file = path.join(tmpDir, "deployer.json");
+      await writeKeystore(file, wallet.privateKey, PASSWORD, FAST);
+      return { KEYSTORE_PATH: file, KEYSTORE_PASSWORD_FD: String(secretFd(PASSWORD)) };
+    }
+
+    it("Should leave the hardhat network alone", async function () {
+      const provider = hre.network.provider;
+      expect(await keystoreExtender(provider, "hardhat", { KEYSTORE_PATH: "missing.json" })).to.equal(provider);
+    });
+
+    it("Should refuse a plaintext PRIVATE_KEY on mainnet", async function () {
+      await expect(
+        keystoreExtender(hre.network.provider, "mainnet", { PRIVATE_KEY: wallet.privateKey })
+      ).to.be.rejectedWith(/Refusing to use a plaintext PRIVATE_KEY on mainnet/);
+    });
+
+    it("Should refuse a plaintext PRIVATE_KEY on chain 1 under another network name", async function () {
+      const env = { PRIVATE_KEY: wallet.privateKey };
+      const chainOne = { request: async () => "0x1" };
+
+      await expect(keystoreExtender(hre.network.provider, "ethereum", env, { chainId: 1 })).to.be.rejectedWith(
+        /Refusing to use a plaintext PRIVATE_KEY on mainnet \(ethereum\)/
+      );
+      await expect(keystoreExtender(chainOne, "ethereum", env)).to.be.rejectedWith(
+        /Refusing to use a plaintext PRIVATE_KEY/
+      );
+      expect(await keystoreExtender(hre.network.provider, "sepolia", env, { chainId: 11155111 })).to.equal(
+        hre.network.provider
+      );
+    });
+
+    it("Should allow read-only mainnet use without any key", async function () {
+      const provider = hre.network.provider;
+      expect(await keystoreExtender(provider, "mainnet", {})).to.equal(provider);
+    });
+
+    it("Should sign transactions with the keystore key", async function () {
+      const env = await keystoreEnv();
+      const provider = await keystoreExtender(hre.network.provider, "sepolia", env);
+      fs.closeSync(Number(env.KEYSTORE_PASSWORD_FD));
+      await hre.network.provider.send("hardhat_setBalance", [wallet.address, ethers.toQuantity(ethers.parseEther("1"))]);
+      const [, recipient] = await ethers.getSigners();
+      const before = await ethers.provider.getBalance(recipient.address);
+
+      const accounts = await provider.request({ method: "eth_accounts" });
+      const hash = await provider.request({
+        method: "eth_sendTransaction",
+        params: [
+          {
+            from: wallet.address,
+            to: recipient.address,
+            value: ethers.toQuantity(1000n),
+            gas: ethers.toQuantity(21000n),
+            maxFeePerGas: ethers.toQuantity(ethers.parseUnits("10", "gwei")),
+            maxPriorityFeePerGas: ethers.toQuantity(1n),
+          },
+        ],
+      });
+
+      expect(accounts.map(ethers.getAddress)).to.deep.equal([wallet.address]);
+      expect((await ethers.provider.getTransaction(hash)).from).to.equal(wallet.address);
+      expect(await ethers.provider.getBalance(recipient.address)).to.equal(before + 1000n);
+    });
+
+    // LocalAccountsProvider is not part of Hardhat's public API, hence the exact version pin
+    it("Should find the Hardhat accounts provider on the pinned Hardhat version", function () {
+      const { LocalAccountsProvider } = require("hardhat/internal/core/providers/accounts");
+
+      expect(LocalAccountsProvider).to.be.a("function");
+      expect(require("../package.json").devDependencies.hardhat).to.equal(require("hardhat/package.json").version);
+    });
+
+    it("Should stop on a wrong password", async function () {
+      const env = await keystoreEnv();
+      fs.closeSync(Number(env.KEYSTORE_PASSWORD_FD));
+      env.KEYSTORE_PASSWORD_FD = String(secretFd("not the password"));
+
+      try {
+        await expect(keystoreExtender(hre.network.provider, "sepolia", env)).to.be.rejectedWith(/Could not decrypt/);
+      } finally {
+        fs.closeSync(Number(env.KEYSTORE_PASSWORD_FD));
+      }
+    });
+  });
+
+  // ============================================================
+  // TASK TESTS
+  // ============================================================
+  describe("Tasks", function () {
+    it("Should import a private key read from a file descriptor", async function () {
+      this.timeout(120000);
+      const keyFd = secretFd(`${wallet.privateKey.slice(2)}\n`);
+      const passwordFd = secretFd(`${PASSWORD}\n`);
+      const out = path.join(tmpDir, "imported.json");
+
+      try {
+        const result = await hre.run("btcx:keystore:import", { out, keyFd: String(keyFd), passwordFd: String(passwordFd) });
+        expect(result.address).to.equal(wallet.address);
+      } finally {
+        fs.closeSync(keyFd);
+        fs.closeSync(passwordFd);
+      }
+      expect((await loadKeystore(out, PASSWORD)).address).to.equal(wallet.address);
+    });
+
+    it("Should reject an imported key that is not 32 bytes", async function () {
+      const keyFd = secretFd("0x1234");
+      try {
+        await expect(
+          hre.run("btcx:keystore:import", { out: path.join(tmpDir, "bad.json"), keyFd: String(keyFd) })
+        ).to.be.rejectedWith(/32 bytes of hex/);
+      } finally {
+        fs.closeSync(keyFd);
+      }
+    });
+  });
+});
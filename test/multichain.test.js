@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const hre = require("hardhat");
+const deployments = require("../scripts/lib/deployments");
+const { startLocalChain } = require("../scripts/lib/localnet");
+const { resolveTargets, compareDeployments, deployMultichain } = require("../scripts/lib/multichain");
+
+const { ethers } = hre;
+
+/**
+ * @title Multi-chain Deployment Test Suite
+ * @notice Deploys through scripts/deploy.js to three local chains served over JSON-RPC, with a
+ *         failing chain that is resumed, and compares the deployments
+ */
+describe("Multi-chain Deployment", function () {
+  const CONTRACT = "BTCXDigitalCurrency";
+  let tmpDir;
+  let deploymentsDir;
+  let configFile;
+  let chains;
+  let targets;
+  let recipient;
+  let output;
+  let firstRun;
+  let resumed;
+  let consoleLog;
+
+  // chainA and chainB are local chain IDs; chainC (31338) is treated as a live network
+  function writeConfig(chainCDeclaredId) {
+    const networks = {
+      chainA: { url: chains[0].url, chainId: 31337 },
+      chainB: { url: chains[1].url, chainId: 1337 },
+      chainC: { url: chains[2].url, chainId: chainCDeclaredId },
+    };
+    fs.writeFileSync(
+      configFile,
+      `const config = require(${JSON.stringify(hre.config.paths.configFile)});\n` +
+        "module.exports = {\n" +
+        "  ...config,\n" +
+        `  paths: { ...config.paths, root: ${JSON.stringify(hre.config.paths.root)} },\n` +
+        `  networks: { ...config.networks, ...${JSON.stringify(networks)} },\n` +
+        "};\n"
+    );
+    return resolveTargets(networks, ["chainA", "chainB", "chainC"]);
+  }
+
+  function deploy(runTargets, options = {}) {
+    return deployMultichain(hre, runTargets, { configFile, deploymentsDir, recipient, output, ...options });
+  }
+
+  before(async function () {
+    this.timeout(180000);
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-multichain-"));
+    deploymentsDir = path.join(tmpDir, "deployments");
+    configFile = path.join(tmpDir, "hardhat.config.js");
+    chains = [];
+    for (const chainId of [31337, 1337, 31338]) {
+      chains.push(await startLocalChain(hre, { chainId }));
+    }
+    recipient = (await ethers.getSigners())[1].address;
+    output = new PassThrough();
+    output.resume();
+
+    consoleLog = console.log;
+    console.log = () => {};
+    try {
+      firstRun = await deploy(writeConfig(5), { confirm: `chainA,chainB,chainC ${recipient}` });
+      targets = writeConfig(31338);
+      resumed = await deploy(targets, { confirm: `chainC ${recipient}` });
+    } finally {
+      console.log = consoleLog;
+    }
+  });
+
+  after(async function () {
+    for (const chain of chains) {
+      await chain.close();
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(function () {
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+  });
+
+  const statuses = (state) =>
+    Object.fromEntries(Object.entries(state.networks).map(([name, entry]) => [name, entry.status]));
+
+  // ============================================================
+  // DEPLOYMENT TESTS
+  // ============================================================
+  describe("Deployment", function () {
+    it("Should deploy to each network in turn and carry on after a failure", function () {
+      expect(firstRun.ran).to.deep.equal(["chainA", "chainB", "chainC"]);
+      expect(statuses(firstRun.state)).to.deep.equal({ chainA: "deployed", chainB: "deployed", chainC: "failed" });
+      expect(firstRun.failed).to.deep.equal(["chainC"]);
+      expect(firstRun.state.networks.chainC.error).to.match(
+        /HH101: Hardhat was set to use chain id 5, but connected to a chain with id 31338/
+      );
+      expect(firstRun.state.networks.chainC.address).to.equal(undefined);
+    });
+
+    it("Should resume only the failed network with the same recipient", function () {
+      const stored = JSON.parse(fs.readFileSync(resumed.stateFile, "utf8"));
+
+      expect(resumed.ran).to.deep.equal(["chainC"]);
+      expect(resumed.failed).to.deep.equal([]);
+      expect(statuses(stored)).to.deep.equal({ chainA: "deployed", chainB: "deployed", chainC: "deployed" });
+      expect(stored.networks.chainA.transactionHash).to.equal(firstRun.state.networks.chainA.transactionHash);
+      for (const name of ["chainA", "chainB", "chainC"]) {
+        expect(deployments.getDeployment(name, CONTRACT, deploymentsDir).constructorArgs).to.deep.equal([recipient]);
+      }
+    });
+
+    it("Should report an already deployed network as existing when its state is lost", async function () {
+      const stateFile = path.join(tmpDir, "fresh.state.json");
+      const result = await deploy([targets[0]], { state: stateFile });
+
+      expect(result.state.networks.chainA.status).to.equal("existing");
+      expect(result.state.networks.chainA.address).to.equal(firstRun.state.networks.chainA.address);
+    });
+
+    it("Should refuse a state file written for another recipient", async function () {
+      let error;
+      try {
+        await deploy(targets, { recipient: ethers.Wallet.createRandom().address });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/State file was written for recipient .*every chain has to use the same recipient/);
+    });
+
+    it("Should require a recipient and a confirmation for a live network", async function () {
+      const state = path.join(tmpDir, "live.state.json");
+      const input = new PassThrough();
+      input.end("chainC\n");
+
+      let missingRecipient;
+      try {
+        await deploy([targets[2]], { state, recipient: undefined });
+      } catch (e) {
+        missingRecipient = e;
+      }
+      let unconfirmed;
+      try {
+        await deploy([targets[2]], { state, confirmInput: input });
+      } catch (e) {
+        unconfirmed = e;
+      }
+      expect(missingRecipient.message).to.match(/RECIPIENT_ADDRESS is required to deploy to chainC/);
+      expect(unconfirmed.message).to.match(/Confirmation did not match "chainC 0x/);
+    });
+
+    it("Should only accept configured JSON-RPC networks", function () {
+      expect(() => resolveTargets(hre.config.networks, [])).to.throw(/No target networks/);
+      expect(() => resolveTargets(hre.config.networks, ["nowhere"])).to.throw(/Unknown network nowhere/);
+      expect(() => resolveTargets(hre.config.networks, ["hardhat"])).to.throw(/has no RPC url/);
+      expect(() => resolveTargets(hre.config.networks, ["localhost", "localhost"])).to.throw(/Duplicate/);
+    });
+  });
+
+  // ============================================================
+  // CONSISTENCY REPORT TESTS
+  // ============================================================
+  describe("Consistency report", function () {
+    it("Should match across chains once the immutables are masked", function () {
+      const { rows, differences, problems, consistent } = resumed.report;
+      const rawHashes = ["chainA", "chainB", "chainC"].map(
+        (name) => deployments.getDeployment(name, CONTRACT, deploymentsDir).deployedBytecodeHash
+      );
+
+      expect(consistent).to.equal(true);
+      expect(differences).to.deep.equal([]);
+      expect(problems).to.deep.equal([]);
+      expect(rows.map((row) => row.chainId)).to.deep.equal([31337, 1337, 31338]);
+      expect(new Set(rows.map((row) => row.address)).size).to.equal(1);
+      expect(rows.every((row) => row.matchesArtifact && row.symbol === "BTCX" && row.decimals === 18)).to.equal(true);
+      expect(rows[0].totalSupply).to.equal(ethers.parseUnits("1200000000", 18).toString());
+      expect(new Set(rawHashes).size, "raw runtime code differs per chain").to.equal(3);
+    });
+
+    it("Should flag a differing address and a network without a deployment", async function () {
+      const file = deployments.manifestPath("chainB", deploymentsDir);
+      const original = fs.readFileSync(file, "utf8");
+      const provider = new ethers.JsonRpcProvider(chains[1].url, 1337, { staticNetwork: true });
+      const artifact = await hre.artifacts.readArtifact(CONTRACT);
+      const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, await provider.getSigner(2));
+      const other = await factory.deploy(recipient);
+      await other.waitForDeployment();
+      deployments.saveDeployment("chainB", 1337, CONTRACT, { address: await other.getAddress() }, deploymentsDir);
+
+      const chainD = { name: "chainD", url: chains[0].url, chainId: 31337 };
+      const report = await compareDeployments(hre, [...targets, chainD], { deploymentsDir });
+      fs.writeFileSync(file, original);
+      provider.destroy();
+
+      expect(report.consistent).to.equal(false);
+      expect(report.differences.map((difference) => difference.field)).to.deep.equal(["address"]);
+      expect(report.differences[0].values.chainB).to.equal(await other.getAddress());
+      expect(report.problems).to.deep.equal([`chainD: no ${CONTRACT} deployment recorded`]);
+    });
+  });
+});
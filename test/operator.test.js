@@ -0,0 +1,238 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const hre = require("hardhat");
+const { saveDeployment } = require("../scripts/lib/deployments");
+const { parseAmount, formatAmount, confirmAction, execute } = require("../scripts/lib/operator");
+
+const { ethers } = hre;
+
+/**
+ * @title Operator Task Test Suite
+ * @notice Tests for human-readable amounts, confirmation and the btcx:* token tasks
+ */
+describe("Operator Tasks", function () {
+  let tmpDir;
+  let consoleLog;
+  let deploymentsDir;
+  let output;
+  let btcx;
+  let owner;
+  let alice;
+  let spender;
+
+  beforeEach(async function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-operator-"));
+    consoleLog = console.log;
+    output = [];
+    console.log = (...args) => output.push(args.join(" "));
+    deploymentsDir = process.env.DEPLOYMENTS_DIR;
+    process.env.DEPLOYMENTS_DIR = tmpDir;
+
+    [owner, alice, spender] = await ethers.getSigners();
+    const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+    btcx = await BTCXDigitalCurrency.deploy(owner.address);
+    saveDeployment("hardhat", 31337, "BTCXDigitalCurrency", { address: await btcx.getAddress() });
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    if (deploymentsDir === undefined) {
+      delete process.env.DEPLOYMENTS_DIR;
+    } else {
+      process.env.DEPLOYMENTS_DIR = deploymentsDir;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // ============================================================
+  // AMOUNT TESTS
+  // ============================================================
+  describe("Amounts", function () {
+    it("Should parse plain and suffixed amounts exactly", function () {
+      expect(parseAmount("250000.25")).to.equal(ethers.parseUnits("250000.25", 18));
+      expect(parseAmount("1.5M")).to.equal(ethers.parseUnits("1500000", 18));
+      expect(parseAmount("2k")).to.equal(ethers.parseUnits("2000", 18));
+      expect(parseAmount("1.2B")).to.equal(ethers.parseUnits("1200000000", 18));
+      expect(parseAmount("1_000,000")).to.equal(ethers.parseUnits("1000000", 18));
+      expect(parseAmount("1,234.5K")).to.equal(ethers.parseUnits("1234500", 18));
+      expect(parseAmount(".5")).to.equal(ethers.parseUnits("0.5", 18));
+      expect(parseAmount("0.000000000000000000001K")).to.equal(1n);
+    });
+
+    it("Should reject malformed and over-precise amounts", function () {
+      for (const text of ["", "abc", "-1", "1.5X", "1e6", "1..5", "max", "1,5", "1,50", "1,0000", ",100", "1_5", "0.1,5"]) {
+        expect(() => parseAmount(text), text).to.throw(/Invalid amount/);
+      }
+      expect(() => parseAmount("0.0000000000000000001")).to.throw(/BTCX has 18 decimals/);
+    });
+
+    it("Should accept max only for approvals", function () {
+      expect(parseAmount("MAX", { allowMax: true })).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should format with grouping and keep the exact fraction", function () {
+      expect(formatAmount(ethers.parseUnits("1500000", 18))).to.equal("1,500,000 BTCX");
+      expect(formatAmount(ethers.parseUnits("250000.25", 18))).to.equal("250,000.25 BTCX");
+      expect(formatAmount(1n)).to.equal("0.000000000000000001 BTCX");
+      expect(formatAmount(ethers.MaxUint256)).to.equal("unlimited");
+    });
+  });
+
+  // ============================================================
+  // CONFIRMATION TESTS
+  // ============================================================
+  describe("Confirmation", function () {
+    function answer(text) {
+      const input = new PassThrough();
+      input.end(`${text}\n`);
+      return { input, output: new PassThrough() };
+    }
+
+    it("Should not prompt on a local chain or with --yes", async function () {
+      await confirmAction(31337n);
+      await confirmAction(1n, { yes: true });
+    });
+
+    it("Should send on a live chain only after y", async function () {
+      await confirmAction(1n, answer("y"));
+      await confirmAction(11155111n, answer(" YES "));
+      await expect(confirmAction(1n, answer("n"))).to.be.rejectedWith(/Not confirmed; nothing was sent/);
+      await expect(confirmAction(1n, answer(""))).to.be.rejectedWith(/Not confirmed/);
+    });
+  });
+
+  // ============================================================
+  // READ TASK TESTS
+  // ============================================================
+  describe("Read tasks", function () {
+    it("Should show a balance from the deployment manifest", async function () {
+      const balance = await hre.run("btcx:balance");
+
+      expect(balance).to.equal(ethers.parseUnits("1200000000", 18));
+      expect(output.join("\n")).to.include("1,200,000,000 BTCX").and.include("100.0000%");
+    });
+
+    it("Should show an allowance for an explicit token and owner", async function () {
+      await btcx.connect(alice).approve(spender.address, ethers.MaxUint256);
+
+      const allowance = await hre.run("btcx:allowance", {
+        token: await btcx.getAddress(),
+        owner: alice.address,
+        spender: spender.address,
+      });
+
+      expect(allowance).to.equal(ethers.MaxUint256);
+      expect(output.join("\n")).to.match(/Allowance\s+unlimited/);
+    });
+
+    it("Should fail without a recorded deployment or code at the address", async function () {
+      fs.rmSync(path.join(tmpDir, "hardhat.json"));
+      await expect(hre.run("btcx:balance")).to.be.rejectedWith(/No BTCXDigitalCurrency deployment recorded for hardhat/);
+      await expect(hre.run("btcx:balance", { token: alice.address })).to.be.rejectedWith(/No contract at/);
+    });
+  });
+
+  // ============================================================
+  // SENDING TASK TESTS
+  // ============================================================
+  describe("Sending tasks", function () {
+    it("Should transfer a suffixed amount and print the decoded Transfer event", async function () {
+      const { receipt, events } = await hre.run("btcx:transfer", { to: alice.address, amount: "1.5M" });
+
+      expect(receipt.status).to.equal(1);
+      expect(await btcx.balanceOf(alice.address)).to.equal(ethers.parseUnits("1500000", 18));
+      expect(events.map((e) => e.name)).to.deep.equal(["Transfer"]);
+      const printed = output.join("\n");
+      expect(printed).to.match(/Amount\s+1,500,000 BTCX \(1500000000000000000000000\)/);
+      expect(printed).to.include(
+        `Transfer(from: ${owner.address}, to: ${alice.address}, value: 1,500,000 BTCX (1500000000000000000000000))`
+      );
+      expect(printed).to.include(`Transaction ${receipt.hash}`);
+    });
+
+    it("Should refuse an amount above the balance before sending", async function () {
+      const nonce = await ethers.provider.getTransactionCount(alice.address);
+
+      await expect(
+        hre.run("btcx:transfer", { from: alice.address, to: owner.address, amount: "1" })
+      ).to.be.rejectedWith(/Insufficient balance: 0 BTCX available, 1 BTCX needed/);
+      expect(await ethers.provider.getTransactionCount(alice.address)).to.equal(nonce);
+    });
+
+    it("Should approve, then burn from the approved account", async function () {
+      await btcx.transfer(alice.address, ethers.parseUnits("1000", 18));
+
+      await hre.run("btcx:approve", { from: alice.address, spender: spender.address, amount: "250000.25" });
+      await expect(
+        hre.run("btcx:burn-from", { from: spender.address, account: alice.address, amount: "2K" })
+      ).to.be.rejectedWith(/Insufficient balance: 1,000 BTCX available/);
+      const { events } = await hre.run("btcx:burn-from", {
+        from: spender.address,
+        account: alice.address,
+        amount: "400.5",
+      });
+
+      expect(await btcx.balanceOf(alice.address)).to.equal(ethers.parseUnits("599.5", 18));
+      expect(await btcx.allowance(alice.address, spender.address)).to.equal(ethers.parseUnits("249599.75", 18));
+      expect(events.map((e) => e.name)).to.deep.equal(["Transfer"]);
+      expect(events[0].args[1]).to.deep.equal(["to", ethers.ZeroAddress]);
+    });
+
+    it("Should warn when replacing a non-zero allowance", async function () {
+      await hre.run("btcx:approve", { spender: spender.address, amount: "1" });
+      await hre.run("btcx:approve", { spender: spender.address, amount: "max" });
+
+      expect(await btcx.allowance(owner.address, spender.address)).to.equal(ethers.MaxUint256);
+      expect(output.join("\n")).to.include("Replacing a non-zero allowance");
+    });
+
+    it("Should burn and report the supply after", async function () {
+      await hre.run("btcx:burn", { amount: "10K" });
+
+      expect(await btcx.totalSupply()).to.equal(ethers.parseUnits("1199990000", 18));
+      expect(output.join("\n")).to.match(/Total supply after\s+1,199,990,000 BTCX/);
+    });
+
+    it("Should sign a permit as --from and submit it from another account", async function () {
+      const { receipt, events } = await hre.run("btcx:permit", {
+        spender: spender.address,
+        amount: "1M",
+        expires: "7d",
+        submitter: alice.address,
+      });
+
+      expect(receipt.from).to.equal(alice.address);
+      expect(await btcx.allowance(owner.address, spender.address)).to.equal(ethers.parseUnits("1000000", 18));
+      expect(await btcx.nonces(owner.address)).to.equal(1n);
+      expect(events.map((e) => e.name)).to.deep.equal(["Approval"]);
+    });
+
+    it("Should print the receipt of a transaction that reverted once mined", async function () {
+      // Hardhat rejects a reverting transaction at send time, so the mined revert is stubbed
+      const receipt = { hash: ethers.ZeroHash, blockNumber: 7, status: 0, gasUsed: 30000n, gasPrice: 1n, logs: [] };
+      const reverted = Object.assign(new Error("transaction execution reverted"), { code: "CALL_EXCEPTION", receipt });
+      const send = async () => ({
+        hash: ethers.ZeroHash,
+        wait: async () => {
+          throw reverted;
+        },
+      });
+
+      await expect(execute(hre, btcx, "Transfer", [], send)).to.be.rejectedWith(
+        new RegExp(`Transaction ${ethers.ZeroHash} reverted in block 7`)
+      );
+      const printed = output.join("\n");
+      expect(printed).to.include(`❌ Transaction ${ethers.ZeroHash}`);
+      expect(printed).to.include("Status: reverted");
+    });
+
+    it("Should reject an account that is not configured", async function () {
+      await expect(
+        hre.run("btcx:burn", { from: "0x000000000000000000000000000000000000dEaD", amount: "1" })
+      ).to.be.rejectedWith(/is not one of the accounts configured for hardhat/);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  PERMIT_ABI,
+  buildPermit,
+  signPermit,
+  recoverPermitSigner,
+  verifyPermit,
+  diagnosePermit,
+} = require("../scripts/lib/permit");
+
+/**
+ * @title Permit Library Test Suite
+ * @notice Tests for building, signing, verifying and diagnosing EIP-2612 permits
+ */
+describe("Permit Library", function () {
+  const DECIMALS = 18;
+  const VALUE = ethers.parseUnits("1000", DECIMALS);
+
+  async function deployPermitFixture() {
+    const [owner, recipient, alice, spender] = await ethers.getSigners();
+
+    const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+    const btcx = await BTCXDigitalCurrency.deploy(recipient.address);
+    const deadline = (await time.latest()) + 3600;
+
+    return { btcx, owner, recipient, alice, spender, deadline };
+  }
+
+  async function diagnose(btcx, permit, signature) {
+    return (await diagnosePermit(btcx, permit, signature)).problems.map((p) => p.reason);
+  }
+
+  // ============================================================
+  // SIGNING TESTS
+  // ============================================================
+  describe("Signing", function () {
+    it("Should build typed data from eip712Domain and nonces", async function () {
+      const { btcx, recipient, spender, deadline } = await loadFixture(deployPermitFixture);
+
+      const { domain, message } = await buildPermit(btcx, recipient, spender.address, VALUE, deadline);
+
+      expect(domain.name).to.equal("BTCX Digital Currency");
+      expect(domain.chainId).to.equal(31337n);
+      expect(domain.verifyingContract).to.equal(await btcx.getAddress());
+      expect(message).to.deep.equal({
+        owner: recipient.address,
+        spender: spender.address,
+        value: VALUE,
+        nonce: 0n,
+        deadline: BigInt(deadline),
+      });
+    });
+
+    it("Should produce a signature the token accepts", async function () {
+      const { btcx, recipient, spender, deadline } = await loadFixture(deployPermitFixture);
+
+      const permit = await signPermit(btcx, recipient, spender, VALUE, deadline);
+      await btcx.permit(recipient.address, spender.address, VALUE, deadline, permit.v, permit.r, permit.s);
+
+      expect(await btcx.allowance(recipient.address, spender.address)).to.equal(VALUE);
+    });
+
+    it("Should sign with a plain ethers Wallet through a minimal ABI", async function () {
+      const { btcx, recipient, spender, deadline } = await loadFixture(deployPermitFixture);
+      const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+      const token = new ethers.Contract(await btcx.getAddress(), PERMIT_ABI, ethers.provider);
+      await btcx.connect(recipient).transfer(wallet.address, VALUE);
+
+      const permit = await signPermit(token, wallet, spender, VALUE, deadline);
+      await btcx.permit(wallet.address, spender.address, VALUE, deadline, permit.v, permit.r, permit.s);
+
+      expect(await btcx.allowance(wallet.address, spender.address)).to.equal(VALUE);
+    });
+
+    it("Should return full and EIP-2098 compact signatures", async function () {
+      const { btcx, recipient, spender, deadline } = await loadFixture(deployPermitFixture);
+
+      const permit = await signPermit(btcx, recipient, spender, VALUE, deadline);
+
+      expect(ethers.dataLength(permit.serialized)).to.equal(65);
+      expect(ethers.dataLength(permit.compact)).to.equal(64);
+      expect(ethers.Signature.from(permit.compact).serialized).to.equal(permit.serialized);
+    });
+  });
+
+  // ============================================================
+  // OFFLINE VERIFICATION TESTS
+  // ============================================================
+  describe("Offline Verification", function () {
+    it("Should recover the owner from full and compact signatures", async function () {
+      const { btcx, recipient, spender, deadline } = await loadFixture(deployPermitFixture);
+
+      const permit = await signPermit(btcx, recipient, spender, VALUE, deadline);
+
+      expect(recoverPermitSigner(permit, permit.serialized)).to.equal(recipient.address);
+      expect(recoverPermitSigner(permit, permit.compact)).to.equal(recipient.address);
+      expect(verifyPermit(permit)).to.equal(true);
+    });
+
+    it("Should reject a permit signed by someone else", async function () {
+      const { btcx, recipient, alice, spender, deadline } = await loadFixture(deployPermitFixture);
+
+      const permit = await signPermit(btcx, alice, spender, VALUE, deadline);
+      const forged = { ...permit, message: { ...permit.message, owner: recipient.address } };
+
+      expect(verifyPermit(forged)).to.equal(false);
+    });
+
+    it("Should reject a permit whose value was changed after signing", async function () {
+      const { btcx, recipient, spender, deadline } = await loadFixture(deployPermitFixture);
+
+      const permit = await signPermit(btcx, recipient, spender, VALUE, deadline);
+      const tampered = { ...permit, message: { ...permit.message, value: VALUE * 2n } };
+
+      expect(verifyPermit(tampered)).to.equal(false);
+    });
+  });
+
+  // ============================================================
+  // DIAGNOSIS TESTS
+  // ============================================================
+  describe("Diagnosis", function () {
+    it("Should report no problems for a valid permit", async function () {
+      const { btcx, recipient, spender, deadline } = await loadFixture(deployPermitFixture);
+
+      const permit = await signPermit(btcx, recipient, spender, VALUE, deadline);
+
+      expect(await diagnosePermit(btcx, permit)).to.deep.equal({ ok: true, problems: [] });
+    });
+
+    it("Should report an expired deadline", async function () {
+      const { btcx, recipient, spender } = await loadFixture(deployPermitFixture);
+
+      const permit = await signPermit(btcx, recipient, spender, VALUE, (await time.latest()) - 1);
+
+      expect(await diagnose(btcx, permit)).to.deep.equal(["expired"]);
+      await expect(
+        btcx.permit(recipient.address, spender.address, VALUE, permit.message.deadline, permit.v, permit.r, permit.s)
+      ).to.be.revertedWithCustomError(btcx, "ERC2612ExpiredSignature");
+    });
+
+    it("Should report a deadline equal to the latest block's timestamp", async function () {
+      const { btcx, recipient, spender } = await loadFixture(deployPermitFixture);
+
+      const permit = await signPermit(btcx, recipient, spender, VALUE, await time.latest());
+
+      expect(await diagnose(btcx, permit)).to.deep.equal(["expired"]);
+      await expect(
+        btcx.permit(recipient.address, spender.address, VALUE, permit.message.deadline, permit.v, permit.r, permit.s)
+      ).to.be.revertedWithCustomError(btcx, "ERC2612ExpiredSignature");
+    });
+
+    it("Should report a nonce that was already used", async function () {
+      const { btcx, recipient, spender, deadline } = await loadFixture(deployPermitFixture);
+      const permit = await signPermit(btcx, recipient, spender, VALUE, deadline);
+      await btcx.permit(recipient.address, spender.address, VALUE, deadline, permit.v, permit.r, permit.s);
+
+      expect(await diagnose(btcx, permit)).to.deep.equal(["stale-nonce"]);
+    });
+
+    it("Should report a nonce ahead of the owner's", async function () {
+      const { btcx, recipient, spender, deadline } = await loadFixture(deployPermitFixture);
+
+      const permit = await signPermit(btcx, recipient, spender, VALUE, deadline, { nonce: 5 });
+
+      expect(await diagnose(btcx, permit)).to.deep.equal(["future-nonce"]);
+    });
+
+    it("Should report a permit signed for another chain", async function () {
+      const { btcx, recipient, spender, deadline } = await loadFixture(deployPermitFixture);
+      const domain = { ...(await buildPermit(btcx, recipient, spender, VALUE, deadline)).domain, chainId: 1n };
+
+      const permit = await signPermit(btcx, recipient, spender, VALUE, deadline, { domain });
+
+      expect(await diagnose(btcx, permit)).to.deep.equal(["wrong-chain"]);
+    });
+
+    it("Should report a permit signed for another domain", async function () {
+      const { btcx, recipient, spender, deadline } = await loadFixture(deployPermitFixture);
+      const domain = { ...(await buildPermit(btcx, recipient, spender, VALUE, deadline)).domain, version: "2" };
+
+      const permit = await signPermit(btcx, recipient, spender, VALUE, deadline, { domain });
+      const { problems } = await diagnosePermit(btcx, permit);
+
+      expect(problems.map((p) => p.reason)).to.deep.equal(["wrong-domain"]);
+      expect(problems[0].message).to.match(/version "2" != "1"/);
+    });
+
+    it("Should report a signature from someone other than the owner", async function () {
+      const { btcx, recipient, alice, spender, deadline } = await loadFixture(deployPermitFixture);
+      const permit = await signPermit(btcx, alice, spender, VALUE, deadline);
+      const forged = { ...permit, message: { ...permit.message, owner: recipient.address } };
+
+      expect(await diagnose(btcx, forged)).to.deep.equal(["invalid-signer"]);
+    });
+
+    it("Should report every problem at once", async function () {
+      const { btcx, recipient, spender } = await loadFixture(deployPermitFixture);
+
+      const permit = await signPermit(btcx, recipient, spender, VALUE, (await time.latest()) - 1, { nonce: 3 });
+
+      expect(await diagnose(btcx, permit)).to.deep.equal(["expired", "future-nonce"]);
+    });
+  });
+});
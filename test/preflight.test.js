@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const { PassThrough, Readable } = require("stream");
+const { ethers, network } = require("hardhat");
+const {
+  checkRecipient,
+  checkChainId,
+  runPreflight,
+  confirmationPhrase,
+  requireConfirmation,
+} = require("../scripts/lib/preflight");
+
+/**
+ * @title Deployment Pre-flight Test Suite
+ * @notice Tests for the recipient, chain id and confirmation checks run before deployment
+ */
+describe("Deployment Pre-flight", function () {
+  const MAINNET = 1n;
+  const SEPOLIA = 11155111n;
+  let consoleLog;
+  let recipient;
+  let contract;
+
+  beforeEach(async function () {
+    consoleLog = console.log;
+    console.log = () => {};
+    [, recipient] = await ethers.getSigners();
+    contract = await (await ethers.getContractFactory("BTCXMultisend")).deploy();
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+  });
+
+  // ============================================================
+  // RECIPIENT TESTS
+  // ============================================================
+  describe("Recipient", function () {
+    it("Should accept a checksummed EOA off mainnet", async function () {
+      const result = await checkRecipient(ethers.provider, recipient.address, { chainId: SEPOLIA });
+
+      expect(result.errors).to.deep.equal([]);
+      expect(result.warnings).to.deep.equal([]);
+      expect(result.isContract).to.equal(false);
+    });
+
+    it("Should reject an address that is not checksummed", async function () {
+      const { errors } = await checkRecipient(ethers.provider, recipient.address.toLowerCase());
+
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.match(/not checksummed/);
+    });
+
+    it("Should reject something that is not an address", async function () {
+      const { errors } = await checkRecipient(ethers.provider, "0x1234");
+
+      expect(errors[0]).to.match(/not an address/);
+    });
+
+    it("Should reject the zero address and 0x...dEaD", async function () {
+      for (const address of [ethers.ZeroAddress, "0x000000000000000000000000000000000000dEaD"]) {
+        const { errors } = await checkRecipient(ethers.provider, address);
+        expect(errors[0]).to.match(/burn address/);
+      }
+    });
+
+    it("Should reject precompile addresses", async function () {
+      for (const address of ["0x0000000000000000000000000000000000000001", "0x0000000000000000000000000000000000000011"]) {
+        const { errors } = await checkRecipient(ethers.provider, address);
+        expect(errors[0]).to.match(/precompile/);
+      }
+    });
+
+    it("Should refuse an EOA on mainnet unless allowed", async function () {
+      const refused = await checkRecipient(ethers.provider, recipient.address, { chainId: MAINNET });
+      expect(refused.errors[0]).to.match(/is an EOA.*ALLOW_EOA_RECIPIENT/);
+
+      const allowed = await checkRecipient(ethers.provider, recipient.address, { chainId: MAINNET, allowEoa: true });
+      expect(allowed.errors).to.deep.equal([]);
+      expect(allowed.warnings[0]).to.match(/is an EOA/);
+    });
+
+    it("Should accept a contract on mainnet and warn when its code hash is not pinned", async function () {
+      const result = await checkRecipient(ethers.provider, contract.target, { chainId: MAINNET });
+
+      expect(result.errors).to.deep.equal([]);
+      expect(result.isContract).to.equal(true);
+      expect(result.codehash).to.equal(ethers.keccak256(await ethers.provider.getCode(contract.target)));
+      expect(result.warnings[0]).to.match(/RECIPIENT_CODEHASH/);
+    });
+
+    it("Should check a contract recipient against the expected code hash", async function () {
+      const codehash = ethers.keccak256(await ethers.provider.getCode(contract.target));
+
+      const matching = await checkRecipient(ethers.provider, contract.target, { expectedCodehash: codehash });
+      expect(matching.errors).to.deep.equal([]);
+      expect(matching.warnings).to.deep.equal([]);
+
+      const other = await checkRecipient(ethers.provider, contract.target, { expectedCodehash: ethers.ZeroHash });
+      expect(other.errors[0]).to.match(/does not match the expected/);
+
+      const eoa = await checkRecipient(ethers.provider, recipient.address, { expectedCodehash: codehash });
+      expect(eoa.errors[0]).to.match(/has no contract code/);
+    });
+
+    it("Should treat an EIP-7702 delegated account as an EOA", async function () {
+      const delegated = ethers.Wallet.createRandom().address;
+      await network.provider.send("hardhat_setCode", [delegated, "0xef0100" + contract.target.slice(2)]);
+
+      const { errors, isContract } = await checkRecipient(ethers.provider, delegated, { chainId: MAINNET });
+
+      expect(isContract).to.equal(false);
+      expect(errors[0]).to.match(/is an EOA/);
+    });
+  });
+
+  // ============================================================
+  // CHAIN ID TESTS
+  // ============================================================
+  describe("Chain ID", function () {
+    it("Should pass when the provider is on the declared chain", async function () {
+      const { errors, chainId } = await checkChainId(ethers.provider, "hardhat", 31337);
+
+      expect(errors).to.deep.equal([]);
+      expect(chainId).to.equal(31337n);
+    });
+
+    it("Should fail when the provider is on another chain", async function () {
+      const { errors } = await checkChainId(ethers.provider, "mainnet", 1);
+
+      expect(errors[0]).to.equal("mainnet is declared as chain 1, but the provider is on chain 31337");
+    });
+
+    it("Should report every problem together", async function () {
+      await expect(
+        runPreflight(ethers.provider, {
+          networkName: "mainnet",
+          declaredChainId: 1,
+          recipient: ethers.ZeroAddress,
+        })
+      ).to.be.rejectedWith(/declared as chain 1[\s\S]*burn address/);
+    });
+  });
+
+  // ============================================================
+  // CONFIRMATION TESTS
+  // ============================================================
+  describe("Confirmation", function () {
+    it("Should not ask on a local chain", async function () {
+      await requireConfirmation("hardhat", 31337n, recipient.address, {});
+    });
+
+    it("Should accept the exact network and recipient", async function () {
+      const confirm = confirmationPhrase("sepolia", recipient.address);
+
+      await requireConfirmation("sepolia", SEPOLIA, recipient.address, { confirm });
+    });
+
+    it("Should refuse a confirmation for another recipient", async function () {
+      const confirm = confirmationPhrase("sepolia", contract.target);
+
+      await expect(requireConfirmation("sepolia", SEPOLIA, recipient.address, { confirm })).to.be.rejectedWith(
+        /did not match/
+      );
+    });
+
+    it("Should read the confirmation from an interactive prompt", async function () {
+      const input = Readable.from([`sepolia ${recipient.address}\n`]);
+      const output = new PassThrough();
+
+      await requireConfirmation("sepolia", SEPOLIA, recipient.address, { input, output });
+
+      expect(output.read().toString()).to.contain(`Type "sepolia ${recipient.address}"`);
+    });
+
+    it("Should ask for DEPLOY_CONFIRM when there is no terminal", async function () {
+      const isTTY = process.stdin.isTTY;
+      process.stdin.isTTY = false;
+      try {
+        await expect(requireConfirmation("sepolia", SEPOLIA, recipient.address)).to.be.rejectedWith(/DEPLOY_CONFIRM=/);
+      } finally {
+        process.stdin.isTTY = isTTY;
+      }
+    });
+  });
+});
@@ -0,0 +1,255 @@
+const { expect } = require("chai");
+const fc = require("fast-check");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../scripts/lib/permit");
+
+/**
+ * @title BTCXDigitalCurrency Property Test Suite
+ * @notice Property-based tests for the rules in certora/BTCXDigitalCurrency.spec, run against
+ *         random amounts, accounts, allowances and deadlines
+ * @dev Each run starts from a fresh fixture. A failing property is shrunk to a minimal
+ *      counterexample, and fast-check prints the seed and path that replay it:
+ *      FUZZ_SEED=<seed> FUZZ_PATH=<path> npx hardhat test test/properties.test.js
+ *      FUZZ_RUNS sets the number of runs per property (default 50).
+ */
+describe("BTCXDigitalCurrency Properties", function () {
+  this.timeout(600000);
+
+  const TOTAL_SUPPLY = ethers.parseUnits("1200000000", 18);
+  const ACCOUNTS = 6;
+  // Largest balance given to one account, so every account can be funded from the supply
+  const MAX_BALANCE = TOTAL_SUPPLY / BigInt(ACCOUNTS);
+
+  function fuzzOptions() {
+    const options = { numRuns: Number(process.env.FUZZ_RUNS || 50) };
+    if (process.env.FUZZ_SEED) {
+      options.seed = Number(process.env.FUZZ_SEED);
+    }
+    if (process.env.FUZZ_PATH) {
+      options.path = process.env.FUZZ_PATH;
+    }
+    return options;
+  }
+
+  async function deployBTCXFixture() {
+    const [, recipient, ...rest] = await ethers.getSigners();
+    const btcx = await (await ethers.getContractFactory("BTCXDigitalCurrency")).deploy(recipient.address);
+    return { btcx, recipient, accounts: rest.slice(0, ACCOUNTS) };
+  }
+
+  // Runs an action and reports whether it went through instead of throwing on a revert
+  async function succeeds(action) {
+    try {
+      await (await action).wait();
+      return true;
+    } catch (e) {
+      if (!/reverted/.test(e.message)) {
+        throw e;
+      }
+      return false;
+    }
+  }
+
+  const account = fc.integer({ min: 0, max: ACCOUNTS - 1 });
+  const twoAccounts = fc.uniqueArray(account, { minLength: 2, maxLength: 2 });
+  const threeAccounts = fc.uniqueArray(account, { minLength: 3, maxLength: 3 });
+  const balance = fc.bigInt({ min: 0n, max: MAX_BALANCE });
+  const uint256 = fc.bigInt({ min: 0n, max: ethers.MaxUint256 });
+  const allowance = fc.oneof(balance, fc.constant(ethers.MaxUint256));
+
+  // ============================================================
+  // TRANSFER PROPERTIES
+  // ============================================================
+  describe("Transfer", function () {
+    it("Should move exactly the amount between two accounts (transferIntegrity)", async function () {
+      await fc.assert(
+        fc.asyncProperty(twoAccounts, balance, balance, async ([s, r], funded, amount) => {
+          const { btcx, recipient, accounts } = await loadFixture(deployBTCXFixture);
+          const [sender, to] = [accounts[s], accounts[r]];
+          await btcx.connect(recipient).transfer(sender.address, funded);
+
+          const ok = await succeeds(btcx.connect(sender).transfer(to.address, amount));
+
+          expect(ok).to.equal(amount <= funded);
+          const moved = ok ? amount : 0n;
+          expect(await btcx.balanceOf(sender.address)).to.equal(funded - moved);
+          expect(await btcx.balanceOf(to.address)).to.equal(moved);
+          expect(await btcx.totalSupply()).to.equal(TOTAL_SUPPLY);
+        }),
+        fuzzOptions()
+      );
+    });
+  });
+
+  // ============================================================
+  // APPROVAL PROPERTIES
+  // ============================================================
+  describe("Approval", function () {
+    it("Should keep only the latest approval (approveOverwrites)", async function () {
+      await fc.assert(
+        fc.asyncProperty(account, account, uint256, uint256, async (o, s, first, second) => {
+          const { btcx, accounts } = await loadFixture(deployBTCXFixture);
+          const [owner, spender] = [accounts[o], accounts[s]];
+
+          await btcx.connect(owner).approve(spender.address, first);
+          await btcx.connect(owner).approve(spender.address, second);
+
+          expect(await btcx.allowance(owner.address, spender.address)).to.equal(second);
+        }),
+        fuzzOptions()
+      );
+    });
+
+    it("Should never spend an infinite approval (infiniteApprovalNotDecreased)", async function () {
+      await fc.assert(
+        fc.asyncProperty(twoAccounts, account, balance, balance, async ([o, s], t, funded, amount) => {
+          fc.pre(amount <= funded);
+          const { btcx, recipient, accounts } = await loadFixture(deployBTCXFixture);
+          const [owner, spender, to] = [accounts[o], accounts[s], accounts[t]];
+          await btcx.connect(recipient).transfer(owner.address, funded);
+          await btcx.connect(owner).approve(spender.address, ethers.MaxUint256);
+          const toBefore = await btcx.balanceOf(to.address);
+
+          await btcx.connect(spender).transferFrom(owner.address, to.address, amount);
+
+          expect(await btcx.allowance(owner.address, spender.address)).to.equal(ethers.MaxUint256);
+          if (to !== owner) {
+            expect(await btcx.balanceOf(to.address)).to.equal(toBefore + amount);
+          }
+        }),
+        fuzzOptions()
+      );
+    });
+  });
+
+  // ============================================================
+  // BURN PROPERTIES
+  // ============================================================
+  describe("Burn", function () {
+    it("Should burn from balance, allowance and supply alike (burnFromIntegrity)", async function () {
+      await fc.assert(
+        fc.asyncProperty(twoAccounts, balance, allowance, balance, async ([h, s], funded, approved, amount) => {
+          const { btcx, recipient, accounts } = await loadFixture(deployBTCXFixture);
+          const [holder, spender] = [accounts[h], accounts[s]];
+          await btcx.connect(recipient).transfer(holder.address, funded);
+          await btcx.connect(holder).approve(spender.address, approved);
+
+          const ok = await succeeds(btcx.connect(spender).burnFrom(holder.address, amount));
+
+          expect(ok).to.equal(amount <= funded && amount <= approved);
+          const burned = ok ? amount : 0n;
+          const spent = approved === ethers.MaxUint256 ? 0n : burned;
+          expect(await btcx.balanceOf(holder.address)).to.equal(funded - burned);
+          expect(await btcx.allowance(holder.address, spender.address)).to.equal(approved - spent);
+          expect(await btcx.totalSupply()).to.equal(TOTAL_SUPPLY - burned);
+        }),
+        fuzzOptions()
+      );
+    });
+  });
+
+  // ============================================================
+  // PERMIT PROPERTIES
+  // ============================================================
+  describe("Permit", function () {
+    const deadlineOffset = fc.integer({ min: -30 * 24 * 3600, max: 365 * 24 * 3600 });
+
+    it("Should accept only owner-signed permits before the deadline (permitIncrementsNonce)", async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          threeAccounts,
+          uint256,
+          deadlineOffset,
+          fc.boolean(),
+          async ([o, s, f], value, offset, signedByOwner) => {
+            const { btcx, accounts } = await loadFixture(deployBTCXFixture);
+            const [owner, spender, forger] = [accounts[o], accounts[s], accounts[f]];
+            const now = await time.latest();
+            const deadline = BigInt(now + offset);
+            const signer = signedByOwner ? owner : forger;
+            const sig = await signPermit(btcx, signer, spender, value, deadline);
+            await time.setNextBlockTimestamp(now + 1);
+
+            const ok = await succeeds(
+              btcx.permit(owner.address, spender.address, value, deadline, sig.v, sig.r, sig.s)
+            );
+
+            expect(ok).to.equal(signedByOwner && deadline >= BigInt(now + 1));
+            expect(await btcx.allowance(owner.address, spender.address)).to.equal(ok ? value : 0n);
+            expect(await btcx.nonces(owner.address)).to.equal(ok ? 1n : 0n);
+          }
+        ),
+        fuzzOptions()
+      );
+    });
+  });
+
+  // ============================================================
+  // THIRD PARTY PROTECTION PROPERTIES
+  // ============================================================
+  describe("Third Party Protection", function () {
+    const action = fc.oneof(
+      fc.record({ kind: fc.constant("transfer"), to: account, amount: balance }),
+      fc.record({ kind: fc.constant("approve"), to: account, amount: uint256 }),
+      fc.record({ kind: fc.constant("transferFrom"), from: account, to: account, amount: balance }),
+      fc.record({ kind: fc.constant("burn"), amount: balance }),
+      fc.record({ kind: fc.constant("burnFrom"), from: account, amount: balance }),
+      fc.record({ kind: fc.constant("permit"), from: account, to: account, amount: uint256 })
+    );
+
+    async function run(btcx, caller, accounts, step) {
+      const token = btcx.connect(caller);
+      const to = accounts[step.to];
+      const from = accounts[step.from];
+      switch (step.kind) {
+        case "transfer":
+          return succeeds(token.transfer(to.address, step.amount));
+        case "approve":
+          return succeeds(token.approve(to.address, step.amount));
+        case "transferFrom":
+          return succeeds(token.transferFrom(from.address, to.address, step.amount));
+        case "burn":
+          return succeeds(token.burn(step.amount));
+        case "burnFrom":
+          return succeeds(token.burnFrom(from.address, step.amount));
+        default: {
+          // The caller signs a permit for the owner of their choice
+          const deadline = (await time.latest()) + 3600;
+          const sig = await signPermit(btcx, caller, to, step.amount, deadline);
+          return succeeds(token.permit(from.address, to.address, step.amount, deadline, sig.v, sig.r, sig.s));
+        }
+      }
+    }
+
+    it("Should only let a third party lower a balance through an allowance (thirdPartyBalanceProtection)", async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          twoAccounts,
+          fc.array(balance, { minLength: ACCOUNTS, maxLength: ACCOUNTS }),
+          fc.oneof(fc.constant(0n), allowance),
+          action,
+          async ([u, c], funding, approved, step) => {
+            const { btcx, recipient, accounts } = await loadFixture(deployBTCXFixture);
+            const [user, caller] = [accounts[u], accounts[c]];
+            for (let i = 0; i < ACCOUNTS; i++) {
+              await btcx.connect(recipient).transfer(accounts[i].address, funding[i]);
+            }
+            await btcx.connect(user).approve(caller.address, approved);
+            const before = await btcx.balanceOf(user.address);
+
+            await run(btcx, caller, accounts, step);
+
+            const after = await btcx.balanceOf(user.address);
+            if (after < before) {
+              expect(["transferFrom", "burnFrom"]).to.include(step.kind);
+              expect(approved).to.be.greaterThan(0n);
+              expect(before - after).to.be.at.most(approved);
+            }
+          }
+        ),
+        fuzzOptions()
+      );
+    });
+  });
+});
@@ -0,0 +1,267 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../scripts/lib/permit");
+const { createRateLimiter, createRelayer, signTransferIntent } = require("../scripts/lib/relayer");
+
+/**
+ * @title Permit Relayer Test Suite
+ * @notice End-to-end tests for the HTTP relayer against the Hardhat network
+ */
+describe("Permit Relayer", function () {
+  const DECIMALS = 18;
+  const AMOUNT = ethers.parseUnits("250", DECIMALS);
+  let btcx;
+  let relayerSigner;
+  let holder;
+  let alice;
+  let relayer;
+  let baseUrl;
+
+  async function startRelayer(rateLimit) {
+    relayer = createRelayer({ token: btcx, signer: relayerSigner, rateLimit });
+    const { port } = await relayer.listen(0);
+    baseUrl = `http://127.0.0.1:${port}`;
+  }
+
+  beforeEach(async function () {
+    let owner;
+    [owner, relayerSigner, alice] = await ethers.getSigners();
+    const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+    btcx = await BTCXDigitalCurrency.deploy(owner.address);
+
+    // A holder with BTCX but no ETH
+    holder = ethers.Wallet.createRandom().connect(ethers.provider);
+    await btcx.transfer(holder.address, AMOUNT * 10n);
+    await startRelayer();
+  });
+
+  afterEach(async function () {
+    await relayer.close();
+  });
+
+  async function request(path, body) {
+    const res = await fetch(baseUrl + path, {
+      method: body === undefined ? "GET" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  }
+
+  async function relayBody(overrides = {}, signer = holder) {
+    const deadline = overrides.deadline ?? (await time.latest()) + 3600;
+    const permit = await signPermit(btcx, signer, relayerSigner, AMOUNT, deadline);
+    return {
+      owner: holder.address,
+      to: alice.address,
+      amount: AMOUNT.toString(),
+      deadline,
+      signature: permit.serialized,
+      intentSignature: await signTransferIntent(btcx, signer, alice, AMOUNT, deadline),
+      ...overrides,
+    };
+  }
+
+  async function waitForRequest(id) {
+    for (let i = 0; i < 50; i++) {
+      const { body } = await request(`/requests/${id}`);
+      if (body.status === "confirmed" || body.status === "failed") {
+        return body;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Request ${id} did not settle`);
+  }
+
+  // ============================================================
+  // RELAY TESTS
+  // ============================================================
+  describe("Relay", function () {
+    it("Should submit permit and transferFrom for a holder without ETH", async function () {
+      const { status, headers, body } = await request("/relay", await relayBody());
+
+      expect(status).to.equal(202);
+      expect(body.status).to.equal("queued");
+      expect(headers.get("location")).to.equal(`/requests/${body.id}`);
+
+      const result = await waitForRequest(body.id);
+      expect(result.status).to.equal("confirmed");
+      expect(result.permitTxHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(result.transferTxHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await btcx.balanceOf(alice.address)).to.equal(AMOUNT);
+      expect(await btcx.nonces(holder.address)).to.equal(1);
+      expect(await ethers.provider.getBalance(holder.address)).to.equal(0);
+    });
+
+    it("Should accept an EIP-2098 compact signature", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const permit = await signPermit(btcx, holder, relayerSigner, AMOUNT, deadline);
+
+      const { body } = await request("/relay", await relayBody({ deadline, signature: permit.compact }));
+
+      expect((await waitForRequest(body.id)).status).to.equal("confirmed");
+    });
+
+    it("Should relay consecutive requests from the same holder", async function () {
+      const first = await request("/relay", await relayBody());
+      await waitForRequest(first.body.id);
+      const second = await request("/relay", await relayBody());
+      await waitForRequest(second.body.id);
+
+      expect(await btcx.balanceOf(alice.address)).to.equal(AMOUNT * 2n);
+    });
+
+    it("Should report the relayer in the health endpoint", async function () {
+      const { status, body } = await request("/health");
+
+      expect(status).to.equal(200);
+      expect(body.relayer).to.equal(relayerSigner.address);
+      expect(body.token).to.equal(await btcx.getAddress());
+      expect(body.chainId).to.equal("31337");
+    });
+  });
+
+  // ============================================================
+  // VALIDATION TESTS
+  // ============================================================
+  describe("Validation", function () {
+    it("Should reject malformed requests", async function () {
+      const { status, body } = await request("/relay", await relayBody({ owner: "0x1234" }));
+
+      expect(status).to.equal(400);
+      expect(body.error).to.match(/owner must be an address/);
+    });
+
+    it("Should reject an expired permit before submitting", async function () {
+      const { status, body } = await request("/relay", await relayBody({ deadline: (await time.latest()) - 1 }));
+
+      expect(status).to.equal(422);
+      expect(body.problems.map((p) => p.reason)).to.deep.equal(["expired"]);
+    });
+
+    it("Should reject a permit that was already used", async function () {
+      const payload = await relayBody();
+      const { body } = await request("/relay", payload);
+      await waitForRequest(body.id);
+
+      const replay = await request("/relay", { ...payload, nonce: 0 });
+
+      expect(replay.status).to.equal(422);
+      expect(replay.body.problems.map((p) => p.reason)).to.deep.equal(["stale-nonce"]);
+    });
+
+    it("Should reject a permit signed for another chain", async function () {
+      const { status, body } = await request("/relay", await relayBody({ chainId: 1 }));
+
+      expect(status).to.equal(422);
+      expect(body.problems.map((p) => p.reason)).to.include("wrong-chain");
+    });
+
+    it("Should reject a permit not signed by the owner", async function () {
+      const { status, body } = await request("/relay", await relayBody({}, ethers.Wallet.createRandom()));
+
+      expect(status).to.equal(422);
+      expect(body.problems.map((p) => p.reason)).to.deep.equal(["invalid-signer"]);
+      expect(await btcx.balanceOf(alice.address)).to.equal(0);
+    });
+
+    it("Should reject an amount above the holder's balance", async function () {
+      const amount = AMOUNT * 100n;
+      const deadline = (await time.latest()) + 3600;
+      const permit = await signPermit(btcx, holder, relayerSigner, amount, deadline);
+      const intentSignature = await signTransferIntent(btcx, holder, alice, amount, deadline);
+
+      const { status, body } = await request(
+        "/relay",
+        await relayBody({ amount: amount.toString(), deadline, signature: permit.serialized, intentSignature })
+      );
+
+      expect(status).to.equal(422);
+      expect(body.error).to.match(/balance .* is below amount/);
+    });
+
+    it("Should reject a request whose destination differs from the signed intent", async function () {
+      const [, , , mallory] = await ethers.getSigners();
+
+      const { status, body } = await request("/relay", await relayBody({ to: mallory.address }));
+
+      expect(status).to.equal(422);
+      expect(body.error).to.equal(`Transfer intent for ${mallory.address} was not signed by ${holder.address}`);
+      expect(await btcx.nonces(holder.address)).to.equal(0);
+      expect(await btcx.balanceOf(mallory.address)).to.equal(0);
+    });
+
+    it("Should reject a request without a transfer intent", async function () {
+      const { status, body } = await request("/relay", await relayBody({ intentSignature: undefined }));
+
+      expect(status).to.equal(400);
+      expect(body.error).to.match(/intentSignature must be a 65-byte or 64-byte/);
+    });
+
+    it("Should queue only one of two concurrent requests from the same owner", async function () {
+      const payload = await relayBody();
+
+      const responses = await Promise.all([request("/relay", payload), request("/relay", payload)]);
+      const statuses = responses.map((response) => response.status).sort();
+      const accepted = responses.find((response) => response.status === 202);
+      await waitForRequest(accepted.body.id);
+
+      expect(statuses).to.deep.equal([202, 409]);
+      expect(await btcx.balanceOf(alice.address)).to.equal(AMOUNT);
+    });
+
+    it("Should accept the next request after one is rejected", async function () {
+      const rejected = await request("/relay", await relayBody({ deadline: (await time.latest()) - 1 }));
+      const { status, body } = await request("/relay", await relayBody());
+
+      expect(rejected.status).to.equal(422);
+      expect(status).to.equal(202);
+      expect((await waitForRequest(body.id)).status).to.equal("confirmed");
+    });
+
+    it("Should answer 413 to an oversized body", async function () {
+      const { status, headers, body } = await request("/relay", { padding: "x".repeat(32 * 1024) });
+
+      expect(status).to.equal(413);
+      expect(headers.get("connection")).to.equal("close");
+      expect(body.error).to.equal("Request body too large");
+    });
+
+    it("Should return 404 for an unknown request", async function () {
+      const { status } = await request(`/requests/${crypto.randomUUID()}`);
+
+      expect(status).to.equal(404);
+    });
+  });
+
+  // ============================================================
+  // RATE LIMIT TESTS
+  // ============================================================
+  describe("Rate Limiting", function () {
+    it("Should limit requests per client", async function () {
+      await relayer.close();
+      await startRelayer({ windowMs: 60_000, max: 1 });
+
+      await request("/relay", await relayBody({ owner: "bad" }));
+      const { status, headers, body } = await request("/relay", await relayBody());
+
+      expect(status).to.equal(429);
+      expect(body.error).to.equal("Rate limit exceeded");
+      expect(Number(headers.get("retry-after"))).to.be.greaterThan(0);
+      expect(await btcx.balanceOf(alice.address)).to.equal(0);
+    });
+
+    it("Should drop windows that have ended", function () {
+      const hit = createRateLimiter({ windowMs: 1000, max: 1 });
+      hit("ip:a", 0);
+      hit("ip:b", 500);
+
+      expect(hit.size()).to.equal(2);
+      expect(hit("ip:c", 1000)).to.equal(0);
+      expect(hit.size()).to.equal(2);
+      expect(hit("ip:c", 2000)).to.equal(0);
+      expect(hit.size()).to.equal(1);
+    });
+  });
+});
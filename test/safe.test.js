@@ -0,0 +1,357 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { main } = require("../scripts/deploy");
+const deployments = require("../scripts/lib/deployments");
+const create2 = require("../scripts/lib/create2");
+const {
+  buildSafeBatch,
+  readSafeBatch,
+  writeSafeBatch,
+  encodeMultiSend,
+  decodeMultiSend,
+  checkSafeExecution,
+} = require("../scripts/lib/safe");
+
+const { ethers } = hre;
+
+/**
+ * @title Safe Batch Test Suite
+ * @notice Tests for Safe Transaction Builder output and execution checks
+ */
+describe("Safe Batches", function () {
+  const DECIMALS = 18;
+  const FACTORY = create2.DETERMINISTIC_DEPLOYMENT_PROXY.address;
+  let tmpDir;
+  let consoleLog;
+  let owner;
+  let alice;
+  let bob;
+  let charlie;
+  let safe;
+  let safeAddress;
+  let multiSendCallOnly;
+
+  beforeEach(async function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-safe-"));
+    consoleLog = console.log;
+    console.log = () => {};
+
+    [owner, alice, bob, charlie] = await ethers.getSigners();
+    safe = await (await ethers.getContractFactory("MockSafe")).deploy(owner.address);
+    safeAddress = await safe.getAddress();
+    multiSendCallOnly = await (await ethers.getContractFactory("MockMultiSendCallOnly")).deploy();
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Executes a batch the way the Safe UI does: one call directly, several through MultiSendCallOnly
+  async function execute(batch) {
+    const calls = batch.transactions.map((tx) => ({ to: tx.to, value: BigInt(tx.value), data: tx.data }));
+    const [to, value, data, operation] =
+      calls.length === 1
+        ? [calls[0].to, calls[0].value, calls[0].data, 0]
+        : [await multiSendCallOnly.getAddress(), 0n, encodeMultiSend(calls), 1];
+    const tx = await safe.execTransaction(to, value, data, operation, 0, 0, 0, ethers.ZeroAddress, ethers.ZeroAddress, "0x");
+    await tx.wait();
+    return tx.hash;
+  }
+
+  async function deployTokenToSafe() {
+    const btcx = await (await ethers.getContractFactory("BTCXDigitalCurrency")).deploy(safeAddress);
+    const multisend = await (await ethers.getContractFactory("BTCXMultisend")).deploy();
+    return { btcx, multisend, token: await btcx.getAddress(), multisendAddress: await multisend.getAddress() };
+  }
+
+  function writeCsv(rows) {
+    const file = path.join(tmpDir, "distribution.csv");
+    fs.writeFileSync(file, ["address,amount", ...rows.map(([address, amount]) => `${address},${amount}`)].join("\n"));
+    return file;
+  }
+
+  // ============================================================
+  // BATCH FILE TESTS
+  // ============================================================
+  describe("Batch file", function () {
+    function sampleBatch() {
+      return buildSafeBatch({
+        chainId: 31337n,
+        safe: alice.address,
+        name: "Sample",
+        transactions: [{ to: bob.address, value: 1n, data: "0x", summary: "send 1 wei to bob" }],
+      });
+    }
+
+    it("Should write the Transaction Builder format with a summary per call", function () {
+      const batch = sampleBatch();
+
+      expect(batch.version).to.equal("1.0");
+      expect(batch.chainId).to.equal("31337");
+      expect(batch.meta.createdFromSafeAddress).to.equal(alice.address);
+      expect(batch.meta.description).to.equal("1. send 1 wei to bob");
+      expect(batch.transactions).to.deep.equal([{ to: bob.address, value: "1", data: "0x" }]);
+      expect(batch.meta.checksum).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("Should reject a batch file edited after it was generated", function () {
+      const file = writeSafeBatch(sampleBatch(), path.join(tmpDir, "batch.json"));
+      expect(readSafeBatch(file).meta.name).to.equal("Sample");
+
+      const edited = JSON.parse(fs.readFileSync(file, "utf8"));
+      edited.transactions[0].to = charlie.address;
+      fs.writeFileSync(file, JSON.stringify(edited));
+
+      expect(() => readSafeBatch(file)).to.throw(/Checksum/);
+    });
+
+    it("Should keep the checksum when only the name changes", function () {
+      const batch = sampleBatch();
+      const renamed = { ...batch, meta: { ...batch.meta, name: "Renamed" } };
+      const file = writeSafeBatch(renamed, path.join(tmpDir, "renamed.json"));
+
+      expect(readSafeBatch(file).meta.name).to.equal("Renamed");
+    });
+
+    it("Should round-trip MultiSend calldata", function () {
+      const calls = [
+        { operation: 0, to: alice.address, value: 5n, data: "0x" },
+        { operation: 0, to: bob.address, value: 0n, data: "0xdeadbeef" },
+      ];
+
+      expect(decodeMultiSend(encodeMultiSend(calls))).to.deep.equal(calls);
+    });
+  });
+
+  // ============================================================
+  // DEPLOYMENT TESTS
+  // ============================================================
+  describe("Deployment", function () {
+    it("Should write a CREATE2 batch, then record the deployment once the Safe executes it", async function () {
+      await create2.ensureFactory(owner, FACTORY);
+      const salt = ethers.id(`safe-deploy-${Date.now()}`);
+      const options = { safe: safeAddress, salt, deploymentsDir: tmpDir, safeBatch: path.join(tmpDir, "deploy.json") };
+
+      const written = await main(options);
+      const batch = readSafeBatch(written.safeBatch);
+      expect(batch.transactions).to.have.length(1);
+      expect(batch.transactions[0].to).to.equal(FACTORY);
+      expect(batch.meta.description).to.contain(written.address);
+      expect(written.recipient).to.equal(safeAddress);
+      expect(deployments.getDeployment(hre.network.name, "BTCXDigitalCurrency", tmpDir)).to.equal(undefined);
+
+      const txHash = await execute(batch);
+      const record = await main({ ...options, safeTxHash: txHash });
+
+      expect(record.address).to.equal(written.address);
+      expect(record.deployer).to.equal(safeAddress);
+      expect(record.transactionHash).to.equal(txHash);
+      const btcx = await ethers.getContractAt("BTCXDigitalCurrency", written.address);
+      expect(await btcx.balanceOf(safeAddress)).to.equal(ethers.parseUnits("1200000000", DECIMALS));
+      expect(deployments.getDeployment(hre.network.name, "BTCXDigitalCurrency", tmpDir).address).to.equal(
+        written.address
+      );
+    });
+
+    it("Should refuse to record a transaction that did not execute the batch", async function () {
+      await create2.ensureFactory(owner, FACTORY);
+      const options = { safe: safeAddress, salt: ethers.id(`safe-wrong-${Date.now()}`), deploymentsDir: tmpDir };
+      const tx = await owner.sendTransaction({ to: alice.address, value: 1n });
+
+      let error;
+      try {
+        await main({ ...options, safeTxHash: tx.hash });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/does not match the deployment batch/);
+      expect(deployments.getDeployment(hre.network.name, "BTCXDigitalCurrency", tmpDir)).to.equal(undefined);
+    });
+
+    it("Should reject a plain CREATE deployment from a Safe", async function () {
+      let error;
+      try {
+        await main({ safe: safeAddress, mode: "create", deploymentsDir: tmpDir });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/CREATE2/);
+    });
+  });
+
+  // ============================================================
+  // DISTRIBUTION TESTS
+  // ============================================================
+  describe("Distribution", function () {
+    it("Should approve and multisend from the Safe, and check the executed transaction", async function () {
+      const { btcx, token, multisendAddress } = await deployTokenToSafe();
+      const csv = writeCsv([
+        [alice.address, "100"],
+        [bob.address, "250.5"],
+        [charlie.address, "1"],
+      ]);
+      const safeOut = path.join(tmpDir, "distribution.safe.json");
+
+      const { batch, file } = await hre.run("btcx:distribute", {
+        csv,
+        token,
+        multisend: multisendAddress,
+        safe: safeAddress,
+        safeOut,
+        batchSize: 2,
+      });
+      expect(file).to.equal(safeOut);
+      expect(batch.transactions.map((tx) => tx.to)).to.deep.equal([token, multisendAddress, multisendAddress]);
+      expect(batch.meta.description).to.contain("approve BTCXMultisend");
+      expect(batch.meta.description).to.contain("multisend batch 2/2: 1.0 BTCX to 1 recipient(s)");
+
+      const txHash = await execute(batch);
+      const result = await hre.run("btcx:safe:check", {
+        batch: file,
+        tx: txHash,
+        multisend: await multiSendCallOnly.getAddress(),
+      });
+
+      expect(result.ok).to.equal(true);
+      expect(result.calls).to.have.length(3);
+      expect(await btcx.balanceOf(bob.address)).to.equal(ethers.parseUnits("250.5", DECIMALS));
+    });
+
+    it("Should leave out batches the Safe already executed", async function () {
+      const { token, multisendAddress } = await deployTokenToSafe();
+      const csv = writeCsv([
+        [alice.address, "1"],
+        [bob.address, "2"],
+      ]);
+      const args = { csv, token, multisend: multisendAddress, safe: safeAddress, batchSize: 1 };
+
+      const first = await hre.run("btcx:distribute", { ...args, safeOut: path.join(tmpDir, "first.json") });
+      await execute({ transactions: first.batch.transactions.slice(0, 2) });
+      const second = await hre.run("btcx:distribute", { ...args, safeOut: path.join(tmpDir, "second.json") });
+
+      expect(second.batch.transactions).to.have.length(1);
+      expect(second.batch.meta.description).to.contain("multisend batch 2/2");
+
+      await execute(second.batch);
+      const third = await hre.run("btcx:distribute", { ...args, safeOut: path.join(tmpDir, "third.json") });
+      expect(third.batch).to.equal(undefined);
+    });
+
+    it("Should refuse a new batch size once the Safe executed part of the distribution", async function () {
+      const { btcx, token, multisendAddress } = await deployTokenToSafe();
+      const csv = writeCsv([
+        [alice.address, "1"],
+        [bob.address, "2"],
+        [charlie.address, "3"],
+      ]);
+      const args = { csv, token, multisend: multisendAddress, safe: safeAddress };
+
+      const first = await hre.run("btcx:distribute", { ...args, batchSize: 1, safeOut: path.join(tmpDir, "first.json") });
+      await execute({ transactions: first.batch.transactions.slice(0, 2) });
+
+      await expect(
+        hre.run("btcx:distribute", { ...args, batchSize: 2, safeOut: path.join(tmpDir, "second.json") })
+      ).to.be.rejectedWith(/already has 1 executed batch\(es\) that this plan does not contain/);
+      expect(await btcx.balanceOf(alice.address)).to.equal(ethers.parseUnits("1", DECIMALS));
+    });
+
+    it("Should reject --permit for a Safe", async function () {
+      const { token, multisendAddress } = await deployTokenToSafe();
+      const csv = writeCsv([[alice.address, "1"]]);
+
+      let error;
+      try {
+        await hre.run("btcx:distribute", { csv, token, multisend: multisendAddress, safe: safeAddress, permit: true });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/cannot sign EIP-2612 permits/);
+    });
+  });
+
+  // ============================================================
+  // EXECUTION CHECK TESTS
+  // ============================================================
+  describe("Execution check", function () {
+    async function distributionBatch() {
+      const { token, multisendAddress } = await deployTokenToSafe();
+      const csv = writeCsv([
+        [alice.address, "1"],
+        [bob.address, "2"],
+      ]);
+      const { batch } = await hre.run("btcx:distribute", {
+        csv,
+        token,
+        multisend: multisendAddress,
+        safe: safeAddress,
+        safeOut: path.join(tmpDir, "batch.json"),
+      });
+      return batch;
+    }
+
+    function reasons(result) {
+      return result.problems.map((problem) => problem.reason);
+    }
+
+    it("Should report calls that differ from the batch", async function () {
+      const batch = await distributionBatch();
+      const redirected = batch.transactions[1].data.replace(
+        alice.address.slice(2).toLowerCase(),
+        charlie.address.slice(2).toLowerCase()
+      );
+      const altered = { transactions: [batch.transactions[0], { ...batch.transactions[1], data: redirected }] };
+      const txHash = await execute(altered);
+
+      const result = await checkSafeExecution(ethers.provider, batch, txHash, {
+        multisendAddresses: [await multiSendCallOnly.getAddress()],
+      });
+
+      expect(result.ok).to.equal(false);
+      expect(reasons(result)).to.include("mismatch");
+    });
+
+    it("Should not trust an unknown MultiSend contract", async function () {
+      const batch = await distributionBatch();
+      const txHash = await execute(batch);
+
+      const result = await checkSafeExecution(ethers.provider, batch, txHash);
+
+      expect(reasons(result)).to.deep.equal(["untrusted-multisend"]);
+    });
+
+    it("Should report a transaction that did not go through the Safe", async function () {
+      const batch = await distributionBatch();
+      const tx = await owner.sendTransaction({ to: alice.address, value: 1n });
+
+      const result = await checkSafeExecution(ethers.provider, batch, tx.hash);
+
+      expect(reasons(result)).to.deep.equal(["not-safe", "not-exec"]);
+    });
+
+    it("Should report a Safe execution that failed", async function () {
+      const batch = buildSafeBatch({
+        chainId: 31337n,
+        safe: safeAddress,
+        name: "Failing",
+        transactions: [{ to: multiSendCallOnly.target, data: "0x12345678", summary: "call a missing function" }],
+      });
+      const txHash = await execute(batch);
+
+      const result = await checkSafeExecution(ethers.provider, batch, txHash);
+
+      expect(reasons(result)).to.deep.equal(["execution-failed"]);
+    });
+
+    it("Should report a transaction that is not mined", async function () {
+      const batch = await distributionBatch();
+
+      const result = await checkSafeExecution(ethers.provider, batch, ethers.id("missing"));
+
+      expect(reasons(result)).to.deep.equal(["not-found"]);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { JsonRpcServer } = require("hardhat/internal/hardhat-network/jsonrpc/server");
+const { saveDeployment } = require("../scripts/lib/deployments");
+const { buildSdk, collectDeployments } = require("../scripts/lib/sdk");
+
+/**
+ * @title SDK Test Suite
+ * @notice Builds the btcx-sdk package and uses it, through a plain ethers JsonRpcProvider,
+ *         against a local JSON-RPC node
+ */
+describe("SDK", function () {
+  const SEPOLIA_ADDRESS = "0x000000000000000000000000000000000000bEEF";
+  let out;
+  let deploymentsDir;
+  let sdk;
+  let server;
+  let provider;
+  let owner;
+  let alice;
+  let token;
+  let consoleLog;
+
+  before(async function () {
+    this.timeout(120000);
+    await hre.run("compile", { quiet: true });
+
+    // Hardhat's own node server on a free port, in front of the in-process network
+    server = new JsonRpcServer({ hostname: "127.0.0.1", port: 0, provider: hre.network.provider });
+    const { port } = await server.listen();
+    provider = new ethers.JsonRpcProvider(`http://127.0.0.1:${port}`, undefined, { cacheTimeout: -1, pollingInterval: 50 });
+    owner = await provider.getSigner(0);
+    alice = await provider.getSigner(1);
+
+    const artifact = await hre.artifacts.readArtifact("BTCXDigitalCurrency");
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, owner);
+    const deployed = await factory.deploy(owner.address);
+    await deployed.waitForDeployment();
+
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-sdk-deployments-"));
+    saveDeployment("localhost", 31337, "BTCXDigitalCurrency", { address: await deployed.getAddress() }, deploymentsDir);
+    saveDeployment("sepolia", 11155111, "BTCXDigitalCurrency", { address: SEPOLIA_ADDRESS, blockNumber: 7 }, deploymentsDir);
+
+    // Inside the repo, so the build and the built package resolve `ethers`
+    out = fs.mkdtempSync(path.join(hre.config.paths.cache, "sdk-test-"));
+    await buildSdk(hre, { out, deploymentsDir, includeLocal: true });
+    sdk = require(out);
+    token = await sdk.connect(owner);
+  });
+
+  after(async function () {
+    if (server) {
+      await server.close();
+    }
+    fs.rmSync(out, { recursive: true, force: true });
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  beforeEach(function () {
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+  });
+
+  // ============================================================
+  // PACKAGE TESTS
+  // ============================================================
+  describe("Package", function () {
+    it("Should stamp the package version and compiler settings", function () {
+      const { version } = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "sdk", "package.json"), "utf8"));
+
+      expect(sdk.VERSION).to.equal(version);
+      expect(sdk.buildInfo.compiler).to.include({ version: hre.config.solidity.compilers[0].version });
+    });
+
+    it("Should export the typed factory and the ABI", async function () {
+      const artifact = await hre.artifacts.readArtifact("BTCXDigitalCurrency");
+      const abiFile = JSON.parse(fs.readFileSync(path.join(out, "abi", "BTCXDigitalCurrency.json"), "utf8"));
+
+      expect(sdk.abi).to.deep.equal(artifact.abi);
+      expect(abiFile).to.deep.equal(artifact.abi);
+      expect(sdk.BTCXDigitalCurrency__factory.bytecode).to.equal(artifact.bytecode);
+      expect(sdk.buildInfo.bytecodeHash).to.equal(ethers.keccak256(artifact.bytecode));
+    });
+
+    it("Should deploy through the typed factory", async function () {
+      const deployed = await new sdk.BTCXDigitalCurrency__factory(owner).deploy(alice.address);
+      await deployed.waitForDeployment();
+
+      expect(await deployed.balanceOf(alice.address)).to.equal(sdk.parseBTCX("1200000000"));
+    });
+
+    it("Should ship declarations that type-check a consumer", function () {
+      this.timeout(60000);
+      const ts = require("typescript");
+      const consumer = path.join(out, "consumer.ts");
+      fs.writeFileSync(
+        consumer,
+        [
+          'import { JsonRpcProvider } from "ethers";',
+          'import { connect, formatBTCX, transfer, BTCXDigitalCurrency } from "./index";',
+          "async function main(provider: JsonRpcProvider) {",
+          "  const token: BTCXDigitalCurrency = await connect(await provider.getSigner());",
+          "  const balance: bigint = await token.balanceOf(await token.getAddress());",
+          "  const shown: string = formatBTCX(balance);",
+          '  await transfer(token, "0x000000000000000000000000000000000000dEaD", "1.5");',
+          '  const wrong: string = await token.totalSupply();',
+          "  return [shown, wrong];",
+          "}",
+          "main;",
+        ].join("\n")
+      );
+      const program = ts.createProgram([consumer], {
+        target: ts.ScriptTarget.ES2020,
+        module: ts.ModuleKind.CommonJS,
+        strict: true,
+        noEmit: true,
+        types: [],
+      });
+      const errors = ts.getPreEmitDiagnostics(program).map((d) => ts.flattenDiagnosticMessageText(d.messageText, "\n"));
+
+      // Only the deliberate mistake on the last call is reported
+      expect(errors).to.deep.equal(["Type 'bigint' is not assignable to type 'string'."]);
+    });
+  });
+
+  // ============================================================
+  // REGISTRY TESTS
+  // ============================================================
+  describe("Registry", function () {
+    it("Should bundle the deployment manifests by network name and chain id", async function () {
+      expect(sdk.getAddress("sepolia")).to.equal(SEPOLIA_ADDRESS);
+      expect(sdk.getAddress(11155111)).to.equal(SEPOLIA_ADDRESS);
+      expect(sdk.getAddress(11155111n)).to.equal(SEPOLIA_ADDRESS);
+      expect(sdk.getDeployment("sepolia")).to.include({ chainId: 11155111, blockNumber: 7 });
+      expect(await token.getAddress()).to.equal(sdk.getAddress("localhost"));
+    });
+
+    it("Should leave local chains out unless asked", function () {
+      expect(Object.keys(collectDeployments({ deploymentsDir }))).to.deep.equal(["sepolia"]);
+      expect(Object.keys(collectDeployments({ deploymentsDir, includeLocal: true }))).to.deep.equal([
+        "localhost",
+        "sepolia",
+      ]);
+    });
+
+    it("Should fail clearly for an unknown network", function () {
+      let error;
+      try {
+        sdk.getAddress("mainnet");
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/No BTCX deployment for network mainnet \(known networks: localhost, sepolia\)/);
+    });
+
+    it("Should register a deployment at runtime and connect by address", async function () {
+      sdk.registerDeployment("devnet", 1337, SEPOLIA_ADDRESS.toLowerCase());
+      const byAddress = await sdk.connect(provider, { address: await token.getAddress() });
+
+      expect(sdk.getAddress(1337)).to.equal(SEPOLIA_ADDRESS);
+      expect(await byAddress.symbol()).to.equal("BTCX");
+    });
+  });
+
+  // ============================================================
+  // UNIT TESTS
+  // ============================================================
+  describe("Units", function () {
+    it("Should parse and format with 18 decimals", function () {
+      expect(sdk.DECIMALS).to.equal(18);
+      expect(sdk.parseBTCX("1.5")).to.equal(1500000000000000000n);
+      expect(sdk.parseBTCX(2)).to.equal(2n * 10n ** 18n);
+      expect(sdk.formatBTCX(1500000000000000000n)).to.equal("1.5");
+      expect(sdk.toUnits(7n)).to.equal(7n);
+      expect(sdk.toUnits("0.000000000000000007")).to.equal(7n);
+    });
+
+    it("Should reject amounts with more than 18 decimals", function () {
+      expect(() => sdk.parseBTCX("0.0000000000000000001")).to.throw(/too many decimals/);
+      expect(() => sdk.parseBTCX(Infinity)).to.throw(/Invalid BTCX amount/);
+    });
+  });
+
+  // ============================================================
+  // WRAPPER TESTS
+  // ============================================================
+  describe("Wrappers", function () {
+    it("Should transfer whole-token amounts and read balances", async function () {
+      const before = await sdk.balanceOf(token, alice);
+      const receipt = await sdk.transfer(token, alice, "1.5");
+
+      expect(receipt.status).to.equal(1);
+      expect(await sdk.balanceOf(token, alice.address)).to.equal(before + sdk.parseBTCX("1.5"));
+    });
+
+    it("Should approve and burn", async function () {
+      await sdk.approve(token, alice, 250);
+      expect(await token.allowance(owner.address, alice.address)).to.equal(sdk.parseBTCX("250"));
+
+      const supply = await token.totalSupply();
+      await sdk.burn(token, 10n);
+      expect(await token.totalSupply()).to.equal(supply - 10n);
+    });
+
+    it("Should sign a permit with the owner and submit it from another account", async function () {
+      const relayed = token.connect(alice);
+      const nonce = await token.nonces(owner.address);
+      const latest = await provider.getBlock("latest");
+
+      const { permit, receipt } = await sdk.permit(relayed, owner, alice, "42", { deadline: latest.timestamp + 600 });
+
+      expect(receipt.from).to.equal(alice.address);
+      expect(sdk.verifyPermit(permit)).to.equal(true);
+      expect(await token.allowance(owner.address, alice.address)).to.equal(sdk.parseBTCX("42"));
+      expect(await token.nonces(owner.address)).to.equal(nonce + 1n);
+    });
+  });
+});
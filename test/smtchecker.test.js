@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  DEFAULT_HARNESS,
+  parseProperties,
+  classifyDiagnostic,
+  collectResults,
+  summarizeProperties,
+  importResolver,
+  loadSolcJs,
+  runModelChecker,
+} = require("../scripts/lib/smtchecker");
+const { parseArgs } = require("../scripts/smt-check");
+
+/**
+ * @title SMTChecker Runner Test Suite
+ * @notice Tests for parsing the harness, classifying model checker output, and a real run
+ *         on a small contract
+ */
+describe("SMTChecker Runner", function () {
+  const TOY = `// SPDX-License-Identifier: MIT
+pragma solidity 0.8.27;
+
+// Überprüfung: a non-ASCII comment, so offsets have to be counted in bytes
+contract Toy {
+    uint256 public x;
+
+    function set(uint256 y) external {
+        require(y < 10);
+        x = y;
+        assert(x < 10); // property: bounded
+        assert(x < 5); // property: small
+        assert(x != 11);
+    }
+}
+`;
+  let tmpDir;
+  let consoleLog;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-smt-"));
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function diagnostic(start, message, file = "Toy.sol") {
+    return { severity: "warning", message, sourceLocation: { file, start, end: start + 10 } };
+  }
+
+  // ============================================================
+  // PARSING TESTS
+  // ============================================================
+  describe("Parsing", function () {
+    it("Should find labelled asserts with byte offsets and lines", function () {
+      const properties = parseProperties(TOY);
+
+      expect(properties.map((p) => p.property)).to.deep.equal(["bounded", "small"]);
+      expect(properties[0].line).to.equal(11);
+      const bytes = Buffer.from(TOY);
+      expect(bytes.subarray(properties[0].start, properties[0].start + 14).toString()).to.equal("assert(x < 10)");
+    });
+
+    it("Should label every assert in the harness", function () {
+      const source = fs.readFileSync(path.join(hre.config.paths.root, DEFAULT_HARNESS), "utf8");
+      const labelled = parseProperties(source);
+
+      expect(labelled).to.have.length(source.match(/\bassert\(/g).length);
+      expect(labelled.map((p) => p.property)).to.include.members([
+        "initialSupply",
+        "transferIntegrity",
+        "transferFromIntegrity",
+        "infiniteApprovalNotDecreased",
+        "burnIntegrity",
+        "burnFromIntegrity",
+      ]);
+    });
+
+    it("Should classify the model checker messages", function () {
+      expect(classifyDiagnostic("BMC: Assertion violation check is safe!")).to.equal("pass");
+      expect(classifyDiagnostic("CHC: Assertion violation happens here.\nCounterexample:\nx = 5")).to.equal("fail");
+      expect(classifyDiagnostic("CHC: Assertion violation might happen here.")).to.equal("unknown");
+      expect(classifyDiagnostic("SMTChecker: 3 unsupported language feature(s).")).to.equal(undefined);
+    });
+  });
+
+  // ============================================================
+  // RESULT TESTS
+  // ============================================================
+  describe("Results", function () {
+    it("Should match diagnostics to asserts and summarize per property", function () {
+      const properties = [
+        { property: "a", start: 10, line: 1 },
+        { property: "a", start: 20, line: 2 },
+        { property: "b", start: 30, line: 3 },
+        { property: "c", start: 40, line: 4 },
+      ];
+      const results = collectResults(
+        properties,
+        [
+          diagnostic(10, "BMC: Assertion violation check is safe!"),
+          diagnostic(20, "CHC: Assertion violation might happen here."),
+          diagnostic(30, "BMC: Assertion violation happens here.\nCounterexample:\namount = 1"),
+          diagnostic(40, "BMC: Assertion violation happens here.", "Other.sol"),
+        ],
+        "Toy.sol"
+      );
+
+      expect(results.map((r) => r.status)).to.deep.equal(["pass", "unknown", "fail", "unknown"]);
+      expect(results[2].counterexample).to.equal("Counterexample:\namount = 1");
+      expect(summarizeProperties(results)).to.deep.equal([
+        { property: "a", status: "unknown", asserts: 2, lines: [1, 2] },
+        { property: "b", status: "fail", asserts: 1, lines: [3] },
+        { property: "c", status: "unknown", asserts: 1, lines: [4] },
+      ]);
+    });
+
+    it("Should prefer a definite answer when both engines report an assert", function () {
+      const properties = [{ property: "a", start: 10, line: 1 }];
+      const results = collectResults(
+        properties,
+        [
+          diagnostic(10, "BMC: Assertion violation check is safe!"),
+          diagnostic(10, "CHC: Assertion violation might happen here."),
+        ],
+        "Toy.sol"
+      );
+
+      expect(results[0]).to.include({ status: "pass", engine: "BMC" });
+    });
+
+    it("Should parse the runner's command line options", function () {
+      expect(parseArgs(["--engine", "chc", "--contract", "Toy"])).to.deep.equal({ engine: "chc", contract: "Toy" });
+
+      let error;
+      try {
+        parseArgs(["--timeout", "10"]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/Unknown or incomplete option --timeout/);
+    });
+  });
+
+  // ============================================================
+  // MODEL CHECKER TESTS
+  // ============================================================
+  describe("Model checker", function () {
+    let solc;
+
+    before(async function () {
+      this.timeout(300000);
+      solc = await loadSolcJs(hre.config.solidity.compilers[0].version);
+    });
+
+    it("Should prove one property and find a counterexample for another", async function () {
+      this.timeout(300000);
+      fs.writeFileSync(path.join(tmpDir, "Toy.sol"), TOY);
+
+      const result = await runModelChecker({ root: tmpDir, file: "Toy.sol", contract: "Toy", engine: "chc", solc });
+
+      expect(result.failed).to.equal(true);
+      expect(result.properties.map((p) => [p.property, p.status])).to.deep.equal([
+        ["bounded", "pass"],
+        ["small", "fail"],
+      ]);
+      expect(result.results[1].counterexample).to.match(/Counterexample:[\s\S]*y = /);
+    });
+
+    it("Should report compilation errors", async function () {
+      fs.writeFileSync(path.join(tmpDir, "Toy.sol"), TOY.replace("x = y;", "x = y"));
+
+      let error;
+      try {
+        await runModelChecker({ root: tmpDir, file: "Toy.sol", contract: "Toy", solc });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/Compilation failed/);
+    });
+
+    it("Should compile the harness from outside the Hardhat sources", async function () {
+      const root = hre.config.paths.root;
+      const input = {
+        language: "Solidity",
+        sources: { [DEFAULT_HARNESS]: { content: fs.readFileSync(path.join(root, DEFAULT_HARNESS), "utf8") } },
+        settings: { outputSelection: {} },
+      };
+
+      const output = JSON.parse(solc.compile(JSON.stringify(input), { import: importResolver(root) }));
+
+      expect((output.errors || []).filter((e) => e.severity === "error")).to.deep.equal([]);
+      expect(DEFAULT_HARNESS.startsWith(path.relative(root, hre.config.paths.sources))).to.equal(false);
+      expect(await hre.artifacts.artifactExists("BTCXDigitalCurrency_SMTChecker")).to.equal(false);
+    });
+
+    it("Should reject an unknown engine", async function () {
+      let error;
+      try {
+        await runModelChecker({ root: tmpDir, file: "Toy.sol", engine: "z3", solc });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/Unknown engine z3/);
+    });
+
+    // Neither module is part of Hardhat's public API; package.json pins the version
+    it("Should find the Hardhat compiler downloader that loads solc-js", function () {
+      const { CompilerDownloader, CompilerPlatform } = require("hardhat/internal/solidity/compiler/downloader");
+      const { getCompilersDir } = require("hardhat/internal/util/global-dir");
+
+      expect(CompilerDownloader.getConcurrencySafeDownloader).to.be.a("function");
+      expect(CompilerPlatform.WASM).to.be.a("string");
+      expect(getCompilersDir).to.be.a("function");
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { blockAtTimestamp, buildSnapshot } = require("../scripts/lib/snapshot");
+const { parseDistributionCsv } = require("../scripts/lib/distribution");
+
+const { ethers } = hre;
+
+/**
+ * @title Holder Snapshot Test Suite
+ * @notice Tests for historical holder snapshots and the btcx:snapshot task
+ */
+describe("Holder Snapshot", function () {
+  const DECIMALS = 18;
+  const TOTAL_SUPPLY = ethers.parseUnits("1200000000", DECIMALS);
+  const DEAD = "0x000000000000000000000000000000000000dEaD";
+  let tmpDir;
+  let consoleLog;
+  let btcx;
+  let token;
+  let startBlock;
+  let owner;
+  let alice;
+  let bob;
+
+  beforeEach(async function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-snapshot-"));
+    consoleLog = console.log;
+    console.log = () => {};
+
+    [owner, alice, bob] = await ethers.getSigners();
+    const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+    btcx = await BTCXDigitalCurrency.deploy(owner.address);
+    token = await btcx.getAddress();
+    startBlock = (await btcx.deploymentTransaction().wait()).blockNumber;
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function balanceOf(snapshot, address) {
+    return BigInt(snapshot.holders.find((h) => h.address === address)?.balance ?? 0);
+  }
+
+  // ============================================================
+  // SNAPSHOT TESTS
+  // ============================================================
+  describe("Snapshot", function () {
+    it("Should report balances as of the requested block", async function () {
+      await btcx.transfer(alice.address, 1000);
+      const blockNumber = await ethers.provider.getBlockNumber();
+      await btcx.transfer(bob.address, 500);
+      await btcx.connect(alice).transfer(bob.address, 400);
+
+      const snapshot = await buildSnapshot(ethers.provider, { token, blockNumber, fromBlock: startBlock, verify: true });
+
+      expect(balanceOf(snapshot, alice.address)).to.equal(1000n);
+      expect(balanceOf(snapshot, bob.address)).to.equal(0n);
+      expect(snapshot.holders).to.have.length(2);
+      expect(snapshot.blockHash).to.equal((await ethers.provider.getBlock(blockNumber)).hash);
+      expect(snapshot.total).to.equal(TOTAL_SUPPLY.toString());
+    });
+
+    it("Should account for burns in the supply", async function () {
+      await btcx.burn(1000);
+
+      const snapshot = await buildSnapshot(ethers.provider, {
+        token,
+        blockNumber: await ethers.provider.getBlockNumber(),
+        fromBlock: startBlock,
+        verify: true,
+      });
+
+      expect(snapshot.totalSupply).to.equal((TOTAL_SUPPLY - 1000n).toString());
+      expect(snapshot.total).to.equal(snapshot.totalSupply);
+    });
+
+    it("Should leave excluded addresses out of the holders and total", async function () {
+      await btcx.transfer(alice.address, 1000);
+      await btcx.transfer(DEAD, 50);
+
+      const snapshot = await buildSnapshot(ethers.provider, {
+        token,
+        blockNumber: await ethers.provider.getBlockNumber(),
+        fromBlock: startBlock,
+        exclude: [owner.address, DEAD],
+      });
+
+      expect(snapshot.holders.map((h) => h.address)).to.deep.equal([alice.address]);
+      expect(snapshot.total).to.equal("1000");
+      expect(snapshot.excluded).to.deep.equal([
+        { address: DEAD, balance: "50" },
+        { address: owner.address, balance: (TOTAL_SUPPLY - 1050n).toString() },
+      ]);
+    });
+
+    it("Should order holders by address", async function () {
+      for (let i = 0; i < 5; i++) {
+        await btcx.transfer(ethers.Wallet.createRandom().address, 1 + i);
+      }
+
+      const snapshot = await buildSnapshot(ethers.provider, {
+        token,
+        blockNumber: await ethers.provider.getBlockNumber(),
+        fromBlock: startBlock,
+      });
+      const addresses = snapshot.holders.map((h) => h.address.toLowerCase());
+
+      expect(addresses).to.deep.equal([...addresses].sort());
+    });
+
+    it("Should find the last block at or before a timestamp", async function () {
+      await mine(5, { interval: 60 });
+      const target = await ethers.provider.getBlock((await ethers.provider.getBlockNumber()) - 2);
+
+      expect(await blockAtTimestamp(ethers.provider, target.timestamp)).to.equal(target.number);
+      expect(await blockAtTimestamp(ethers.provider, target.timestamp + 30)).to.equal(target.number);
+    });
+
+    it("Should fail for a block that does not exist yet", async function () {
+      let error;
+      try {
+        await buildSnapshot(ethers.provider, { token, blockNumber: (await ethers.provider.getBlockNumber()) + 100 });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/does not exist yet/);
+    });
+  });
+
+  // ============================================================
+  // TASK TESTS
+  // ============================================================
+  describe("Task", function () {
+    it("Should write identical files when re-run for the same block", async function () {
+      await btcx.transfer(alice.address, ethers.parseUnits("1.5", DECIMALS));
+      const block = await ethers.provider.getBlockNumber();
+      await btcx.transfer(bob.address, 1);
+      const args = { token, block, fromBlock: startBlock, excludeBurnSinks: true };
+
+      const first = await hre.run("btcx:snapshot", { ...args, out: path.join(tmpDir, "first") });
+      const second = await hre.run("btcx:snapshot", { ...args, out: path.join(tmpDir, "second") });
+
+      expect(fs.readFileSync(second.files.json, "utf8")).to.equal(fs.readFileSync(first.files.json, "utf8"));
+      expect(fs.readFileSync(second.files.csv, "utf8")).to.equal(fs.readFileSync(first.files.csv, "utf8"));
+    });
+
+    it("Should write a CSV that btcx:distribute accepts", async function () {
+      await btcx.transfer(alice.address, ethers.parseUnits("1.5", DECIMALS));
+
+      const { files } = await hre.run("btcx:snapshot", {
+        token,
+        fromBlock: startBlock,
+        exclude: owner.address,
+        out: path.join(tmpDir, "airdrop"),
+      });
+      const { entries } = parseDistributionCsv(fs.readFileSync(files.csv, "utf8"));
+
+      expect(entries).to.deep.equal([{ line: 2, address: alice.address, amount: ethers.parseUnits("1.5", DECIMALS) }]);
+    });
+
+    it("Should snapshot at a timestamp", async function () {
+      await btcx.transfer(alice.address, 1000);
+      const timestamp = await time.latest();
+      await time.increase(3600);
+      await btcx.transfer(bob.address, 1000);
+
+      const { snapshot } = await hre.run("btcx:snapshot", {
+        token,
+        timestamp: String(timestamp),
+        fromBlock: startBlock,
+        out: path.join(tmpDir, "at-time"),
+      });
+
+      expect(balanceOf(snapshot, alice.address)).to.equal(1000n);
+      expect(balanceOf(snapshot, bob.address)).to.equal(0n);
+    });
+  });
+});
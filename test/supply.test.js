@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadLockedAddresses, readSupply, createSupplyServer } = require("../scripts/lib/supply");
+
+const { ethers } = hre;
+
+/**
+ * @title Supply Service Test Suite
+ * @notice Tests for the circulating-supply figures and HTTP service
+ */
+describe("Supply Service", function () {
+  const DECIMALS = 18;
+  const TOTAL_SUPPLY = ethers.parseUnits("1200000000", DECIMALS);
+  let tmpDir;
+  let consoleLog;
+  let btcx;
+  let treasury;
+  let escrow;
+  let alice;
+  let service;
+  let baseUrl;
+
+  beforeEach(async function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-supply-"));
+    consoleLog = console.log;
+    console.log = () => {};
+
+    [treasury, escrow, alice] = await ethers.getSigners();
+    const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+    btcx = await BTCXDigitalCurrency.deploy(treasury.address);
+
+    // 1B stays in the treasury, 100M in escrow, 99M circulates and 1M is burned
+    await btcx.transfer(escrow.address, ethers.parseUnits("100000000", DECIMALS));
+    await btcx.transfer(alice.address, ethers.parseUnits("100000000", DECIMALS));
+    await btcx.connect(alice).burn(ethers.parseUnits("1000000", DECIMALS));
+  });
+
+  afterEach(async function () {
+    console.log = consoleLog;
+    if (service) {
+      await service.close();
+      service = undefined;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeLocked() {
+    const file = path.join(tmpDir, "locked.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        locked: [
+          { label: "treasury", address: treasury.address },
+          { label: "escrow", address: escrow.address.toLowerCase() },
+        ],
+      })
+    );
+    return file;
+  }
+
+  async function startService() {
+    service = createSupplyServer({ token: btcx, locked: loadLockedAddresses({ file: writeLocked() }), cacheMs: 0 });
+    const { port } = await service.listen(0);
+    baseUrl = `http://127.0.0.1:${port}`;
+  }
+
+  // ============================================================
+  // FIGURES TESTS
+  // ============================================================
+  describe("Figures", function () {
+    it("Should subtract locked balances from the total supply", async function () {
+      const supply = await readSupply(btcx, loadLockedAddresses({ file: writeLocked() }));
+
+      expect(supply.totalSupply).to.equal(TOTAL_SUPPLY - ethers.parseUnits("1000000", DECIMALS));
+      expect(supply.circulatingSupply).to.equal(ethers.parseUnits("99000000", DECIMALS));
+      expect(supply.burnedSupply).to.equal(ethers.parseUnits("1000000", DECIMALS));
+      expect(supply.lockedSupply).to.equal(ethers.parseUnits("1100000000", DECIMALS));
+    });
+
+    it("Should read every figure at the requested block", async function () {
+      const blockNumber = await ethers.provider.getBlockNumber();
+      await btcx.connect(alice).burn(ethers.parseUnits("5", DECIMALS));
+
+      const supply = await readSupply(btcx, [], blockNumber);
+
+      expect(supply.blockNumber).to.equal(blockNumber);
+      expect(supply.burnedSupply).to.equal(ethers.parseUnits("1000000", DECIMALS));
+    });
+
+    it("Should checksum and de-duplicate locked addresses", function () {
+      const file = path.join(tmpDir, "locked.json");
+      fs.writeFileSync(file, JSON.stringify([{ address: alice.address.toLowerCase() }, { address: alice.address }]));
+
+      expect(loadLockedAddresses({ file })).to.deep.equal([{ label: alice.address, address: alice.address }]);
+    });
+
+    it("Should reject invalid locked addresses", function () {
+      const file = path.join(tmpDir, "locked.json");
+      fs.writeFileSync(file, JSON.stringify([{ label: "escrow", address: "0x1234" }]));
+
+      expect(() => loadLockedAddresses({ file })).to.throw(/Invalid locked address 0x1234 \(escrow\)/);
+    });
+  });
+
+  // ============================================================
+  // HTTP TESTS
+  // ============================================================
+  describe("HTTP", function () {
+    it("Should serve every figure as JSON with the block it was read at", async function () {
+      await startService();
+
+      const res = await fetch(`${baseUrl}/supply`);
+      const body = await res.json();
+
+      expect(res.headers.get("content-type")).to.equal("application/json");
+      expect(body).to.include({
+        totalSupply: "1199000000.0",
+        circulatingSupply: "99000000.0",
+        burnedSupply: "1000000.0",
+        blockNumber: await ethers.provider.getBlockNumber(),
+      });
+      expect(body.locked.map((entry) => entry.label)).to.deep.equal(["treasury", "escrow"]);
+    });
+
+    it("Should serve plain-text figures with the block in headers", async function () {
+      await startService();
+      const block = await ethers.provider.getBlock("latest");
+
+      for (const [figure, expected] of [
+        ["total", "1199000000.0"],
+        ["circulating", "99000000.0"],
+        ["burned", "1000000.0"],
+      ]) {
+        const res = await fetch(`${baseUrl}/supply/${figure}`);
+        expect(res.headers.get("content-type")).to.match(/^text\/plain/);
+        expect(res.headers.get("x-block-number")).to.equal(String(block.number));
+        expect(res.headers.get("x-block-hash")).to.equal(block.hash);
+        expect(await res.text()).to.equal(expected);
+      }
+    });
+
+    it("Should serve a single figure as JSON on request", async function () {
+      await startService();
+
+      const body = await (await fetch(`${baseUrl}/supply/circulating?format=json`)).json();
+
+      expect(body.circulatingSupply).to.equal("99000000.0");
+      expect(body.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Should follow new blocks", async function () {
+      await startService();
+      await btcx.connect(alice).burn(ethers.parseUnits("1000000", DECIMALS));
+
+      expect(await (await fetch(`${baseUrl}/supply/burned`)).text()).to.equal("2000000.0");
+    });
+
+    it("Should reject writes and unknown paths", async function () {
+      await startService();
+
+      expect((await fetch(`${baseUrl}/supply`, { method: "POST" })).status).to.equal(405);
+      expect((await fetch(`${baseUrl}/supply/locked`)).status).to.equal(404);
+    });
+  });
+
+  // ============================================================
+  // TASK TESTS
+  // ============================================================
+  describe("Task", function () {
+    it("Should print the figures for a locked address file", async function () {
+      const supply = await hre.run("btcx:supply", { token: await btcx.getAddress(), locked: writeLocked() });
+
+      expect(supply.circulatingSupply).to.equal("99000000.0");
+    });
+  });
+});
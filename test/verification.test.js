@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { main } = require("../scripts/deploy");
+const deployments = require("../scripts/lib/deployments");
+const { verifyContract } = require("../scripts/lib/verification");
+
+const { ethers, network } = hre;
+
+/**
+ * @notice Minimal stand-in for the Etherscan contract verification API
+ * @param state.unindexedAttempts Number of verify calls answered with "Unable to locate ContractCode"
+ * @param state.verified Whether getsourcecode reports the contract as verified
+ * @param state.alreadyVerified Whether verifysourcecode answers "already verified"
+ */
+function startExplorer(state) {
+  state.calls = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const query = new URL(req.url, "http://localhost").searchParams;
+      const params = new URLSearchParams(body);
+      const action = params.get("action") || query.get("action");
+      state.calls.push(action);
+
+      let response;
+      if (action === "getsourcecode") {
+        response = { status: "1", message: "OK", result: [{ SourceCode: state.verified ? "source" : "" }] };
+      } else if (action === "verifysourcecode" && state.alreadyVerified) {
+        response = { status: "0", message: "NOTOK", result: "Contract source code already verified" };
+      } else if (action === "verifysourcecode" && state.unindexedAttempts > 0) {
+        state.unindexedAttempts--;
+        response = {
+          status: "0",
+          message: "NOTOK",
+          result: `Unable to locate ContractCode at ${params.get("contractaddress")}`,
+        };
+      } else if (action === "verifysourcecode") {
+        response = { status: "1", message: "OK", result: "test-guid" };
+      } else {
+        response = { status: "1", message: "OK", result: "Pass - Verified" };
+      }
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+/**
+ * @title Source Verification Test Suite
+ * @notice Tests the deploy script's verification step against a local explorer stand-in
+ */
+describe("Source Verification", function () {
+  let server;
+  let state;
+  let deploymentsDir;
+  let consoleLog;
+  let consoleWarn;
+  let etherscanConfig;
+
+  beforeEach(async function () {
+    state = { unindexedAttempts: 0, verified: false, alreadyVerified: false };
+    server = await startExplorer(state);
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    etherscanConfig = hre.config.etherscan;
+    hre.config.etherscan = {
+      ...etherscanConfig,
+      // A per-network key keeps hardhat-verify on the custom apiURL instead of Etherscan v2
+      apiKey: { localExplorer: "test" },
+      customChains: [
+        { network: "localExplorer", chainId: 31337, urls: { apiURL: `${url}/api`, browserURL: url } },
+      ],
+    };
+
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-deployments-"));
+    consoleLog = console.log;
+    consoleWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+  });
+
+  afterEach(async function () {
+    console.log = consoleLog;
+    console.warn = consoleWarn;
+    hre.config.etherscan = etherscanConfig;
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  async function deployAndVerify(options = {}) {
+    const [, recipient] = await ethers.getSigners();
+    return main({
+      recipient: recipient.address,
+      deploymentsDir,
+      force: true,
+      verify: true,
+      verifyConfirmations: 1,
+      verifyRetryDelayMs: 10,
+      ...options,
+    });
+  }
+
+  it("Should verify the contract after deployment", async function () {
+    const result = await deployAndVerify();
+
+    expect(result.verification.status).to.equal("verified");
+    expect(result.verification.attempts).to.equal(1);
+    expect(state.calls).to.include("verifysourcecode");
+  });
+
+  it("Should record the verification result in the manifest", async function () {
+    await deployAndVerify();
+    const record = deployments.getDeployment(network.name, "BTCXDigitalCurrency", deploymentsDir);
+
+    expect(record.verification.status).to.equal("verified");
+    expect(record.verification.checkedAt).to.be.a("string");
+  });
+
+  it("Should retry while the explorer has not indexed the bytecode", async function () {
+    state.unindexedAttempts = 2;
+    const result = await deployAndVerify();
+
+    expect(result.verification.status).to.equal("verified");
+    expect(result.verification.attempts).to.equal(3);
+  });
+
+  it("Should give up after the configured number of attempts", async function () {
+    state.unindexedAttempts = 5;
+    const result = await deployAndVerify({ verifyAttempts: 2 });
+
+    expect(result.verification.status).to.equal("failed");
+    expect(result.verification.attempts).to.equal(2);
+    expect(result.verification.error).to.include("does not have bytecode");
+  });
+
+  it("Should treat an already verified contract as success", async function () {
+    state.alreadyVerified = true;
+    const result = await deployAndVerify();
+
+    expect(result.verification.status).to.equal("already-verified");
+  });
+
+  it("Should skip submission when the explorer already has the source", async function () {
+    state.verified = true;
+    const result = await deployAndVerify();
+
+    expect(result.verification.status).to.equal("verified");
+    expect(state.calls).to.not.include("verifysourcecode");
+  });
+
+  it("Should not verify unless requested", async function () {
+    const result = await deployAndVerify({ verify: false });
+
+    expect(result.verification).to.equal(undefined);
+    expect(state.calls).to.deep.equal([]);
+  });
+
+  it("Should wait for the configured confirmations", async function () {
+    const [, recipient] = await ethers.getSigners();
+    const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+    const btcx = await BTCXDigitalCurrency.deploy(recipient.address);
+    const transactionHash = btcx.deploymentTransaction().hash;
+
+    let settled = false;
+    const pending = verifyContract(hre, {
+      address: await btcx.getAddress(),
+      constructorArguments: [recipient.address],
+      transactionHash,
+      confirmations: 3,
+      pollIntervalMs: 10,
+    }).then((result) => {
+      settled = true;
+      return result;
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(settled).to.equal(false);
+    expect(state.calls).to.deep.equal([]);
+
+    await mine(2);
+    expect((await pending).status).to.equal("verified");
+  });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { parseDuration, parsePlan, vestedAt, releaseCalendar, vestingStatus } = require("../scripts/lib/vesting");
+
+const { ethers } = hre;
+
+/**
+ * @title Vesting Task Test Suite
+ * @notice Tests for vesting plan validation and the btcx:vesting:* tasks
+ */
+describe("Vesting", function () {
+  const DECIMALS = 18;
+  const DAY = 86400;
+  const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  let tmpDir;
+  let consoleLog;
+  let deploymentsDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "btcx-vesting-"));
+    consoleLog = console.log;
+    console.log = () => {};
+    deploymentsDir = process.env.DEPLOYMENTS_DIR;
+    process.env.DEPLOYMENTS_DIR = tmpDir;
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    if (deploymentsDir === undefined) {
+      delete process.env.DEPLOYMENTS_DIR;
+    } else {
+      process.env.DEPLOYMENTS_DIR = deploymentsDir;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function deployToken() {
+    const [owner] = await ethers.getSigners();
+    const BTCXDigitalCurrency = await ethers.getContractFactory("BTCXDigitalCurrency");
+    const btcx = await BTCXDigitalCurrency.deploy(owner.address);
+    return { btcx, owner };
+  }
+
+  function writePlan(allocations) {
+    const file = path.join(tmpDir, "vesting.json");
+    fs.writeFileSync(file, JSON.stringify({ allocations }));
+    return file;
+  }
+
+  // ============================================================
+  // PLAN VALIDATION TESTS
+  // ============================================================
+  describe("Plan Validation", function () {
+    it("Should parse durations with units", function () {
+      expect(parseDuration(60)).to.equal(60);
+      expect(parseDuration("90d")).to.equal(90 * DAY);
+      expect(parseDuration("4y")).to.equal(4 * 365 * DAY);
+      expect(() => parseDuration("1 month")).to.throw(/invalid duration/);
+    });
+
+    it("Should parse amounts in whole tokens and ISO start dates", function () {
+      const [allocation] = parsePlan({
+        allocations: [{ beneficiary: ALICE, amount: "1000.5", start: "2027-01-01T00:00:00Z", cliff: "1y", duration: "4y" }],
+      });
+
+      expect(allocation.name).to.equal(ALICE);
+      expect(allocation.amount).to.equal(ethers.parseUnits("1000.5", DECIMALS));
+      expect(allocation.start).to.equal(Date.UTC(2027, 0, 1) / 1000);
+      expect(allocation.cliff).to.equal(365 * DAY);
+    });
+
+    it("Should report every invalid allocation", function () {
+      const plan = [
+        { beneficiary: ALICE.toLowerCase(), amount: 1, start: 0, duration: 1 },
+        { name: "bob", beneficiary: BOB, amount: 0, start: 0, duration: 1 },
+        { name: "bob", beneficiary: BOB, amount: 1, start: 0, cliff: "2d", duration: "1d" },
+      ];
+
+      expect(() => parsePlan(plan)).to.throw(
+        /allocation 1: .*not a checksummed[\s\S]*allocation 2: amount must be positive[\s\S]*allocation 3: duplicate name bob/
+      );
+    });
+
+    it("Should reject a cliff longer than the duration", function () {
+      expect(() => parsePlan([{ beneficiary: BOB, amount: 1, start: 0, cliff: "2d", duration: "1d" }])).to.throw(
+        /cliff .* is longer than duration/
+      );
+    });
+  });
+
+  // ============================================================
+  // CALENDAR TESTS
+  // ============================================================
+  describe("Release Calendar", function () {
+    const schedule = { amount: 1200n, start: 1000, cliff: 300, duration: 1200 };
+
+    it("Should mirror the cliff vesting formula", function () {
+      expect(vestedAt(schedule, 1299)).to.equal(0n);
+      expect(vestedAt(schedule, 1300)).to.equal(300n);
+      expect(vestedAt(schedule, 1600)).to.equal(600n);
+      expect(vestedAt(schedule, 5000)).to.equal(1200n);
+    });
+
+    it("Should unlock the full allocation across the calendar", function () {
+      const start = Date.UTC(2027, 0, 1) / 1000;
+      const rows = releaseCalendar([
+        { amount: 1000n, start, cliff: 90 * DAY, duration: 365 * DAY },
+        { amount: 500n, start, cliff: 0, duration: 180 * DAY },
+      ]);
+
+      expect(rows.reduce((sum, row) => sum + row.unlocked, 0n)).to.equal(1500n);
+      expect(rows[rows.length - 1].vested).to.equal(1500n);
+      expect(rows.some((row) => row.timestamp === start + 90 * DAY)).to.equal(true);
+    });
+  });
+
+  // ============================================================
+  // TASK TESTS
+  // ============================================================
+  describe("Task", function () {
+    it("Should deploy and fund one wallet per allocation", async function () {
+      const { btcx } = await deployToken();
+      const start = (await time.latest()) + DAY;
+      const plan = writePlan([
+        { name: "alice", beneficiary: ALICE, amount: "1000000", start, cliff: "30d", duration: "360d" },
+        { name: "bob", beneficiary: BOB, amount: "500000", start, cliff: 0, duration: "180d" },
+      ]);
+
+      const { records } = await hre.run("btcx:vesting:deploy", { plan, token: await btcx.getAddress() });
+
+      const wallet = await ethers.getContractAt("BTCXVestingWallet", records.alice.address);
+      expect(await wallet.owner()).to.equal(ALICE);
+      expect(await wallet.cliff()).to.equal(start + 30 * DAY);
+      expect(await btcx.balanceOf(records.bob.address)).to.equal(ethers.parseUnits("500000", DECIMALS));
+
+      const manifest = JSON.parse(fs.readFileSync(path.join(tmpDir, "hardhat.json"), "utf8"));
+      expect(manifest.contracts["BTCXVestingWallet:alice"].vesting.fundingTxHash).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("Should not deploy or fund twice when re-run", async function () {
+      const { btcx, owner } = await deployToken();
+      const plan = writePlan([
+        { name: "alice", beneficiary: ALICE, amount: "1000", start: await time.latest(), duration: "30d" },
+      ]);
+      const token = await btcx.getAddress();
+
+      const first = await hre.run("btcx:vesting:deploy", { plan, token });
+      const balance = await btcx.balanceOf(owner.address);
+      const second = await hre.run("btcx:vesting:deploy", { plan, token });
+
+      expect(second.records.alice.address).to.equal(first.records.alice.address);
+      expect(await btcx.balanceOf(owner.address)).to.equal(balance);
+    });
+
+    it("Should not fund again when the funding hash was lost", async function () {
+      const { btcx, owner } = await deployToken();
+      const plan = writePlan([
+        { name: "alice", beneficiary: ALICE, amount: "1000", start: await time.latest(), duration: "30d" },
+      ]);
+      const token = await btcx.getAddress();
+      const { records } = await hre.run("btcx:vesting:deploy", { plan, token });
+
+      // As if the process died after the transfer was sent but before the manifest was written
+      const manifestFile = path.join(tmpDir, "hardhat.json");
+      const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+      delete manifest.contracts["BTCXVestingWallet:alice"].vesting.fundingTxHash;
+      fs.writeFileSync(manifestFile, JSON.stringify(manifest));
+      const balance = await btcx.balanceOf(owner.address);
+
+      await hre.run("btcx:vesting:deploy", { plan, token });
+
+      expect(await btcx.balanceOf(owner.address)).to.equal(balance);
+      expect(await btcx.balanceOf(records.alice.address)).to.equal(ethers.parseUnits("1000", DECIMALS));
+    });
+
+    it("Should refuse a plan that changes a deployed schedule", async function () {
+      const { btcx } = await deployToken();
+      const allocation = { name: "alice", beneficiary: ALICE, amount: "1000", start: await time.latest(), duration: "30d" };
+      const token = await btcx.getAddress();
+      await hre.run("btcx:vesting:deploy", { plan: writePlan([allocation]), token });
+
+      let error;
+      try {
+        await hre.run("btcx:vesting:deploy", { plan: writePlan([{ ...allocation, duration: "60d" }]), token });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/alice was deployed with a different duration/);
+    });
+
+    it("Should refuse to start when the balance does not cover the plan", async function () {
+      const { btcx } = await deployToken();
+      const plan = writePlan([{ beneficiary: ALICE, amount: "1200000001", start: 0, duration: "1d" }]);
+
+      let error;
+      try {
+        await hre.run("btcx:vesting:deploy", { plan, token: await btcx.getAddress() });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/Insufficient BTCX balance/);
+    });
+
+    it("Should report releasable and released amounts", async function () {
+      const { btcx } = await deployToken();
+      const start = (await time.latest()) + DAY;
+      const plan = writePlan([
+        { name: "alice", beneficiary: ALICE, amount: "3600", start, cliff: "90d", duration: "360d" },
+      ]);
+      const { records } = await hre.run("btcx:vesting:deploy", { plan, token: await btcx.getAddress() });
+
+      await time.increaseTo(start + 90 * DAY - 1);
+      expect((await vestingStatus(hre)).totals.releasable).to.equal(0n);
+
+      await time.increaseTo(start + 180 * DAY - 1);
+      const wallet = await ethers.getContractAt("BTCXVestingWallet", records.alice.address);
+      await wallet["release(address)"](await btcx.getAddress());
+
+      const { totals } = await hre.run("btcx:vesting:status");
+      expect(totals.released).to.equal(ethers.parseUnits("1800", DECIMALS));
+      expect(totals.releasable).to.equal(0n);
+    });
+  });
+});